@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Git credential helper backed by the token lease server
+ *
+ * Gives git a short-lived installation token scoped to the repository it is
+ * talking to, so `git clone`/`git push` need no stored credentials:
+ *
+ *   git config --global credential.https://github.com.helper 'token-lease --client ci-runner'
+ *   git config --global credential.https://github.com.useHttpPath true
+ *
+ * Git runs this as `git-credential-token-lease [options] <get|store|erase>` and
+ * writes the request as key=value lines on stdin. Actions:
+ *   get    Lease a token for <owner>/<repo> from the request's path
+ *   store  Nothing to store; the lease lives on the server
+ *   erase  Revoke the lease git was refused with
+ *
+ * Options (as for token-lease):
+ *   --url <url>              Server (default: TOKEN_LEASE_URL or http://localhost:3000)
+ *   --client <id>            Client ID (default: TOKEN_LEASE_CLIENT_ID)
+ *   --permissions <p:l,...>  e.g. contents:write (default: the client's policy)
+ *   --ttl <seconds>          Lease duration
+ *   --host <host>            Only answer for this host (default: github.com)
+ *
+ * Leases handed to git are remembered in TOKEN_LEASE_STATE_DIR (default
+ * ~/.token-lease/git) so that erase can find the lease behind a token.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const { TokenLeaseClient } = require('..');
+const { UsageError, createClientOptions, formatLease } = require('./token-lease');
+
+const OPTIONS = {
+    url: { type: 'string' },
+    client: { type: 'string' },
+    permissions: { type: 'string' },
+    ttl: { type: 'string' },
+    host: { type: 'string' }
+};
+
+// Responses for leases that were already released, revoked or expired
+const LEASE_GONE = [403, 404, 410];
+
+/**
+ * Parse git's key=value request, which ends at a blank line or end of input
+ */
+function parseCredential(input) {
+    const credential = {};
+    for (const line of input.split('\n')) {
+        if (line === '') {
+            break;
+        }
+        const separator = line.indexOf('=');
+        if (separator > 0) {
+            credential[line.slice(0, separator)] = line.slice(separator + 1);
+        }
+    }
+    return credential;
+}
+
+/**
+ * The repository a request is for, or null when this helper should not answer
+ * @returns {{ owner: string, repository: string }|null}
+ */
+function repositoryFromCredential(credential, host = 'github.com') {
+    if (credential.protocol !== 'https' || (credential.host || '').toLowerCase() !== host.toLowerCase()) {
+        return null;
+    }
+    // Without credential.useHttpPath git sends no path, and a token for every repository is not ours to give
+    const [owner, name] = (credential.path || '').replace(/^\/+/, '').split('/');
+    const repository = (name || '').replace(/\.git$/, '');
+    if (!owner || !repository) {
+        return null;
+    }
+    return { owner, repository };
+}
+
+const leaseFile = (stateDir, token) => path.join(stateDir, `${crypto.createHash('sha256').update(token).digest('hex')}.json`);
+
+/**
+ * Remember which lease a token belongs to, dropping records of expired leases
+ */
+function rememberLease(stateDir, lease) {
+    fs.mkdirSync(stateDir, { recursive: true, mode: 0o700 });
+    for (const file of fs.readdirSync(stateDir)) {
+        try {
+            const { expiresAt } = JSON.parse(fs.readFileSync(path.join(stateDir, file), 'utf8'));
+            if (expiresAt <= Date.now()) {
+                fs.unlinkSync(path.join(stateDir, file));
+            }
+        } catch {
+            // Written or removed by another git process right now
+        }
+    }
+    fs.writeFileSync(leaseFile(stateDir, lease.token), JSON.stringify({ tokenId: lease.tokenId, expiresAt: lease.expiresAt }), { mode: 0o600 });
+}
+
+/**
+ * Forget a token and return the ID of its lease, or null if it is not one of ours
+ */
+function forgetLease(stateDir, token) {
+    const file = leaseFile(stateDir, token);
+    try {
+        const { tokenId } = JSON.parse(fs.readFileSync(file, 'utf8'));
+        fs.unlinkSync(file);
+        return tokenId;
+    } catch {
+        return null;
+    }
+}
+
+function readInput(stdin) {
+    return new Promise((resolve, reject) => {
+        let input = '';
+        stdin.setEncoding('utf8');
+        stdin.on('data', chunk => {
+            input += chunk;
+        });
+        stdin.on('end', () => resolve(input));
+        stdin.on('error', reject);
+    });
+}
+
+/**
+ * Run the helper
+ * @returns {number} Exit code
+ */
+async function main(argv = process.argv.slice(2), { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr, env = process.env } = {}) {
+    try {
+        let parsed;
+        try {
+            parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+        const { values, positionals: [action] } = parsed;
+        if (values.ttl !== undefined && !/^[1-9][0-9]*$/.test(values.ttl)) {
+            throw new UsageError('--ttl must be a positive whole number of seconds');
+        }
+        const credential = parseCredential(await readInput(stdin));
+        const stateDir = env.TOKEN_LEASE_STATE_DIR || path.join(os.homedir(), '.token-lease', 'git');
+
+        if (action === 'get') {
+            const target = repositoryFromCredential(credential, values.host);
+            if (!target) {
+                return 0;
+            }
+            const client = new TokenLeaseClient({
+                ...createClientOptions(values, env),
+                owner: target.owner,
+                repositories: [target.repository],
+                autoRefresh: false,
+                releaseOnExit: false
+            });
+            const lease = await client.getLease();
+            rememberLease(stateDir, lease);
+            stdout.write(formatLease(lease, 'git-credential'));
+            return 0;
+        }
+
+        if (action === 'erase' && credential.password) {
+            const tokenId = forgetLease(stateDir, credential.password);
+            if (!tokenId) {
+                return 0;
+            }
+            const client = new TokenLeaseClient({ ...createClientOptions(values, env), autoRefresh: false, releaseOnExit: false });
+            try {
+                await client.request('POST', `/leases/${encodeURIComponent(tokenId)}/release`, null, {});
+            } catch (error) {
+                if (!LEASE_GONE.includes(error.statusCode)) {
+                    throw error;
+                }
+            }
+        }
+
+        // store, and actions added to git later, need nothing from us
+        return 0;
+    } catch (error) {
+        stderr.write(`git-credential-token-lease: ${error.message}\n`);
+        return error instanceof UsageError ? 2 : 1;
+    }
+}
+
+if (require.main === module) {
+    main().then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main, parseCredential, repositoryFromCredential, rememberLease, forgetLease };
@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+
+/**
+ * Token Lease CLI
+ *
+ * Leases tokens from the token lease server for shell scripts and CI jobs.
+ *
+ * Usage:
+ *   token-lease get [options]              # Lease a token and print it
+ *   token-lease exec [options] -- <cmd>    # Run a command with GH_TOKEN/GITHUB_TOKEN set,
+ *                                          # releasing the lease when it exits
+ *   token-lease list [--client <id>]       # List stored leases (viewer role)
+ *   token-lease revoke <tokenId>           # Release one of your own leases
+ *   token-lease revoke --admin <id>        # Revoke any lease, or every lease of a client (operator role)
+ *
+ * Options:
+ *   --url <url>              Server (default: TOKEN_LEASE_URL or http://localhost:3000)
+ *   --client <id>            Client ID (default: TOKEN_LEASE_CLIENT_ID)
+ *   --repos <a,b>            Repositories the token is scoped to
+ *   --permissions <p:l,...>  e.g. contents:read,issues:write
+ *   --owner <login>          Lease from the installation on this account
+ *   --installation <id>      Lease from this installation
+ *   --ttl <seconds>          Lease duration
+ *   --format <format>        get: token (default), json, env or git-credential;
+ *                            list: table (default) or json
+ *
+ * Credentials come from TOKEN_LEASE_API_KEY, or TOKEN_LEASE_SECRET for signed
+ * requests, so they never show up in the process list.
+ */
+
+const { spawn } = require('child_process');
+const os = require('os');
+const { parseArgs } = require('util');
+const { TokenLeaseClient } = require('..');
+
+const USAGE = `Usage:
+  token-lease get [--client <id>] [--repos <a,b>] [--permissions <name:level,...>] [--owner <login>]
+                  [--installation <id>] [--ttl <seconds>] [--format token|json|env|git-credential]
+  token-lease exec [get options] -- <command> [args...]
+  token-lease list [--client <id>] [--format table|json]
+  token-lease revoke [--admin] <tokenId|clientId>
+
+Server and credentials: --url or TOKEN_LEASE_URL, TOKEN_LEASE_CLIENT_ID,
+TOKEN_LEASE_API_KEY or TOKEN_LEASE_SECRET.`;
+
+const OPTIONS = {
+    url: { type: 'string' },
+    client: { type: 'string' },
+    repos: { type: 'string' },
+    permissions: { type: 'string' },
+    owner: { type: 'string' },
+    installation: { type: 'string' },
+    ttl: { type: 'string' },
+    format: { type: 'string' },
+    admin: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const GET_FORMATS = ['token', 'json', 'env', 'git-credential'];
+const LIST_FORMATS = ['table', 'json'];
+
+class UsageError extends Error {}
+
+const parseList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Parse "contents:read,issues:write" into { contents: 'read', issues: 'write' }
+ */
+function parsePermissions(value) {
+    const permissions = {};
+    for (const entry of parseList(value)) {
+        const [name, level = 'read'] = entry.split(':').map(part => part.trim());
+        permissions[name] = level;
+    }
+    return permissions;
+}
+
+/**
+ * Split the command line into the subcommand, its options and, for exec, the
+ * command after "--"
+ */
+function parseCommandLine(argv) {
+    const separator = argv.indexOf('--');
+    const args = separator >= 0 ? argv.slice(0, separator) : argv;
+    const command = separator >= 0 ? argv.slice(separator + 1) : [];
+
+    let parsed;
+    try {
+        parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    const [subcommand = null, ...positionals] = parsed.positionals;
+    const values = parsed.values;
+
+    if (values.ttl !== undefined && !/^[1-9][0-9]*$/.test(values.ttl)) {
+        throw new UsageError('--ttl must be a positive whole number of seconds');
+    }
+    return { subcommand, positionals, values, command };
+}
+
+/**
+ * Client options from the command line and environment
+ */
+function createClientOptions(values, env = process.env) {
+    return {
+        baseUrl: values.url || env.TOKEN_LEASE_URL || 'http://localhost:3000',
+        clientId: values.client || env.TOKEN_LEASE_CLIENT_ID || null,
+        apiKey: env.TOKEN_LEASE_API_KEY || null,
+        secret: env.TOKEN_LEASE_SECRET || null,
+        repositories: values.repos ? parseList(values.repos) : null,
+        permissions: values.permissions ? parsePermissions(values.permissions) : null,
+        owner: values.owner || null,
+        installationId: values.installation || null,
+        ttl: values.ttl ? Number(values.ttl) : null
+    };
+}
+
+/**
+ * Render a lease in one of the get formats
+ */
+function formatLease(lease, format = 'token') {
+    const expiresAt = new Date(lease.expiresAt).toISOString();
+    switch (format) {
+        case 'token':
+            return `${lease.token}\n`;
+        case 'json':
+            return JSON.stringify({ ...lease, expiresAt, obtainedAt: undefined }, null, 2) + '\n';
+        case 'env':
+            return [
+                `GH_TOKEN=${lease.token}`,
+                `GITHUB_TOKEN=${lease.token}`,
+                `TOKEN_LEASE_TOKEN_ID=${lease.tokenId}`,
+                `TOKEN_LEASE_EXPIRES_AT=${expiresAt}`
+            ].join('\n') + '\n';
+        case 'git-credential':
+            // Installation tokens authenticate git over HTTPS with this user name; git 2.41+
+            // drops credentials past password_expiry_utc instead of sending them
+            return `username=x-access-token\npassword=${lease.token}\npassword_expiry_utc=${Math.floor(lease.expiresAt / 1000)}\n`;
+        default:
+            throw new UsageError(`--format must be one of: ${GET_FORMATS.join(', ')}`);
+    }
+}
+
+/**
+ * Render GET /admin/tokens as a table
+ */
+function formatLeaseTable(tokens) {
+    if (tokens.length === 0) {
+        return 'No stored leases\n';
+    }
+    const rows = tokens.map(token => [
+        token.tokenId,
+        token.clientId,
+        token.repositories ? token.repositories.join(',') : 'all',
+        token.isExpired ? 'expired' : `${Math.round(token.timeUntilExpiry / 1000)}s`
+    ]);
+    const header = ['TOKEN ID', 'CLIENT', 'REPOSITORIES', 'EXPIRES IN'];
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+    return [header, ...rows]
+        .map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd())
+        .join('\n') + '\n';
+}
+
+async function get(client, values, stdout) {
+    const format = values.format || 'token';
+    if (!GET_FORMATS.includes(format)) {
+        throw new UsageError(`--format must be one of: ${GET_FORMATS.join(', ')}`);
+    }
+    const lease = await client.getLease();
+    stdout.write(formatLease(lease, format));
+}
+
+/**
+ * Run a command with a leased token, renewing the lease while it runs and
+ * releasing it when it exits
+ * @returns {number} The command's exit code
+ */
+async function exec(client, command) {
+    if (command.length === 0) {
+        throw new UsageError('exec needs a command after "--"');
+    }
+    const lease = await client.getLease();
+    const child = spawn(command[0], command.slice(1), {
+        stdio: 'inherit',
+        env: {
+            ...process.env,
+            GH_TOKEN: lease.token,
+            GITHUB_TOKEN: lease.token,
+            TOKEN_LEASE_TOKEN_ID: lease.tokenId
+        }
+    });
+
+    // The command decides how to handle Ctrl+C; the lease is released once it has exited
+    const forward = signal => child.kill(signal);
+    process.on('SIGINT', forward);
+    process.on('SIGTERM', forward);
+    // Keep the process alive while the child runs; background renewals alone do not
+    const keepAlive = setInterval(() => {}, 60 * 60 * 1000);
+
+    try {
+        return await new Promise((resolve, reject) => {
+            child.on('error', error => reject(new Error(`Cannot run ${command[0]}: ${error.message}`)));
+            child.on('exit', (code, signal) => resolve(code ?? 128 + (os.constants.signals[signal] || 0)));
+        });
+    } finally {
+        clearInterval(keepAlive);
+        process.removeListener('SIGINT', forward);
+        process.removeListener('SIGTERM', forward);
+        await client.close();
+    }
+}
+
+async function list(client, values, stdout) {
+    const format = values.format || 'table';
+    if (!LIST_FORMATS.includes(format)) {
+        throw new UsageError(`--format must be one of: ${LIST_FORMATS.join(', ')}`);
+    }
+    const data = await client.request('GET', '/admin/tokens');
+    const tokens = values.client ? data.tokens.filter(token => token.clientId === values.client) : data.tokens;
+    stdout.write(format === 'json' ? JSON.stringify(tokens, null, 2) + '\n' : formatLeaseTable(tokens));
+}
+
+async function revoke(client, positionals, values, stdout) {
+    const [identifier] = positionals;
+    if (!identifier) {
+        throw new UsageError('revoke needs a lease ID, or with --admin a lease or client ID');
+    }
+    const data = values.admin
+        ? await client.request('DELETE', `/admin/tokens/${encodeURIComponent(identifier)}`)
+        : await client.request('POST', `/leases/${encodeURIComponent(identifier)}/release`, null, {});
+    if (data.success === false) {
+        throw new Error(data.message);
+    }
+    stdout.write(`${data.message}\n`);
+}
+
+/**
+ * Run the CLI
+ * @returns {number} Exit code
+ */
+async function main(argv = process.argv.slice(2), { stdout = process.stdout, stderr = process.stderr, env = process.env } = {}) {
+    try {
+        const { subcommand, positionals, values, command } = parseCommandLine(argv);
+        if (values.help || !subcommand) {
+            stdout.write(`${USAGE}\n`);
+            return values.help ? 0 : 2;
+        }
+
+        // Only exec keeps its lease renewed, and releases it itself once the command exits
+        const client = new TokenLeaseClient({
+            ...createClientOptions(values, env),
+            autoRefresh: subcommand === 'exec',
+            releaseOnExit: false
+        });
+
+        switch (subcommand) {
+            case 'get':
+                await get(client, values, stdout);
+                return 0;
+            case 'exec':
+                return await exec(client, command);
+            case 'list':
+                await list(client, values, stdout);
+                return 0;
+            case 'revoke':
+                await revoke(client, positionals, values, stdout);
+                return 0;
+            default:
+                throw new UsageError(`Unknown command: ${subcommand}`);
+        }
+    } catch (error) {
+        if (error instanceof UsageError) {
+            stderr.write(`token-lease: ${error.message}\n\n${USAGE}\n`);
+            return 2;
+        }
+        stderr.write(`token-lease: ${error.message}\n`);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    main().then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main, UsageError, parseCommandLine, createClientOptions, formatLease, formatLeaseTable, parsePermissions };
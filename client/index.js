@@ -0,0 +1,404 @@
+/**
+ * Token Lease Client
+ *
+ * JavaScript client for the token lease server including:
+ * - Leasing a token (POST /token/:clientId or GET /installations/:id/token)
+ *   scoped to repositories and permissions
+ * - Authentication with an API key or HMAC-signed requests
+ * - Caching the lease until shortly before it expires, renewing it in the
+ *   background through POST /leases/:id/renew and leasing a new one when the
+ *   lease is gone
+ * - Releasing the lease on close and when the process exits, so jobs do not
+ *   leave tokens alive
+ * - An Octokit auth strategy and an axios interceptor
+ *
+ * Usage:
+ *   const { TokenLeaseClient } = require('token-lease-client');
+ *   const client = new TokenLeaseClient({
+ *       baseUrl: 'http://localhost:3000',
+ *       clientId: 'ci-runner',
+ *       apiKey: process.env.TOKEN_LEASE_API_KEY,
+ *       repositories: ['app'],
+ *       permissions: { contents: 'read' }
+ *   });
+ *   const token = await client.getToken();
+ *
+ * Background renewals emit 'lease' with the current lease and 'refreshError'
+ * when a renewal fails; the next getToken() call then tries again.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const axios = require('axios');
+
+// Renew this long before expiry, or halfway through shorter leases
+const DEFAULT_REFRESH_MARGIN = 60 * 1000;
+// Wait before retrying a failed background renewal when the server gives no Retry-After
+const DEFAULT_RETRY_DELAY = 5000;
+// Responses meaning the lease can no longer be renewed, so a new one is needed
+const LEASE_GONE = [403, 404, 410];
+
+class TokenLeaseError extends Error {
+    constructor(message, { statusCode = null, error = null, details, retryAfter = null } = {}) {
+        super(message);
+        this.name = 'TokenLeaseError';
+        this.statusCode = statusCode;
+        this.error = error;
+        this.details = details;
+        this.retryAfter = retryAfter;
+    }
+}
+
+// Clients holding a lease, released when the process exits
+const openClients = new Set();
+let exitHandlersInstalled = false;
+
+async function releaseOpenClients() {
+    const clients = Array.from(openClients);
+    openClients.clear();
+    await Promise.all(clients.map(client => client.close().catch(() => {})));
+}
+
+function onBeforeExit() {
+    if (openClients.size > 0) {
+        releaseOpenClients();
+    }
+}
+
+async function onSignal(signal) {
+    await releaseOpenClients();
+    process.removeListener('SIGINT', onSignal);
+    process.removeListener('SIGTERM', onSignal);
+    exitHandlersInstalled = false;
+    // Let the signal end the process as it would have, unless the application handles it
+    if (process.listenerCount(signal) === 0) {
+        process.kill(process.pid, signal);
+    }
+}
+
+function installExitHandlers() {
+    if (exitHandlersInstalled) {
+        return;
+    }
+    process.on('beforeExit', onBeforeExit);
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+    exitHandlersInstalled = true;
+}
+
+class TokenLeaseClient extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseUrl - Token lease server, e.g. http://localhost:3000
+     * @param {string} options.clientId - Client to lease for; required for signed requests
+     * @param {string} options.apiKey - API key from CLIENTS_FILE, sent as X-API-Key
+     * @param {string} options.secret - Shared secret for HMAC-signed requests, instead of apiKey
+     * @param {string[]} options.repositories - Repositories the token is scoped to (default: all)
+     * @param {Object} options.permissions - e.g. { contents: 'read' } (default: the client's policy)
+     * @param {string} options.owner - Lease from the installation on this account
+     * @param {string} options.installationId - Lease from this installation
+     * @param {number} options.ttl - Lease duration in seconds (default: the server's)
+     * @param {number} options.refreshMargin - Renew this many milliseconds before expiry
+     * @param {boolean} options.autoRefresh - Renew in the background (default: true)
+     * @param {boolean} options.releaseOnExit - Release the lease when the process exits (default: true)
+     * @param {number} options.timeout - Request timeout in milliseconds
+     */
+    constructor(options = {}) {
+        super();
+        if (!options.baseUrl) {
+            throw new Error('❌ TokenLeaseClient needs a baseUrl');
+        }
+        if (options.secret && !options.clientId) {
+            throw new Error('❌ Signed requests need a clientId');
+        }
+
+        this.clientId = options.clientId || null;
+        this.apiKey = options.apiKey || null;
+        this.secret = options.secret || null;
+        this.repositories = options.repositories || null;
+        this.permissions = options.permissions || null;
+        this.owner = options.owner || null;
+        this.installationId = options.installationId || null;
+        this.ttl = options.ttl || null;
+        this.refreshMargin = options.refreshMargin ?? DEFAULT_REFRESH_MARGIN;
+        this.autoRefresh = options.autoRefresh ?? true;
+        this.releaseOnExit = options.releaseOnExit ?? true;
+        this.http = axios.create({
+            baseURL: options.baseUrl.replace(/\/+$/, ''),
+            timeout: options.timeout || 10000,
+            validateStatus: () => true
+        });
+
+        // { tokenId, token, expiresAt (ms), obtainedAt (ms), ... } while a lease is held
+        this.lease = null;
+        this.pending = null;
+        this.refreshTimer = null;
+        this.closed = false;
+    }
+
+    /**
+     * Compute the X-Signature header, as the server's client registry expects it
+     */
+    static sign(secret, timestamp, method, url, body = '') {
+        const payload = `${timestamp}\n${method.toUpperCase()}\n${url}\n${body}`;
+        return 'sha256=' + crypto.createHmac('sha256', secret).update(payload).digest('hex');
+    }
+
+    /**
+     * Octokit authStrategy:
+     * new Octokit({ authStrategy: TokenLeaseClient.octokitAuthStrategy, auth: { client } })
+     */
+    static octokitAuthStrategy({ client }) {
+        return client.createOctokitAuth();
+    }
+
+    /**
+     * A token valid for at least the refresh margin, leased or renewed if needed
+     */
+    async getToken() {
+        const lease = await this.getLease();
+        return lease.token;
+    }
+
+    /**
+     * The current lease, leased or renewed if needed
+     */
+    async getLease() {
+        if (this.closed) {
+            throw new Error('❌ TokenLeaseClient is closed');
+        }
+        if (this.lease && !this.isDue(this.lease)) {
+            return this.lease;
+        }
+        return this.refresh();
+    }
+
+    /**
+     * Renew the current lease, or lease a new token when there is none or it is
+     * gone. Concurrent callers share one request.
+     */
+    refresh() {
+        if (!this.pending) {
+            this.pending = this.obtain().finally(() => {
+                this.pending = null;
+            });
+        }
+        return this.pending;
+    }
+
+    async obtain() {
+        let lease = null;
+        if (this.lease && this.lease.expiresAt > Date.now()) {
+            try {
+                lease = await this.renew(this.lease.tokenId);
+            } catch (error) {
+                if (!LEASE_GONE.includes(error.statusCode)) {
+                    throw error;
+                }
+                this.lease = null;
+            }
+        }
+        lease = lease || await this.requestLease();
+
+        this.lease = lease;
+        if (this.releaseOnExit) {
+            openClients.add(this);
+            installExitHandlers();
+        }
+        this.scheduleRefresh();
+        this.emit('lease', lease);
+        return lease;
+    }
+
+    /**
+     * Lease a new token for the configured scope
+     */
+    async requestLease() {
+        const query = new URLSearchParams();
+        let data;
+
+        if (this.installationId) {
+            if (this.ttl) {
+                query.set('ttl', String(this.ttl));
+            }
+            data = await this.request('GET', `/installations/${encodeURIComponent(this.installationId)}/token`, query);
+        } else {
+            if (this.owner) {
+                query.set('owner', this.owner);
+            }
+            const body = {};
+            if (this.repositories) body.repositories = this.repositories;
+            if (this.permissions) body.permissions = this.permissions;
+            if (this.ttl) body.ttl = this.ttl;
+            data = await this.request('POST', this.clientId ? `/token/${encodeURIComponent(this.clientId)}` : '/token', query, body);
+        }
+        return this.toLease(data);
+    }
+
+    /**
+     * Extend a lease; the server swaps in a new token when GitHub's expiry is near
+     */
+    async renew(tokenId) {
+        const body = this.ttl ? { ttl: this.ttl } : {};
+        const data = await this.request('POST', `/leases/${encodeURIComponent(tokenId)}/renew`, null, body);
+        return this.toLease({ ...this.lease, ...data });
+    }
+
+    /**
+     * Release the current lease, revoking its token
+     * @returns {boolean} Whether a lease was released
+     */
+    async release() {
+        this.cancelRefresh();
+        const lease = this.lease;
+        this.lease = null;
+        openClients.delete(this);
+        if (!lease || lease.expiresAt <= Date.now()) {
+            return false;
+        }
+        try {
+            await this.request('POST', `/leases/${encodeURIComponent(lease.tokenId)}/release`, null, {});
+        } catch (error) {
+            // A lease that is already gone needs no release
+            if (!LEASE_GONE.includes(error.statusCode)) {
+                throw error;
+            }
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Release the lease and stop renewing; the client cannot be used afterwards
+     */
+    async close() {
+        if (this.pending) {
+            await this.pending.catch(() => {});
+        }
+        this.closed = true;
+        return this.release();
+    }
+
+    /**
+     * Whether a lease should be renewed before handing out its token
+     */
+    isDue(lease) {
+        return Date.now() >= lease.expiresAt - this.getMargin(lease);
+    }
+
+    getMargin(lease) {
+        return Math.min(this.refreshMargin, (lease.expiresAt - lease.obtainedAt) / 2);
+    }
+
+    scheduleRefresh(delay = null) {
+        this.cancelRefresh();
+        if (!this.autoRefresh || this.closed || !this.lease) {
+            return;
+        }
+        const wait = delay ?? Math.max(0, this.lease.expiresAt - this.getMargin(this.lease) - Date.now());
+        // Background renewals never keep the process alive on their own
+        this.refreshTimer = setTimeout(() => this.backgroundRefresh(), wait);
+        this.refreshTimer.unref();
+    }
+
+    cancelRefresh() {
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+    }
+
+    async backgroundRefresh() {
+        this.refreshTimer = null;
+        try {
+            await this.refresh();
+        } catch (error) {
+            this.emit('refreshError', error);
+            // Retry while the lease is still usable; afterwards getToken() leases a new one
+            if (this.lease && this.lease.expiresAt > Date.now()) {
+                this.scheduleRefresh(error.retryAfter ? error.retryAfter * 1000 : DEFAULT_RETRY_DELAY);
+            }
+        }
+    }
+
+    /**
+     * Octokit auth: resolves to the token and adds it to every request
+     */
+    createOctokitAuth() {
+        const auth = async () => ({ type: 'token', tokenType: 'installation', token: await this.getToken() });
+        auth.hook = async (request, route, parameters) => {
+            const endpoint = request.endpoint.merge(route, parameters);
+            endpoint.headers.authorization = `token ${await this.getToken()}`;
+            return request(endpoint);
+        };
+        return auth;
+    }
+
+    /**
+     * Authenticate an axios instance's requests with the leased token
+     * @returns {number} The interceptor ID, for instance.interceptors.request.eject()
+     */
+    attachToAxios(instance) {
+        return instance.interceptors.request.use(async (config) => {
+            config.headers = config.headers || {};
+            if (typeof config.headers.set === 'function') {
+                config.headers.set('Authorization', `token ${await this.getToken()}`);
+            } else {
+                config.headers.Authorization = `token ${await this.getToken()}`;
+            }
+            return config;
+        });
+    }
+
+    toLease(data) {
+        return {
+            tokenId: data.tokenId,
+            clientId: data.clientId,
+            token: data.token,
+            installationId: data.installationId,
+            owner: data.owner,
+            repositories: data.repositories,
+            permissions: data.permissions,
+            expiresAt: Date.parse(data.expiresAt) || data.expiresAt,
+            obtainedAt: Date.now()
+        };
+    }
+
+    /**
+     * Send an authenticated request and return the JSON body of a 2xx response
+     */
+    async request(method, path, query = null, body = undefined) {
+        const url = query && query.toString() ? `${path}?${query}` : path;
+        const data = body === undefined ? undefined : JSON.stringify(body);
+        const headers = data === undefined ? {} : { 'Content-Type': 'application/json' };
+
+        if (this.secret) {
+            // The signature covers the exact path, query and body the server receives
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            headers['X-Client-Id'] = this.clientId;
+            headers['X-Timestamp'] = timestamp;
+            headers['X-Signature'] = TokenLeaseClient.sign(this.secret, timestamp, method, url, data || '');
+        } else if (this.apiKey) {
+            headers['X-API-Key'] = this.apiKey;
+        }
+
+        let response;
+        try {
+            response = await this.http.request({ method, url, data, headers, transformRequest: [payload => payload] });
+        } catch (error) {
+            throw new TokenLeaseError(`Token lease server unreachable: ${error.message}`, { error: error.code || 'Network error' });
+        }
+        if (response.status < 200 || response.status >= 300) {
+            const payload = response.data || {};
+            throw new TokenLeaseError(payload.message || `Token lease server responded ${response.status}`, {
+                statusCode: response.status,
+                error: payload.error || null,
+                details: payload.details,
+                retryAfter: Number(response.headers['retry-after']) || payload.retryAfter || null
+            });
+        }
+        return response.data;
+    }
+}
+
+module.exports = { TokenLeaseClient, TokenLeaseError };
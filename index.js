@@ -18,15 +18,22 @@ tokenLease.start().then(() => {
     process.exit(1);
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
+// Graceful shutdown - wait for pending storage writes before exiting
+async function shutdown() {
     logger.info('🛑 Shutting down gracefully...');
-    tokenLease.stop();
+    try {
+        await tokenLease.stop();
+    } catch (error) {
+        logger.error({ error: error.message }, '❌ Error during shutdown');
+    }
     process.exit(0);
-});
+}
 
-process.on('SIGTERM', () => {
-    logger.info('🛑 Shutting down gracefully...');
-    tokenLease.stop();
-    process.exit(0);
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+// Reload the config file, clients, policies and webhooks without dropping leases
+process.on('SIGHUP', () => {
+    logger.info('🔄 SIGHUP received, reloading configuration');
+    tokenLease.reload();
 });
\ No newline at end of file
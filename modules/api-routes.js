@@ -3,9 +3,25 @@
  * 
  * Defines HTTP API endpoints for the token lease server including:
  * - Health check endpoint for service status
+ * - Client authentication for token generation endpoints
  * - Token generation endpoints for different clients
+ * - Enforcement of per-client permission policies
+ * - Installation selection by owner or installation ID
+ * - GitHub webhooks for installations being suspended, deleted or changed
+ * - Optional reuse of still-valid leases for an identical scope
+ * - Lease renewal and early release by the owning client
+ * - Per-client rate limits and quota reporting
+ * - Audit trail of every lease decision and the audit query endpoint
+ * - Prometheus metrics endpoint
+ * - Retry queue for token revocations GitHub did not confirm
+ * - Outbound webhook subscriptions and their delivery log
  * - Token status and listing endpoints
  * - Token deletion and cleanup endpoints
+ * - Live event stream of lease events and rate limit updates
+ * - GitHub rate limits per installation, as last reported by GitHub
+ * - Web dashboard, with revoke and mint actions
+ * - A separate admin API with viewer, operator and admin roles
+ * - OpenAPI document and docs page, and validation of requests against it
  * 
  * This module handles all HTTP request/response logic and integrates
  * with the token storage, GitHub token service, and cleanup service
@@ -15,370 +31,918 @@
 const express = require('express');
 const cors = require('cors');
 const logger = require('./logger');
+const { LeaseError } = require('./errors');
+const ConfigValidator = require('./config-validator');
+const TokenStorage = require('./token-storage');
+const AuditLog = require('./audit-log');
+const Dashboard = require('./dashboard');
+const WebhookReceiver = require('./webhook-receiver');
+const RequestValidator = require('./request-validator');
+const { createOpenApiDocument, renderDocsPage } = require('./openapi');
+
+const API_VERSION = '2.1.0';
+
+// Rotate the underlying token when a renewed lease would end this close to GitHub's expiry
+const GITHUB_EXPIRY_MARGIN = 60 * 1000;
 
 class ApiRoutes {
-    constructor(tokenStorage, githubTokenService, tokenCleanupService, config) {
+    constructor(tokenStorage, githubTokenService, tokenCleanupService, config, services = {}) {
         this.tokenStorage = tokenStorage;
         this.githubTokenService = githubTokenService;
         this.tokenCleanupService = tokenCleanupService;
         this.config = config;
+        this.clientRegistry = services.clientRegistry || null;
+        this.policyStore = services.policyStore || null;
+        this.installationCatalog = services.installationCatalog || null;
+        this.rateLimiter = services.rateLimiter || null;
+        this.auditLog = services.auditLog || null;
+        this.metrics = services.metrics || null;
+        this.revocationQueue = services.revocationQueue || null;
+        this.eventStream = services.eventStream || null;
+        this.webhookDispatcher = services.webhookDispatcher || null;
+        this.rateLimitTracker = services.rateLimitTracker || null;
+        this.dashboard = new Dashboard(config);
+        this.webhookReceiver = this.installationCatalog ? new WebhookReceiver(config, { installationCatalog: this.installationCatalog }) : null;
+        this.openApiDocument = createOpenApiDocument({ version: API_VERSION });
+        this.requestValidator = new RequestValidator(this.openApiDocument);
         this.router = express.Router();
+        this.adminRouter = express.Router();
         
         this.setupRoutes();
+        this.setupAdminRoutes();
     }
 
     setupRoutes() {
         // Health check
         this.router.get('/health', (req, res) => {
+            const github = this.githubTokenService.githubClient ? this.githubTokenService.githubClient.getStatus() : undefined;
             res.json({
-                status: 'healthy',
+                // Degraded while GitHub is failing; leases already issued keep working
+                status: github && github.circuit !== 'closed' ? 'degraded' : 'healthy',
                 timestamp: new Date().toISOString(),
                 storedTokens: this.tokenStorage.size,
-                mode: 'fresh-tokens-only',
+                queuedRevocations: this.revocationQueue ? this.revocationQueue.size : undefined,
+                github,
+                installations: this.installationCatalog ? this.installationCatalog.size : undefined,
+                mode: this.getModeLabel(),
                 tokenLifespanMs: this.config.tokenLifespan,
                 tokenLifespanMinutes: (this.config.tokenLifespan / 60000).toFixed(1),
-                version: '2.1.0'
+                version: API_VERSION
             });
         });
 
+        // Prometheus metrics
+        if (this.metrics) {
+            this.router.get('/metrics', async (req, res) => {
+                try {
+                    const body = await this.metrics.render();
+                    res.set('Content-Type', this.metrics.contentType);
+                    res.send(body);
+                } catch (error) {
+                    logger.error({ error: error.message }, '❌ Error rendering metrics');
+                    res.status(500).json({
+                        success: false,
+                        error: 'Failed to render metrics',
+                        message: error.message
+                    });
+                }
+            });
+        }
+
         // Get token for a client (GET request)
-        this.router.get('/token/:clientId?', async (req, res) => {
-            const clientId = req.params.clientId || 'default';
+        this.router.get('/token/:clientId?', this.authenticateClient.bind(this), this.validate(req => (req.params.clientId ? 'getClientToken' : 'getToken'), 'issue'), async (req, res) => {
+            const clientId = req.clientId;
             try {
-                const token = await this.getTokenForClient(clientId);
+                const token = await this.getTokenForClient(clientId, null, {
+                    owner: req.query.owner,
+                    ttl: this.parseTtl(req.query.ttl)
+                });
                 
+                this.audit(token.cached ? 'lease.reused' : 'lease.issued', req, this.describeLease(token));
                 res.json({
                     success: true,
                     clientId,
-                    token: token.token,
-                    expiresAt: new Date(token.expiresAt).toISOString(),
-                    createdAt: new Date(token.createdAt).toISOString(),
-                    cached: token.cached
+                    ...this.formatLease(token),
+                    permissions: token.permissions
                 });
             } catch (error) {
                 logger.error({ error: error.message, clientId }, '❌ Error getting token');
-                res.status(500).json({
-                    success: false,
-                    error: 'Failed to generate token',
-                    message: error.message
-                });
+                this.auditFailure(req, 'issue', error, { owner: req.query.owner });
+                this.sendTokenError(res, error);
             }
         });
 
         // Get token for a client with repository specification (POST request)
-        this.router.post('/token/:clientId?', async (req, res) => {
-            const clientId = req.params.clientId || 'default';
+        this.router.post('/token/:clientId?', this.authenticateClient.bind(this), this.validate(req => (req.params.clientId ? 'createClientToken' : 'createToken'), 'issue'), async (req, res) => {
+            const clientId = req.clientId;
             try {
-                const { repositories } = req.body;
-                
-                // Validate repositories parameter
-                if (repositories && (!Array.isArray(repositories) || repositories.some(repo => typeof repo !== 'string'))) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Invalid repositories parameter',
-                        message: 'repositories must be an array of strings'
-                    });
-                }
+                const { repositories, permissions } = req.body;
                 
-                const token = await this.getTokenForClient(clientId, repositories);
+                const token = await this.getTokenForClient(clientId, repositories, {
+                    permissions,
+                    owner: req.query.owner,
+                    ttl: this.parseTtl(req.body.ttl ?? req.query.ttl)
+                });
                 
+                this.audit(token.cached ? 'lease.reused' : 'lease.issued', req, this.describeLease(token));
                 res.json({
                     success: true,
                     clientId,
-                    token: token.token,
-                    expiresAt: new Date(token.expiresAt).toISOString(),
-                    createdAt: new Date(token.createdAt).toISOString(),
-                    cached: token.cached,
-                    repositories: repositories || 'all'
+                    ...this.formatLease(token),
+                    repositories: token.repositories || 'all',
+                    permissions: token.permissions
                 });
             } catch (error) {
                 logger.error({ error: error.message, clientId, repositories: req.body.repositories }, '❌ Error getting token with repositories');
+                this.auditFailure(req, 'issue', error, {
+                    owner: req.query.owner,
+                    requestedRepositories: req.body.repositories,
+                    requestedPermissions: req.body.permissions
+                });
+                this.sendTokenError(res, error);
+            }
+        });
+
+        // Extend a lease, rotating the underlying token if GitHub's expiry would be exceeded
+        this.router.post('/leases/:tokenId/renew', this.authenticateClient.bind(this), this.validate('renewLease', 'renew'), async (req, res) => {
+            const { tokenId } = req.params;
+            try {
+                const ttl = this.parseTtl(req.body?.ttl ?? req.query.ttl);
+                const lease = await this.renewLease(tokenId, req.clientIdentity ? req.clientId : null, ttl);
+
+                this.audit('lease.renewed', req, {
+                    ...this.describeLease(lease),
+                    rotated: lease.rotated,
+                    ...(lease.rotated ? { previousFingerprint: lease.previousFingerprint, previousRevoked: lease.previousRevoked } : {})
+                });
+                res.json({
+                    success: true,
+                    tokenId,
+                    clientId: lease.clientId,
+                    token: lease.token,
+                    expiresAt: new Date(lease.expiresAt).toISOString(),
+                    githubExpiresAt: new Date(lease.githubExpiresAt).toISOString(),
+                    ttl: Math.round((lease.expiresAt - Date.now()) / 1000),
+                    rotated: lease.rotated
+                });
+            } catch (error) {
+                logger.error({ error: error.message, tokenId, clientId: req.clientId }, '❌ Error renewing lease');
+                this.auditFailure(req, 'renew', error, { tokenId });
+                this.sendTokenError(res, error);
+            }
+        });
+
+        // Release a lease early, revoking its token once no other request holds it
+        this.router.post('/leases/:tokenId/release', this.authenticateClient.bind(this), this.validate('releaseLease', 'release'), async (req, res) => {
+            const { tokenId } = req.params;
+            try {
+                const result = await this.releaseLease(tokenId, req.clientIdentity ? req.clientId : null);
+
+                this.audit('lease.released', req, { ...this.describeLease(result.lease), revoked: result.revoked, holders: result.holders });
+                let message = `Lease ${tokenId} released${result.revoked ? ' and revoked' : ' (revocation failed, queued for retry)'}`;
+                if (result.holders > 0) {
+                    message = `Lease ${tokenId} released; the token stays valid for ${result.holders} other holder${result.holders === 1 ? '' : 's'}`;
+                }
+                res.json({
+                    success: true,
+                    message,
+                    tokenId,
+                    clientId: result.clientId,
+                    revoked: result.revoked,
+                    holders: result.holders
+                });
+            } catch (error) {
+                logger.error({ error: error.message, tokenId, clientId: req.clientId }, '❌ Error releasing lease');
+                this.auditFailure(req, 'release', error, { tokenId });
+                this.sendTokenError(res, error);
+            }
+        });
+
+        // Get token for a specific installation
+        this.router.get('/installations/:installationId/token', this.authenticateClient.bind(this), this.validate('getInstallationToken', 'issue'), async (req, res) => {
+            const clientId = req.clientId;
+            const { installationId } = req.params;
+            try {
+                const token = await this.getTokenForClient(clientId, null, {
+                    installationId,
+                    ttl: this.parseTtl(req.query.ttl)
+                });
+
+                this.audit(token.cached ? 'lease.reused' : 'lease.issued', req, this.describeLease(token));
+                res.json({
+                    success: true,
+                    clientId,
+                    ...this.formatLease(token),
+                    permissions: token.permissions
+                });
+            } catch (error) {
+                logger.error({ error: error.message, clientId, installationId }, '❌ Error getting token for installation');
+                this.auditFailure(req, 'issue', error, { installationId });
+                this.sendTokenError(res, error);
+            }
+        });
+
+        // Installation events from GitHub
+        this.router.post('/webhooks/github', async (req, res) => {
+            const event = req.get('X-GitHub-Event');
+            const deliveryId = req.get('X-GitHub-Delivery') || null;
+
+            if (!this.webhookReceiver || !this.webhookReceiver.enabled) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Webhooks not configured',
+                    message: 'Set GITHUB_WEBHOOK_SECRET to receive GitHub webhooks'
+                });
+            }
+            if (!this.webhookReceiver.verify(req)) {
+                logger.warn({ event, deliveryId, ip: req.ip }, '🚫 GitHub webhook with an invalid signature rejected');
+                this.audit('auth.failed', req, { path: req.path, event, deliveryId, reason: 'invalid webhook signature' });
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid signature',
+                    message: 'X-Hub-Signature-256 does not match the body signed with the webhook secret'
+                });
+            }
+
+            try {
+                const result = this.webhookReceiver.handle(event, req.body);
+                if (!result.handled) {
+                    logger.debug({ event, action: result.action, deliveryId, reason: result.reason }, '🪝 GitHub webhook ignored');
+                    return res.status(202).json({ success: true, event, action: result.action, ignored: true, message: result.reason });
+                }
+                if (event === 'ping') {
+                    return res.json({ success: true, event, message: 'pong' });
+                }
+
+                const revokedLeases = result.revoke
+                    ? await this.revokeInstallationLeases(result.installationId, result.revoke, req, { deliveryId })
+                    : 0;
+
+                this.audit('installation.changed', req, {
+                    event,
+                    action: result.action,
+                    deliveryId,
+                    installationId: result.installationId,
+                    appId: result.installation.appId,
+                    owner: result.installation.owner,
+                    status: result.installation.status,
+                    repositorySelection: result.installation.repositorySelection,
+                    repositoriesAdded: result.repositoriesAdded,
+                    repositoriesRemoved: result.repositoriesRemoved,
+                    revokedLeases
+                });
+                res.json({
+                    success: true,
+                    event,
+                    action: result.action,
+                    installationId: result.installationId,
+                    status: result.installation.status,
+                    revokedLeases
+                });
+            } catch (error) {
+                logger.error({ error: error.message, event, deliveryId }, '❌ Error handling GitHub webhook');
+                this.sendTokenError(res, error);
+            }
+        });
+
+        // OpenAPI document of every route, and a page rendering it
+        this.router.get('/openapi.json', (req, res) => {
+            res.json(this.openApiDocument);
+        });
+
+        this.router.get('/docs', (req, res) => {
+            res.setHeader('Content-Type', 'text/html');
+            res.send(renderDocsPage('/openapi.json'));
+        });
+    }
+
+    /**
+     * Admin API, mounted under /admin on the main port or ADMIN_PORT. Every
+     * route names the least role it needs: viewers read, operators also revoke
+     * and refresh, and admins also clear every lease and mint tokens for clients.
+     */
+    setupAdminRoutes() {
+        // List known installations
+        this.adminRouter.get('/installations', this.authorize('viewer'), (req, res) => {
+            res.json({
+                success: true,
+                totalInstallations: this.installationCatalog.size,
+                lastRefreshedAt: this.installationCatalog.lastRefreshedAt
+                    ? new Date(this.installationCatalog.lastRefreshedAt).toISOString()
+                    : null,
+                installations: this.installationCatalog.list()
+            });
+        });
+
+        // Rediscover installations from the GitHub API
+        this.adminRouter.post('/installations/refresh', this.authorize('operator'), async (req, res) => {
+            try {
+                const result = await this.githubTokenService.refreshInstallations();
+
+                res.status(result.errors.length > 0 ? 502 : 200).json({
+                    success: result.errors.length === 0,
+                    totalInstallations: result.installations.length,
+                    installations: result.installations,
+                    errors: result.errors
+                });
+            } catch (error) {
+                logger.error({ error: error.message, adminId: req.adminId }, '❌ Error refreshing installations');
                 res.status(500).json({
                     success: false,
-                    error: 'Failed to generate token',
+                    error: 'Failed to refresh installations',
                     message: error.message
                 });
             }
         });
 
         // Get stored tokens status
-        this.router.get('/tokens', (req, res) => {
+        this.adminRouter.get('/tokens', this.authorize('viewer'), (req, res) => {
             const tokenStatus = this.tokenStorage.getTokenStatus();
             
             res.json({
                 success: true,
                 totalTokens: this.tokenStorage.size,
-                mode: 'fresh-tokens-only',
-                tokens: tokenStatus
+                mode: this.getModeLabel(),
+                tokens: tokenStatus,
+                usage: this.rateLimiter ? this.rateLimiter.getUsage() : undefined
             });
         });
 
         // Delete tokens by ID or by client, or clear all
-        this.router.delete('/tokens/:identifier?', async (req, res) => {
-            const identifier = req.params.identifier;
-            
-            if (identifier) {
-                await this.handleTokenDeletion(identifier, res);
-            } else {
-                await this.handleClearAllTokens(res);
+        this.adminRouter.delete('/tokens/:identifier', this.authorize('operator'), this.validate('deleteTokens'), async (req, res) => {
+            const { identifier } = req.params;
+            try {
+                await this.handleTokenDeletion(identifier, res, req);
+            } catch (error) {
+                logger.error({ error: error.message, identifier, adminId: req.adminId }, '❌ Error deleting tokens');
+                this.auditFailure(req, 'revoke', error, { identifier, revokedBy: req.adminId || null });
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to delete tokens',
+                    message: error.message
+                });
             }
         });
 
-        // Web dashboard endpoint
-        this.router.get('/dashboard', async (req, res) => {
-            const tokenStatus = this.tokenStorage.getTokenStatus();
-            const rateLimitInfo = await this.githubTokenService.getRateLimit();
-            
-            const html = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Token Lease Dashboard</title>
-    <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/css/bootstrap.min.css" rel="stylesheet">
-    <link href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css" rel="stylesheet">
-    <style>
-        .status-badge {
-            font-size: 0.8rem;
-        }
-        .token-preview {
-            font-family: monospace;
-            font-size: 0.9rem;
-        }
-        .refresh-btn {
-            position: fixed;
-            bottom: 20px;
-            right: 20px;
-            z-index: 1000;
+        this.adminRouter.delete('/tokens', this.authorize('admin'), this.validate('clearTokens'), async (req, res) => {
+            try {
+                await this.handleClearAllTokens(res, req);
+            } catch (error) {
+                logger.error({ error: error.message, adminId: req.adminId }, '❌ Error clearing tokens');
+                this.auditFailure(req, 'revoke', error, { revokedBy: req.adminId || null });
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to clear tokens',
+                    message: error.message
+                });
+            }
+        });
+
+        // Revocations waiting for a retry, and tokens left to expire naturally
+        this.adminRouter.get('/revocations', this.authorize('viewer'), (req, res) => {
+            const counts = this.revocationQueue.getCounts();
+            res.json({
+                success: true,
+                total: this.revocationQueue.size,
+                pending: counts.pending,
+                unrevocable: counts.unrevocable,
+                revocations: this.revocationQueue.list()
+            });
+        });
+
+        // Outbound webhook subscriptions and recent deliveries
+        if (this.webhookDispatcher) {
+            this.adminRouter.get('/webhooks', this.authorize('viewer'), (req, res) => {
+                res.json({
+                    success: true,
+                    total: this.webhookDispatcher.size,
+                    webhooks: this.webhookDispatcher.listWebhooks()
+                });
+            });
+
+            this.adminRouter.get('/webhooks/deliveries', this.authorize('viewer'), this.validate('listWebhookDeliveries'), (req, res) => {
+                try {
+                    const filters = this.parseDeliveryFilters(req.query);
+                    const result = this.webhookDispatcher.listDeliveries(filters);
+
+                    res.json({
+                        success: true,
+                        total: result.total,
+                        returned: result.deliveries.length,
+                        deliveries: result.deliveries
+                    });
+                } catch (error) {
+                    this.sendTokenError(res, error);
+                }
+            });
+
+            this.adminRouter.get('/webhooks/deliveries/:deliveryId', this.authorize('viewer'), this.validate('getWebhookDelivery'), (req, res) => {
+                const delivery = this.webhookDispatcher.getDelivery(req.params.deliveryId);
+                if (!delivery) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Delivery not found',
+                        message: `No recent delivery with ID: ${req.params.deliveryId}`
+                    });
+                }
+                res.json({ success: true, delivery });
+            });
         }
-        .card-header {
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
+
+        // Query the audit log
+        this.adminRouter.get('/audit', this.authorize('viewer'), this.validate('queryAuditLog'), async (req, res) => {
+            try {
+                const filters = this.parseAuditFilters(req.query);
+                const result = await this.auditLog.query(filters);
+
+                res.json({
+                    success: true,
+                    total: result.total,
+                    returned: result.entries.length,
+                    entries: result.entries
+                });
+            } catch (error) {
+                logger.error({ error: error.message, query: req.query }, '❌ Error querying audit log');
+                this.sendTokenError(res, error);
+            }
+        });
+
+        // Last GitHub rate limit seen per installation and app; never calls GitHub
+        if (this.rateLimitTracker) {
+            this.adminRouter.get('/rate-limit', this.authorize('viewer'), (req, res) => {
+                res.json({
+                    success: true,
+                    lowest: this.rateLimitTracker.getLowest(),
+                    rateLimits: this.rateLimitTracker.list()
+                });
+            });
         }
-        .table-hover tbody tr:hover {
-            background-color: rgba(0,0,0,.05);
+
+        // Live lease events and rate limit updates (Server-Sent Events)
+        if (this.eventStream) {
+            this.adminRouter.get('/events', this.authorize('viewer'), this.validate('streamEvents'), (req, res) => {
+                this.eventStream.subscribe(req, res);
+            });
         }
-    </style>
-</head>
-<body class="bg-light">
-    <div class="container-fluid py-4">
-        <div class="row">
-            <div class="col-12">
-                <div class="card shadow">
-                    <div class="card-header">
-                        <div class="d-flex justify-content-between align-items-center">
-                            <h4 class="mb-0"><i class="fas fa-key me-2"></i>Token Dispatcher Dashboard</h4>
-                            ${rateLimitInfo ? `
-                            <div class="text-end">
-                                <small class="opacity-75">GitHub API Rate Limit</small><br>
-                                <span class="badge ${rateLimitInfo.core.remaining > 1000 ? 'bg-success' : rateLimitInfo.core.remaining > 100 ? 'bg-warning' : 'bg-danger'}">
-                                    ${rateLimitInfo.core.remaining}/${rateLimitInfo.core.limit}
-                                </span>
-                                <small class="opacity-75 ms-2">
-                                    Reset: ${new Date(rateLimitInfo.core.reset * 1000).toLocaleTimeString()}
-                                </small>
-                            </div>
-                            ` : ''}
-                        </div>
-                    </div>
-                    <div class="card-body">
-                        <!-- Tokens Table -->
-                        ${tokenStatus.length > 0 ? `
-                        <div class="table-responsive">
-                            <table class="table table-hover table-striped">
-                                <thead class="table-dark">
-                                    <tr>
-                                        <th><i class="fas fa-hashtag"></i> Token ID</th>
-                                        <th><i class="fas fa-user"></i> Client ID</th>
-                                        <th><i class="fas fa-key"></i> Token Preview</th>
-                                        <th><i class="fas fa-clock"></i> Status</th>
-                                        <th><i class="fas fa-hourglass-half"></i> Time Until Expiry</th>
-                                        <th><i class="fas fa-calendar-alt"></i> Created</th>
-                                        <th><i class="fas fa-calendar-times"></i> Expires</th>
-                                    </tr>
-                                </thead>
-                                <tbody>
-                                    ${tokenStatus.map(token => `
-                                    <tr>
-                                        <td>
-                                            <code class="text-muted">${token.tokenId}</code>
-                                        </td>
-                                        <td>
-                                            <span class="badge bg-secondary">${token.clientId}</span>
-                                        </td>
-                                        <td>
-                                            <span class="token-preview text-muted">
-                                                ${token.tokenPreview || 'ghs_****...****'}
-                                            </span>
-                                        </td>
-                                        <td>
-                                            ${token.isExpired 
-                                                ? '<span class="badge bg-danger status-badge"><i class="fas fa-times-circle"></i> Expired</span>'
-                                                : '<span class="badge bg-success status-badge"><i class="fas fa-check-circle"></i> Active</span>'
-                                            }
-                                        </td>
-                                        <td>
-                                            ${token.isExpired 
-                                                ? '<span class="text-danger">Expired</span>'
-                                                : `<span class="text-success">${Math.round(token.timeUntilExpiry / 1000)}s</span>`
-                                            }
-                                        </td>
-                                        <td>
-                                            <small class="text-muted">
-                                                ${new Date(token.createdAt).toLocaleString()}
-                                            </small>
-                                        </td>
-                                        <td>
-                                            <small class="text-muted">
-                                                ${new Date(token.expiresAt).toLocaleString()}
-                                            </small>
-                                        </td>
-                                    </tr>
-                                    `).join('')}
-                                </tbody>
-                            </table>
-                        </div>
-                        ` : `
-                        <div class="text-center py-5">
-                            <i class="fas fa-key fa-3x text-muted mb-3"></i>
-                            <h4 class="text-muted">No Tokens Found</h4>
-                            <p class="text-muted">No tokens are currently stored in the system.</p>
-                            <a href="/token" class="btn btn-primary">
-                                <i class="fas fa-plus"></i> Generate Token
-                            </a>
-                        </div>
-                        `}
-
-                        <!-- API Endpoints -->
-                        <div class="mt-4">
-                            <h5 class="mb-3">
-                                <button class="btn btn-link p-0 text-decoration-none d-flex align-items-center" 
-                                        type="button" 
-                                        data-bs-toggle="collapse" 
-                                        data-bs-target="#apiEndpoints" 
-                                        aria-expanded="false" 
-                                        aria-controls="apiEndpoints">
-                                    <i class="fas fa-plug me-2"></i>
-                                    Available API Endpoints
-                                    <i class="fas fa-chevron-down ms-2" id="chevronIcon"></i>
-                                </button>
-                            </h5>
-                            <div class="collapse" id="apiEndpoints">
-                                <div class="row">
-                                    <div class="col-md-6">
-                                        <ul class="list-group">
-                                            <li class="list-group-item d-flex justify-content-between">
-                                                <span><code>GET /health</code></span>
-                                                <span class="badge bg-info">Status</span>
-                                            </li>
-                                            <li class="list-group-item d-flex justify-content-between">
-                                                <span><code>GET /token</code></span>
-                                                <span class="badge bg-success">Generate</span>
-                                            </li>
-                                            <li class="list-group-item d-flex justify-content-between">
-                                                <span><code>GET /token/:clientId</code></span>
-                                                <span class="badge bg-success">Generate</span>
-                                            </li>
-                                            <li class="list-group-item d-flex justify-content-between">
-                                                <span><code>POST /token/:clientId</code></span>
-                                                <span class="badge bg-primary">Scoped</span>
-                                            </li>
-                                        </ul>
-                                    </div>
-                                    <div class="col-md-6">
-                                        <ul class="list-group">
-                                            <li class="list-group-item d-flex justify-content-between">
-                                                <span><code>GET /tokens</code></span>
-                                                <span class="badge bg-info">List</span>
-                                            </li>
-                                            <li class="list-group-item d-flex justify-content-between">
-                                                <span><code>DELETE /tokens</code></span>
-                                                <span class="badge bg-danger">Clear All</span>
-                                            </li>
-                                            <li class="list-group-item d-flex justify-content-between">
-                                                <span><code>DELETE /tokens/:id</code></span>
-                                                <span class="badge bg-warning">Delete</span>
-                                            </li>
-                                            <li class="list-group-item d-flex justify-content-between">
-                                                <span><code>GET /dashboard</code></span>
-                                                <span class="badge bg-secondary">Web UI</span>
-                                            </li>
-                                        </ul>
-                                    </div>
-                                </div>
-                            </div>
-                        </div>
-                    </div>
-                    <div class="card-footer text-muted text-center">
-                        <small>
-                            <i class="fas fa-clock"></i> Last updated: ${new Date().toLocaleString()} | 
-                            <i class="fas fa-server"></i> Mode: fresh-tokens-only |
-                            <i class="fas fa-hourglass-half"></i> Token Lifespan: ${(this.config.tokenLifespan / 60000).toFixed(1)} minutes
-                        </small>
-                    </div>
-                </div>
-            </div>
-        </div>
-    </div>
-
-    <!-- Refresh Button -->
-    <button class="btn btn-primary refresh-btn btn-lg rounded-circle" onclick="window.location.reload()" title="Refresh Dashboard">
-        <i class="fas fa-sync-alt"></i>
-    </button>
-
-    <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/js/bootstrap.bundle.min.js"></script>
-    <script>
-        // Auto-refresh every 30 seconds
-        setTimeout(() => {
-            window.location.reload();
-        }, 30000);
-        
-        // Add tooltips
-        document.addEventListener('DOMContentLoaded', function() {
-            var tooltipTriggerList = [].slice.call(document.querySelectorAll('[title]'));
-            var tooltipList = tooltipTriggerList.map(function (tooltipTriggerEl) {
-                return new bootstrap.Tooltip(tooltipTriggerEl);
+
+        // Web dashboard; the page keeps itself current through /admin/events
+        this.adminRouter.get('/dashboard', this.authorize('viewer'), (req, res) => {
+            const html = this.dashboard.render({
+                tokenStatus: this.tokenStorage.getTokenStatus(),
+                rateLimitInfo: this.rateLimitTracker ? this.rateLimitTracker.getLowest() : null,
+                usage: this.rateLimiter ? this.rateLimiter.getUsage() : null,
+                revocations: this.revocationQueue ? this.revocationQueue.list() : [],
+                modeLabel: this.getModeLabel(),
+                adminId: req.adminId,
+                role: req.adminRole
             });
 
-            // Handle collapsible section chevron rotation
-            const apiEndpointsCollapse = document.getElementById('apiEndpoints');
-            const chevronIcon = document.getElementById('chevronIcon');
-            
-            apiEndpointsCollapse.addEventListener('show.bs.collapse', function () {
-                chevronIcon.classList.remove('fa-chevron-down');
-                chevronIcon.classList.add('fa-chevron-up');
+            res.setHeader('Content-Type', 'text/html');
+            res.send(html);
+        });
+
+        // Dashboard actions; destructive ones must be confirmed
+        this.adminRouter.post('/leases/:tokenId/revoke', this.authorize('operator'), this.validate('revokeLease', 'revoke'), async (req, res) => {
+            const { tokenId } = req.params;
+            try {
+                this.requireConfirmation(req);
+                const lease = this.getOwnedLease(tokenId, null);
+                const revoked = await this.revokeLease(lease, 'admin', req, { revokedBy: req.adminId });
+
+                res.json({
+                    success: true,
+                    message: `Lease ${tokenId} of client ${lease.clientId} ${revoked ? 'revoked' : 'removed (revocation failed, queued for retry)'}`,
+                    tokenId,
+                    clientId: lease.clientId,
+                    revoked
+                });
+            } catch (error) {
+                logger.error({ error: error.message, tokenId, adminId: req.adminId }, '❌ Error revoking lease from dashboard');
+                this.auditFailure(req, 'revoke', error, { tokenId, revokedBy: req.adminId });
+                this.sendTokenError(res, error);
+            }
+        });
+
+        this.adminRouter.post('/clients/:clientId/revoke', this.authorize('operator'), this.validate('revokeClientLeases', 'revoke'), async (req, res) => {
+            const { clientId } = req.params;
+            try {
+                this.requireConfirmation(req);
+                const leases = this.tokenStorage.getByClientId(clientId);
+                let revokedCount = 0;
+                for (const { tokenData } of leases) {
+                    if (await this.revokeLease(tokenData, 'admin', req, { revokedBy: req.adminId })) {
+                        revokedCount++;
+                    }
+                }
+
+                logger.info({ clientId, adminId: req.adminId, revoked: revokedCount, removed: leases.length }, `🗑️ Revoked ${leases.length} leases for client: ${clientId}`);
+                res.json({
+                    success: true,
+                    message: `Removed ${leases.length} leases for client: ${clientId} (${revokedCount} revoked)`,
+                    clientId,
+                    removed: leases.length,
+                    revokedCount
+                });
+            } catch (error) {
+                logger.error({ error: error.message, clientId, adminId: req.adminId }, '❌ Error revoking client leases from dashboard');
+                this.auditFailure(req, 'revoke', error, { clientId, revokedBy: req.adminId });
+                this.sendTokenError(res, error);
+            }
+        });
+
+        this.adminRouter.post('/clients/:clientId/token', this.authorize('admin'), this.validate('mintClientToken', 'issue'), async (req, res) => {
+            const { clientId } = req.params;
+            try {
+                const { repositories, permissions } = req.body;
+                const token = await this.getTokenForClient(clientId, repositories, {
+                    permissions,
+                    owner: req.body.owner,
+                    ttl: this.parseTtl(req.body.ttl)
+                });
+
+                this.audit(token.cached ? 'lease.reused' : 'lease.issued', req, { ...this.describeLease(token), issuedBy: req.adminId });
+                res.json({
+                    success: true,
+                    clientId,
+                    ...this.formatLease(token),
+                    repositories: token.repositories || 'all',
+                    permissions: token.permissions
+                });
+            } catch (error) {
+                logger.error({ error: error.message, clientId, adminId: req.adminId }, '❌ Error minting token from dashboard');
+                this.auditFailure(req, 'issue', error, {
+                    clientId,
+                    issuedBy: req.adminId,
+                    requestedRepositories: req.body.repositories,
+                    requestedPermissions: req.body.permissions
+                });
+                this.sendTokenError(res, error);
+            }
+        });
+    }
+
+    /**
+     * Resolve and authenticate the client making a token request.
+     * Sets req.clientId (and req.clientIdentity once verified); responds 401/403
+     * when the caller cannot be verified.
+     */
+    authenticateClient(req, res, next) {
+        const requestedClientId = req.params.clientId;
+
+        if (!this.clientRegistry || !this.clientRegistry.enabled) {
+            req.clientId = requestedClientId || 'default';
+            return next();
+        }
+
+        const identity = this.clientRegistry.authenticate(req);
+        if (!identity) {
+            logger.warn({ clientId: requestedClientId, ip: req.ip }, '🚫 Unauthenticated token request rejected');
+            this.audit('auth.failed', req, { clientId: requestedClientId || null, path: req.path, reason: 'missing or invalid credentials' });
+            return res.status(401).json({
+                success: false,
+                error: 'Unauthorized',
+                message: 'A valid API key (X-API-Key) or signed request (X-Signature) is required'
             });
-            
-            apiEndpointsCollapse.addEventListener('hide.bs.collapse', function () {
-                chevronIcon.classList.remove('fa-chevron-up');
-                chevronIcon.classList.add('fa-chevron-down');
+        }
+
+        if (requestedClientId && requestedClientId !== identity.clientId) {
+            logger.warn({ clientId: identity.clientId, requestedClientId, ip: req.ip }, '🚫 Client attempted to request a token for another client');
+            this.audit('auth.failed', req, { clientId: identity.clientId, requestedClientId, path: req.path, reason: 'credentials belong to another client' });
+            return res.status(403).json({
+                success: false,
+                error: 'Forbidden',
+                message: `Credentials for client "${identity.clientId}" cannot be used for client "${requestedClientId}"`
             });
+        }
+
+        req.clientIdentity = identity;
+        req.clientId = identity.clientId;
+        logger.debug({ clientId: identity.clientId, method: identity.method, credentialId: identity.credentialId }, '🔐 Client authenticated');
+        next();
+    }
+
+    /**
+     * Middleware admitting admin API callers that hold at least the given role.
+     * Sets req.adminId and req.adminRole; responds 401 for missing credentials,
+     * with a Basic challenge so browsers can sign in to the dashboard, and 403
+     * when the client's role is not enough. Without a client registry the admin
+     * API is as open as the rest of the server.
+     */
+    authorize(role) {
+        const middleware = (req, res, next) => {
+            const path = req.baseUrl + req.path;
+
+            if (!this.clientRegistry || !this.clientRegistry.enabled) {
+                req.adminId = null;
+                req.adminRole = 'admin';
+                return next();
+            }
+
+            const identity = this.clientRegistry.authenticate(req);
+            if (!identity) {
+                logger.warn({ ip: req.ip, path }, '🚫 Unauthenticated admin request rejected');
+                this.audit('auth.failed', req, { path, reason: 'missing or invalid credentials' });
+                res.set('WWW-Authenticate', 'Basic realm="Token Lease admin", charset="UTF-8"');
+                return res.status(401).json({
+                    success: false,
+                    error: 'Unauthorized',
+                    message: 'A valid API key (X-API-Key, Bearer or Basic) or signed request (X-Signature) is required'
+                });
+            }
+
+            const granted = this.clientRegistry.getRole(identity.clientId);
+            if (!this.clientRegistry.hasRole(identity.clientId, role)) {
+                logger.warn({ clientId: identity.clientId, role: granted, requiredRole: role, ip: req.ip, path }, '🚫 Admin request without the required role rejected');
+                this.audit('auth.failed', req, { clientId: identity.clientId, path, role: granted, requiredRole: role, reason: 'insufficient role' });
+                return res.status(403).json({
+                    success: false,
+                    error: 'Forbidden',
+                    message: granted
+                        ? `Client "${identity.clientId}" has the ${granted} role; this requires ${role}`
+                        : `Client "${identity.clientId}" has no admin API role; this requires ${role}`
+                });
+            }
+
+            req.adminId = identity.clientId;
+            req.adminRole = granted;
+            logger.debug({ adminId: identity.clientId, role: granted, method: identity.method, path }, '🔐 Admin authenticated');
+            next();
+        };
+        // Kept on the middleware so routes can be checked against x-required-role
+        middleware.requiredRole = role;
+        return middleware;
+    }
+
+    /**
+     * Destructive dashboard actions must be sent with { "confirm": true }
+     */
+    requireConfirmation(req) {
+        if (req.body?.confirm !== true) {
+            throw new LeaseError('This action revokes tokens and must be confirmed with "confirm": true', { statusCode: 400, error: 'Confirmation required' });
+        }
+    }
+
+    /**
+     * Middleware validating a request against its OpenAPI operation; invalid
+     * requests get a 400 listing every problem, audited as a failed lease action
+     * @param {string|Function} operationId - Or a function picking it from the request
+     * @param {string} action - Audited lease.failed action, if any
+     */
+    validate(operationId, action = null) {
+        return (req, res, next) => {
+            const operation = typeof operationId === 'function' ? operationId(req) : operationId;
+            try {
+                this.requestValidator.assert(operation, req);
+                next();
+            } catch (error) {
+                logger.warn({ operationId: operation, clientId: req.clientId, errors: error.details?.errors }, `🚫 Invalid request rejected: ${error.message}`);
+                if (action) {
+                    this.auditFailure(req, action, error, { ...req.params });
+                }
+                this.sendTokenError(res, error);
+            }
+        };
+    }
+
+    /**
+     * Label of the active token strategy, as reported by /health and /tokens
+     */
+    getModeLabel() {
+        return ConfigValidator.TOKEN_MODES[this.config.tokenMode] || ConfigValidator.TOKEN_MODES.fresh;
+    }
+
+    /**
+     * Common fields of a token response
+     */
+    formatLease(token) {
+        return {
+            tokenId: token.tokenId,
+            installationId: token.installationId,
+            owner: token.owner,
+            token: token.token,
+            expiresAt: new Date(token.expiresAt).toISOString(),
+            githubExpiresAt: token.githubExpiresAt ? new Date(token.githubExpiresAt).toISOString() : null,
+            ttl: Math.round((token.expiresAt - Date.now()) / 1000),
+            createdAt: new Date(token.createdAt).toISOString(),
+            cached: token.cached
+        };
+    }
+
+    /**
+     * Parse a requested lease TTL in seconds
+     * @returns {number|null} TTL in seconds, or null when none was requested
+     */
+    parseTtl(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        const ttl = Number(value);
+        if (!Number.isInteger(ttl) || ttl <= 0) {
+            throw RequestValidator.invalid([{ field: 'ttl', message: 'must be a positive whole number of seconds' }]);
+        }
+        return ttl;
+    }
+
+    /**
+     * Resolve how long a lease should last, in milliseconds. The requested TTL
+     * (or TOKEN_LIFESPAN) is clamped to the client's policy bounds, which in
+     * turn must stay within the server-wide LEASE_MIN_TTL/LEASE_MAX_TTL.
+     */
+    resolveLeaseDuration(clientId, ttl = null) {
+        let minimum = this.config.leaseMinTtl;
+        let maximum = this.config.leaseMaxTtl;
+
+        const bounds = this.policyStore ? this.policyStore.getLeaseBounds(clientId) : null;
+        if (bounds?.minTtl) {
+            minimum = Math.max(minimum, bounds.minTtl * 1000);
+        }
+        if (bounds?.maxTtl) {
+            maximum = Math.min(maximum, bounds.maxTtl * 1000);
+        }
+
+        const requested = ttl ? ttl * 1000 : this.config.tokenLifespan;
+        return Math.min(Math.max(requested, minimum), Math.max(minimum, maximum));
+    }
+
+    /**
+     * Lease expiry for a duration, never later than the token's real GitHub expiry
+     */
+    resolveLeaseExpiry(duration, githubExpiresAt) {
+        const expiresAt = Date.now() + duration;
+        return githubExpiresAt ? Math.min(expiresAt, githubExpiresAt - GITHUB_EXPIRY_MARGIN) : expiresAt;
+    }
+
+    /**
+     * Record an audit entry for a request, adding the caller's client ID and IP
+     */
+    audit(type, req, fields = {}) {
+        if (!this.auditLog) {
+            return;
+        }
+        this.auditLog.record(type, {
+            clientId: req?.clientId || null,
+            ip: req?.ip || null,
+            ...fields
         });
-    </script>
-</body>
-</html>`;
+    }
 
-            res.setHeader('Content-Type', 'text/html');
-            res.send(html);
+    /**
+     * Record a failed lease operation
+     */
+    auditFailure(req, action, error, fields = {}) {
+        this.audit('lease.failed', req, {
+            action,
+            ...fields,
+            statusCode: error instanceof LeaseError ? error.statusCode : 500,
+            error: error.message
         });
     }
 
-    async getTokenForClient(clientId, repositories = null) {
-        // Always generate a fresh token
-        logger.info({ clientId, repositories }, `🔄 Generating fresh token for client: ${clientId}...`);
-        const tokenData = await this.githubTokenService.generateInstallationToken(repositories);
+    /**
+     * Audit fields describing a lease; the token itself is only fingerprinted
+     */
+    describeLease(lease) {
+        return {
+            tokenId: lease.tokenId,
+            clientId: lease.clientId,
+            installationId: lease.installationId || null,
+            owner: lease.owner || null,
+            repositories: lease.repositories || null,
+            permissions: lease.permissions || null,
+            fingerprint: AuditLog.fingerprint(lease.token),
+            expiresAt: new Date(lease.expiresAt).toISOString()
+        };
+    }
+
+    /**
+     * Parse the query string of GET /audit
+     */
+    parseAuditFilters(query) {
+        const errors = [];
+        const parseTime = (name) => {
+            if (!query[name]) {
+                return null;
+            }
+            const time = /^\d+$/.test(query[name]) ? Number(query[name]) : Date.parse(query[name]);
+            if (Number.isNaN(time)) {
+                errors.push({ in: 'query', field: name, message: 'must be an ISO 8601 date or a timestamp in milliseconds' });
+            }
+            return time;
+        };
+
+        const types = query.type ? String(query.type).split(',').map(type => type.trim()) : null;
+        const unknown = (types || []).filter(type => !AuditLog.EVENTS.includes(type));
+        if (unknown.length > 0) {
+            errors.push({ in: 'query', field: 'type', message: `has unknown audit event types: ${unknown.join(', ')} (allowed: ${AuditLog.EVENTS.join(', ')})` });
+        }
+
+        const filters = {
+            clientId: query.clientId || null,
+            tokenId: query.tokenId || null,
+            repository: query.repository || null,
+            types,
+            since: parseTime('since'),
+            until: parseTime('until'),
+            limit: Number(query.limit || 100)
+        };
+        if (errors.length > 0) {
+            throw RequestValidator.invalid(errors);
+        }
+        return filters;
+    }
+
+    /**
+     * Turn /webhooks/deliveries query parameters into delivery log filters
+     */
+    parseDeliveryFilters(query) {
+        return {
+            webhookId: query.webhook || null,
+            status: query.status || null,
+            event: query.event || null,
+            limit: Number(query.limit || 100)
+        };
+    }
+
+    /**
+     * Send the error response for a failed token request
+     */
+    sendTokenError(res, error) {
+        if (error instanceof LeaseError) {
+            if (error.retryAfter) {
+                res.set('Retry-After', String(error.retryAfter));
+            }
+            return res.status(error.statusCode).json(error.toJSON());
+        }
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate token',
+            message: error.message
+        });
+    }
+
+    async getTokenForClient(clientId, requestedRepositories = null, options = {}) {
+        // Downscope the request to what the client's policy allows
+        const { repositories, permissions } = this.policyStore
+            ? this.policyStore.resolveScope(clientId, { repositories: requestedRepositories, permissions: options.permissions })
+            : { repositories: requestedRepositories, permissions: options.permissions || null };
+
+        // Pick the installation the client asked for
+        const installation = this.installationCatalog
+            ? this.installationCatalog.resolve({ owner: options.owner, installationId: options.installationId })
+            : null;
+        if (installation && this.policyStore) {
+            this.policyStore.assertInstallationAllowed(clientId, installation);
+        }
+
+        const scopeKey = TokenStorage.createScopeKey({
+            installationId: installation?.installationId,
+            repositories,
+            permissions
+        });
+
+        const leaseDuration = this.resolveLeaseDuration(clientId, options.ttl);
+
+        // In reuse mode, hand back a still-valid lease for the same scope
+        if (this.config.tokenMode === 'reuse') {
+            // An explicit TTL asks for at least that much remaining lifetime
+            const minRemaining = options.ttl ? Math.max(this.config.reuseMinRemaining, leaseDuration) : this.config.reuseMinRemaining;
+            const reusable = this.tokenStorage.findReusable(clientId, scopeKey, minRemaining);
+            if (reusable) {
+                const entry = this.tokenStorage.update(reusable.tokenId, {
+                    reuseCount: (reusable.reuseCount || 0) + 1,
+                    holders: (reusable.holders || 1) + 1
+                });
+                logger.info({ clientId, tokenId: entry.tokenId, reuseCount: entry.reuseCount, timeUntilExpiry: entry.expiresAt - Date.now() }, `♻️ Reusing valid token for client: ${clientId}`);
+                return { ...entry, cached: true };
+            }
+        }
+
+        // Generate a fresh token
+        logger.info({ clientId, repositories, permissions, installationId: installation?.installationId }, `🔄 Generating fresh token for client: ${clientId}...`);
+        const tokenData = await this.mintToken(clientId, repositories, {
+            permissions,
+            installationId: installation?.installationId
+        });
         
         // Store token for tracking and potential deletion
-        const createTime = Date.now();
-        const expiresAt = createTime + this.config.tokenLifespan;
+        const expiresAt = this.resolveLeaseExpiry(leaseDuration, tokenData.githubExpiresAt);
 
-        logger.debug({ clientId, expiresAt: new Date(expiresAt).toISOString(), tokenLifespan: this.config.tokenLifespan }, `🔍 Token expiration calculated`);
+        logger.debug({ clientId, expiresAt: new Date(expiresAt).toISOString(), leaseDuration, requestedTtl: options.ttl }, `🔍 Token expiration calculated`);
         
         const tokenEntry = this.tokenStorage.store({
             clientId,
             token: tokenData.token,
             expiresAt: expiresAt,
+            githubExpiresAt: tokenData.githubExpiresAt,
+            installationId: tokenData.installationId,
+            owner: tokenData.owner,
+            repositories: repositories || null,
+            // What the client asked for, re-checked against its policy on rotation; permissions is what GitHub granted
+            requestedPermissions: options.permissions || null,
+            permissions: tokenData.permissions || permissions || null,
+            scopeKey,
+            // Requests sharing the lease in reuse mode; the token is revoked when the last one releases it
+            holders: 1,
             cached: false
         });
         
@@ -386,17 +950,169 @@ class ApiRoutes {
         return tokenEntry;
     }
 
-    async handleTokenDeletion(identifier, res) {
+    /**
+     * Mint an installation token, holding a rate limit reservation while GitHub is asked
+     * for it so concurrent requests cannot all pass the limits. Callers must store the
+     * lease before their next await, as it counts as active from storage afterwards.
+     */
+    async mintToken(clientId, repositories, options, reservationOptions = {}) {
+        const reservation = this.rateLimiter ? this.rateLimiter.reserve(clientId, reservationOptions) : null;
+        let tokenData;
+        try {
+            tokenData = await this.githubTokenService.generateInstallationToken(repositories, options);
+        } catch (error) {
+            if (reservation) {
+                this.rateLimiter.release(reservation);
+            }
+            throw error;
+        }
+        if (reservation) {
+            this.rateLimiter.complete(reservation);
+        }
+        return tokenData;
+    }
+
+    /**
+     * Look up a lease and check that the caller owns it
+     * @param {string} tokenId
+     * @param {string|null} clientId - Authenticated client, or null when client authentication is disabled
+     */
+    getOwnedLease(tokenId, clientId) {
+        const lease = this.tokenStorage.get(tokenId);
+        if (!lease) {
+            throw new LeaseError(`Lease not found: ${tokenId}`, { statusCode: 404, error: 'Lease not found' });
+        }
+        if (clientId && lease.clientId !== clientId) {
+            throw new LeaseError(`Lease ${tokenId} belongs to another client`, { statusCode: 403, error: 'Forbidden' });
+        }
+        return lease;
+    }
+
+    /**
+     * Push out a lease's expiry by another lease period (or the requested TTL). GitHub tokens live for an
+     * hour, so when the new expiry would pass GitHub's, the token is replaced with
+     * a freshly minted one for the same scope and the old token is revoked.
+     */
+    async renewLease(tokenId, clientId = null, ttl = null) {
+        const lease = this.getOwnedLease(tokenId, clientId);
+        const now = Date.now();
+
+        if (lease.expiresAt <= now) {
+            throw new LeaseError(`Lease ${tokenId} has already expired`, { statusCode: 410, error: 'Lease expired' });
+        }
+
+        const expiresAt = now + this.resolveLeaseDuration(lease.clientId, ttl);
+        const githubExpiresAt = lease.githubExpiresAt || lease.createdAt + 60 * 60 * 1000;
+
+        if (expiresAt <= githubExpiresAt - GITHUB_EXPIRY_MARGIN) {
+            const renewed = this.tokenStorage.update(tokenId, { expiresAt, renewedAt: now, renewCount: (lease.renewCount || 0) + 1 });
+            logger.info({ tokenId, clientId: lease.clientId, expiresAt: new Date(expiresAt).toISOString() }, `🔁 Lease renewed: ${tokenId}`);
+            return { ...renewed, githubExpiresAt, rotated: false };
+        }
+
+        // Re-check the original request against the current policy before minting a replacement token.
+        // Leases stored before requestedPermissions was kept only know the granted set.
+        const requestedPermissions = 'requestedPermissions' in lease ? lease.requestedPermissions : lease.permissions;
+        const { repositories, permissions } = this.policyStore
+            ? this.policyStore.resolveScope(lease.clientId, { repositories: lease.repositories, permissions: requestedPermissions })
+            : { repositories: lease.repositories, permissions: requestedPermissions };
+
+        logger.info({ tokenId, clientId: lease.clientId }, `🔄 Rotating token for lease: ${tokenId}`);
+        const tokenData = await this.mintToken(lease.clientId, repositories, {
+            permissions,
+            installationId: lease.installationId
+        }, { lease: false });
+
+        const rotated = this.tokenStorage.update(tokenId, {
+            token: tokenData.token,
+            expiresAt: Math.min(expiresAt, tokenData.githubExpiresAt - GITHUB_EXPIRY_MARGIN),
+            githubExpiresAt: tokenData.githubExpiresAt,
+            permissions: tokenData.permissions || permissions || null,
+            renewedAt: now,
+            renewCount: (lease.renewCount || 0) + 1
+        });
+
+        const revoked = await this.revokeLeaseToken(lease, 'rotated');
+        logger.info({ tokenId, clientId: lease.clientId, previousTokenRevoked: revoked, expiresAt: new Date(rotated.expiresAt).toISOString() }, `🔁 Lease renewed with rotated token: ${tokenId}`);
+        return { ...rotated, rotated: true, previousFingerprint: AuditLog.fingerprint(lease.token), previousRevoked: revoked };
+    }
+
+    /**
+     * Give up one hold on a lease. A lease handed to several requests in reuse mode keeps its
+     * token until the last holder releases it (or it expires); then the token is revoked and
+     * the lease removed.
+     * @returns {{ clientId: string, revoked: boolean, holders: number, lease: Object }} holders: requests still holding it
+     */
+    async releaseLease(tokenId, clientId = null) {
+        const lease = this.getOwnedLease(tokenId, clientId);
+
+        if ((lease.holders || 1) > 1) {
+            const entry = this.tokenStorage.update(tokenId, { holders: lease.holders - 1 });
+            logger.info({ tokenId, clientId: lease.clientId, holders: entry.holders }, `🔓 Lease released by one of its holders: ${tokenId}`);
+            return { clientId: lease.clientId, revoked: false, holders: entry.holders, lease: entry };
+        }
+
+        logger.info({ tokenId, clientId: lease.clientId }, `🔄 Releasing lease: ${tokenId}`);
+        const revoked = await this.revokeLeaseToken(lease, 'released');
+        this.tokenStorage.delete(tokenId);
+        logger.info({ tokenId, clientId: lease.clientId, revoked }, `🗑️ Lease released: ${tokenId}`);
+
+        return { clientId: lease.clientId, revoked, holders: 0, lease };
+    }
+
+    /**
+     * Revoke a lease's token; tokens GitHub does not confirm revoked are queued for retries
+     */
+    async revokeLeaseToken(lease, reason) {
+        return this.revocationQueue
+            ? this.revocationQueue.revoke(lease, reason)
+            : this.githubTokenService.revokeToken(lease.token, lease.installationId);
+    }
+
+    /**
+     * Revoke a lease's token, remove the lease and audit it
+     */
+    async revokeLease(lease, reason, req = null, fields = {}) {
+        logger.info({ tokenId: lease.tokenId, clientId: lease.clientId }, `🔄 Revoking token: ${lease.tokenId}`);
+        const revoked = await this.revokeLeaseToken(lease, reason);
+        this.tokenStorage.delete(lease.tokenId);
+        this.audit('lease.revoked', req, { ...this.describeLease(lease), reason, revoked, ...fields });
+        return revoked;
+    }
+
+    /**
+     * Remove every lease of an installation GitHub suspended or uninstalled.
+     * Uninstalling invalidates the app's tokens at GitHub, so those are dropped
+     * without a revocation call; tokens of a suspended installation are revoked
+     * (and retried from the queue) in case it is unsuspended before they expire.
+     */
+    async revokeInstallationLeases(installationId, reason, req = null, fields = {}) {
+        const leases = this.tokenStorage.getAll().filter(lease => String(lease.installationId) === String(installationId));
+
+        for (const lease of leases) {
+            if (reason === 'uninstalled') {
+                this.tokenStorage.delete(lease.tokenId);
+                this.audit('lease.revoked', req, { ...this.describeLease(lease), reason, revoked: true, revokedBy: 'github', ...fields });
+            } else {
+                await this.revokeLease(lease, reason, req, fields);
+            }
+        }
+
+        if (leases.length > 0) {
+            logger.warn({ installationId, reason, leases: leases.length }, `🗑️ Removed ${leases.length} leases of ${reason} installation ${installationId}`);
+        }
+        return leases.length;
+    }
+
+    async handleTokenDeletion(identifier, res, req = null) {
         // Try to delete by token ID first
         if (this.tokenStorage.has(identifier)) {
             const tokenData = this.tokenStorage.get(identifier);
-            logger.info({ tokenId: identifier, clientId: tokenData.clientId }, `🔄 Revoking token: ${identifier}`);
-            const revoked = await this.githubTokenService.revokeToken(tokenData.token);
-            this.tokenStorage.delete(identifier);
+            const revoked = await this.revokeLease(tokenData, 'deleted', req, { revokedBy: req?.adminId || null });
             logger.info({ tokenId: identifier, clientId: tokenData.clientId, revoked }, `🗑️ Token deleted: ${identifier}`);
             res.json({
                 success: true,
-                message: `Token ${identifier} deleted${revoked ? ' and revoked' : ' (revocation failed)'}`,
+                message: `Token ${identifier} deleted${revoked ? ' and revoked' : ' (revocation failed, queued for retry)'}`,
                 tokenId: identifier,
                 clientId: tokenData.clientId,
                 revoked
@@ -410,10 +1126,8 @@ class ApiRoutes {
                 const deletedTokens = [];
                 
                 for (const { tokenId, tokenData } of tokensToDelete) {
-                    logger.info({ tokenId, clientId: tokenData.clientId }, `🔄 Revoking token: ${tokenId}`);
-                    const revoked = await this.githubTokenService.revokeToken(tokenData.token);
+                    const revoked = await this.revokeLease(tokenData, 'deleted', req, { revokedBy: req?.adminId || null });
                     if (revoked) revokedCount++;
-                    this.tokenStorage.delete(tokenId);
                     deletedTokens.push(tokenId);
                 }
                 
@@ -434,15 +1148,16 @@ class ApiRoutes {
         }
     }
 
-    async handleClearAllTokens(res) {
+    async handleClearAllTokens(res, req = null) {
         const allTokens = this.tokenStorage.getAll();
         const size = allTokens.length;
         let revokedCount = 0;
         
         for (const tokenData of allTokens) {
             logger.info({ tokenId: tokenData.tokenId, clientId: tokenData.clientId }, `🔄 Revoking token: ${tokenData.tokenId}`);
-            const revoked = await this.githubTokenService.revokeToken(tokenData.token);
+            const revoked = await this.revokeLeaseToken(tokenData, 'cleared');
             if (revoked) revokedCount++;
+            this.audit('lease.revoked', req, { ...this.describeLease(tokenData), reason: 'cleared', revoked, revokedBy: req?.adminId || null });
         }
         
         this.tokenStorage.clear();
@@ -458,6 +1173,10 @@ class ApiRoutes {
     getRouter() {
         return this.router;
     }
+
+    getAdminRouter() {
+        return this.adminRouter;
+    }
 }
 
 module.exports = ApiRoutes;
\ No newline at end of file
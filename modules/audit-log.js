@@ -0,0 +1,197 @@
+/**
+ * Audit Log
+ *
+ * Keeps an append-only trail of every lease decision including:
+ * - Leases issued or reused, with the requesting client, IP and scope
+ * - Renewals, releases and revocations, with the revocation result
+ * - Retries of failed revocations and revocations given up on
+ * - Failed token requests and rejected credentials
+ * - Installation changes reported by GitHub webhooks
+ * - Querying entries by client, event type, repository and time range
+ *
+ * Entries are written as JSON lines to AUDIT_LOG_FILE. Without a file the
+ * most recent entries are kept in memory only. Tokens are never written to
+ * the log; entries carry a SHA-256 fingerprint of the token instead, which
+ * can be matched against a token found elsewhere.
+ *
+ * Every recorded entry is also emitted as an "entry" event.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { EventEmitter } = require('events');
+const logger = require('./logger');
+
+const AUDIT_EVENTS = [
+    'lease.issued',
+    'lease.reused',
+    'lease.renewed',
+    'lease.released',
+    'lease.revoked',
+    'lease.failed',
+    'auth.failed',
+    'revocation.retried',
+    'revocation.abandoned',
+    'installation.changed'
+];
+
+const MEMORY_ENTRIES = 1000;
+
+class AuditLog extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.filePath = options.filePath || null;
+        this.maxEntries = options.maxEntries || MEMORY_ENTRIES;
+        // Recent entries, used for queries when no file is configured
+        this.entries = [];
+        // Serialize appends so entries are written in the order they were recorded
+        this.writeQueue = Promise.resolve();
+        this.directoryReady = false;
+    }
+
+    static get EVENTS() {
+        return AUDIT_EVENTS;
+    }
+
+    /**
+     * Fingerprint a token so it can be identified without being stored
+     */
+    static fingerprint(token) {
+        return token ? 'sha256:' + crypto.createHash('sha256').update(String(token)).digest('hex').slice(0, 16) : null;
+    }
+
+    /**
+     * Record an audit entry
+     * @param {string} type - One of AuditLog.EVENTS
+     * @param {Object} fields - Who, what and the outcome; never include the token itself
+     */
+    record(type, fields = {}) {
+        const entry = {
+            id: crypto.randomUUID(),
+            timestamp: new Date().toISOString(),
+            type,
+            ...fields
+        };
+
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.shift();
+        }
+
+        if (this.filePath) {
+            this.append(entry);
+        }
+
+        this.emit('entry', entry);
+        return entry;
+    }
+
+    append(entry) {
+        this.writeQueue = this.writeQueue.then(async () => {
+            if (!this.directoryReady) {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                this.directoryReady = true;
+            }
+            await fs.promises.appendFile(this.filePath, JSON.stringify(entry) + '\n', { mode: 0o600 });
+        }).catch(error => {
+            logger.error({ error: error.message, file: this.filePath, type: entry.type }, '❌ Failed to write audit entry');
+        });
+        return this.writeQueue;
+    }
+
+    /**
+     * Read every entry from the audit file, or the in-memory entries without one
+     */
+    async *readEntries() {
+        if (!this.filePath) {
+            yield* this.entries;
+            return;
+        }
+
+        await this.writeQueue;
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        const lines = readline.createInterface({ input: fs.createReadStream(this.filePath), crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                yield JSON.parse(line);
+            } catch (error) {
+                logger.warn({ file: this.filePath }, '⚠️ Skipping unreadable audit entry');
+            }
+        }
+    }
+
+    static matches(entry, filters) {
+        if (filters.clientId && entry.clientId !== filters.clientId) {
+            return false;
+        }
+        if (filters.types && !filters.types.includes(entry.type)) {
+            return false;
+        }
+        if (filters.tokenId && entry.tokenId !== filters.tokenId) {
+            return false;
+        }
+        const timestamp = Date.parse(entry.timestamp);
+        if (filters.since && timestamp < filters.since) {
+            return false;
+        }
+        if (filters.until && timestamp > filters.until) {
+            return false;
+        }
+        if (filters.repository) {
+            // Leases without a repository list cover every repository of the installation
+            if (!('repositories' in entry)) {
+                return false;
+            }
+            if (entry.repositories && !entry.repositories.includes(filters.repository)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Find entries matching the given filters, oldest first
+     * @param {Object} filters
+     * @param {string} filters.clientId
+     * @param {string[]} filters.types - Event types to include
+     * @param {string} filters.tokenId
+     * @param {string} filters.repository - Leases that could access this repository
+     * @param {number} filters.since - Earliest timestamp (ms)
+     * @param {number} filters.until - Latest timestamp (ms)
+     * @param {number} filters.limit - Return at most this many of the most recent matches
+     */
+    async query(filters = {}) {
+        const limit = filters.limit || 100;
+        const matches = [];
+        let total = 0;
+
+        for await (const entry of this.readEntries()) {
+            if (AuditLog.matches(entry, filters)) {
+                total++;
+                matches.push(entry);
+                if (matches.length > limit) {
+                    matches.shift();
+                }
+            }
+        }
+
+        return { total, entries: matches };
+    }
+
+    /**
+     * Wait for pending writes to finish
+     */
+    async close() {
+        await this.writeQueue;
+    }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,279 @@
+/**
+ * Client Registry
+ *
+ * Manages the set of clients allowed to lease tokens including:
+ * - Loading client definitions from a JSON registry file
+ * - Verifying API keys (stored as SHA-256 hashes, never in plaintext)
+ * - Verifying HMAC-signed requests with per-client shared secrets
+ * - Reloading the registry on file change so keys can be rotated live
+ * - HTTP Basic credentials (client ID and API key), which browsers can send
+ * - Admin API roles: viewer, operator and admin
+ *
+ * Registry file format:
+ * {
+ *   "clients": {
+ *     "ci-runner": {
+ *       "keys": [{ "id": "2024-q1", "hash": "sha256:<hex>" }],
+ *       "secrets": [{ "id": "2024-q1", "value": "<shared secret>" }]
+ *     },
+ *     "ops-team": { "role": "operator", "keys": [{ "id": "2024-q1", "hash": "sha256:<hex>" }] }
+ *   }
+ * }
+ *
+ * Clients without a role can only lease tokens. "admin": true is kept as a
+ * shorthand for "role": "admin".
+ *
+ * Each client may hold several keys/secrets at once, which allows a new
+ * credential to be rolled out before the old one is removed.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const HASH_PREFIX = 'sha256:';
+
+// Admin API roles, each allowed everything the previous one is
+const ROLES = ['viewer', 'operator', 'admin'];
+
+class ClientRegistry {
+    constructor(options = {}) {
+        this.filePath = options.filePath || null;
+        this.maxSkewMs = Number(options.maxSkewMs || 300000); // 5 minutes default
+        // clientId -> { clientId, disabled, role, keys: [{ id, hash }], secrets: [{ id, value }] }
+        this.clients = new Map();
+        // key hash -> { clientId, keyId }
+        this.keyIndex = new Map();
+        this.watching = false;
+    }
+
+    static get ROLES() {
+        return ROLES;
+    }
+
+    /**
+     * Hash an API key for storage in the registry file
+     */
+    static hashKey(apiKey) {
+        return HASH_PREFIX + crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+    }
+
+    /**
+     * Generate a new random API key
+     */
+    static generateKey() {
+        return `tl_${crypto.randomBytes(24).toString('base64url')}`;
+    }
+
+    /**
+     * Compute the signature a client must send in X-Signature for an HMAC-signed request
+     */
+    static sign(secret, timestamp, method, url, body = '') {
+        const payload = `${timestamp}\n${method.toUpperCase()}\n${url}\n${body}`;
+        return 'sha256=' + crypto.createHmac('sha256', secret).update(payload).digest('hex');
+    }
+
+    /**
+     * Whether client authentication is enforced
+     */
+    get enabled() {
+        return Boolean(this.filePath) || this.clients.size > 0;
+    }
+
+    get size() {
+        return this.clients.size;
+    }
+
+    has(clientId) {
+        return this.clients.has(clientId);
+    }
+
+    /**
+     * Admin API role of a client, or null for clients that may only lease tokens
+     */
+    getRole(clientId) {
+        const client = this.clients.get(clientId);
+        return client && !client.disabled ? client.role : null;
+    }
+
+    /**
+     * Whether a client holds a role, or one that includes it
+     */
+    hasRole(clientId, role) {
+        const granted = this.getRole(clientId);
+        return Boolean(granted) && ROLES.indexOf(granted) >= ROLES.indexOf(role);
+    }
+
+    /**
+     * Load the registry file from disk
+     */
+    load() {
+        if (!this.filePath) {
+            return;
+        }
+        const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.setClients(parsed.clients || {});
+        logger.info({ clients: this.clients.size, file: this.filePath }, `🔐 Client registry loaded (${this.clients.size} clients)`);
+    }
+
+    /**
+     * Replace the registered clients, keeping the previous set if the new one is invalid
+     */
+    setClients(definitions) {
+        const clients = new Map();
+        const keyIndex = new Map();
+
+        for (const [clientId, definition] of Object.entries(definitions)) {
+            const keys = (definition.keys || []).map((key, index) => {
+                const hash = typeof key === 'string' ? key : key.hash;
+                if (!hash || !hash.startsWith(HASH_PREFIX)) {
+                    throw new Error(`❌ Client "${clientId}" key #${index + 1} must be a "${HASH_PREFIX}" hash`);
+                }
+                return { id: key.id || `key-${index + 1}`, hash: hash.toLowerCase() };
+            });
+            const secrets = (definition.secrets || []).map((secret, index) => ({
+                id: secret.id || `secret-${index + 1}`,
+                value: typeof secret === 'string' ? secret : secret.value
+            }));
+
+            const role = definition.role || (definition.admin ? 'admin' : null);
+            if (role && !ROLES.includes(role)) {
+                throw new Error(`❌ Client "${clientId}" role must be one of: ${ROLES.join(', ')}`);
+            }
+
+            for (const key of keys) {
+                keyIndex.set(key.hash, { clientId, keyId: key.id });
+            }
+            clients.set(clientId, { clientId, disabled: Boolean(definition.disabled), role, keys, secrets });
+        }
+
+        this.clients = clients;
+        this.keyIndex = keyIndex;
+    }
+
+    /**
+     * Reload the registry, keeping the current clients if the file is invalid
+     */
+    reload() {
+        try {
+            this.load();
+            return true;
+        } catch (error) {
+            logger.error({ error: error.message, file: this.filePath }, '❌ Failed to reload client registry, keeping previous clients');
+            return false;
+        }
+    }
+
+    /**
+     * Watch the registry file and reload it whenever it changes
+     */
+    watch() {
+        if (!this.filePath || this.watching) {
+            return;
+        }
+        fs.watchFile(this.filePath, { interval: 2000 }, (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) {
+                logger.info({ file: this.filePath }, '🔄 Client registry changed, reloading');
+                this.reload();
+            }
+        });
+        this.watching = true;
+    }
+
+    unwatch() {
+        if (this.watching) {
+            fs.unwatchFile(this.filePath);
+            this.watching = false;
+        }
+    }
+
+    /**
+     * Authenticate an incoming request
+     * @returns {{ clientId: string, method: string, credentialId: string }|null}
+     */
+    authenticate(req) {
+        if (req.get('X-Signature')) {
+            return this.authenticateSignature(req);
+        }
+
+        const basic = this.extractBasic(req.get('Authorization'));
+        if (basic) {
+            // The user name must name the client the key belongs to
+            const identity = this.authenticateApiKey(basic.apiKey);
+            return identity && identity.clientId === basic.clientId ? identity : null;
+        }
+
+        const apiKey = req.get('X-API-Key') || this.extractBearer(req.get('Authorization'));
+        if (apiKey) {
+            return this.authenticateApiKey(apiKey);
+        }
+
+        return null;
+    }
+
+    authenticateApiKey(apiKey) {
+        const match = this.keyIndex.get(ClientRegistry.hashKey(apiKey));
+        if (!match) {
+            return null;
+        }
+        const client = this.clients.get(match.clientId);
+        if (!client || client.disabled) {
+            return null;
+        }
+        return { clientId: client.clientId, method: 'api-key', credentialId: match.keyId };
+    }
+
+    authenticateSignature(req) {
+        const clientId = req.get('X-Client-Id');
+        const timestamp = req.get('X-Timestamp');
+        const signature = req.get('X-Signature');
+        const client = clientId && this.clients.get(clientId);
+
+        if (!client || client.disabled || !timestamp) {
+            return null;
+        }
+        if (Math.abs(Date.now() - Number(timestamp) * 1000) > this.maxSkewMs) {
+            logger.warn({ clientId, timestamp }, '⚠️ Rejected signed request outside allowed clock skew');
+            return null;
+        }
+
+        const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+        for (const secret of client.secrets) {
+            const expected = ClientRegistry.sign(secret.value, timestamp, req.method, req.originalUrl, body);
+            if (this.safeEqual(expected, signature)) {
+                return { clientId, method: 'hmac', credentialId: secret.id };
+            }
+        }
+        return null;
+    }
+
+    extractBearer(header) {
+        if (header && header.startsWith('Bearer ')) {
+            return header.slice('Bearer '.length).trim();
+        }
+        return null;
+    }
+
+    /**
+     * Parse "Authorization: Basic base64(clientId:apiKey)"
+     */
+    extractBasic(header) {
+        if (!header || !header.startsWith('Basic ')) {
+            return null;
+        }
+        const decoded = Buffer.from(header.slice('Basic '.length).trim(), 'base64').toString('utf8');
+        const separator = decoded.indexOf(':');
+        if (separator < 0) {
+            return null;
+        }
+        return { clientId: decoded.slice(0, separator), apiKey: decoded.slice(separator + 1) };
+    }
+
+    safeEqual(a, b) {
+        const bufferA = Buffer.from(String(a));
+        const bufferB = Buffer.from(String(b));
+        return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+    }
+}
+
+module.exports = ClientRegistry;
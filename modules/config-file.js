@@ -0,0 +1,326 @@
+/**
+ * Config File
+ *
+ * Loads server settings from a YAML or JSON file (CONFIG_FILE) including:
+ * - Parsing YAML, and JSON as the subset of YAML it is
+ * - Validating the file against a schema, reporting every problem with its line
+ * - Turning the sections into the settings ConfigValidator.loadDefaults reads
+ * - Watching the file so safe sections can be reloaded without a restart
+ *
+ * File format:
+ *   logLevel: info
+ *   server:
+ *     port: 3000
+ *     tokenMode: reuse
+ *   installations:
+ *     appId: 123456
+ *     installationId: 12345678
+ *     privateKeyPath: ./private-key.pem
+ *     apps:
+ *       - { appId: 234567, privateKeyPath: ./other-app.pem, installations: { other-org: 87654321 } }
+ *   clients:
+ *     ci-runner: { keys: [{ id: 2024-q1, hash: "sha256:<hex>" }] }
+ *   policies:
+ *     ci-runner: { permissions: { contents: read } }
+ *   limits:
+ *     tokensPerMinute: 60
+ *     maxActiveLeases: 50
+ *     globalTokensPerHour: 1000
+ *
+ * "clients" and "policies" take the format of CLIENTS_FILE and POLICIES_FILE,
+ * and "installations.apps" that of APPS_FILE. Durations are in milliseconds,
+ * as in the environment variables.
+ */
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const RequestValidator = require('./request-validator');
+const ClientRegistry = require('./client-registry');
+const { BACKENDS } = require('./storage');
+
+// Sections that can change while the server runs
+const RELOADABLE = ['logLevel', 'clients', 'policies', 'limits'];
+
+const LOG_LEVELS = ['fatal', 'error', 'warn', 'info', 'debug', 'trace', 'silent'];
+
+const duration = { type: 'integer', minimum: 0 };
+const id = { type: ['integer', 'string'] };
+const names = { type: 'array', items: { type: 'string', minLength: 1 } };
+const credentials = (property) => ({
+    type: 'array',
+    items: {
+        type: ['string', 'object'],
+        properties: { id: { type: ['string', 'integer'] }, [property]: { type: 'string', minLength: 1 } },
+        required: [property],
+        additionalProperties: false
+    }
+});
+const limits = {
+    tokensPerMinute: { type: 'integer', minimum: 0 },
+    maxActiveLeases: { type: 'integer', minimum: 0 }
+};
+
+const SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        logLevel: { type: 'string', enum: LOG_LEVELS },
+        server: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                port: { type: 'integer', minimum: 0, maximum: 65535 },
+                adminPort: { type: 'integer', minimum: 1, maximum: 65535 },
+                sandbox: { type: 'boolean' },
+                tokenMode: { type: 'string', enum: ['fresh', 'reuse'] },
+                tokenLifespan: { type: 'integer', minimum: 1000 },
+                reuseMinRemaining: duration,
+                leaseMinTtl: duration,
+                leaseMaxTtl: { type: 'integer', minimum: 1000 },
+                cacheCheckInterval: { type: 'integer', minimum: 1000 },
+                storageBackend: { type: 'string', enum: BACKENDS },
+                storagePath: { type: 'string', minLength: 1 },
+                redisUrl: { type: 'string', pattern: '^rediss?://' },
+                redisKeyPrefix: { type: 'string' },
+                tokenEncryptionKey: { type: 'string', minLength: 1 },
+                githubApiUrl: { type: 'string', pattern: '^https?://' },
+                githubCaBundle: { type: 'string', minLength: 1 },
+                githubProxy: { type: 'string', pattern: '^https?://' },
+                githubTimeout: { type: 'integer', minimum: 1 },
+                githubMaxRetries: { type: 'integer', minimum: 0 },
+                githubWebhookSecret: { type: 'string', minLength: 1 },
+                signatureMaxSkew: { type: 'integer', minimum: 1000 },
+                metricsEnabled: { type: 'boolean' },
+                auditLogFile: { type: 'string', minLength: 1 },
+                webhooksFile: { type: 'string', minLength: 1 }
+            }
+        },
+        installations: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                appId: id,
+                installationId: id,
+                privateKeyPath: { type: 'string', minLength: 1 },
+                discover: { type: 'boolean' },
+                apps: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        additionalProperties: false,
+                        required: ['appId', 'privateKeyPath'],
+                        properties: {
+                            appId: id,
+                            privateKeyPath: { type: 'string', minLength: 1 },
+                            installations: { type: 'object', additionalProperties: id },
+                            apiUrl: { type: 'string', pattern: '^https?://' }
+                        }
+                    }
+                }
+            }
+        },
+        clients: {
+            type: 'object',
+            minProperties: 1,
+            additionalProperties: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    role: { type: 'string', enum: ClientRegistry.ROLES },
+                    admin: { type: 'boolean' },
+                    disabled: { type: 'boolean' },
+                    keys: credentials('hash'),
+                    secrets: credentials('value')
+                }
+            }
+        },
+        policies: {
+            type: 'object',
+            minProperties: 1,
+            additionalProperties: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    permissions: { type: 'object', minProperties: 1, additionalProperties: { type: 'string', enum: ['read', 'write', 'admin'] } },
+                    repositories: names,
+                    owners: names,
+                    minTtl: { type: 'integer', minimum: 1 },
+                    maxTtl: { type: 'integer', minimum: 1 },
+                    limits: { type: 'object', additionalProperties: false, properties: limits }
+                }
+            }
+        },
+        limits: {
+            type: 'object',
+            additionalProperties: false,
+            properties: { ...limits, globalTokensPerHour: { type: 'integer', minimum: 0 } }
+        }
+    }
+};
+
+class ConfigFile {
+    constructor(options = {}) {
+        this.filePath = options.filePath || null;
+        this.document = {};
+        this.watching = false;
+    }
+
+    static get SCHEMA() {
+        return SCHEMA;
+    }
+
+    static get RELOADABLE() {
+        return RELOADABLE;
+    }
+
+    get enabled() {
+        return Boolean(this.filePath);
+    }
+
+    /**
+     * Parse and validate a config file
+     * @param {string} source - File contents
+     * @param {string} name - File name used in error messages
+     * @returns {Object} The parsed document
+     */
+    static parse(source, name = 'config file') {
+        const root = { children: [] };
+        const stack = [root];
+        let document;
+        try {
+            // Record the line of every node so schema problems can point at it. The core
+            // schema keeps dates and the like as the strings they were written as.
+            document = yaml.safeLoad(source, {
+                filename: name,
+                schema: yaml.CORE_SCHEMA,
+                listener(event, state) {
+                    if (event === 'open') {
+                        stack.push({ line: state.line + 1, children: [] });
+                    } else {
+                        const node = stack.pop();
+                        node.result = state.result;
+                        stack[stack.length - 1].children.push(node);
+                    }
+                }
+            });
+        } catch (error) {
+            const line = error.mark ? error.mark.line + 1 : 1;
+            throw ConfigFile.invalid(name, [{ line, field: '', message: error.reason || error.message }]);
+        }
+        if (document === undefined || document === null) {
+            document = {};
+        }
+
+        const errors = [];
+        new RequestValidator({ paths: {} }).check(SCHEMA, document, '', 'config', errors);
+        if (errors.length > 0) {
+            const lines = ConfigFile.locate(root.children[0]);
+            throw ConfigFile.invalid(name, errors.map(error => ({ ...error, line: ConfigFile.lineOf(lines, error.field) })));
+        }
+        return document;
+    }
+
+    /**
+     * Map field paths as RequestValidator reports them ("clients.ci.keys[0]") to lines
+     */
+    static locate(node, field = '', lines = new Map()) {
+        if (!node) {
+            return lines;
+        }
+        // A document or a flow collection at the top wraps its value in another node
+        while (node.children.length === 1 && node.children[0].result === node.result) {
+            node = node.children[0];
+        }
+        lines.set(field, node.line);
+        if (Array.isArray(node.result)) {
+            node.children.forEach((child, index) => ConfigFile.locate(child, `${field}[${index}]`, lines));
+        } else if (node.result && typeof node.result === 'object') {
+            // Mapping nodes alternate between keys and values
+            for (let index = 0; index + 1 < node.children.length; index += 2) {
+                const key = node.children[index].result;
+                ConfigFile.locate(node.children[index + 1], field ? `${field}.${key}` : String(key), lines);
+            }
+        }
+        return lines;
+    }
+
+    /**
+     * Line of a field, or of its closest parent for fields that are missing
+     */
+    static lineOf(lines, field) {
+        while (field && !lines.has(field)) {
+            field = field.replace(/(\.[^.[]*|\[\d+\])$/, '');
+        }
+        return lines.get(field) || 1;
+    }
+
+    static invalid(name, errors) {
+        const problems = errors.map(error => `  ${name}:${error.line}: ${error.field ? `${error.field} ` : ''}${error.message}`);
+        const error = new Error(`❌ Invalid config file ${name}:\n${problems.join('\n')}`);
+        error.errors = errors;
+        return error;
+    }
+
+    /**
+     * Load and validate the config file from disk
+     */
+    load() {
+        if (!this.filePath) {
+            return this.document;
+        }
+        if (!fs.existsSync(this.filePath)) {
+            throw new Error(`❌ Config file not found: ${this.filePath}`);
+        }
+        this.document = ConfigFile.parse(fs.readFileSync(this.filePath, 'utf8'), this.filePath);
+        return this.document;
+    }
+
+    /**
+     * The file's settings under the names ConfigValidator.loadDefaults reads
+     */
+    getSettings(document = this.document) {
+        const { server = {}, installations = {}, limits = {} } = document;
+        // IDs from the environment are strings, whichever way the file writes them
+        const text = value => (value === undefined ? undefined : String(value));
+        const settings = {
+            ...server,
+            appId: text(installations.appId),
+            installationId: text(installations.installationId),
+            privateKeyPath: installations.privateKeyPath,
+            discoverInstallations: installations.discover,
+            apps: installations.apps,
+            clients: document.clients,
+            policies: document.policies,
+            clientTokensPerMinute: limits.tokensPerMinute,
+            clientMaxActiveLeases: limits.maxActiveLeases,
+            globalTokensPerHour: limits.globalTokensPerHour,
+            logLevel: document.logLevel
+        };
+        // Leave settings the file does not mention to the environment
+        return Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+    }
+
+    /**
+     * Watch the config file and call the listener whenever it changes
+     */
+    watch(listener) {
+        if (!this.filePath || this.watching) {
+            return;
+        }
+        fs.watchFile(this.filePath, { interval: 2000 }, (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) {
+                listener();
+            }
+        });
+        this.watching = true;
+    }
+
+    unwatch() {
+        if (this.watching) {
+            fs.unwatchFile(this.filePath);
+            this.watching = false;
+        }
+    }
+}
+
+module.exports = ConfigFile;
@@ -5,6 +5,7 @@
  * - Loading default configuration values from environment variables
  * - Validating required configuration parameters
  * - Loading and verifying private key files
+ * - Loading the catalog of GitHub Apps from an apps file or the config file
  * - Providing consistent configuration structure
  * 
  * This utility ensures that the token lease server starts with
@@ -13,34 +14,187 @@
  */
 
 const fs = require('fs');
+const { BACKENDS } = require('./storage');
+
+// Token strategies and the mode label reported by /health and /tokens
+const TOKEN_MODES = {
+    fresh: 'fresh-tokens-only',
+    reuse: 'reuse-valid-leases'
+};
 
 class ConfigValidator {
+    static get TOKEN_MODES() {
+        return TOKEN_MODES;
+    }
+
     static validate(config) {
-        if (!config.appId) {
-            throw new Error('❌ APP_ID is required');
+        if (config.appsFile || config.apps) {
+            // With an apps file or apps in the config file the single-app settings are optional
+            if (config.appsFile && !fs.existsSync(config.appsFile)) {
+                throw new Error(`❌ Apps file not found: ${config.appsFile}`);
+            }
+        } else {
+            if (!config.appId) {
+                throw new Error('❌ APP_ID is required');
+            }
+            if (!config.installationId) {
+                throw new Error('❌ INSTALLATION_ID is required');
+            }
         }
-        if (!config.installationId) {
-            throw new Error('❌ INSTALLATION_ID is required');
-        }
-        if (!fs.existsSync(config.privateKeyPath)) {
+        if (config.appId && !config.privateKey && !fs.existsSync(config.privateKeyPath)) {
             throw new Error(`❌ Private key file not found: ${config.privateKeyPath}`);
         }
+        if (config.leaseMaxTtl < config.leaseMinTtl) {
+            throw new Error('❌ LEASE_MAX_TTL must not be lower than LEASE_MIN_TTL');
+        }
+        if (!TOKEN_MODES[config.tokenMode]) {
+            throw new Error(`❌ TOKEN_MODE must be one of: ${Object.keys(TOKEN_MODES).join(', ')}`);
+        }
+        if (!BACKENDS.includes(config.storageBackend)) {
+            throw new Error(`❌ STORAGE_BACKEND must be one of: ${BACKENDS.join(', ')}`);
+        }
+        if (config.storageBackend !== 'memory' && !config.tokenEncryptionKey) {
+            throw new Error(`❌ TOKEN_ENCRYPTION_KEY is required when STORAGE_BACKEND is "${config.storageBackend}"`);
+        }
+        if (config.githubCaBundle && !fs.existsSync(config.githubCaBundle)) {
+            throw new Error(`❌ CA bundle not found: ${config.githubCaBundle}`);
+        }
+        if (config.clientsFile && !fs.existsSync(config.clientsFile)) {
+            throw new Error(`❌ Clients file not found: ${config.clientsFile}`);
+        }
+        if (config.policiesFile && !fs.existsSync(config.policiesFile)) {
+            throw new Error(`❌ Policies file not found: ${config.policiesFile}`);
+        }
+        if (config.clients && config.clientsFile) {
+            throw new Error('❌ Clients are configured both in CLIENTS_FILE and in the config file; keep one');
+        }
+        if (config.policies && config.policiesFile) {
+            throw new Error('❌ Policies are configured both in POLICIES_FILE and in the config file; keep one');
+        }
     }
 
+    /**
+     * Settings from constructor options, then environment variables, then defaults.
+     * TokenLease passes the config file's settings in as options.
+     */
     static loadDefaults(config = {}) {
         return {
+            configFile: config.configFile || process.env.CONFIG_FILE || null,
+            logLevel: config.logLevel || process.env.LOG_LEVEL || 'info',
             port: config.port || process.env.PORT || 3000,
+            // Serve the admin API on its own port instead of under /admin on PORT
+            adminPort: config.adminPort || process.env.ADMIN_PORT || null,
             appId: config.appId || process.env.APP_ID,
             installationId: config.installationId || process.env.INSTALLATION_ID,
             privateKeyPath: config.privateKeyPath || process.env.PRIVATE_KEY_PATH,
+            // Inline PEM key instead of PRIVATE_KEY_PATH; escaped newlines are accepted for .env files
+            privateKey: (config.privateKey || process.env.PRIVATE_KEY || '').replace(/\\n/g, '\n') || null,
+            sandbox: String(config.sandbox ?? process.env.SANDBOX ?? 'false') === 'true',
+            sandboxPort: Number(config.sandboxPort || process.env.SANDBOX_PORT || 0), // 0 picks a free port
+            appsFile: config.appsFile || process.env.APPS_FILE || null,
+            apps: config.apps || null, // apps listed in the config file, as in APPS_FILE
+            discoverInstallations: String(config.discoverInstallations ?? process.env.DISCOVER_INSTALLATIONS ?? 'true') !== 'false',
             cacheCheckInterval: Number(config.cacheCheckInterval || process.env.CACHE_CHECK_INTERVAL || 60000), // 1 minute default
             tokenLifespan: Number(config.tokenLifespan || process.env.TOKEN_LIFESPAN || 300000), // 5 minutes default
+            leaseMinTtl: Number(config.leaseMinTtl || process.env.LEASE_MIN_TTL || 0), // no minimum by default
+            leaseMaxTtl: Number(config.leaseMaxTtl || process.env.LEASE_MAX_TTL || 3600000), // 1 hour default (GitHub's token lifetime)
+            tokenMode: config.tokenMode || process.env.TOKEN_MODE || 'fresh',
+            reuseMinRemaining: Number(config.reuseMinRemaining || process.env.TOKEN_REUSE_MIN_REMAINING || 60000), // 1 minute default
+            storageBackend: config.storageBackend || process.env.STORAGE_BACKEND || 'memory',
+            storagePath: config.storagePath || process.env.STORAGE_PATH || './data',
+            redisUrl: config.redisUrl || process.env.REDIS_URL || 'redis://localhost:6379',
+            redisKeyPrefix: config.redisKeyPrefix || process.env.REDIS_KEY_PREFIX || 'token-lease:',
+            tokenEncryptionKey: config.tokenEncryptionKey || process.env.TOKEN_ENCRYPTION_KEY || null,
+            // Rate limits; 0 disables a limit
+            clientTokensPerMinute: Number(config.clientTokensPerMinute ?? process.env.CLIENT_TOKENS_PER_MINUTE ?? 60),
+            clientMaxActiveLeases: Number(config.clientMaxActiveLeases ?? process.env.CLIENT_MAX_ACTIVE_LEASES ?? 50),
+            globalTokensPerHour: Number(config.globalTokensPerHour ?? process.env.GLOBAL_TOKENS_PER_HOUR ?? 1000),
+            revocationRetryBaseDelay: Number(config.revocationRetryBaseDelay || process.env.REVOCATION_RETRY_BASE_DELAY || 60000), // 1 minute default
+            revocationRetryMaxDelay: Number(config.revocationRetryMaxDelay || process.env.REVOCATION_RETRY_MAX_DELAY || 900000), // 15 minutes default
+            revocationMaxAttempts: Number(config.revocationMaxAttempts || process.env.REVOCATION_MAX_ATTEMPTS || 6),
+            githubApiUrl: config.githubApiUrl || process.env.GITHUB_API_URL || 'https://api.github.com',
+            githubCaBundle: config.githubCaBundle || process.env.GITHUB_CA_BUNDLE || null,
+            githubProxy: config.githubProxy || process.env.GITHUB_PROXY || null, // falls back to HTTPS_PROXY / HTTP_PROXY
+            githubTimeout: Number(config.githubTimeout || process.env.GITHUB_TIMEOUT || 10000), // 10 seconds default
+            githubMaxRetries: Number(config.githubMaxRetries ?? process.env.GITHUB_MAX_RETRIES ?? 3),
+            githubRetryBaseDelay: Number(config.githubRetryBaseDelay || process.env.GITHUB_RETRY_BASE_DELAY || 500),
+            githubMaxRetryWait: Number(config.githubMaxRetryWait ?? process.env.GITHUB_MAX_RETRY_WAIT ?? 30000), // longer waits fail instead
+            circuitBreakerThreshold: Number(config.circuitBreakerThreshold ?? process.env.CIRCUIT_BREAKER_THRESHOLD ?? 5), // 0 disables the breaker
+            circuitBreakerResetTimeout: Number(config.circuitBreakerResetTimeout || process.env.CIRCUIT_BREAKER_RESET_TIMEOUT || 30000),
+            rateLimitRefreshInterval: Number(config.rateLimitRefreshInterval ?? process.env.RATE_LIMIT_REFRESH_INTERVAL ?? 60000), // 0 disables background refreshes
+            eventsHeartbeatInterval: Number(config.eventsHeartbeatInterval || process.env.EVENTS_HEARTBEAT_INTERVAL || 15000),
+            metricsEnabled: String(config.metricsEnabled ?? process.env.METRICS_ENABLED ?? 'true') !== 'false',
+            auditLogFile: config.auditLogFile || process.env.AUDIT_LOG_FILE || null,
+            githubWebhookSecret: config.githubWebhookSecret || process.env.GITHUB_WEBHOOK_SECRET || null,
+            webhooksFile: config.webhooksFile || process.env.WEBHOOKS_FILE || null,
+            webhookTimeout: Number(config.webhookTimeout || process.env.WEBHOOK_TIMEOUT || 10000), // 10 seconds default
+            webhookRetryBaseDelay: Number(config.webhookRetryBaseDelay || process.env.WEBHOOK_RETRY_BASE_DELAY || 10000), // 10 seconds default
+            webhookRetryMaxDelay: Number(config.webhookRetryMaxDelay || process.env.WEBHOOK_RETRY_MAX_DELAY || 600000), // 10 minutes default
+            webhookMaxAttempts: Number(config.webhookMaxAttempts || process.env.WEBHOOK_MAX_ATTEMPTS || 5),
+            clientsFile: config.clientsFile || process.env.CLIENTS_FILE || null,
+            policiesFile: config.policiesFile || process.env.POLICIES_FILE || null,
+            // Clients and policies from the config file instead of CLIENTS_FILE / POLICIES_FILE
+            clients: config.clients || null,
+            policies: config.policies || null,
+            signatureMaxSkew: Number(config.signatureMaxSkew || process.env.SIGNATURE_MAX_SKEW || 300000), // 5 minutes default
         };
     }
 
     static loadPrivateKey(privateKeyPath) {
         return fs.readFileSync(privateKeyPath, 'utf8');
     }
+
+    /**
+     * Load every configured GitHub App with its private key.
+     * The single app from APP_ID and PRIVATE_KEY (or PRIVATE_KEY_PATH) comes first, followed by
+     * the apps listed in the config file and in the apps file:
+     * { "apps": [{ "appId": 1, "privateKeyPath": "./app.pem", "installations": { "my-org": 123 } }] }
+     * An app's "apiUrl" points it at a GitHub Enterprise Server instead of GITHUB_API_URL.
+     */
+    static loadApps(config) {
+        const apps = [];
+
+        if (config.appId) {
+            apps.push({
+                appId: config.appId,
+                privateKey: config.privateKey || ConfigValidator.loadPrivateKey(config.privateKeyPath),
+                installations: {}
+            });
+        }
+
+        const sources = [];
+        if (config.apps) {
+            sources.push({ apps: config.apps, source: config.configFile || 'the config file' });
+        }
+        if (config.appsFile) {
+            sources.push({ apps: JSON.parse(fs.readFileSync(config.appsFile, 'utf8')).apps || [], source: config.appsFile });
+        }
+
+        for (const { apps: listed, source } of sources) {
+            listed.forEach((app, index) => {
+                if (!app.appId) {
+                    throw new Error(`❌ App #${index + 1} in ${source} is missing appId`);
+                }
+                if (!app.privateKeyPath || !fs.existsSync(app.privateKeyPath)) {
+                    throw new Error(`❌ Private key file not found for app ${app.appId}: ${app.privateKeyPath}`);
+                }
+                if (app.apiUrl !== undefined && !/^https?:\/\//.test(app.apiUrl)) {
+                    throw new Error(`❌ apiUrl of app ${app.appId} must be an http(s) URL: ${app.apiUrl}`);
+                }
+                apps.push({
+                    appId: app.appId,
+                    privateKey: ConfigValidator.loadPrivateKey(app.privateKeyPath),
+                    installations: app.installations || {},
+                    apiUrl: app.apiUrl || null
+                });
+            });
+        }
+
+        if (apps.length === 0) {
+            throw new Error('❌ At least one GitHub App must be configured');
+        }
+        return apps;
+    }
 }
 
 module.exports = ConfigValidator;
\ No newline at end of file
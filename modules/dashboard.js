@@ -0,0 +1,769 @@
+/**
+ * Dashboard
+ *
+ * Renders the web dashboard served at /admin/dashboard including:
+ * - Stored leases, filterable and sortable by client, status and expiry
+ * - Revoke buttons per lease and per client, behind a confirmation prompt
+ * - A form to mint a token for a client with chosen repositories and permissions
+ * - Failed revocations, client usage and the lowest GitHub rate limit
+ * - Live updates of lease rows, countdowns and the rate limit from /admin/events
+ * - Only the actions the signed-in client's role allows
+ *
+ * Browsers sign in with HTTP Basic (client ID and API key) and send the same
+ * credentials with the page's actions and event stream. Every value taken
+ * from a lease or request is HTML-escaped, since client IDs and repository
+ * names come from callers.
+ */
+
+// Leases this close to expiry are shown as expiring
+const EXPIRING_SOON = 60 * 1000;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+class Dashboard {
+    constructor(config) {
+        this.config = config;
+    }
+
+    static escape(value) {
+        return String(value ?? '').replace(/[&<>"']/g, character => HTML_ESCAPES[character]);
+    }
+
+    getRateLimitClass(rateLimitInfo) {
+        if (!rateLimitInfo) {
+            return 'bg-secondary';
+        }
+        const remaining = rateLimitInfo.core.remaining;
+        return remaining > 1000 ? 'bg-success' : remaining > 100 ? 'bg-warning' : 'bg-danger';
+    }
+
+    static getStatus(token) {
+        if (token.isExpired) {
+            return 'expired';
+        }
+        return token.timeUntilExpiry <= EXPIRING_SOON ? 'expiring' : 'active';
+    }
+
+    /**
+     * Render the dashboard page
+     * @param {Object} view
+     * @param {Object[]} view.tokenStatus - From TokenStorage.getTokenStatus()
+     * @param {Object} view.rateLimitInfo - From RateLimitTracker.getLowest(), or null
+     * @param {Object} view.usage - From RateLimiter.getUsage(), or null
+     * @param {Object[]} view.revocations - From RevocationQueue.list()
+     * @param {string} view.modeLabel - Active token strategy
+     * @param {string|null} view.adminId - Signed-in client, or null without a client registry
+     * @param {string} view.role - Its admin API role: viewer, operator or admin
+     */
+    render({ tokenStatus, rateLimitInfo, usage, revocations, modeLabel, adminId, role }) {
+        const escape = Dashboard.escape;
+        const canRevoke = role === 'operator' || role === 'admin';
+        const formatLimit = (count, limit) => limit > 0 ? `${count}/${limit}` : `${count}/∞`;
+
+        return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Token Lease Dashboard</title>
+    <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/css/bootstrap.min.css" rel="stylesheet">
+    <link href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css" rel="stylesheet">
+    <style>
+        .status-badge {
+            font-size: 0.8rem;
+        }
+        .token-preview {
+            font-family: monospace;
+            font-size: 0.9rem;
+        }
+        .refresh-btn {
+            position: fixed;
+            bottom: 20px;
+            right: 20px;
+            z-index: 1000;
+        }
+        .card-header {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+        }
+        .table-hover tbody tr:hover {
+            background-color: rgba(0,0,0,.05);
+        }
+        th[data-sort] {
+            cursor: pointer;
+            user-select: none;
+        }
+    </style>
+</head>
+<body class="bg-light">
+    <div class="container-fluid py-4">
+        <div class="row">
+            <div class="col-12">
+                <div class="card shadow">
+                    <div class="card-header">
+                        <div class="d-flex justify-content-between align-items-center">
+                            <h4 class="mb-0"><i class="fas fa-key me-2"></i>Token Dispatcher Dashboard</h4>
+                            <div class="text-end" id="rateLimit"${rateLimitInfo ? '' : ' hidden'}>
+                                <small class="opacity-75">GitHub API Rate Limit</small><br>
+                                <span class="badge ${this.getRateLimitClass(rateLimitInfo)}" id="rateLimitRemaining">
+                                    ${rateLimitInfo ? `${rateLimitInfo.core.remaining}/${rateLimitInfo.core.limit}` : ''}
+                                </span>
+                                <small class="opacity-75 ms-2" id="rateLimitReset">
+                                    ${rateLimitInfo ? `Reset: ${new Date(rateLimitInfo.core.reset * 1000).toLocaleTimeString()}` : ''}
+                                </small>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="card-body">
+                        ${this.renderAdminPanel(adminId, role)}
+
+                        <!-- Tokens Table -->
+                        <div class="row g-2 mb-3">
+                            <div class="col-md-4">
+                                <input type="search" class="form-control form-control-sm" id="filterClient" placeholder="Filter by client">
+                            </div>
+                            <div class="col-md-3">
+                                <select class="form-select form-select-sm" id="filterStatus">
+                                    <option value="">All statuses</option>
+                                    <option value="active">Active</option>
+                                    <option value="expiring">Expiring soon</option>
+                                    <option value="expired">Expired</option>
+                                </select>
+                            </div>
+                            <div class="col-md-5 text-md-end">
+                                <small class="text-muted" id="leaseCount">${tokenStatus.length} leases</small>
+                            </div>
+                        </div>
+                        <div class="table-responsive">
+                            <table class="table table-hover table-striped" id="leasesTable" data-can-revoke="${canRevoke}"${tokenStatus.length > 0 ? '' : ' hidden'}>
+                                <thead class="table-dark">
+                                    <tr>
+                                        <th><i class="fas fa-hashtag"></i> Token ID</th>
+                                        <th data-sort="client"><i class="fas fa-user"></i> Client ID <i class="fas fa-sort"></i></th>
+                                        <th><i class="fas fa-folder"></i> Repositories</th>
+                                        <th data-sort="status"><i class="fas fa-clock"></i> Status <i class="fas fa-sort"></i></th>
+                                        <th data-sort="expires"><i class="fas fa-hourglass-half"></i> Time Until Expiry <i class="fas fa-sort"></i></th>
+                                        <th data-sort="created"><i class="fas fa-calendar-alt"></i> Created <i class="fas fa-sort"></i></th>
+                                        <th data-sort="expires"><i class="fas fa-calendar-times"></i> Expires <i class="fas fa-sort"></i></th>
+                                        ${canRevoke ? '<th><i class="fas fa-tools"></i> Actions</th>' : ''}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${tokenStatus.map(token => this.renderLeaseRow(token, canRevoke)).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                        <div class="text-center py-5" id="emptyLeases"${tokenStatus.length > 0 ? ' hidden' : ''}>
+                            <i class="fas fa-key fa-3x text-muted mb-3"></i>
+                            <h4 class="text-muted">No Tokens Found</h4>
+                            <p class="text-muted">No tokens are currently stored in the system.</p>
+                        </div>
+
+                        <!-- Queued Revocations -->
+                        ${revocations.length > 0 ? `
+                        <div class="mt-4">
+                            <h5 class="mb-3">
+                                <i class="fas fa-exclamation-triangle text-warning me-2"></i>Failed Revocations
+                                <span class="badge bg-warning text-dark ms-2">${revocations.length}</span>
+                            </h5>
+                            <div class="table-responsive">
+                                <table class="table table-sm table-striped">
+                                    <thead>
+                                        <tr>
+                                            <th><i class="fas fa-fingerprint"></i> Token</th>
+                                            <th><i class="fas fa-user"></i> Client ID</th>
+                                            <th><i class="fas fa-info-circle"></i> Status</th>
+                                            <th><i class="fas fa-redo"></i> Attempts</th>
+                                            <th><i class="fas fa-clock"></i> Next Attempt</th>
+                                            <th><i class="fas fa-calendar-times"></i> Expires Naturally</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        ${revocations.map(revocation => `
+                                        <tr>
+                                            <td><code class="text-muted">${escape(revocation.id)}</code></td>
+                                            <td><span class="badge bg-secondary">${escape(revocation.clientId || '-')}</span></td>
+                                            <td>
+                                                ${revocation.status === 'unrevocable'
+                                                    ? '<span class="badge bg-danger status-badge">Unrevocable</span>'
+                                                    : '<span class="badge bg-warning text-dark status-badge">Retrying</span>'
+                                                }
+                                            </td>
+                                            <td>${revocation.attempts}</td>
+                                            <td><small class="text-muted">${revocation.nextAttemptAt ? new Date(revocation.nextAttemptAt).toLocaleString() : '-'}</small></td>
+                                            <td><small class="text-muted">${new Date(revocation.expiresNaturallyAt).toLocaleString()}</small></td>
+                                        </tr>
+                                        `).join('')}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                        ` : ''}
+
+                        <!-- Client Usage -->
+                        ${usage ? `
+                        <div class="mt-4">
+                            <h5 class="mb-3">
+                                <i class="fas fa-tachometer-alt me-2"></i>Client Usage
+                                <span class="badge ${usage.global.tokensPerHour > 0 && usage.global.tokensLastHour >= usage.global.tokensPerHour ? 'bg-danger' : 'bg-info'} ms-2">
+                                    ${formatLimit(usage.global.tokensLastHour, usage.global.tokensPerHour)} tokens this hour
+                                </span>
+                            </h5>
+                            ${Object.keys(usage.clients).length > 0 ? `
+                            <div class="table-responsive">
+                                <table class="table table-sm table-striped">
+                                    <thead>
+                                        <tr>
+                                            <th><i class="fas fa-user"></i> Client ID</th>
+                                            <th><i class="fas fa-stopwatch"></i> Tokens (last minute)</th>
+                                            <th><i class="fas fa-layer-group"></i> Active Leases</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        ${Object.entries(usage.clients).map(([clientId, clientUsage]) => `
+                                        <tr>
+                                            <td><span class="badge bg-secondary">${escape(clientId)}</span></td>
+                                            <td>${formatLimit(clientUsage.tokensLastMinute, clientUsage.tokensPerMinute)}</td>
+                                            <td>${formatLimit(clientUsage.activeLeases, clientUsage.maxActiveLeases)}</td>
+                                        </tr>
+                                        `).join('')}
+                                    </tbody>
+                                </table>
+                            </div>
+                            ` : '<p class="text-muted">No client activity yet.</p>'}
+                        </div>
+                        ` : ''}
+
+                        ${this.renderEndpoints()}
+                    </div>
+                    <div class="card-footer text-muted text-center">
+                        <small>
+                            <i class="fas fa-circle text-secondary" id="liveIndicator"></i> <span id="liveStatus">Connecting...</span> |
+                            <i class="fas fa-server"></i> Mode: ${escape(modeLabel)} |
+                            <i class="fas fa-hourglass-half"></i> Token Lifespan: ${(this.config.tokenLifespan / 60000).toFixed(1)} minutes
+                        </small>
+                    </div>
+                </div>
+            </div>
+        </div>
+    </div>
+
+    <!-- Refresh Button -->
+    <button class="btn btn-primary refresh-btn btn-lg rounded-circle" onclick="window.location.reload()" title="Refresh Dashboard">
+        <i class="fas fa-sync-alt"></i>
+    </button>
+
+    <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/js/bootstrap.bundle.min.js"></script>
+    <script>
+${this.renderScript()}
+    </script>
+</body>
+</html>`;
+    }
+
+    renderLeaseRow(token, canRevoke) {
+        const escape = Dashboard.escape;
+        const status = Dashboard.getStatus(token);
+        const badges = {
+            active: '<span class="badge bg-success status-badge"><i class="fas fa-check-circle"></i> Active</span>',
+            expiring: '<span class="badge bg-warning text-dark status-badge"><i class="fas fa-exclamation-circle"></i> Expiring</span>',
+            expired: '<span class="badge bg-danger status-badge"><i class="fas fa-times-circle"></i> Expired</span>'
+        };
+
+        return `
+                                    <tr data-token-id="${escape(token.tokenId)}" data-client="${escape(token.clientId)}" data-status="${status}" data-expires="${Date.parse(token.expiresAt)}" data-created="${Date.parse(token.createdAt)}">
+                                        <td>
+                                            <code class="text-muted">${escape(token.tokenId)}</code>
+                                        </td>
+                                        <td>
+                                            <span class="badge bg-secondary">${escape(token.clientId)}</span>
+                                        </td>
+                                        <td>
+                                            <small class="text-muted">${token.repositories ? token.repositories.map(escape).join(', ') : 'all'}</small>
+                                        </td>
+                                        <td class="lease-status">${badges[status]}</td>
+                                        <td class="lease-countdown">
+                                            ${token.isExpired
+                                                ? '<span class="text-danger">Expired</span>'
+                                                : `<span class="${status === 'expiring' ? 'text-warning' : 'text-success'}">${Math.round(token.timeUntilExpiry / 1000)}s</span>`
+                                            }
+                                        </td>
+                                        <td>
+                                            <small class="text-muted">
+                                                ${new Date(token.createdAt).toLocaleString()}
+                                            </small>
+                                        </td>
+                                        <td class="lease-expires">
+                                            <small class="text-muted">
+                                                ${new Date(token.expiresAt).toLocaleString()}
+                                            </small>
+                                        </td>
+                                        ${canRevoke ? `
+                                        <td class="text-nowrap">
+                                            <button class="btn btn-sm btn-outline-danger" data-revoke-lease="${escape(token.tokenId)}" title="Revoke this lease">
+                                                <i class="fas fa-ban"></i> Revoke
+                                            </button>
+                                            <button class="btn btn-sm btn-outline-secondary" data-revoke-client="${escape(token.clientId)}" title="Revoke every lease of this client">
+                                                <i class="fas fa-user-slash"></i> All for client
+                                            </button>
+                                        </td>
+                                        ` : ''}
+                                    </tr>`;
+    }
+
+    renderAdminPanel(adminId, role) {
+        const escape = Dashboard.escape;
+        const signedIn = adminId
+            ? `<i class="fas fa-user-shield me-1"></i> Signed in as <strong>${escape(adminId)}</strong> (${escape(role)})`
+            : '<i class="fas fa-lock-open me-1"></i> Client authentication is disabled; set <code>CLIENTS_FILE</code> to require a sign-in';
+
+        if (role === 'viewer') {
+            return `
+                        <div class="alert alert-secondary small">
+                            ${signedIn}. Revoking leases needs the <code>operator</code> role and minting tokens the <code>admin</code> role.
+                        </div>`;
+        }
+
+        return `
+                        <!-- Admin Actions -->
+                        <div class="border rounded p-3 mb-4 bg-white">
+                            <small class="text-muted">${signedIn}</small>
+                            ${role === 'admin' ? `
+                            <hr>
+                            <form id="mintForm" class="row g-2 align-items-end">
+                                <div class="col-md-2">
+                                    <label class="form-label small mb-1" for="mintClient">Client ID</label>
+                                    <input class="form-control form-control-sm" id="mintClient" required>
+                                </div>
+                                <div class="col-md-3">
+                                    <label class="form-label small mb-1" for="mintRepositories">Repositories</label>
+                                    <input class="form-control form-control-sm" id="mintRepositories" placeholder="app, docs (empty: all)">
+                                </div>
+                                <div class="col-md-3">
+                                    <label class="form-label small mb-1" for="mintPermissions">Permissions</label>
+                                    <input class="form-control form-control-sm" id="mintPermissions" placeholder="contents:read, issues:write">
+                                </div>
+                                <div class="col-md-2">
+                                    <label class="form-label small mb-1" for="mintTtl">TTL (seconds)</label>
+                                    <input type="number" min="1" class="form-control form-control-sm" id="mintTtl">
+                                </div>
+                                <div class="col-md-2">
+                                    <button type="submit" class="btn btn-sm btn-primary w-100"><i class="fas fa-plus"></i> Mint Token</button>
+                                </div>
+                            </form>` : ''}
+                            <div id="actionResult" class="mt-3 small" role="status"></div>
+                        </div>`;
+    }
+
+    renderEndpoints() {
+        return `
+                        <!-- API Endpoints -->
+                        <div class="mt-4">
+                            <h5 class="mb-3">
+                                <button class="btn btn-link p-0 text-decoration-none d-flex align-items-center"
+                                        type="button"
+                                        data-bs-toggle="collapse"
+                                        data-bs-target="#apiEndpoints"
+                                        aria-expanded="false"
+                                        aria-controls="apiEndpoints">
+                                    <i class="fas fa-plug me-2"></i>
+                                    Available API Endpoints
+                                    <i class="fas fa-chevron-down ms-2" id="chevronIcon"></i>
+                                </button>
+                            </h5>
+                            <div class="collapse" id="apiEndpoints">
+                                <div class="row">
+                                    <div class="col-md-6">
+                                        <ul class="list-group">
+                                            <li class="list-group-item d-flex justify-content-between">
+                                                <span><code>GET /health</code></span>
+                                                <span class="badge bg-info">Status</span>
+                                            </li>
+                                            <li class="list-group-item d-flex justify-content-between">
+                                                <span><code>GET /token</code></span>
+                                                <span class="badge bg-success">Generate</span>
+                                            </li>
+                                            <li class="list-group-item d-flex justify-content-between">
+                                                <span><code>GET /token/:clientId</code></span>
+                                                <span class="badge bg-success">Generate</span>
+                                            </li>
+                                            <li class="list-group-item d-flex justify-content-between">
+                                                <span><code>POST /token/:clientId</code></span>
+                                                <span class="badge bg-primary">Scoped</span>
+                                            </li>
+                                        </ul>
+                                    </div>
+                                    <div class="col-md-6">
+                                        <ul class="list-group">
+                                            <li class="list-group-item d-flex justify-content-between">
+                                                <span><code>GET /admin/tokens</code></span>
+                                                <span class="badge bg-info">List</span>
+                                            </li>
+                                            <li class="list-group-item d-flex justify-content-between">
+                                                <span><code>DELETE /admin/tokens</code></span>
+                                                <span class="badge bg-danger">Clear All</span>
+                                            </li>
+                                            <li class="list-group-item d-flex justify-content-between">
+                                                <span><code>DELETE /admin/tokens/:id</code></span>
+                                                <span class="badge bg-warning">Delete</span>
+                                            </li>
+                                            <li class="list-group-item d-flex justify-content-between">
+                                                <span><code>GET /admin/dashboard</code></span>
+                                                <span class="badge bg-secondary">Web UI</span>
+                                            </li>
+                                        </ul>
+                                    </div>
+                                </div>
+                            </div>
+                        </div>`;
+    }
+
+    /**
+     * Browser script: filtering, sorting, actions and live updates
+     */
+    renderScript() {
+        return `
+        const STATUS_ORDER = { expired: 0, expiring: 1, active: 2 };
+        const STATE_KEY = 'token-lease-dashboard';
+        const state = Object.assign({ client: '', status: '', sort: 'expires', direction: 1 }, JSON.parse(sessionStorage.getItem(STATE_KEY) || '{}'));
+
+        function saveState() {
+            sessionStorage.setItem(STATE_KEY, JSON.stringify(state));
+        }
+
+        function applyView() {
+            const table = document.getElementById('leasesTable');
+            const body = table.tBodies[0];
+            const rows = Array.from(body.rows);
+            table.hidden = rows.length === 0;
+            document.getElementById('emptyLeases').hidden = rows.length > 0;
+            const sortValue = {
+                client: row => row.dataset.client,
+                status: row => STATUS_ORDER[row.dataset.status],
+                expires: row => Number(row.dataset.expires),
+                created: row => Number(row.dataset.created)
+            }[state.sort];
+
+            rows.sort((a, b) => {
+                const left = sortValue(a);
+                const right = sortValue(b);
+                return (left < right ? -1 : left > right ? 1 : 0) * state.direction;
+            });
+
+            let visible = 0;
+            for (const row of rows) {
+                const matches = row.dataset.client.toLowerCase().includes(state.client.toLowerCase())
+                    && (!state.status || row.dataset.status === state.status);
+                row.hidden = !matches;
+                visible += matches ? 1 : 0;
+                body.appendChild(row);
+            }
+            document.getElementById('leaseCount').textContent = visible + ' of ' + rows.length + ' leases';
+        }
+
+        function showResult(html, kind) {
+            const result = document.getElementById('actionResult');
+            result.className = 'mt-3 small alert alert-' + kind;
+            result.innerHTML = html;
+        }
+
+        function escapeHtml(value) {
+            const element = document.createElement('span');
+            element.textContent = String(value);
+            return element.innerHTML;
+        }
+
+        // The browser adds the credentials it signed in to the page with
+        async function adminAction(path, body) {
+            const response = await fetch(path, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'same-origin',
+                body: JSON.stringify(body)
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                showResult('<strong>' + escapeHtml(data.error || response.status) + ':</strong> ' + escapeHtml(data.message || ''), 'danger');
+                return null;
+            }
+            return data;
+        }
+
+        async function revokeLease(tokenId) {
+            if (!confirm('Revoke lease ' + tokenId + '? The token stops working immediately.')) {
+                return;
+            }
+            const data = await adminAction('/admin/leases/' + encodeURIComponent(tokenId) + '/revoke', { confirm: true });
+            if (data) {
+                showResult(escapeHtml(data.message), 'info');
+            }
+        }
+
+        async function revokeClient(clientId) {
+            if (!confirm('Revoke every lease of client "' + clientId + '"?')) {
+                return;
+            }
+            const data = await adminAction('/admin/clients/' + encodeURIComponent(clientId) + '/revoke', { confirm: true });
+            if (data) {
+                showResult(escapeHtml(data.message), 'info');
+            }
+        }
+
+        function parseList(value) {
+            return value.split(',').map(item => item.trim()).filter(Boolean);
+        }
+
+        async function mintToken(event) {
+            event.preventDefault();
+            const clientId = document.getElementById('mintClient').value.trim();
+            const repositories = parseList(document.getElementById('mintRepositories').value);
+            const permissions = {};
+            for (const entry of parseList(document.getElementById('mintPermissions').value)) {
+                const [name, level] = entry.split(':').map(part => part.trim());
+                permissions[name] = level || 'read';
+            }
+            const ttl = document.getElementById('mintTtl').value;
+
+            const body = {};
+            if (repositories.length > 0) body.repositories = repositories;
+            if (Object.keys(permissions).length > 0) body.permissions = permissions;
+            if (ttl) body.ttl = Number(ttl);
+
+            const data = await adminAction('/admin/clients/' + encodeURIComponent(clientId) + '/token', body);
+            if (data) {
+                document.getElementById('mintForm').reset();
+                showResult(
+                    'Token minted for <strong>' + escapeHtml(data.clientId) + '</strong> (lease <code>' + escapeHtml(data.tokenId) + '</code>, expires ' +
+                    escapeHtml(new Date(data.expiresAt).toLocaleString()) + '). It is shown only once:' +
+                    '<div class="input-group input-group-sm mt-2"><input class="form-control font-monospace" readonly id="mintedToken">' +
+                    '<button class="btn btn-outline-secondary" type="button" id="copyToken"><i class="fas fa-copy"></i> Copy</button></div>',
+                    'success'
+                );
+                document.getElementById('mintedToken').value = data.token;
+                document.getElementById('copyToken').addEventListener('click', () => navigator.clipboard.writeText(data.token));
+            }
+        }
+
+        // Live updates: rows are added, renewed and removed as lease events arrive
+        const STATUS_BADGES = {
+            active: ['bg-success', 'fa-check-circle', 'Active'],
+            expiring: ['bg-warning text-dark', 'fa-exclamation-circle', 'Expiring'],
+            expired: ['bg-danger', 'fa-times-circle', 'Expired']
+        };
+
+        function element(tag, className, text) {
+            const node = document.createElement(tag);
+            if (className) node.className = className;
+            if (text !== undefined) node.textContent = text;
+            return node;
+        }
+
+        function smallCell(className, text) {
+            const cell = element('td', className);
+            cell.appendChild(element('small', 'text-muted', text));
+            return cell;
+        }
+
+        function buildRow(lease) {
+            const row = document.createElement('tr');
+            row.dataset.tokenId = lease.tokenId;
+            row.dataset.client = lease.clientId;
+            row.dataset.created = Date.parse(lease.createdAt || new Date().toISOString());
+
+            const idCell = element('td');
+            idCell.appendChild(element('code', 'text-muted', lease.tokenId));
+            const clientCell = element('td');
+            clientCell.appendChild(element('span', 'badge bg-secondary', lease.clientId));
+            row.append(
+                idCell,
+                clientCell,
+                smallCell('', lease.repositories ? lease.repositories.join(', ') : 'all'),
+                element('td', 'lease-status'),
+                element('td', 'lease-countdown'),
+                smallCell('', new Date(Number(row.dataset.created)).toLocaleString()),
+                smallCell('lease-expires')
+            );
+
+            if (document.getElementById('leasesTable').dataset.canRevoke === 'true') {
+                const actions = element('td', 'text-nowrap');
+                const revoke = element('button', 'btn btn-sm btn-outline-danger', ' Revoke');
+                revoke.dataset.revokeLease = lease.tokenId;
+                revoke.prepend(element('i', 'fas fa-ban'));
+                const revokeAll = element('button', 'btn btn-sm btn-outline-secondary ms-1', ' All for client');
+                revokeAll.dataset.revokeClient = lease.clientId;
+                revokeAll.prepend(element('i', 'fas fa-user-slash'));
+                actions.append(revoke, revokeAll);
+                row.appendChild(actions);
+            }
+
+            setExpiry(row, lease.expiresAt);
+            return row;
+        }
+
+        function findRow(tokenId) {
+            return Array.from(document.getElementById('leasesTable').tBodies[0].rows).find(row => row.dataset.tokenId === tokenId);
+        }
+
+        function setExpiry(row, expiresAt) {
+            row.dataset.expires = Date.parse(expiresAt);
+            row.querySelector('.lease-expires small').textContent = new Date(expiresAt).toLocaleString();
+            updateCountdown(row);
+        }
+
+        // Recompute a row's status and countdown from its expiry
+        function updateCountdown(row) {
+            const remaining = Number(row.dataset.expires) - Date.now();
+            const status = remaining <= 0 ? 'expired' : remaining <= ${EXPIRING_SOON} ? 'expiring' : 'active';
+            const countdown = row.querySelector('.lease-countdown');
+            countdown.replaceChildren(status === 'expired'
+                ? element('span', 'text-danger', 'Expired')
+                : element('span', status === 'expiring' ? 'text-warning' : 'text-success', Math.round(remaining / 1000) + 's'));
+
+            if (row.dataset.status !== status) {
+                row.dataset.status = status;
+                const [classes, icon, label] = STATUS_BADGES[status];
+                const badge = element('span', 'badge status-badge ' + classes, ' ' + label);
+                badge.prepend(element('i', 'fas ' + icon));
+                row.querySelector('.lease-status').replaceChildren(badge);
+                return true;
+            }
+            return false;
+        }
+
+        function upsertLease(lease) {
+            const existing = findRow(lease.tokenId);
+            if (existing) {
+                setExpiry(existing, lease.expiresAt);
+            } else {
+                document.getElementById('leasesTable').tBodies[0].appendChild(buildRow(lease));
+            }
+            applyView();
+        }
+
+        function removeLease(tokenId) {
+            const row = findRow(tokenId);
+            if (row) {
+                row.remove();
+                applyView();
+            }
+        }
+
+        // Keep only the leases in a snapshot, e.g. after reconnecting
+        function applySnapshot(leases) {
+            const current = new Set(leases.map(lease => lease.tokenId));
+            Array.from(document.getElementById('leasesTable').tBodies[0].rows)
+                .filter(row => !current.has(row.dataset.tokenId))
+                .forEach(row => row.remove());
+            leases.forEach(upsertLease);
+            applyView();
+        }
+
+        // Show the core limit closest to running out across installations and apps
+        const rateLimits = {};
+        function updateRateLimits(entries) {
+            entries.forEach(entry => { rateLimits[entry.key] = entry; });
+            const lowest = Object.values(rateLimits)
+                .map(entry => entry.resources.core)
+                .filter(Boolean)
+                .sort((a, b) => a.remaining - b.remaining)[0];
+            if (!lowest) {
+                return;
+            }
+            const badge = document.getElementById('rateLimitRemaining');
+            badge.className = 'badge ' + (lowest.remaining > 1000 ? 'bg-success' : lowest.remaining > 100 ? 'bg-warning' : 'bg-danger');
+            badge.textContent = lowest.remaining + '/' + lowest.limit;
+            document.getElementById('rateLimitReset').textContent = 'Reset: ' + new Date(lowest.reset * 1000).toLocaleTimeString();
+            document.getElementById('rateLimit').hidden = false;
+        }
+
+        function setLive(connected) {
+            document.getElementById('liveIndicator').className = 'fas fa-circle ' + (connected ? 'text-success' : 'text-warning');
+            document.getElementById('liveStatus').textContent = connected ? 'Live' : 'Reconnecting...';
+        }
+
+        function connectEvents() {
+            const events = new EventSource('/admin/events');
+            const parse = handler => message => handler(JSON.parse(message.data));
+
+            events.onopen = () => setLive(true);
+            events.onerror = () => setLive(false);
+            events.addEventListener('snapshot', parse(data => {
+                applySnapshot(data.leases);
+                updateRateLimits(data.rateLimits);
+            }));
+            events.addEventListener('rate_limit', parse(entry => updateRateLimits([entry])));
+            events.addEventListener('lease.issued', parse(entry => upsertLease({ ...entry, createdAt: entry.timestamp })));
+            events.addEventListener('lease.renewed', parse(upsertLease));
+            events.addEventListener('lease.released', parse(entry => {
+                if (!entry.holders) removeLease(entry.tokenId);
+            }));
+            events.addEventListener('lease.revoked', parse(entry => removeLease(entry.tokenId)));
+        }
+
+        setInterval(() => {
+            const rows = Array.from(document.getElementById('leasesTable').tBodies[0].rows);
+            const changed = rows.map(updateCountdown).some(Boolean);
+            if (changed && (state.status || state.sort === 'status')) {
+                applyView();
+            }
+        }, 1000);
+
+        // Add tooltips
+        document.addEventListener('DOMContentLoaded', function() {
+            var tooltipTriggerList = [].slice.call(document.querySelectorAll('[title]'));
+            var tooltipList = tooltipTriggerList.map(function (tooltipTriggerEl) {
+                return new bootstrap.Tooltip(tooltipTriggerEl);
+            });
+
+            // Handle collapsible section chevron rotation
+            const apiEndpointsCollapse = document.getElementById('apiEndpoints');
+            const chevronIcon = document.getElementById('chevronIcon');
+
+            apiEndpointsCollapse.addEventListener('show.bs.collapse', function () {
+                chevronIcon.classList.remove('fa-chevron-down');
+                chevronIcon.classList.add('fa-chevron-up');
+            });
+
+            apiEndpointsCollapse.addEventListener('hide.bs.collapse', function () {
+                chevronIcon.classList.remove('fa-chevron-up');
+                chevronIcon.classList.add('fa-chevron-down');
+            });
+
+            // Filters and sorting
+            const filterClient = document.getElementById('filterClient');
+            const filterStatus = document.getElementById('filterStatus');
+            filterClient.value = state.client;
+            filterStatus.value = state.status;
+            filterClient.addEventListener('input', () => { state.client = filterClient.value; saveState(); applyView(); });
+            filterStatus.addEventListener('change', () => { state.status = filterStatus.value; saveState(); applyView(); });
+            document.querySelectorAll('th[data-sort]').forEach(header => header.addEventListener('click', () => {
+                state.direction = state.sort === header.dataset.sort ? -state.direction : 1;
+                state.sort = header.dataset.sort;
+                saveState();
+                applyView();
+            }));
+            applyView();
+            connectEvents();
+
+            // Actions the signed-in role allows
+            const mintForm = document.getElementById('mintForm');
+            if (mintForm) {
+                mintForm.addEventListener('submit', mintToken);
+            }
+            if (document.getElementById('leasesTable').dataset.canRevoke === 'true') {
+                // Rows come and go with live updates, so listen on the table body
+                document.getElementById('leasesTable').tBodies[0].addEventListener('click', event => {
+                    const button = event.target.closest('button');
+                    if (button && button.dataset.revokeLease) {
+                        revokeLease(button.dataset.revokeLease);
+                    } else if (button && button.dataset.revokeClient) {
+                        revokeClient(button.dataset.revokeClient);
+                    }
+                });
+            }
+        });`;
+    }
+}
+
+module.exports = Dashboard;
@@ -0,0 +1,31 @@
+/**
+ * Error Types
+ *
+ * Errors raised by the token lease services that map directly onto an
+ * HTTP response. Route handlers use statusCode, error and details to build
+ * the JSON error body (and retryAfter for the Retry-After header); any other
+ * error is reported as a 500.
+ */
+
+class LeaseError extends Error {
+    constructor(message, { statusCode = 500, error = 'Internal error', details, retryAfter } = {}) {
+        super(message);
+        this.name = 'LeaseError';
+        this.statusCode = statusCode;
+        this.error = error;
+        this.details = details;
+        this.retryAfter = retryAfter;
+    }
+
+    toJSON() {
+        return {
+            success: false,
+            error: this.error,
+            message: this.message,
+            ...(this.details ? { details: this.details } : {}),
+            ...(this.retryAfter ? { retryAfter: this.retryAfter } : {})
+        };
+    }
+}
+
+module.exports = { LeaseError };
@@ -0,0 +1,136 @@
+/**
+ * Event Stream
+ *
+ * Pushes live server events to subscribers over Server-Sent Events including:
+ * - Every audit log entry (leases issued, renewed, released, revoked or expired)
+ * - A snapshot of the stored leases when a subscriber connects or reconnects
+ * - GitHub rate limit updates as they are recorded by the rate limit tracker
+ * - Keep-alive comments so idle connections survive proxies
+ *
+ * Events are named after the audit entry type ("lease.issued", "lease.revoked",
+ * ...), plus "snapshot" and "rate_limit". Subscribers may narrow the stream with
+ * ?types=lease.issued,lease.revoked; "snapshot" is always sent. Lease events never
+ * carry the token itself, only its fingerprint.
+ */
+
+const logger = require('./logger');
+
+class EventStream {
+    /**
+     * @param {Object} config - Uses eventsHeartbeatInterval
+     * @param {Object} services
+     * @param {AuditLog} services.auditLog
+     * @param {TokenStorage} services.tokenStorage
+     * @param {RateLimitTracker} services.rateLimitTracker
+     */
+    constructor(config, { auditLog = null, tokenStorage = null, rateLimitTracker = null } = {}) {
+        this.config = config;
+        this.auditLog = auditLog;
+        this.tokenStorage = tokenStorage;
+        this.rateLimitTracker = rateLimitTracker;
+        this.subscribers = new Set();
+        this.heartbeatTimer = null;
+        this.onEntry = entry => this.publish(entry.type, entry, entry.id);
+        this.onRateLimit = rateLimit => this.publish('rate_limit', rateLimit);
+
+        if (this.auditLog) {
+            this.auditLog.on('entry', this.onEntry);
+        }
+        if (this.rateLimitTracker) {
+            this.rateLimitTracker.on('update', this.onRateLimit);
+        }
+    }
+
+    get size() {
+        return this.subscribers.size;
+    }
+
+    /**
+     * Attach an HTTP request as a subscriber; the response stays open until the client disconnects
+     */
+    subscribe(req, res) {
+        const types = req.query.types ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean) : null;
+        const subscriber = { res, types };
+
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write('retry: 5000\n\n');
+
+        this.subscribers.add(subscriber);
+        logger.debug({ subscribers: this.subscribers.size, types, ip: req.ip }, '📡 Event stream subscriber connected');
+
+        req.on('close', () => {
+            this.subscribers.delete(subscriber);
+            logger.debug({ subscribers: this.subscribers.size }, '📡 Event stream subscriber disconnected');
+            if (this.subscribers.size === 0) {
+                this.stopHeartbeat();
+            }
+        });
+
+        this.send(subscriber, 'snapshot', {
+            leases: this.tokenStorage ? this.tokenStorage.getTokenStatus() : [],
+            rateLimits: this.rateLimitTracker ? this.rateLimitTracker.list() : [],
+            timestamp: new Date().toISOString()
+        });
+        this.startHeartbeat();
+    }
+
+    /**
+     * Send an event to every subscriber interested in its type
+     */
+    publish(type, data, id = null) {
+        for (const subscriber of this.subscribers) {
+            if (!subscriber.types || subscriber.types.includes(type)) {
+                this.send(subscriber, type, data, id);
+            }
+        }
+    }
+
+    send(subscriber, type, data, id = null) {
+        const lines = [`event: ${type}`];
+        if (id) {
+            lines.push(`id: ${id}`);
+        }
+        lines.push(`data: ${JSON.stringify(data)}`);
+        subscriber.res.write(lines.join('\n') + '\n\n');
+    }
+
+    startHeartbeat() {
+        if (!this.heartbeatTimer) {
+            this.heartbeatTimer = setInterval(() => {
+                for (const subscriber of this.subscribers) {
+                    subscriber.res.write(': keep-alive\n\n');
+                }
+            }, this.config.eventsHeartbeatInterval);
+        }
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    }
+
+    /**
+     * Disconnect every subscriber and stop listening for events
+     */
+    close() {
+        this.stopHeartbeat();
+        for (const subscriber of this.subscribers) {
+            subscriber.res.end();
+        }
+        this.subscribers.clear();
+        if (this.auditLog) {
+            this.auditLog.off('entry', this.onEntry);
+        }
+        if (this.rateLimitTracker) {
+            this.rateLimitTracker.off('update', this.onRateLimit);
+        }
+    }
+}
+
+module.exports = EventStream;
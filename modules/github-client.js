@@ -0,0 +1,341 @@
+/**
+ * GitHub Client
+ *
+ * Shared HTTP layer for every GitHub API request including:
+ * - A timeout on every request
+ * - Jittered exponential retries for failures that are safe to retry
+ * - Waiting out GitHub's Retry-After and rate limit reset headers
+ * - A circuit breaker that fails fast with a 503 while GitHub is down
+ * - Latency and rate limit metrics for every attempt
+ * - Reporting rate limit headers per installation or app to the rate limit tracker
+ * - A custom CA bundle and HTTP(S) proxy for GitHub Enterprise Server setups
+ *
+ * GET and DELETE requests are retried after network errors, timeouts and
+ * 5xx responses. POST requests create tokens, so they are only retried when
+ * GitHub cannot have acted on them: connection failures, 502/503/504 and
+ * rate limit rejections.
+ *
+ * Requests go through GITHUB_PROXY when it is set, otherwise through the
+ * standard HTTPS_PROXY / HTTP_PROXY variables, honouring NO_PROXY.
+ */
+
+const fs = require('fs');
+const https = require('https');
+const axios = require('axios');
+const { HttpProxyAgent } = require('http-proxy-agent');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { getProxyForUrl } = require('proxy-from-env');
+const logger = require('./logger');
+const { LeaseError } = require('./errors');
+
+const CIRCUIT_STATES = { closed: 'closed', open: 'open', halfOpen: 'half-open' };
+
+// Errors raised before the request reached GitHub
+const CONNECTION_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+// Errors where GitHub may or may not have processed the request
+const TRANSIENT_ERRORS = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// https-proxy-agent applies its TLS options to the proxy connection only;
+// the CA bundle has to reach the connection to GitHub inside the tunnel too
+class TunnelAgent extends HttpsProxyAgent {
+    constructor(proxy, options) {
+        super(proxy, options);
+        this.ca = options.ca;
+    }
+
+    connect(req, options) {
+        return super.connect(req, { ...options, ca: this.ca });
+    }
+}
+
+class GitHubClient {
+    constructor(config, { metrics = null, rateLimitTracker = null } = {}) {
+        this.timeout = config.githubTimeout;
+        this.maxRetries = config.githubMaxRetries;
+        this.retryBaseDelay = config.githubRetryBaseDelay;
+        this.maxRetryWait = config.githubMaxRetryWait;
+        this.failureThreshold = config.circuitBreakerThreshold;
+        this.resetTimeout = config.circuitBreakerResetTimeout;
+        this.metrics = metrics;
+        this.rateLimitTracker = rateLimitTracker;
+        this.proxy = config.githubProxy || null;
+        this.ca = config.githubCaBundle ? fs.readFileSync(config.githubCaBundle) : undefined;
+        // Agents are reused across requests so connections are kept alive
+        this.agents = new Map();
+
+        this.state = CIRCUIT_STATES.closed;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.lastFailure = null;
+        // rateLimitKey (or the operation for requests without one) -> when GitHub's exhausted
+        // rate limit resets. Every call counting against an app's or installation's limit
+        // waits it out, while other apps and installations carry on.
+        this.rateLimitedUntil = new Map();
+    }
+
+    get(operation, url, options = {}) {
+        return this.request(operation, 'get', (requestOptions) => axios.get(url, requestOptions), { ...this.getTransportOptions(url), ...options });
+    }
+
+    post(operation, url, body, options = {}) {
+        return this.request(operation, 'post', (requestOptions) => axios.post(url, body, requestOptions), { ...this.getTransportOptions(url), ...options });
+    }
+
+    delete(operation, url, options = {}) {
+        return this.request(operation, 'delete', (requestOptions) => axios.delete(url, requestOptions), { ...this.getTransportOptions(url), ...options });
+    }
+
+    /**
+     * Agent options for a request URL: the CA bundle and the proxy, if any
+     */
+    getTransportOptions(url) {
+        const proxy = this.proxy || getProxyForUrl(url) || null;
+        const secure = url.startsWith('https:');
+        if (!proxy && (!secure || !this.ca)) {
+            return {};
+        }
+
+        const key = `${secure ? 'https' : 'http'} ${proxy || 'direct'}`;
+        if (!this.agents.has(key)) {
+            const agentOptions = { keepAlive: true, ca: this.ca };
+            let agent;
+            if (proxy) {
+                agent = secure ? new TunnelAgent(proxy, agentOptions) : new HttpProxyAgent(proxy, agentOptions);
+            } else {
+                agent = new https.Agent(agentOptions);
+            }
+            this.agents.set(key, agent);
+        }
+
+        // The agent handles the proxy; stop axios from applying the proxy variables a second time
+        return secure
+            ? { httpsAgent: this.agents.get(key), proxy: false }
+            : { httpAgent: this.agents.get(key), proxy: false };
+    }
+
+    /**
+     * Send a request with timeout, retries and circuit breaking
+     * @param {string} operation - Metric and log label, e.g. create_token
+     * @param {string} method - HTTP method, decides which failures are retried
+     * @param {Function} send - Sends the request with the given axios options
+     * @param {Object} options - axios request options, plus rateLimitKey: the installation
+     *   or app (RateLimitTracker.installationKey/appKey) whose rate limit the request counts against
+     */
+    async request(operation, method, send, options) {
+        const { rateLimitKey = null, ...requestOptions } = options;
+        const limitKey = GitHubClient.limitKey(operation, rateLimitKey);
+        this.assertAvailable(operation, limitKey);
+
+        for (let attempt = 0; ; attempt++) {
+            const startedAt = process.hrtime.bigint();
+            const elapsed = () => Number(process.hrtime.bigint() - startedAt) / 1e9;
+
+            try {
+                const response = await send({ timeout: this.timeout, ...requestOptions });
+                this.metrics?.observeGitHubRequest(operation, response?.status || 200, elapsed(), response?.headers);
+                this.observeRateLimit(limitKey, response?.headers);
+                this.rateLimitTracker?.record(rateLimitKey, response?.headers);
+                this.recordSuccess();
+                return response;
+            } catch (error) {
+                const status = error.response?.status;
+                this.metrics?.observeGitHubRequest(operation, status || 'error', elapsed(), error.response?.headers);
+                this.observeRateLimit(limitKey, error.response?.headers);
+                this.rateLimitTracker?.record(rateLimitKey, error.response?.headers);
+
+                const rateLimitWait = this.getRateLimitWait(error);
+                if (rateLimitWait === null && this.isOutage(error)) {
+                    this.recordFailure(operation, error);
+                } else {
+                    // GitHub answered, even if it refused the request
+                    this.recordSuccess();
+                }
+
+                const delay = this.getRetryDelay(method, error, attempt, rateLimitWait);
+                if (delay === null) {
+                    if (rateLimitWait !== null) {
+                        throw this.rateLimitError(rateLimitWait);
+                    }
+                    throw error;
+                }
+
+                logger.warn({ operation, attempt: attempt + 1, status, code: error.code, delay }, `🔁 GitHub request failed, retrying in ${delay}ms`);
+                await sleep(delay);
+                this.assertAvailable(operation, limitKey);
+                this.metrics?.githubRetries.inc({ operation });
+            }
+        }
+    }
+
+    /**
+     * Whether a failure suggests GitHub is unreachable or unhealthy
+     */
+    isOutage(error) {
+        if (!error.response) {
+            return CONNECTION_ERRORS.includes(error.code) || TRANSIENT_ERRORS.includes(error.code) || Boolean(error.request);
+        }
+        return error.response.status >= 500;
+    }
+
+    /**
+     * How long GitHub asks us to wait before trying again, or null when the
+     * failure is not a rate limit rejection
+     */
+    getRateLimitWait(error) {
+        const status = error.response?.status;
+        if (status !== 403 && status !== 429) {
+            return null;
+        }
+        const headers = error.response.headers || {};
+
+        if (headers['retry-after'] !== undefined) {
+            return Number(headers['retry-after']) * 1000;
+        }
+        if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+            return Math.max(0, Number(headers['x-ratelimit-reset']) * 1000 - Date.now());
+        }
+        // Secondary rate limits without headers: GitHub recommends waiting at least a minute
+        const message = String(error.response.data?.message || '');
+        if (status === 429 || /secondary rate limit/i.test(message)) {
+            return 60 * 1000;
+        }
+        return null;
+    }
+
+    /**
+     * Delay before the next attempt, or null when the failure should not be retried
+     */
+    getRetryDelay(method, error, attempt, rateLimitWait) {
+        if (attempt >= this.maxRetries) {
+            return null;
+        }
+
+        if (rateLimitWait !== null) {
+            return rateLimitWait <= this.maxRetryWait ? rateLimitWait : null;
+        }
+
+        const status = error.response?.status;
+        let retryable;
+        if (method === 'post') {
+            retryable = error.response
+                ? [502, 503, 504].includes(status)
+                : CONNECTION_ERRORS.includes(error.code);
+        } else {
+            retryable = error.response ? status >= 500 : this.isOutage(error);
+        }
+        if (!retryable) {
+            return null;
+        }
+
+        // Exponential backoff with jitter so concurrent requests don't retry in lockstep
+        const backoff = this.retryBaseDelay * 2 ** attempt;
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+
+    /**
+     * Key of the rate limit a request counts against: its installation or app, or the operation when unknown
+     */
+    static limitKey(operation, rateLimitKey = null) {
+        return rateLimitKey || operation;
+    }
+
+    observeRateLimit(limitKey, headers) {
+        if (headers?.['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+            this.rateLimitedUntil.set(limitKey, Number(headers['x-ratelimit-reset']) * 1000);
+        } else if (headers?.['x-ratelimit-remaining'] !== undefined) {
+            this.rateLimitedUntil.delete(limitKey);
+        }
+    }
+
+    rateLimitError(waitMs) {
+        const retryAfter = Math.max(1, Math.ceil(waitMs / 1000));
+        return new LeaseError(`GitHub API rate limit exceeded; retry after ${retryAfter}s`, {
+            statusCode: 503,
+            error: 'GitHub rate limited',
+            retryAfter
+        });
+    }
+
+    /**
+     * Fail fast while the circuit is open or the rate limit is known to be exhausted
+     */
+    assertAvailable(operation, limitKey = operation) {
+        const now = Date.now();
+
+        const rateLimitedUntil = this.rateLimitedUntil.get(limitKey);
+        if (rateLimitedUntil > now) {
+            throw this.rateLimitError(rateLimitedUntil - now);
+        }
+
+        if (this.state === CIRCUIT_STATES.halfOpen) {
+            throw new LeaseError(`GitHub API is unavailable after ${this.consecutiveFailures} consecutive failures (last: ${this.lastFailure}); checking whether it recovered`, {
+                statusCode: 503,
+                error: 'GitHub unavailable',
+                retryAfter: 1
+            });
+        }
+
+        if (this.state === CIRCUIT_STATES.open) {
+            const retryAt = this.openedAt + this.resetTimeout;
+            if (now < retryAt) {
+                const retryAfter = Math.max(1, Math.ceil((retryAt - now) / 1000));
+                throw new LeaseError(`GitHub API is unavailable after ${this.consecutiveFailures} consecutive failures (last: ${this.lastFailure}); retry after ${retryAfter}s`, {
+                    statusCode: 503,
+                    error: 'GitHub unavailable',
+                    retryAfter
+                });
+            }
+            // Let a single trial request through
+            this.setState(CIRCUIT_STATES.halfOpen);
+            logger.info({ operation }, '🔌 GitHub circuit half-open, sending a trial request');
+        }
+    }
+
+    recordSuccess() {
+        if (this.state !== CIRCUIT_STATES.closed) {
+            logger.info({ failures: this.consecutiveFailures }, '✅ GitHub API recovered, circuit closed');
+        }
+        this.consecutiveFailures = 0;
+        this.setState(CIRCUIT_STATES.closed);
+    }
+
+    recordFailure(operation, error) {
+        this.consecutiveFailures++;
+        this.lastFailure = error.response ? `${operation} returned ${error.response.status}` : `${operation} failed: ${error.code || error.message}`;
+
+        if (this.state === CIRCUIT_STATES.halfOpen || (this.state === CIRCUIT_STATES.closed && this.failureThreshold > 0 && this.consecutiveFailures >= this.failureThreshold)) {
+            this.openedAt = Date.now();
+            this.setState(CIRCUIT_STATES.open);
+            logger.error({ failures: this.consecutiveFailures, lastFailure: this.lastFailure, resetTimeout: this.resetTimeout }, '🚨 GitHub circuit opened, failing fast');
+        }
+    }
+
+    setState(state) {
+        this.state = state;
+        this.metrics?.githubCircuitState.set(Object.values(CIRCUIT_STATES).indexOf(state));
+    }
+
+    /**
+     * Circuit breaker and rate limit status, as reported by /health
+     */
+    getStatus() {
+        const now = Date.now();
+        const rateLimited = {};
+        for (const [limitKey, until] of this.rateLimitedUntil) {
+            if (until > now) {
+                rateLimited[limitKey] = new Date(until).toISOString();
+            }
+        }
+        return {
+            circuit: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            lastFailure: this.lastFailure,
+            openedAt: this.openedAt && this.state !== CIRCUIT_STATES.closed ? new Date(this.openedAt).toISOString() : null,
+            rateLimitedUntil: rateLimited
+        };
+    }
+}
+
+module.exports = GitHubClient;
@@ -4,42 +4,96 @@
  * Handles GitHub App authentication and token management including:
  * - JWT token generation for GitHub App authentication
  * - Installation access token creation from GitHub API
+ * - Installation discovery for every configured GitHub App
  * - Token revocation through GitHub API
+ * - Reading an installation's rate limits with an existing token
+ * - github.com or GitHub Enterprise Server, per app
+ * - Timeouts, retries and circuit breaking through the shared GitHub client
  * 
  * This service encapsulates all GitHub-specific token operations and
  * provides a clean interface for the token lease server.
  */
 
 const jwt = require('jsonwebtoken');
-const axios = require('axios');
 const logger = require('./logger');
+const InstallationCatalog = require('./installation-catalog');
+const GitHubClient = require('./github-client');
+const RateLimitTracker = require('./rate-limit-tracker');
+
+const DEFAULT_API_URL = 'https://api.github.com';
+
+// Installation tokens are valid for one hour
+const GITHUB_TOKEN_TTL = 60 * 60 * 1000;
 
 class GitHubTokenService {
-    constructor(config, privateKey) {
+    constructor(config, privateKey, installationCatalog = null, services = {}) {
         this.config = config;
         this.privateKey = privateKey;
+        this.installationCatalog = installationCatalog || GitHubTokenService.createSingleAppCatalog(config, privateKey);
+        this.githubClient = services.githubClient || new GitHubClient(config, { metrics: services.metrics });
+    }
+
+    /**
+     * Build a catalog holding just the app and installation from the config
+     */
+    static createSingleAppCatalog(config, privateKey) {
+        const catalog = new InstallationCatalog();
+        catalog.addApp({ appId: config.appId, privateKey });
+        if (config.installationId) {
+            catalog.upsertInstallation({ installationId: config.installationId, appId: config.appId, source: 'config' });
+            catalog.setDefaultInstallation(config.installationId);
+        }
+        return catalog;
+    }
+
+    /**
+     * Base URL of the GitHub API an app talks to
+     * @param {string} appId - App whose apiUrl overrides GITHUB_API_URL; defaults to the first configured app
+     */
+    getApiUrl(appId = null) {
+        const app = this.installationCatalog.apps.get(String(appId || this.installationCatalog.defaultAppId));
+        return (app?.apiUrl || this.config.githubApiUrl || DEFAULT_API_URL).replace(/\/+$/, '');
+    }
+
+    /**
+     * Base URL of the GitHub API an installation's tokens belong to
+     */
+    getInstallationApiUrl(installationId = null) {
+        const installation = installationId ? this.installationCatalog.get(installationId) : null;
+        return this.getApiUrl(installation?.appId);
     }
 
     /**
      * Generate JWT token for GitHub App authentication
+     * @param {string} appId - App to sign for; defaults to the first configured app
      */
-    generateJWT() {
+    generateJWT(appId = null) {
+        const app = this.installationCatalog.getApp(appId);
         const payload = {
             iat: Math.floor(Date.now() / 1000),
             exp: Math.floor(Date.now() / 1000) + (9 * 60), // <10 minutes expiration
-            iss: this.config.appId
+            iss: app.appId
         };
         
-        return jwt.sign(payload, this.privateKey, { algorithm: 'RS256' });
+        return jwt.sign(payload, app.privateKey, { algorithm: 'RS256' });
     }
 
     /**
      * Generate installation access token from GitHub
      * @param {string[]} repositories - Optional array of repository names to limit access
+     * @param {Object} options
+     * @param {Object} options.permissions - Optional permissions to downscope the token to, e.g. { contents: 'read' }
+     * @param {string} options.installationId - Installation to issue the token for; defaults to the catalog default
+     * @param {string} options.owner - Org or user login used to look the installation up
      */
-    async generateInstallationToken(repositories = null) {
-        // Generate JWT
-        const jwtToken = this.generateJWT();
+    async generateInstallationToken(repositories = null, options = {}) {
+        const installation = this.installationCatalog.resolve({
+            installationId: options.installationId,
+            owner: options.owner
+        });
+
+        // Generate JWT for the app that owns the installation
+        const jwtToken = this.generateJWT(installation.appId);
         
         // Prepare request body
         const requestBody = {};
@@ -47,12 +101,18 @@ class GitHubTokenService {
             requestBody.repositories = repositories;
             logger.debug({ repositories }, 'Requesting token with specific repository access');
         }
+        if (options.permissions && Object.keys(options.permissions).length > 0) {
+            requestBody.permissions = options.permissions;
+            logger.debug({ permissions: options.permissions }, 'Requesting token with specific permissions');
+        }
         
         try {
-            const response = await axios.post(
-                `https://api.github.com/app/installations/${this.config.installationId}/access_tokens`,
+            const response = await this.githubClient.post(
+                'create_token',
+                `${this.getApiUrl(installation.appId)}/app/installations/${installation.installationId}/access_tokens`,
                 requestBody,
                 {
+                    rateLimitKey: RateLimitTracker.appKey(installation.appId),
                     headers: {
                         Authorization: `Bearer ${jwtToken}`,
                         Accept: 'application/vnd.github.v3+json',
@@ -63,64 +123,122 @@ class GitHubTokenService {
             
             logger.debug({ response: response.data }, '🔍 Full token response from GitHub');
             
-            // Use custom tokenLifespan instead of GitHub's default 1-hour expiration
+            // GitHub's real expiry is the ceiling for the lease; the lease itself
+            // (TOKEN_LIFESPAN or a requested TTL) is decided by the caller
             const now = Date.now();
-            const tokenLifespanMs = this.config.tokenLifespan;
-            const customExpiresAt = now + tokenLifespanMs;
+            const parsedExpiresAt = Date.parse(response.data.expires_at);
+            const githubExpiresAt = parsedExpiresAt > now ? parsedExpiresAt : now + GITHUB_TOKEN_TTL;
             
-            // Parse GitHub's expires_at with detailed logging
-            logger.debug({ customExpiresAt: new Date(customExpiresAt).toISOString(), tokenLifespanMs }, '🔍 Custom expiration calculated');
+            logger.debug({ githubExpiresAt: new Date(githubExpiresAt).toISOString() }, '🔍 GitHub token expiration parsed');
             
             return {
                 token: response.data.token,
-                expiresAt: customExpiresAt,
+                expiresAt: githubExpiresAt,
+                githubExpiresAt,
                 permissions: response.data.permissions,
-                repositorySelection: response.data.repository_selection
+                repositorySelection: response.data.repository_selection,
+                installationId: installation.installationId,
+                appId: installation.appId,
+                owner: installation.owner
             };
         } catch (error) {
-            logger.error({ error: error.response?.data || error.message }, 'Error getting installation access token');
+            logger.error({ error: error.response?.data || error.message, installationId: installation.installationId }, 'Error getting installation access token');
             throw error;
         }
     }
 
     /**
-     * Check GitHub API rate limit status using installation token
+     * List the installations of a GitHub App
      */
-    async getRateLimit() {
+    async listInstallations(appId) {
+        const jwtToken = this.generateJWT(appId);
+        const installations = [];
+        const perPage = 100;
+
+        for (let page = 1; ; page++) {
+            const response = await this.githubClient.get('list_installations', `${this.getApiUrl(appId)}/app/installations`, {
+                params: { per_page: perPage, page },
+                rateLimitKey: RateLimitTracker.appKey(appId),
+                headers: {
+                    Authorization: `Bearer ${jwtToken}`,
+                    Accept: 'application/vnd.github.v3+json',
+                    'User-Agent': 'token-lease-server'
+                }
+            });
+
+            for (const installation of response.data) {
+                installations.push({
+                    installationId: installation.id,
+                    owner: installation.account?.login || null,
+                    ownerType: installation.account?.type || null,
+                    repositorySelection: installation.repository_selection || null,
+                    status: installation.suspended_at ? 'suspended' : 'active'
+                });
+            }
+
+            if (response.data.length < perPage) {
+                return installations;
+            }
+        }
+    }
+
+    /**
+     * Discover the installations of every configured app and update the catalog
+     */
+    async refreshInstallations() {
+        const errors = [];
+
+        for (const app of this.installationCatalog.listApps()) {
+            try {
+                const installations = await this.listInstallations(app.appId);
+                this.installationCatalog.setDiscoveredInstallations(app.appId, installations);
+                logger.info({ appId: app.appId, installations: installations.length }, `🏢 Discovered ${installations.length} installations for app ${app.appId}`);
+            } catch (error) {
+                errors.push({ appId: app.appId, error: error.response?.data?.message || error.message });
+                logger.error({ appId: app.appId, error: error.response?.data || error.message }, '❌ Failed to discover installations');
+            }
+        }
+
+        return {
+            installations: this.installationCatalog.list(),
+            errors
+        };
+    }
+
+    /**
+     * Read an installation's rate limits with one of its tokens. GET /rate_limit
+     * does not count against the limit, so this costs nothing.
+     * @returns {Object|null} Resources (core, search, ...) with limit, remaining, used and reset, or null on failure
+     */
+    async fetchRateLimit(token, installationId) {
         try {
-            // Generate a temporary installation token for rate limit check
-            const tokenData = await this.generateInstallationToken();
-            
-            const response = await axios.get('https://api.github.com/rate_limit', {
+            const response = await this.githubClient.get('rate_limit', `${this.getInstallationApiUrl(installationId)}/rate_limit`, {
+                rateLimitKey: RateLimitTracker.installationKey(installationId),
                 headers: {
-                    Authorization: `token ${tokenData.token}`,
+                    Authorization: `token ${token}`,
                     Accept: 'application/vnd.github.v3+json',
                     'User-Agent': 'token-lease-server'
                 }
             });
-            
-            // Optionally revoke the temporary token to keep things clean
-            await this.revokeToken(tokenData.token);
-            
-            return {
-                core: response.data.resources.core,
-                integration_manifest: response.data.resources.integration_manifest || response.data.resources.integration,
-                timestamp: new Date().toISOString()
-            };
+            return response.data.resources;
         } catch (error) {
-            logger.error({ error: error.response?.data || error.message }, 'Error getting rate limit status');
+            logger.error({ error: error.response?.data || error.message, installationId }, 'Error getting rate limit status');
             return null;
         }
     }
 
     /**
      * Revoke an installation access token
+     * @param {string} token
+     * @param {string} installationId - Installation the token was issued for, which decides the API it is sent to
      */
-    async revokeToken(token) {
+    async revokeToken(token, installationId = null) {
         try {
-            await axios.delete(
-                `https://api.github.com/installation/token`,
+            await this.githubClient.delete(
+                'revoke_token',
+                `${this.getInstallationApiUrl(installationId)}/installation/token`,
                 {
+                    rateLimitKey: installationId ? RateLimitTracker.installationKey(installationId) : null,
                     headers: {
                         Authorization: `token ${token}`,
                         Accept: 'application/vnd.github.v3+json',
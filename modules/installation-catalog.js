@@ -0,0 +1,194 @@
+/**
+ * Installation Catalog
+ *
+ * Keeps track of every GitHub App and installation the server can lease
+ * tokens for including:
+ * - Registering apps with their private keys (one JWT signer per app) and API URL
+ * - Registering installations from configuration or from discovery
+ * - Looking installations up by ID or by owner (org/user login)
+ * - Resolving which installation a token request should use
+ * - Refusing installations that were suspended or uninstalled on GitHub
+ *
+ * Installations listed in configuration are kept across refreshes; installations
+ * discovered through the GitHub API are replaced on every refresh of their app.
+ */
+
+const { LeaseError } = require('./errors');
+
+class InstallationCatalog {
+    constructor() {
+        // appId -> { appId, privateKey, apiUrl }
+        this.apps = new Map();
+        // installationId -> { installationId, appId, owner, ownerType, repositorySelection, repositories, status, source }
+        this.installations = new Map();
+        this.defaultAppId = null;
+        this.defaultInstallationId = null;
+        this.lastRefreshedAt = null;
+    }
+
+    /**
+     * Register a GitHub App and any installations configured for it
+     * @param {Object} app
+     * @param {string|number} app.appId
+     * @param {string} app.privateKey - PEM encoded private key used to sign JWTs
+     * @param {Object} app.installations - Optional map of owner login -> installation ID
+     * @param {string} app.apiUrl - GitHub API the app lives on; null for the server default
+     */
+    addApp({ appId, privateKey, installations = {}, apiUrl = null }) {
+        const id = String(appId);
+        this.apps.set(id, { appId: id, privateKey, apiUrl });
+        if (!this.defaultAppId) {
+            this.defaultAppId = id;
+        }
+
+        for (const [owner, installationId] of Object.entries(installations)) {
+            this.upsertInstallation({ installationId, appId: id, owner, source: 'config' });
+        }
+    }
+
+    /**
+     * Get an app by ID, or the default app when no ID is given
+     */
+    getApp(appId = null) {
+        const app = this.apps.get(String(appId || this.defaultAppId));
+        if (!app) {
+            throw new Error(`❌ Unknown GitHub App: ${appId}`);
+        }
+        return app;
+    }
+
+    listApps() {
+        return Array.from(this.apps.values());
+    }
+
+    setDefaultInstallation(installationId) {
+        this.defaultInstallationId = installationId ? String(installationId) : null;
+    }
+
+    /**
+     * Add an installation or merge new details into an existing one
+     * @param {Object} installation
+     * @param {string[]} installation.repositories - Selected repositories when known; null for all, undefined to keep
+     * @param {string} installation.status - active, suspended or deleted; null to keep
+     */
+    upsertInstallation({ installationId, appId, owner = null, ownerType = null, repositorySelection = null, repositories, status = null, source = 'discovered' }) {
+        const id = String(installationId);
+        const existing = this.installations.get(id) || {};
+        const installation = {
+            ...existing,
+            installationId: id,
+            appId: String(appId || existing.appId || this.defaultAppId),
+            owner: owner || existing.owner || null,
+            ownerType: ownerType || existing.ownerType || null,
+            repositorySelection: repositorySelection || existing.repositorySelection || null,
+            repositories: repositories === undefined ? existing.repositories ?? null : repositories,
+            status: status || existing.status || 'active',
+            // Configured installations stay configured even after being discovered
+            source: existing.source === 'config' ? 'config' : source
+        };
+        this.installations.set(id, installation);
+        return installation;
+    }
+
+    /**
+     * Replace the discovered installations of an app with a fresh listing from GitHub
+     */
+    setDiscoveredInstallations(appId, installations) {
+        const id = String(appId);
+        for (const [installationId, installation] of this.installations) {
+            if (installation.appId === id && installation.source === 'discovered') {
+                this.installations.delete(installationId);
+            }
+        }
+        for (const installation of installations) {
+            this.upsertInstallation({ ...installation, appId: id, source: 'discovered' });
+        }
+        this.lastRefreshedAt = Date.now();
+    }
+
+    get(installationId) {
+        return this.installations.get(String(installationId)) || null;
+    }
+
+    findByOwner(owner) {
+        const login = String(owner).toLowerCase();
+        for (const installation of this.installations.values()) {
+            if (installation.owner && installation.owner.toLowerCase() === login) {
+                return installation;
+            }
+        }
+        return null;
+    }
+
+    list() {
+        return Array.from(this.installations.values());
+    }
+
+    get size() {
+        return this.installations.size;
+    }
+
+    /**
+     * Resolve the installation a token request should use
+     * @param {Object} selector
+     * @param {string} selector.owner - Org or user login the installation belongs to
+     * @param {string|number} selector.installationId - Explicit installation ID
+     */
+    resolve({ owner = null, installationId = null } = {}) {
+        if (installationId) {
+            const installation = this.get(installationId);
+            if (!installation) {
+                throw new LeaseError(`Unknown installation: ${installationId}`, { statusCode: 404, error: 'Installation not found' });
+            }
+            return this.assertAvailable(installation);
+        }
+
+        if (owner) {
+            const installation = this.findByOwner(owner);
+            if (!installation) {
+                throw new LeaseError(`No installation found for owner: ${owner}`, { statusCode: 404, error: 'Installation not found' });
+            }
+            return this.assertAvailable(installation);
+        }
+
+        if (this.defaultInstallationId && this.get(this.defaultInstallationId)) {
+            return this.assertAvailable(this.get(this.defaultInstallationId));
+        }
+        if (this.installations.size === 1) {
+            return this.assertAvailable(this.list()[0]);
+        }
+        if (this.installations.size === 0) {
+            throw new LeaseError('No installations are available; refresh the installation catalog', {
+                statusCode: 503,
+                error: 'No installations'
+            });
+        }
+
+        throw new LeaseError('Multiple installations are available; specify an owner or installation', {
+            statusCode: 400,
+            error: 'Installation required'
+        });
+    }
+
+    /**
+     * Refuse installations GitHub reported as suspended or uninstalled
+     */
+    assertAvailable(installation) {
+        const name = installation.owner ? `${installation.installationId} (${installation.owner})` : installation.installationId;
+        if (installation.status === 'suspended') {
+            throw new LeaseError(`Installation ${name} is suspended on GitHub; tokens can be issued again once it is unsuspended`, {
+                statusCode: 403,
+                error: 'Installation suspended'
+            });
+        }
+        if (installation.status === 'deleted') {
+            throw new LeaseError(`The app was uninstalled from installation ${name}; tokens can no longer be issued for it`, {
+                statusCode: 410,
+                error: 'Installation deleted'
+            });
+        }
+        return installation;
+    }
+}
+
+module.exports = InstallationCatalog;
@@ -0,0 +1,268 @@
+/**
+ * Metrics
+ *
+ * Exposes Prometheus metrics for the token lease server including:
+ * - Tokens issued, reused and revoked, and failed revocations
+ * - GitHub API request latency by operation and status, retries and circuit state
+ * - Token cleanup runs and the expired leases they removed
+ * - Active leases per client and the last GitHub rate limit seen
+ * - Failed revocations waiting in the retry queue
+ *
+ * Lease counters are fed from the audit log's "entry" events, so every
+ * decision that is audited is also counted. Each Metrics instance owns its
+ * own registry, which keeps several servers in one process apart.
+ */
+
+const client = require('prom-client');
+
+const PREFIX = 'token_lease_';
+
+class Metrics {
+    constructor({ tokenStorage = null, revocationQueue = null, collectDefaults = true } = {}) {
+        this.registry = new client.Registry();
+        this.tokenStorage = tokenStorage;
+        this.revocationQueue = revocationQueue;
+
+        if (collectDefaults) {
+            client.collectDefaultMetrics({ register: this.registry, prefix: PREFIX });
+        }
+
+        this.tokensIssued = new client.Counter({
+            name: `${PREFIX}tokens_issued_total`,
+            help: 'Tokens handed out to clients, by how they were obtained (fresh, reused or rotated)',
+            labelNames: ['client_id', 'source'],
+            registers: [this.registry]
+        });
+
+        this.tokensRevoked = new client.Counter({
+            name: `${PREFIX}tokens_revoked_total`,
+            help: 'Tokens revoked through the GitHub API, by reason',
+            labelNames: ['reason'],
+            registers: [this.registry]
+        });
+
+        this.revocationFailures = new client.Counter({
+            name: `${PREFIX}revocation_failures_total`,
+            help: 'Token revocations the GitHub API did not confirm, by reason',
+            labelNames: ['reason'],
+            registers: [this.registry]
+        });
+
+        this.leaseFailures = new client.Counter({
+            name: `${PREFIX}lease_failures_total`,
+            help: 'Refused or failed lease operations, by action and HTTP status',
+            labelNames: ['action', 'status'],
+            registers: [this.registry]
+        });
+
+        this.githubRequestDuration = new client.Histogram({
+            name: `${PREFIX}github_request_duration_seconds`,
+            help: 'Latency of GitHub API requests, by operation and HTTP status',
+            labelNames: ['operation', 'status'],
+            buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+            registers: [this.registry]
+        });
+
+        this.githubRetries = new client.Counter({
+            name: `${PREFIX}github_retries_total`,
+            help: 'GitHub API requests retried after a failure, by operation',
+            labelNames: ['operation'],
+            registers: [this.registry]
+        });
+
+        this.githubCircuitState = new client.Gauge({
+            name: `${PREFIX}github_circuit_state`,
+            help: 'State of the GitHub circuit breaker (0 closed, 1 open, 2 half-open)',
+            registers: [this.registry]
+        });
+
+        this.githubRateLimitRemaining = new client.Gauge({
+            name: `${PREFIX}github_rate_limit_remaining`,
+            help: 'Requests remaining in the GitHub rate limit window, as last reported by GitHub',
+            labelNames: ['resource'],
+            registers: [this.registry]
+        });
+
+        this.githubRateLimitLimit = new client.Gauge({
+            name: `${PREFIX}github_rate_limit_limit`,
+            help: 'Size of the GitHub rate limit window, as last reported by GitHub',
+            labelNames: ['resource'],
+            registers: [this.registry]
+        });
+
+        this.githubRateLimitReset = new client.Gauge({
+            name: `${PREFIX}github_rate_limit_reset_timestamp_seconds`,
+            help: 'When the current GitHub rate limit window resets (Unix time)',
+            labelNames: ['resource'],
+            registers: [this.registry]
+        });
+
+        this.cleanupRuns = new client.Counter({
+            name: `${PREFIX}cleanup_runs_total`,
+            help: 'Expired token cleanup runs',
+            registers: [this.registry]
+        });
+
+        this.cleanupDuration = new client.Histogram({
+            name: `${PREFIX}cleanup_duration_seconds`,
+            help: 'Duration of expired token cleanup runs',
+            buckets: [0.01, 0.1, 0.5, 1, 5, 15, 60],
+            registers: [this.registry]
+        });
+
+        this.cleanupRemoved = new client.Counter({
+            name: `${PREFIX}cleanup_removed_total`,
+            help: 'Expired leases removed by cleanup runs',
+            registers: [this.registry]
+        });
+
+        this.lastCleanup = new client.Gauge({
+            name: `${PREFIX}cleanup_last_run_timestamp_seconds`,
+            help: 'When the last cleanup run finished (Unix time)',
+            registers: [this.registry]
+        });
+
+        this.revocationsAbandoned = new client.Counter({
+            name: `${PREFIX}revocations_abandoned_total`,
+            help: 'Tokens left to expire naturally after every revocation retry failed',
+            registers: [this.registry]
+        });
+
+        const metrics = this;
+        this.revocationQueueSize = new client.Gauge({
+            name: `${PREFIX}revocation_queue_size`,
+            help: 'Tokens waiting in the revocation retry queue, by status (pending or unrevocable)',
+            labelNames: ['status'],
+            registers: [this.registry],
+            collect() {
+                if (metrics.revocationQueue) {
+                    for (const [status, count] of Object.entries(metrics.revocationQueue.getCounts())) {
+                        this.set({ status }, count);
+                    }
+                }
+            }
+        });
+
+        this.activeLeases = new client.Gauge({
+            name: `${PREFIX}active_leases`,
+            help: 'Unexpired leases currently held, by client',
+            labelNames: ['client_id'],
+            registers: [this.registry],
+            collect() {
+                metrics.collectActiveLeases(this);
+            }
+        });
+    }
+
+    collectActiveLeases(gauge) {
+        gauge.reset();
+        if (!this.tokenStorage) {
+            return;
+        }
+        const now = Date.now();
+        const counts = {};
+        for (const lease of this.tokenStorage.getAll()) {
+            if (lease.expiresAt > now) {
+                counts[lease.clientId] = (counts[lease.clientId] || 0) + 1;
+            }
+        }
+        for (const [clientId, count] of Object.entries(counts)) {
+            gauge.set({ client_id: clientId }, count);
+        }
+    }
+
+    /**
+     * Count lease decisions recorded in the audit log
+     */
+    observeAuditLog(auditLog) {
+        auditLog.on('entry', entry => this.recordAuditEntry(entry));
+    }
+
+    recordAuditEntry(entry) {
+        switch (entry.type) {
+            case 'lease.issued':
+                this.tokensIssued.inc({ client_id: entry.clientId, source: 'fresh' });
+                break;
+            case 'lease.reused':
+                this.tokensIssued.inc({ client_id: entry.clientId, source: 'reused' });
+                break;
+            case 'lease.renewed':
+                if (entry.rotated) {
+                    this.tokensIssued.inc({ client_id: entry.clientId, source: 'rotated' });
+                    this.recordRevocation('rotated', entry.previousRevoked);
+                }
+                break;
+            case 'lease.released':
+                // Shared leases are only revoked when the last holder releases them
+                if (!entry.holders) {
+                    this.recordRevocation('released', entry.revoked);
+                }
+                break;
+            case 'lease.revoked':
+                this.recordRevocation(entry.reason, entry.revoked);
+                break;
+            case 'lease.failed':
+                this.leaseFailures.inc({ action: entry.action, status: String(entry.statusCode) });
+                break;
+            case 'revocation.retried':
+                this.recordRevocation(entry.reason, entry.revoked);
+                break;
+            case 'revocation.abandoned':
+                this.revocationsAbandoned.inc();
+                break;
+        }
+    }
+
+    recordRevocation(reason, revoked) {
+        if (revoked) {
+            this.tokensRevoked.inc({ reason });
+        } else {
+            this.revocationFailures.inc({ reason });
+        }
+    }
+
+    /**
+     * Record a GitHub API request and the rate limit headers of its response
+     * @param {string} operation - e.g. create_token, revoke_token
+     * @param {number|string} status - HTTP status, or "error" when no response arrived
+     * @param {number} seconds - Request duration
+     * @param {Object} headers - Response headers
+     */
+    observeGitHubRequest(operation, status, seconds, headers = {}) {
+        this.githubRequestDuration.observe({ operation, status: String(status) }, seconds);
+
+        // The gauges stay absent until GitHub has reported a rate limit
+        const resource = headers?.['x-ratelimit-resource'] || 'core';
+        const rateLimit = [
+            ['x-ratelimit-remaining', this.githubRateLimitRemaining],
+            ['x-ratelimit-limit', this.githubRateLimitLimit],
+            ['x-ratelimit-reset', this.githubRateLimitReset]
+        ];
+        for (const [header, gauge] of rateLimit) {
+            const value = Number(headers?.[header]);
+            if (headers?.[header] !== undefined && !Number.isNaN(value)) {
+                gauge.set({ resource }, value);
+            }
+        }
+    }
+
+    /**
+     * Record a finished cleanup run
+     */
+    observeCleanup(seconds, removed) {
+        this.cleanupRuns.inc();
+        this.cleanupDuration.observe(seconds);
+        this.cleanupRemoved.inc(removed);
+        this.lastCleanup.set(Date.now() / 1000);
+    }
+
+    get contentType() {
+        return this.registry.contentType;
+    }
+
+    async render() {
+        return this.registry.metrics();
+    }
+}
+
+module.exports = Metrics;
@@ -0,0 +1,435 @@
+/**
+ * Mock GitHub
+ *
+ * In-process fake of the GitHub App API for offline development and tests including:
+ * - Installation token creation, revocation and rate limit endpoints
+ * - Installation listing for GitHub App JWTs
+ * - RS256 JWT verification against each app's key, like GitHub does
+ * - Repository and permission downscoping, rejecting scopes beyond the installation
+ * - Injected failures (status codes, delays, dropped connections) per operation
+ *
+ * Used by sandbox mode (SANDBOX=true) and the end-to-end tests. Failures can be
+ * injected in-process with failNext() or over HTTP:
+ *
+ *   POST /_mock/failures  { "operation": "create_token", "status": 502, "times": 3 }
+ *
+ * Operations are named like the GitHub client's metric labels: create_token,
+ * revoke_token, rate_limit, list_installations, list_repositories and get_repository.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const logger = require('./logger');
+
+const ACCESS_LEVELS = { read: 1, write: 2, admin: 3 };
+const TOKEN_TTL = 60 * 60 * 1000;
+const RATE_LIMIT_WINDOW = 60 * 60 * 1000;
+// GitHub rejects app JWTs that are valid for longer than 10 minutes
+const MAX_JWT_LIFETIME = 10 * 60;
+
+const SANDBOX_PERMISSIONS = { contents: 'write', issues: 'write', pull_requests: 'write', metadata: 'read' };
+const SANDBOX_REPOSITORIES = ['app', 'docs', 'infra'];
+
+class MockGitHub {
+    /**
+     * @param {Object} options
+     * @param {Object[]} options.apps - Apps with appId, privateKey (or publicKey) and installations
+     * @param {number} options.rateLimit - Requests per hour before responses are rate limited
+     */
+    constructor({ apps = [], rateLimit = 5000 } = {}) {
+        // appId -> { appId, publicKey }
+        this.apps = new Map();
+        // installationId -> { id, appId, owner, ownerType, repositories, permissions, repositorySelection }
+        this.installations = new Map();
+        // token -> { token, installationId, repositories, permissions, expiresAt }
+        this.tokens = new Map();
+        // operation -> [failure]
+        this.failures = new Map();
+        this.rateLimit = { limit: rateLimit, used: 0, reset: Date.now() + RATE_LIMIT_WINDOW };
+        this.requests = [];
+        this.server = null;
+        this.url = null;
+
+        apps.forEach(app => this.addApp(app));
+        this.app = this.createApp();
+    }
+
+    /**
+     * Generate a throwaway app key and a mock with one installation for sandbox mode
+     * @returns {{ mockGitHub: MockGitHub, appId: string, installationId: string, privateKey: string }}
+     */
+    static createSandbox({ appId = '1', installationId = '1', owner = 'sandbox-org' } = {}) {
+        const { privateKey } = crypto.generateKeyPairSync('rsa', {
+            modulusLength: 2048,
+            privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+            publicKeyEncoding: { type: 'spki', format: 'pem' }
+        });
+        const mockGitHub = new MockGitHub({
+            apps: [{
+                appId,
+                privateKey,
+                installations: [{
+                    id: installationId,
+                    owner,
+                    repositories: SANDBOX_REPOSITORIES,
+                    permissions: SANDBOX_PERMISSIONS
+                }]
+            }]
+        });
+        return { mockGitHub, appId: String(appId), installationId: String(installationId), privateKey };
+    }
+
+    /**
+     * Register an app and its installations
+     * @param {Object} app
+     * @param {string|number} app.appId
+     * @param {string} app.privateKey - The app's key; only the public half is kept
+     * @param {string} app.publicKey - Alternatively, the public key that verifies the app's JWTs
+     * @param {Object[]} app.installations - { id, owner, ownerType, repositories, permissions }
+     */
+    addApp({ appId, privateKey = null, publicKey = null, installations = [] }) {
+        const id = String(appId);
+        const key = publicKey || crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+        this.apps.set(id, { appId: id, publicKey: key });
+
+        for (const installation of installations) {
+            this.installations.set(String(installation.id), {
+                id: String(installation.id),
+                appId: id,
+                owner: installation.owner || `owner-${installation.id}`,
+                ownerType: installation.ownerType || 'Organization',
+                repositories: installation.repositories || [],
+                permissions: installation.permissions || { metadata: 'read' },
+                repositorySelection: installation.repositorySelection || 'all'
+            });
+        }
+    }
+
+    /**
+     * Make the next requests of an operation fail
+     * @param {string} operation - e.g. create_token, revoke_token
+     * @param {Object} failure
+     * @param {number} failure.status - HTTP status to answer with (default 500); 0 only applies the delay
+     * @param {number} failure.times - How many requests fail (default 1)
+     * @param {number} failure.delay - Milliseconds to wait before answering
+     * @param {boolean} failure.drop - Close the connection without answering
+     * @param {Object} failure.headers - Extra response headers, e.g. retry-after
+     * @param {Object} failure.body - Response body
+     */
+    failNext(operation, failure = {}) {
+        const queue = this.failures.get(operation) || [];
+        queue.push({ status: 500, times: 1, ...failure });
+        this.failures.set(operation, queue);
+    }
+
+    clearFailures() {
+        this.failures.clear();
+    }
+
+    /**
+     * Forget issued tokens, injected failures, recorded requests and rate limit usage
+     */
+    reset() {
+        this.tokens.clear();
+        this.failures.clear();
+        this.requests = [];
+        this.rateLimit = { ...this.rateLimit, used: 0, reset: Date.now() + RATE_LIMIT_WINDOW };
+    }
+
+    /**
+     * Whether a token was issued and has not been revoked or expired
+     */
+    isActive(token) {
+        const entry = this.tokens.get(token);
+        return Boolean(entry) && entry.expiresAt > Date.now();
+    }
+
+    /**
+     * Issued tokens that are still active, without the tokens themselves
+     */
+    getTokens() {
+        return Array.from(this.tokens.values())
+            .filter(entry => entry.expiresAt > Date.now())
+            .map(({ token, ...entry }) => ({ ...entry, prefix: token.slice(0, 8), expiresAt: new Date(entry.expiresAt).toISOString() }));
+    }
+
+    createApp() {
+        const app = express();
+        app.use(express.json());
+
+        app.get('/_mock/tokens', (req, res) => res.json({ tokens: this.getTokens() }));
+        app.get('/_mock/requests', (req, res) => res.json({ requests: this.requests }));
+        app.post('/_mock/failures', (req, res) => {
+            const { operation, ...failure } = req.body || {};
+            if (!operation) {
+                return res.status(400).json({ message: 'operation is required' });
+            }
+            this.failNext(operation, failure);
+            res.status(201).json({ operation, ...failure });
+        });
+        app.delete('/_mock/failures', (req, res) => {
+            this.clearFailures();
+            res.status(204).end();
+        });
+        app.post('/_mock/reset', (req, res) => {
+            this.reset();
+            res.status(204).end();
+        });
+
+        // Everything below behaves like api.github.com, served at / and at /api/v3 like GitHub Enterprise Server
+        const api = express.Router();
+
+        api.post('/app/installations/:installationId/access_tokens', this.operation('create_token'), (req, res) => {
+            const app = this.authenticateApp(req, res);
+            if (!app) {
+                return;
+            }
+            const installation = this.installations.get(req.params.installationId);
+            if (!installation || installation.appId !== app.appId) {
+                return this.sendError(res, 404, 'Not Found');
+            }
+            this.createToken(installation, req.body || {}, res);
+        });
+
+        api.get('/app/installations', this.operation('list_installations'), (req, res) => {
+            const app = this.authenticateApp(req, res);
+            if (!app) {
+                return;
+            }
+            const perPage = Math.min(Number(req.query.per_page) || 30, 100);
+            const page = Math.max(Number(req.query.page) || 1, 1);
+            const installations = Array.from(this.installations.values())
+                .filter(installation => installation.appId === app.appId)
+                .slice((page - 1) * perPage, page * perPage)
+                .map(installation => ({
+                    id: Number(installation.id) || installation.id,
+                    app_id: Number(app.appId) || app.appId,
+                    account: { login: installation.owner, type: installation.ownerType },
+                    repository_selection: installation.repositorySelection,
+                    permissions: installation.permissions
+                }));
+            res.json(installations);
+        });
+
+        api.delete('/installation/token', this.operation('revoke_token'), (req, res) => {
+            const entry = this.authenticateToken(req, res);
+            if (!entry) {
+                return;
+            }
+            this.tokens.delete(entry.token);
+            res.status(204).end();
+        });
+
+        api.get('/rate_limit', this.operation('rate_limit'), (req, res) => {
+            if (!this.authenticateToken(req, res)) {
+                return;
+            }
+            const core = {
+                limit: this.rateLimit.limit,
+                used: this.rateLimit.used,
+                remaining: Math.max(0, this.rateLimit.limit - this.rateLimit.used),
+                reset: Math.floor(this.rateLimit.reset / 1000)
+            };
+            res.json({ resources: { core, integration_manifest: { ...core } }, rate: core });
+        });
+
+        api.get('/installation/repositories', this.operation('list_repositories'), (req, res) => {
+            const entry = this.authenticateToken(req, res);
+            if (!entry) {
+                return;
+            }
+            const installation = this.installations.get(entry.installationId);
+            const repositories = this.accessibleRepositories(entry).map(name => this.describeRepository(installation, name));
+            res.json({ total_count: repositories.length, repositories });
+        });
+
+        api.get('/repos/:owner/:repo', this.operation('get_repository'), (req, res) => {
+            const entry = this.authenticateToken(req, res);
+            if (!entry) {
+                return;
+            }
+            const installation = this.installations.get(entry.installationId);
+            if (installation.owner.toLowerCase() !== req.params.owner.toLowerCase() || !this.accessibleRepositories(entry).includes(req.params.repo)) {
+                return this.sendError(res, 404, 'Not Found');
+            }
+            res.json(this.describeRepository(installation, req.params.repo));
+        });
+
+        app.use(['/api/v3', '/'], api);
+        app.use((req, res) => this.sendError(res, 404, 'Not Found'));
+        return app;
+    }
+
+    /**
+     * Middleware that records the request, applies the rate limit and injected failures
+     */
+    operation(name) {
+        return (req, res, next) => {
+            this.requests.push({ operation: name, method: req.method, path: req.path, timestamp: new Date().toISOString() });
+
+            const now = Date.now();
+            if (this.rateLimit.reset <= now) {
+                this.rateLimit.used = 0;
+                this.rateLimit.reset = now + RATE_LIMIT_WINDOW;
+            }
+            this.rateLimit.used++;
+            const remaining = Math.max(0, this.rateLimit.limit - this.rateLimit.used);
+            res.set({
+                'x-ratelimit-limit': String(this.rateLimit.limit),
+                'x-ratelimit-remaining': String(remaining),
+                'x-ratelimit-used': String(this.rateLimit.used),
+                'x-ratelimit-reset': String(Math.floor(this.rateLimit.reset / 1000)),
+                'x-ratelimit-resource': 'core'
+            });
+            if (this.rateLimit.used > this.rateLimit.limit) {
+                return this.sendError(res, 403, 'API rate limit exceeded');
+            }
+
+            const queue = this.failures.get(name);
+            if (!queue || queue.length === 0) {
+                return next();
+            }
+            const failure = queue[0];
+            failure.times--;
+            if (failure.times <= 0) {
+                queue.shift();
+            }
+
+            setTimeout(() => {
+                if (failure.drop) {
+                    req.socket.destroy();
+                    return;
+                }
+                if (failure.status === 0) {
+                    // A delay without a status only slows the request down
+                    return next();
+                }
+                res.set(failure.headers || {});
+                res.status(failure.status).json(failure.body || { message: `Injected ${failure.status} failure` });
+            }, failure.delay || 0);
+        };
+    }
+
+    /**
+     * Verify the app JWT on a request; answers 401 and returns null when it is invalid
+     */
+    authenticateApp(req, res) {
+        const [scheme, token] = String(req.get('authorization') || '').split(' ');
+        if (scheme !== 'Bearer' || !token) {
+            this.sendError(res, 401, 'A JSON web token could not be decoded');
+            return null;
+        }
+
+        const claims = jwt.decode(token);
+        const app = claims && this.apps.get(String(claims.iss));
+        if (!app) {
+            this.sendError(res, 401, `Integration not found: ${claims?.iss}`);
+            return null;
+        }
+
+        try {
+            const verified = jwt.verify(token, app.publicKey, { algorithms: ['RS256'], clockTolerance: 60 });
+            if (verified.exp - verified.iat > MAX_JWT_LIFETIME) {
+                this.sendError(res, 401, "'Expiration time' claim ('exp') is too far in the future");
+                return null;
+            }
+        } catch (error) {
+            this.sendError(res, 401, `A JSON web token could not be decoded: ${error.message}`);
+            return null;
+        }
+        return app;
+    }
+
+    /**
+     * Look up the installation token on a request; answers 401 and returns null when it is unknown
+     */
+    authenticateToken(req, res) {
+        const [scheme, token] = String(req.get('authorization') || '').split(' ');
+        const entry = ['token', 'Bearer'].includes(scheme) ? this.tokens.get(token) : null;
+        if (!entry || entry.expiresAt <= Date.now()) {
+            this.sendError(res, 401, 'Bad credentials');
+            return null;
+        }
+        return entry;
+    }
+
+    createToken(installation, { repositories = null, permissions = null }, res) {
+        if (repositories && repositories.some(name => !installation.repositories.includes(name))) {
+            return this.sendError(res, 422, 'There is at least one repository that does not exist or is not accessible to the parent installation.');
+        }
+        if (permissions) {
+            for (const [name, level] of Object.entries(permissions)) {
+                const granted = installation.permissions[name];
+                if (!granted || !ACCESS_LEVELS[level] || ACCESS_LEVELS[level] > ACCESS_LEVELS[granted]) {
+                    return this.sendError(res, 422, 'The permissions requested are not granted to this installation.');
+                }
+            }
+        }
+
+        const entry = {
+            token: 'ghs_' + crypto.randomBytes(18).toString('hex'),
+            installationId: installation.id,
+            repositories: repositories && repositories.length > 0 ? repositories : null,
+            permissions: permissions && Object.keys(permissions).length > 0 ? permissions : installation.permissions,
+            expiresAt: Date.now() + TOKEN_TTL
+        };
+        this.tokens.set(entry.token, entry);
+
+        const body = {
+            token: entry.token,
+            expires_at: new Date(entry.expiresAt).toISOString(),
+            permissions: entry.permissions,
+            repository_selection: entry.repositories ? 'selected' : installation.repositorySelection
+        };
+        if (entry.repositories) {
+            body.repositories = entry.repositories.map(name => this.describeRepository(installation, name));
+        }
+        res.status(201).json(body);
+    }
+
+    accessibleRepositories(entry) {
+        return entry.repositories || this.installations.get(entry.installationId).repositories;
+    }
+
+    describeRepository(installation, name) {
+        return {
+            name,
+            full_name: `${installation.owner}/${name}`,
+            private: true,
+            owner: { login: installation.owner, type: installation.ownerType }
+        };
+    }
+
+    sendError(res, status, message) {
+        res.status(status).json({ message, documentation_url: 'https://docs.github.com/rest' });
+    }
+
+    /**
+     * Start listening; resolves with the base URL to use as GITHUB_API_URL
+     * @param {number} port - 0 picks a free port
+     */
+    start(port = 0, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server = this.app.listen(port, host, () => {
+                this.url = `http://${host}:${this.server.address().port}`;
+                logger.info({ url: this.url }, `🧪 Mock GitHub listening on ${this.url}`);
+                resolve(this.url);
+            });
+            this.server.once('error', reject);
+        });
+    }
+
+    stop() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve) => {
+            this.server.close(() => resolve());
+            this.server.closeAllConnections();
+            this.server = null;
+        });
+    }
+}
+
+module.exports = MockGitHub;
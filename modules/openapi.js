@@ -0,0 +1,713 @@
+/**
+ * OpenAPI Document
+ *
+ * Describes every HTTP route of the token lease server as OpenAPI 3.1 including:
+ * - Parameters and request bodies, which the request validator enforces
+ * - Response bodies, including the shared error and validation error shapes
+ * - The client (API key, HMAC) security requirements, and the role each
+ *   admin API operation requires (x-required-role)
+ *
+ * Every operation has an operationId; ApiRoutes validates a route's requests
+ * against the operation with the same ID, so a route and its description
+ * cannot drift apart unnoticed. Served at /openapi.json and rendered at /docs
+ * with Swagger UI.
+ */
+
+const AuditLog = require('./audit-log');
+
+const ACCESS_LEVELS = ['read', 'write', 'admin'];
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const json = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+
+const errors = (...statuses) => Object.fromEntries(statuses.map(status => [status, { $ref: `#/components/responses/${status}` }]));
+
+const pathParameter = (name, description, schema = { type: 'string', minLength: 1 }) => ({ name, in: 'path', required: true, description, schema });
+
+const queryParameter = (name, description, schema = { type: 'string', minLength: 1 }) => ({ name, in: 'query', required: false, description, schema });
+
+const ttlParameter = queryParameter('ttl', 'Lease duration in seconds, within the client policy and LEASE_MIN_TTL/LEASE_MAX_TTL', ref('Ttl'));
+const ownerParameter = queryParameter('owner', 'Lease from the installation on this account (organization or user login)');
+const clientIdParameter = pathParameter('clientId', 'Client the lease is issued to; must match the authenticated client');
+const limitParameter = queryParameter('limit', 'Return at most this many of the most recent matches', { type: 'integer', minimum: 1, maximum: 1000, default: 100 });
+
+const clientSecurity = [{ apiKey: [] }, { bearer: [] }, { signature: [] }, {}];
+const adminSecurity = [{ basic: [] }, { apiKey: [] }, { bearer: [] }, { signature: [] }];
+
+const leaseResponse = json('The lease, with its token', ref('Lease'));
+
+// Admin API operations, served under /admin to clients holding at least the role
+const adminOperation = (role, operation) => ({
+    ...operation,
+    description: [operation.description, `Requires the ${role} role when CLIENTS_FILE is set.`].filter(Boolean).join(' '),
+    security: adminSecurity,
+    'x-required-role': role,
+    responses: { ...operation.responses, ...errors(401, 403) }
+});
+
+const getToken = (operationId, summary, parameters) => ({
+    operationId,
+    summary,
+    tags: ['Leases'],
+    security: clientSecurity,
+    parameters: [...parameters, ownerParameter, ttlParameter],
+    responses: { 200: leaseResponse, ...errors(400, 401, 403, 404, 429, 503) }
+});
+
+const createToken = (operationId, summary, parameters) => ({
+    operationId,
+    summary,
+    tags: ['Leases'],
+    security: clientSecurity,
+    parameters: [...parameters, ownerParameter, ttlParameter],
+    requestBody: { required: false, content: { 'application/json': { schema: ref('LeaseRequest') } } },
+    responses: { 200: leaseResponse, ...errors(400, 401, 403, 404, 429, 503) }
+});
+
+/**
+ * Build the OpenAPI document
+ * @param {Object} options
+ * @param {string} options.version - Server version, as reported by /health
+ */
+function createOpenApiDocument({ version }) {
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Token Lease Server',
+            version,
+            description: 'Leases short-lived GitHub App installation tokens to clients, scoped by policy, and revokes them when the lease ends.'
+        },
+        tags: [
+            { name: 'Leases', description: 'Issue, renew and release token leases' },
+            { name: 'Installations', description: 'GitHub App installations and GitHub webhooks' },
+            { name: 'Tokens', description: 'Stored leases and failed revocations' },
+            { name: 'Monitoring', description: 'Health, metrics, audit log, rate limits and live events' },
+            { name: 'Webhooks', description: 'Outbound webhook subscriptions and deliveries' },
+            { name: 'Dashboard', description: 'Web dashboard and its actions' },
+            { name: 'Documentation', description: 'This document' }
+        ],
+        paths: {
+            '/health': {
+                get: {
+                    operationId: 'getHealth',
+                    summary: 'Server health check',
+                    tags: ['Monitoring'],
+                    responses: { 200: json('Server status; "degraded" while GitHub is failing', ref('Health')) }
+                }
+            },
+            '/token': {
+                get: getToken('getToken', 'Lease a token for the default (or authenticated) client', []),
+                post: createToken('createToken', 'Lease a token scoped to repositories and permissions for the default (or authenticated) client', [])
+            },
+            '/token/{clientId}': {
+                get: getToken('getClientToken', 'Lease a token for a client', [clientIdParameter]),
+                post: createToken('createClientToken', 'Lease a token scoped to repositories and permissions for a client', [clientIdParameter])
+            },
+            '/installations/{installationId}/token': {
+                get: {
+                    operationId: 'getInstallationToken',
+                    summary: 'Lease a token for a specific installation',
+                    tags: ['Leases'],
+                    security: clientSecurity,
+                    parameters: [pathParameter('installationId', 'GitHub installation ID', ref('InstallationId')), ttlParameter],
+                    responses: { 200: leaseResponse, ...errors(400, 401, 403, 404, 410, 429, 503) }
+                }
+            },
+            '/leases/{tokenId}/renew': {
+                post: {
+                    operationId: 'renewLease',
+                    summary: 'Extend a lease, rotating the token when GitHub\'s expiry would be exceeded',
+                    tags: ['Leases'],
+                    security: clientSecurity,
+                    parameters: [pathParameter('tokenId', 'Lease ID returned with the token'), ttlParameter],
+                    requestBody: {
+                        required: false,
+                        content: {
+                            'application/json': {
+                                schema: { type: 'object', additionalProperties: false, properties: { ttl: ref('Ttl') } }
+                            }
+                        }
+                    },
+                    responses: { 200: json('The renewed lease', ref('RenewedLease')), ...errors(400, 401, 403, 404, 410) }
+                }
+            },
+            '/leases/{tokenId}/release': {
+                post: {
+                    operationId: 'releaseLease',
+                    summary: 'Release a lease early and revoke its token',
+                    tags: ['Leases'],
+                    security: clientSecurity,
+                    parameters: [pathParameter('tokenId', 'Lease ID returned with the token')],
+                    responses: { 200: json('The lease was released', ref('ReleaseResult')), ...errors(401, 403, 404) }
+                }
+            },
+            '/admin/installations': {
+                get: adminOperation('viewer', {
+                    operationId: 'listInstallations',
+                    summary: 'List known installations',
+                    tags: ['Installations'],
+                    responses: {
+                        200: json('Configured and discovered installations', {
+                            type: 'object',
+                            properties: {
+                                success: { type: 'boolean' },
+                                totalInstallations: { type: 'integer' },
+                                lastRefreshedAt: { type: ['string', 'null'], format: 'date-time' },
+                                installations: { type: 'array', items: ref('Installation') }
+                            }
+                        })
+                    }
+                })
+            },
+            '/admin/installations/refresh': {
+                post: adminOperation('operator', {
+                    operationId: 'refreshInstallations',
+                    summary: 'Rediscover installations from GitHub',
+                    tags: ['Installations'],
+                    responses: {
+                        200: json('Installations found', ref('InstallationRefresh')),
+                        502: json('GitHub could not list the installations of some apps', ref('InstallationRefresh')),
+                        ...errors(500)
+                    }
+                })
+            },
+            '/webhooks/github': {
+                post: {
+                    operationId: 'receiveGitHubWebhook',
+                    summary: 'Receive GitHub App installation webhooks',
+                    description: 'Handles installation and installation_repositories events; signed with GITHUB_WEBHOOK_SECRET.',
+                    tags: ['Installations'],
+                    parameters: [
+                        { name: 'X-GitHub-Event', in: 'header', required: true, schema: { type: 'string' } },
+                        { name: 'X-Hub-Signature-256', in: 'header', required: true, schema: { type: 'string' } },
+                        { name: 'X-GitHub-Delivery', in: 'header', required: false, schema: { type: 'string' } }
+                    ],
+                    requestBody: { required: true, content: { 'application/json': { schema: { type: 'object' } } } },
+                    responses: {
+                        200: json('The installation was updated', {
+                            type: 'object',
+                            properties: {
+                                success: { type: 'boolean' },
+                                event: { type: 'string' },
+                                action: { type: 'string' },
+                                installationId: { type: 'string' },
+                                status: { type: 'string', enum: ['active', 'suspended', 'deleted'] },
+                                revokedLeases: { type: 'integer' }
+                            }
+                        }),
+                        202: json('The event was ignored', ref('Message')),
+                        ...errors(401, 503)
+                    }
+                }
+            },
+            '/admin/tokens': {
+                get: adminOperation('viewer', {
+                    operationId: 'listTokens',
+                    summary: 'View stored leases',
+                    tags: ['Tokens'],
+                    responses: {
+                        200: json('Stored leases (without their tokens) and per-client usage', {
+                            type: 'object',
+                            properties: {
+                                success: { type: 'boolean' },
+                                totalTokens: { type: 'integer' },
+                                mode: { type: 'string' },
+                                tokens: { type: 'array', items: ref('LeaseStatus') },
+                                usage: { type: 'object' }
+                            }
+                        })
+                    }
+                }),
+                delete: adminOperation('admin', {
+                    operationId: 'clearTokens',
+                    summary: 'Revoke and remove every stored lease',
+                    tags: ['Tokens'],
+                    responses: { 200: json('Leases removed', ref('Message')), ...errors(500) }
+                })
+            },
+            '/admin/tokens/{identifier}': {
+                delete: adminOperation('operator', {
+                    operationId: 'deleteTokens',
+                    summary: 'Revoke and remove a lease by ID, or every lease of a client',
+                    tags: ['Tokens'],
+                    parameters: [pathParameter('identifier', 'Lease ID (token_...) or client ID')],
+                    responses: { 200: json('Leases removed', ref('Message')), ...errors(404, 500) }
+                })
+            },
+            '/admin/revocations': {
+                get: adminOperation('viewer', {
+                    operationId: 'listRevocations',
+                    summary: 'List revocations queued for retry',
+                    tags: ['Tokens'],
+                    responses: {
+                        200: json('Queued revocations, without their tokens', {
+                            type: 'object',
+                            properties: {
+                                success: { type: 'boolean' },
+                                total: { type: 'integer' },
+                                pending: { type: 'integer' },
+                                unrevocable: { type: 'integer' },
+                                revocations: { type: 'array', items: { type: 'object' } }
+                            }
+                        })
+                    }
+                })
+            },
+            '/admin/audit': {
+                get: adminOperation('viewer', {
+                    operationId: 'queryAuditLog',
+                    summary: 'Query the audit log',
+                    tags: ['Monitoring'],
+                    parameters: [
+                        queryParameter('clientId', 'Entries of this client'),
+                        queryParameter('type', `Comma-separated event types: ${AuditLog.EVENTS.join(', ')}`),
+                        queryParameter('tokenId', 'Entries of this lease'),
+                        queryParameter('repository', 'Leases that could access this repository'),
+                        queryParameter('since', 'Earliest entry, as ISO 8601 or epoch milliseconds'),
+                        queryParameter('until', 'Latest entry, as ISO 8601 or epoch milliseconds'),
+                        limitParameter
+                    ],
+                    responses: {
+                        200: json('Matching entries, oldest first', {
+                            type: 'object',
+                            properties: {
+                                success: { type: 'boolean' },
+                                total: { type: 'integer' },
+                                returned: { type: 'integer' },
+                                entries: { type: 'array', items: ref('AuditEntry') }
+                            }
+                        }),
+                        ...errors(400)
+                    }
+                })
+            },
+            '/metrics': {
+                get: {
+                    operationId: 'getMetrics',
+                    summary: 'Prometheus metrics (unless METRICS_ENABLED=false)',
+                    tags: ['Monitoring'],
+                    responses: { 200: { description: 'Metrics in the Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } } }
+                }
+            },
+            '/admin/rate-limit': {
+                get: adminOperation('viewer', {
+                    operationId: 'getRateLimits',
+                    summary: 'GitHub rate limits per installation and app, as last reported by GitHub',
+                    tags: ['Monitoring'],
+                    responses: {
+                        200: json('Recorded rate limits', {
+                            type: 'object',
+                            properties: {
+                                success: { type: 'boolean' },
+                                lowest: { type: ['object', 'null'] },
+                                rateLimits: { type: 'array', items: { type: 'object' } }
+                            }
+                        })
+                    }
+                })
+            },
+            '/admin/events': {
+                get: adminOperation('viewer', {
+                    operationId: 'streamEvents',
+                    summary: 'Live lease events and rate limit updates (Server-Sent Events)',
+                    tags: ['Monitoring'],
+                    parameters: [queryParameter('types', 'Comma-separated event types to receive; "snapshot" is always sent')],
+                    responses: { 200: { description: 'An event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } } }
+                })
+            },
+            '/admin/webhooks': {
+                get: adminOperation('viewer', {
+                    operationId: 'listWebhooks',
+                    summary: 'List outbound webhook subscriptions',
+                    tags: ['Webhooks'],
+                    responses: {
+                        200: json('Subscriptions, without their secrets', {
+                            type: 'object',
+                            properties: {
+                                success: { type: 'boolean' },
+                                total: { type: 'integer' },
+                                webhooks: { type: 'array', items: ref('Webhook') }
+                            }
+                        })
+                    }
+                })
+            },
+            '/admin/webhooks/deliveries': {
+                get: adminOperation('viewer', {
+                    operationId: 'listWebhookDeliveries',
+                    summary: 'Outbound webhook delivery log',
+                    tags: ['Webhooks'],
+                    parameters: [
+                        queryParameter('webhook', 'Deliveries to this subscription'),
+                        queryParameter('status', 'Deliveries in this state', { type: 'string', enum: ['pending', 'delivered', 'failed'] }),
+                        queryParameter('event', 'Deliveries of this audit event type'),
+                        limitParameter
+                    ],
+                    responses: {
+                        200: json('Matching deliveries, oldest first', {
+                            type: 'object',
+                            properties: {
+                                success: { type: 'boolean' },
+                                total: { type: 'integer' },
+                                returned: { type: 'integer' },
+                                deliveries: { type: 'array', items: ref('Delivery') }
+                            }
+                        }),
+                        ...errors(400)
+                    }
+                })
+            },
+            '/admin/webhooks/deliveries/{deliveryId}': {
+                get: adminOperation('viewer', {
+                    operationId: 'getWebhookDelivery',
+                    summary: 'One delivery with its attempts',
+                    tags: ['Webhooks'],
+                    parameters: [pathParameter('deliveryId', 'Delivery ID, also sent as X-TokenLease-Delivery')],
+                    responses: {
+                        200: json('The delivery', { type: 'object', properties: { success: { type: 'boolean' }, delivery: ref('Delivery') } }),
+                        ...errors(404)
+                    }
+                })
+            },
+            '/admin/dashboard': {
+                get: adminOperation('viewer', {
+                    operationId: 'getDashboard',
+                    summary: 'Web dashboard',
+                    tags: ['Dashboard'],
+                    responses: { 200: { description: 'The dashboard page', content: { 'text/html': { schema: { type: 'string' } } } } }
+                })
+            },
+            '/admin/leases/{tokenId}/revoke': {
+                post: adminOperation('operator', {
+                    operationId: 'revokeLease',
+                    summary: 'Revoke a lease',
+                    tags: ['Dashboard'],
+                    parameters: [pathParameter('tokenId', 'Lease ID')],
+                    requestBody: { required: true, content: { 'application/json': { schema: ref('Confirmation') } } },
+                    responses: { 200: json('The lease was revoked', ref('ReleaseResult')), ...errors(400, 401, 403, 404) }
+                })
+            },
+            '/admin/clients/{clientId}/revoke': {
+                post: adminOperation('operator', {
+                    operationId: 'revokeClientLeases',
+                    summary: 'Revoke every lease of a client',
+                    tags: ['Dashboard'],
+                    parameters: [pathParameter('clientId', 'Client whose leases are revoked')],
+                    requestBody: { required: true, content: { 'application/json': { schema: ref('Confirmation') } } },
+                    responses: { 200: json('The leases were revoked', ref('Message')), ...errors(400, 401, 403) }
+                })
+            },
+            '/admin/clients/{clientId}/token': {
+                post: adminOperation('admin', {
+                    operationId: 'mintClientToken',
+                    summary: 'Mint a token for a client',
+                    tags: ['Dashboard'],
+                    parameters: [pathParameter('clientId', 'Client the lease is issued to')],
+                    requestBody: { required: false, content: { 'application/json': { schema: ref('MintRequest') } } },
+                    responses: { 200: leaseResponse, ...errors(400, 401, 403, 404, 429, 503) }
+                })
+            },
+            '/openapi.json': {
+                get: {
+                    operationId: 'getOpenApiDocument',
+                    summary: 'This OpenAPI document',
+                    tags: ['Documentation'],
+                    responses: { 200: json('OpenAPI 3.1 document', { type: 'object' }) }
+                }
+            },
+            '/docs': {
+                get: {
+                    operationId: 'getDocs',
+                    summary: 'API documentation page',
+                    tags: ['Documentation'],
+                    responses: { 200: { description: 'This document rendered as HTML', content: { 'text/html': { schema: { type: 'string' } } } } }
+                }
+            }
+        },
+        components: {
+            securitySchemes: {
+                apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'Client API key, when CLIENTS_FILE is set' },
+                bearer: { type: 'http', scheme: 'bearer', description: 'Client API key sent as a bearer token' },
+                basic: { type: 'http', scheme: 'basic', description: 'Client ID and API key; lets browsers sign in to the dashboard' },
+                signature: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'X-Signature',
+                    description: 'HMAC-SHA256 of "<X-Timestamp>\\n<METHOD>\\n<path and query>\\n<body>" with a client secret, sent with X-Client-Id and X-Timestamp'
+                }
+            },
+            responses: {
+                400: json('The request is invalid', ref('ValidationError')),
+                401: json('Missing or invalid credentials', ref('Error')),
+                403: json('The client is not allowed to do this', ref('Error')),
+                404: json('Not found', ref('Error')),
+                410: json('The lease expired or the installation was uninstalled', ref('Error')),
+                429: json('A rate limit was exceeded; see Retry-After', ref('Error')),
+                500: json('Unexpected error', ref('Error')),
+                503: json('GitHub is unavailable or a feature is not configured; see Retry-After', ref('Error'))
+            },
+            schemas: {
+                Ttl: {
+                    type: ['integer', 'string'],
+                    minimum: 1,
+                    pattern: '^[1-9][0-9]*$',
+                    'x-error-message': 'must be a positive whole number of seconds',
+                    description: 'Seconds'
+                },
+                InstallationId: { type: 'string', pattern: '^[0-9]+$', 'x-error-message': 'must be a numeric installation ID' },
+                Repositories: {
+                    type: 'array',
+                    description: 'Repository names (without the owner); all repositories of the installation when omitted',
+                    minItems: 1,
+                    maxItems: 500,
+                    items: { type: 'string', minLength: 1, maxLength: 100, pattern: '^[A-Za-z0-9_.-]+$', 'x-error-message': 'must be a repository name without the owner' }
+                },
+                Permissions: {
+                    type: 'object',
+                    description: 'GitHub App permissions mapped to access levels, e.g. { "contents": "read" }',
+                    minProperties: 1,
+                    additionalProperties: { type: 'string', enum: ACCESS_LEVELS }
+                },
+                LeaseRequest: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        repositories: ref('Repositories'),
+                        permissions: ref('Permissions'),
+                        ttl: ref('Ttl')
+                    }
+                },
+                MintRequest: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        repositories: ref('Repositories'),
+                        permissions: ref('Permissions'),
+                        ttl: ref('Ttl'),
+                        owner: { type: 'string', minLength: 1 }
+                    }
+                },
+                Confirmation: {
+                    type: 'object',
+                    required: ['confirm'],
+                    properties: {
+                        confirm: { const: true, description: 'Destructive actions must be confirmed', 'x-error-message': 'must be true to confirm that tokens are revoked' }
+                    }
+                },
+                Lease: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        clientId: { type: 'string' },
+                        tokenId: { type: 'string' },
+                        installationId: { type: 'string' },
+                        owner: { type: ['string', 'null'] },
+                        token: { type: 'string', description: 'GitHub installation token' },
+                        expiresAt: { type: 'string', format: 'date-time' },
+                        githubExpiresAt: { type: ['string', 'null'], format: 'date-time' },
+                        ttl: { type: 'integer', description: 'Seconds until the lease ends' },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        cached: { type: 'boolean', description: 'Whether an existing lease was reused' },
+                        repositories: { oneOf: [{ type: 'array', items: { type: 'string' } }, { const: 'all' }] },
+                        permissions: ref('Permissions')
+                    }
+                },
+                RenewedLease: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        tokenId: { type: 'string' },
+                        clientId: { type: 'string' },
+                        token: { type: 'string' },
+                        expiresAt: { type: 'string', format: 'date-time' },
+                        githubExpiresAt: { type: 'string', format: 'date-time' },
+                        ttl: { type: 'integer' },
+                        rotated: { type: 'boolean', description: 'Whether a new token replaced the old one' }
+                    }
+                },
+                ReleaseResult: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        message: { type: 'string' },
+                        tokenId: { type: 'string' },
+                        clientId: { type: 'string' },
+                        revoked: { type: 'boolean', description: 'False when revocation failed and was queued for retry' },
+                        holders: { type: 'integer', description: 'Requests still holding a lease shared in reuse mode; its token is only revoked at 0' }
+                    }
+                },
+                LeaseStatus: {
+                    type: 'object',
+                    properties: {
+                        tokenId: { type: 'string' },
+                        clientId: { type: 'string' },
+                        repositories: { type: ['array', 'null'], items: { type: 'string' } },
+                        permissions: { oneOf: [ref('Permissions'), { type: 'null' }] },
+                        reuseCount: { type: 'integer' },
+                        holders: { type: 'integer' },
+                        renewCount: { type: 'integer' },
+                        githubExpiresAt: { type: ['string', 'null'], format: 'date-time' },
+                        expiresAt: { type: 'string', format: 'date-time' },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        isExpired: { type: 'boolean' },
+                        timeUntilExpiry: { type: 'integer', description: 'Milliseconds' }
+                    }
+                },
+                Installation: {
+                    type: 'object',
+                    properties: {
+                        installationId: { type: 'string' },
+                        appId: { type: 'string' },
+                        owner: { type: ['string', 'null'] },
+                        ownerType: { type: ['string', 'null'] },
+                        repositorySelection: { type: ['string', 'null'], enum: ['all', 'selected', null] },
+                        repositories: { type: ['array', 'null'], items: { type: 'string' } },
+                        status: { type: 'string', enum: ['active', 'suspended', 'deleted'] },
+                        source: { type: 'string', enum: ['config', 'discovered'] }
+                    }
+                },
+                InstallationRefresh: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        totalInstallations: { type: 'integer' },
+                        installations: { type: 'array', items: ref('Installation') },
+                        errors: { type: 'array', items: { type: 'object' } }
+                    }
+                },
+                AuditEntry: {
+                    type: 'object',
+                    required: ['id', 'timestamp', 'type'],
+                    description: 'Further fields depend on the event type; tokens appear only as fingerprints',
+                    properties: {
+                        id: { type: 'string' },
+                        timestamp: { type: 'string', format: 'date-time' },
+                        type: { type: 'string' },
+                        clientId: { type: ['string', 'null'] },
+                        tokenId: { type: 'string' },
+                        fingerprint: { type: 'string' }
+                    }
+                },
+                Webhook: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        url: { type: 'string', format: 'uri' },
+                        events: { type: 'array', items: { type: 'string' } },
+                        owners: { type: ['array', 'null'], items: { type: 'string' } },
+                        repositories: { type: ['array', 'null'], items: { type: 'string' } },
+                        signed: { type: 'boolean' }
+                    }
+                },
+                Delivery: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        webhookId: { type: 'string' },
+                        url: { type: 'string', format: 'uri' },
+                        event: { type: 'string' },
+                        entryId: { type: 'string' },
+                        status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+                        attempts: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    at: { type: 'string', format: 'date-time' },
+                                    statusCode: { type: ['integer', 'null'] },
+                                    error: { type: ['string', 'null'] },
+                                    durationMs: { type: 'integer' }
+                                }
+                            }
+                        },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        nextAttemptAt: { type: ['string', 'null'], format: 'date-time' },
+                        deliveredAt: { type: ['string', 'null'], format: 'date-time' }
+                    }
+                },
+                Health: {
+                    type: 'object',
+                    properties: {
+                        status: { type: 'string', enum: ['healthy', 'degraded'] },
+                        timestamp: { type: 'string', format: 'date-time' },
+                        storedTokens: { type: 'integer' },
+                        queuedRevocations: { type: 'integer' },
+                        github: { type: 'object' },
+                        installations: { type: 'integer' },
+                        mode: { type: 'string' },
+                        version: { type: 'string' }
+                    }
+                },
+                Message: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        message: { type: 'string' }
+                    }
+                },
+                Error: {
+                    type: 'object',
+                    required: ['success', 'error', 'message'],
+                    properties: {
+                        success: { const: false },
+                        error: { type: 'string', description: 'Short error name' },
+                        message: { type: 'string' },
+                        details: { type: 'object' },
+                        retryAfter: { type: 'integer', description: 'Seconds, also sent as Retry-After' }
+                    }
+                },
+                ValidationError: {
+                    type: 'object',
+                    required: ['success', 'error', 'message', 'details'],
+                    properties: {
+                        success: { const: false },
+                        error: { const: 'Invalid request' },
+                        message: { type: 'string', description: 'Every problem, separated by "; "' },
+                        details: {
+                            type: 'object',
+                            properties: {
+                                errors: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            in: { type: 'string', enum: ['path', 'query', 'body'] },
+                                            field: { type: 'string', description: 'e.g. repositories[0] or permissions.contents' },
+                                            message: { type: 'string' }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Render the /docs page, which loads Swagger UI and points it at the document
+ * @param {string} specUrl - Where the OpenAPI document is served
+ */
+function renderDocsPage(specUrl = '/openapi.json') {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Token Lease Server - API</title>
+    <link href="https://cdn.jsdelivr.net/npm/swagger-ui-dist@5.11.0/swagger-ui.css" rel="stylesheet">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="https://cdn.jsdelivr.net/npm/swagger-ui-dist@5.11.0/swagger-ui-bundle.js"></script>
+    <script>
+        window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#swagger-ui', deepLinking: true });
+    </script>
+</body>
+</html>`;
+}
+
+module.exports = { createOpenApiDocument, renderDocsPage };
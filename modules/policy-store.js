@@ -0,0 +1,250 @@
+/**
+ * Policy Store
+ *
+ * Manages per-client permission policies including:
+ * - Loading client policies from a JSON policy file
+ * - Resolving the permissions and repositories a token may carry
+ * - Rejecting requests that ask for more than a client's policy allows
+ * - Reloading policies on file change without a restart
+ *
+ * Policy file format:
+ * {
+ *   "policies": {
+ *     "ci-runner": {
+ *       "permissions": { "contents": "read", "issues": "write" },
+ *       "repositories": ["app", "docs"],
+ *       "owners": ["my-org"],
+ *       "minTtl": 60,
+ *       "maxTtl": 900
+ *     },
+ *     "*": { "permissions": { "metadata": "read" } }
+ *   }
+ * }
+ *
+ * The "*" policy applies to clients without their own entry. When a policy
+ * file is configured, clients matching no policy are denied. Omitting
+ * "permissions" allows every permission the installation has, omitting
+ * "repositories" every repository the installation can access, and
+ * omitting "owners" every installation in the catalog. "minTtl" and
+ * "maxTtl" (seconds) bound the lease duration a client may request, and
+ * "limits" overrides the rate limits (see rate-limiter.js).
+ */
+
+const fs = require('fs');
+const logger = require('./logger');
+const { LeaseError } = require('./errors');
+
+const DEFAULT_POLICY = '*';
+const ACCESS_LEVELS = { read: 1, write: 2, admin: 3 };
+
+class PolicyStore {
+    constructor(options = {}) {
+        this.filePath = options.filePath || null;
+        this.policies = new Map();
+        this.watching = false;
+    }
+
+    /**
+     * Whether policies are enforced
+     */
+    get enabled() {
+        return Boolean(this.filePath) || this.policies.size > 0;
+    }
+
+    get size() {
+        return this.policies.size;
+    }
+
+    /**
+     * Load the policy file from disk
+     */
+    load() {
+        if (!this.filePath) {
+            return;
+        }
+        const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.setPolicies(parsed.policies || {});
+        logger.info({ policies: this.policies.size, file: this.filePath }, `📜 Client policies loaded (${this.policies.size} policies)`);
+    }
+
+    /**
+     * Replace all policies, keeping the previous set if the new one is invalid
+     */
+    setPolicies(definitions) {
+        const policies = new Map();
+
+        for (const [clientId, definition] of Object.entries(definitions)) {
+            const permissions = definition.permissions || null;
+            if (permissions && Object.keys(permissions).length === 0) {
+                throw new Error(`❌ Policy "${clientId}" permissions must name at least one permission; omit it to allow all`);
+            }
+            for (const [name, level] of Object.entries(permissions || {})) {
+                if (!ACCESS_LEVELS[level]) {
+                    throw new Error(`❌ Policy "${clientId}" has invalid level "${level}" for permission "${name}"`);
+                }
+            }
+            if (definition.repositories !== undefined && !Array.isArray(definition.repositories)) {
+                throw new Error(`❌ Policy "${clientId}" repositories must be an array of repository names`);
+            }
+            for (const bound of ['minTtl', 'maxTtl']) {
+                if (definition[bound] !== undefined && !(Number.isInteger(definition[bound]) && definition[bound] > 0)) {
+                    throw new Error(`❌ Policy "${clientId}" ${bound} must be a positive number of seconds`);
+                }
+            }
+            for (const [name, value] of Object.entries(definition.limits || {})) {
+                if (!Number.isInteger(value) || value < 0) {
+                    throw new Error(`❌ Policy "${clientId}" limit "${name}" must be a non-negative whole number`);
+                }
+            }
+            if (definition.owners !== undefined && !Array.isArray(definition.owners)) {
+                throw new Error(`❌ Policy "${clientId}" owners must be an array of org or user logins`);
+            }
+            policies.set(clientId, {
+                ...definition,
+                permissions,
+                repositories: definition.repositories || null,
+                owners: definition.owners ? definition.owners.map(owner => String(owner).toLowerCase()) : null
+            });
+        }
+
+        this.policies = policies;
+    }
+
+    /**
+     * Reload the policy file, keeping the current policies if the file is invalid
+     */
+    reload() {
+        try {
+            this.load();
+            return true;
+        } catch (error) {
+            logger.error({ error: error.message, file: this.filePath }, '❌ Failed to reload client policies, keeping previous policies');
+            return false;
+        }
+    }
+
+    /**
+     * Watch the policy file and reload it whenever it changes
+     */
+    watch() {
+        if (!this.filePath || this.watching) {
+            return;
+        }
+        fs.watchFile(this.filePath, { interval: 2000 }, (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) {
+                logger.info({ file: this.filePath }, '🔄 Client policies changed, reloading');
+                this.reload();
+            }
+        });
+        this.watching = true;
+    }
+
+    unwatch() {
+        if (this.watching) {
+            fs.unwatchFile(this.filePath);
+            this.watching = false;
+        }
+    }
+
+    /**
+     * Get the policy that applies to a client
+     */
+    getPolicy(clientId) {
+        return this.policies.get(clientId) || this.policies.get(DEFAULT_POLICY) || null;
+    }
+
+    /**
+     * Get the lease duration bounds (in seconds) for a client
+     * @returns {{ minTtl: number|null, maxTtl: number|null }|null}
+     */
+    getLeaseBounds(clientId) {
+        const policy = this.getPolicy(clientId);
+        if (!policy) {
+            return null;
+        }
+        return { minTtl: policy.minTtl || null, maxTtl: policy.maxTtl || null };
+    }
+
+    /**
+     * Reject installations outside the owners a client's policy allows
+     */
+    assertInstallationAllowed(clientId, installation) {
+        if (!this.enabled) {
+            return;
+        }
+        const policy = this.getPolicy(clientId);
+        if (!policy || !policy.owners) {
+            return;
+        }
+        const owner = installation.owner ? installation.owner.toLowerCase() : null;
+        if (!policy.owners.includes(owner) && !policy.owners.includes(String(installation.installationId))) {
+            throw new LeaseError(`Client "${clientId}" is not allowed to lease tokens for installation ${installation.installationId}${owner ? ` (${installation.owner})` : ''}`, {
+                statusCode: 403,
+                error: 'Forbidden'
+            });
+        }
+    }
+
+    /**
+     * Resolve the scope a token for this client should be issued with.
+     * Requests without explicit permissions or repositories receive the
+     * policy maximum; requests beyond the policy are rejected with a 403.
+     * @returns {{ repositories: string[]|null, permissions: Object|null }}
+     */
+    resolveScope(clientId, { repositories = null, permissions = null } = {}) {
+        // An empty map asks for nothing in particular, which GitHub would read as every permission
+        if (permissions && Object.keys(permissions).length === 0) {
+            permissions = null;
+        }
+        if (!this.enabled) {
+            return { repositories, permissions };
+        }
+
+        const policy = this.getPolicy(clientId);
+        if (!policy) {
+            throw new LeaseError(`No permission policy is configured for client "${clientId}"`, {
+                statusCode: 403,
+                error: 'Forbidden'
+            });
+        }
+
+        const violations = [];
+
+        if (permissions) {
+            for (const [name, level] of Object.entries(permissions)) {
+                // Without a permissions map the policy sets no ceiling
+                const allowed = policy.permissions ? policy.permissions[name] : 'admin';
+                if (!allowed) {
+                    violations.push({ field: `permissions.${name}`, message: `permission "${name}" is not allowed` });
+                } else if (!ACCESS_LEVELS[level]) {
+                    violations.push({ field: `permissions.${name}`, message: `"${level}" is not a valid access level` });
+                } else if (ACCESS_LEVELS[level] > ACCESS_LEVELS[allowed]) {
+                    violations.push({ field: `permissions.${name}`, message: `"${level}" exceeds the allowed "${allowed}" access` });
+                }
+            }
+        }
+
+        if (repositories && policy.repositories) {
+            for (const repository of repositories) {
+                if (!policy.repositories.includes(repository)) {
+                    violations.push({ field: 'repositories', message: `repository "${repository}" is not allowed` });
+                }
+            }
+        }
+
+        if (violations.length > 0) {
+            throw new LeaseError(`Requested scope exceeds the policy for client "${clientId}"`, {
+                statusCode: 403,
+                error: 'Forbidden',
+                details: violations
+            });
+        }
+
+        return {
+            repositories: repositories && repositories.length > 0 ? repositories : policy.repositories,
+            permissions: permissions || (policy.permissions ? { ...policy.permissions } : null)
+        };
+    }
+}
+
+module.exports = PolicyStore;
@@ -0,0 +1,177 @@
+/**
+ * Rate Limit Tracker
+ *
+ * Keeps the last GitHub rate limit seen for each installation and app including:
+ * - Recording the x-ratelimit-* headers of every GitHub response
+ * - Separate limits per installation (installation token calls) and per app (JWT calls)
+ * - Background refreshes through GET /rate_limit, which GitHub does not count
+ * - The most constrained core limit, shown on the dashboard
+ *
+ * Background refreshes borrow a token from an active lease of the installation,
+ * so no token is ever minted just to read the rate limit. Installations without
+ * an active lease keep their last recorded value until the next GitHub call.
+ *
+ * Every change is emitted as an "update" event.
+ */
+
+const { EventEmitter } = require('events');
+const logger = require('./logger');
+
+// Leases this close to expiry are not borrowed for a refresh
+const LEASE_MARGIN = 30 * 1000;
+
+class RateLimitTracker extends EventEmitter {
+    /**
+     * @param {Object} config - Uses rateLimitRefreshInterval
+     * @param {Object} services
+     * @param {TokenStorage} services.tokenStorage - Source of tokens for background refreshes
+     * @param {Object} services.githubTokenService - Set once the service exists, since its client reports here
+     * @param {InstallationCatalog} services.installationCatalog
+     */
+    constructor(config, { tokenStorage = null, githubTokenService = null, installationCatalog = null } = {}) {
+        super();
+        this.config = config;
+        this.tokenStorage = tokenStorage;
+        this.githubTokenService = githubTokenService;
+        this.installationCatalog = installationCatalog;
+        // key ("installation:<id>" or "app:<id>") -> { scope, id, resources, updatedAt }
+        this.limits = new Map();
+        this.refreshInterval = null;
+        this.refreshing = false;
+    }
+
+    static installationKey(installationId) {
+        return `installation:${installationId}`;
+    }
+
+    static appKey(appId) {
+        return `app:${appId}`;
+    }
+
+    /**
+     * Record the rate limit headers of a GitHub response
+     * @param {string} key - From installationKey() or appKey()
+     * @param {Object} headers - Response headers; ignored when they carry no rate limit
+     */
+    record(key, headers) {
+        if (!key || headers?.['x-ratelimit-remaining'] === undefined) {
+            return;
+        }
+        this.update(key, headers['x-ratelimit-resource'] || 'core', {
+            limit: Number(headers['x-ratelimit-limit']),
+            remaining: Number(headers['x-ratelimit-remaining']),
+            used: Number(headers['x-ratelimit-used'] ?? headers['x-ratelimit-limit'] - headers['x-ratelimit-remaining']),
+            reset: Number(headers['x-ratelimit-reset'])
+        });
+    }
+
+    /**
+     * Store the limit of one resource (core, search, graphql, ...)
+     */
+    update(key, resource, { limit, remaining, used, reset }) {
+        const [scope, id] = key.split(/:(.*)/);
+        const entry = this.limits.get(key) || { scope, id, resources: {}, updatedAt: null };
+        const updatedAt = new Date().toISOString();
+
+        entry.resources[resource] = { limit, remaining, used, reset, updatedAt };
+        entry.updatedAt = updatedAt;
+        this.limits.set(key, entry);
+        this.emit('update', this.describe(key, entry));
+    }
+
+    get(key) {
+        const entry = this.limits.get(key);
+        return entry ? this.describe(key, entry) : null;
+    }
+
+    list() {
+        return [...this.limits.entries()].map(([key, entry]) => this.describe(key, entry));
+    }
+
+    describe(key, entry) {
+        const installation = entry.scope === 'installation' && this.installationCatalog ? this.installationCatalog.get(entry.id) : null;
+        return {
+            key,
+            scope: entry.scope,
+            [entry.scope === 'app' ? 'appId' : 'installationId']: entry.id,
+            owner: installation?.owner || undefined,
+            resources: Object.fromEntries(Object.entries(entry.resources).map(([resource, limit]) => [resource, { ...limit }])),
+            updatedAt: entry.updatedAt
+        };
+    }
+
+    /**
+     * The core limit closest to running out, or null before GitHub has reported one
+     */
+    getLowest() {
+        let lowest = null;
+        for (const [key, entry] of this.limits) {
+            const core = entry.resources.core;
+            if (core && (!lowest || core.remaining < lowest.core.remaining)) {
+                lowest = { key, core: { ...core }, timestamp: core.updatedAt };
+            }
+        }
+        return lowest;
+    }
+
+    /**
+     * Refresh installations not heard from within RATE_LIMIT_REFRESH_INTERVAL
+     */
+    start() {
+        if (this.config.rateLimitRefreshInterval > 0 && !this.refreshInterval) {
+            this.refreshInterval = setInterval(() => this.refresh(), this.config.rateLimitRefreshInterval);
+        }
+    }
+
+    stop() {
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+            this.refreshInterval = null;
+        }
+    }
+
+    async refresh() {
+        if (this.refreshing || !this.tokenStorage || !this.githubTokenService) {
+            return 0;
+        }
+        this.refreshing = true;
+        let refreshed = 0;
+
+        try {
+            const now = Date.now();
+            const leases = new Map();
+            for (const lease of this.tokenStorage.getAll()) {
+                if (lease.installationId && lease.expiresAt > now + LEASE_MARGIN && !leases.has(String(lease.installationId))) {
+                    leases.set(String(lease.installationId), lease);
+                }
+            }
+
+            for (const [installationId, lease] of leases) {
+                const key = RateLimitTracker.installationKey(installationId);
+                const updatedAt = this.limits.get(key)?.updatedAt;
+                if (updatedAt && now - Date.parse(updatedAt) < this.config.rateLimitRefreshInterval) {
+                    continue;
+                }
+
+                const resources = await this.githubTokenService.fetchRateLimit(lease.token, installationId);
+                if (resources) {
+                    for (const [resource, limit] of Object.entries(resources)) {
+                        this.update(key, resource, limit);
+                    }
+                    refreshed++;
+                }
+            }
+        } catch (error) {
+            logger.error({ error: error.message }, '❌ Rate limit refresh failed');
+        } finally {
+            this.refreshing = false;
+        }
+
+        if (refreshed > 0) {
+            logger.debug({ refreshed }, `📊 Refreshed the rate limit of ${refreshed} installations`);
+        }
+        return refreshed;
+    }
+}
+
+module.exports = RateLimitTracker;
@@ -0,0 +1,223 @@
+/**
+ * Rate Limiter
+ *
+ * Protects the GitHub installation from misbehaving clients including:
+ * - Limiting how many tokens each client may mint per minute
+ * - Limiting how many active leases each client may hold at once
+ * - Enforcing a global hourly budget of minted tokens for the whole server
+ * - Reserving a slot before minting, so concurrent requests can't all pass the checks
+ * - Reporting current usage against every limit
+ *
+ * Limits come from the server configuration and can be overridden per
+ * client with a "limits" object in the client's policy:
+ *   { "limits": { "tokensPerMinute": 10, "maxActiveLeases": 3 } }
+ *
+ * A limit of 0 disables that check. Only freshly minted tokens count
+ * against the rate limits; reused leases don't call GitHub.
+ */
+
+const { LeaseError } = require('./errors');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+class RateLimiter {
+    constructor(config, { tokenStorage, policyStore = null } = {}) {
+        this.config = config;
+        this.tokenStorage = tokenStorage;
+        this.policyStore = policyStore;
+        // clientId -> timestamps of tokens minted within the last minute
+        this.clientIssuance = new Map();
+        // timestamps of tokens minted by any client within the last hour
+        this.globalIssuance = [];
+        // clientId -> leases reserved while their token is being minted
+        this.pendingLeases = new Map();
+    }
+
+    /**
+     * Get the effective limits for a client
+     */
+    getLimits(clientId) {
+        const policy = this.policyStore ? this.policyStore.getPolicy(clientId) : null;
+        const overrides = policy?.limits || {};
+        return {
+            tokensPerMinute: overrides.tokensPerMinute ?? this.config.clientTokensPerMinute,
+            maxActiveLeases: overrides.maxActiveLeases ?? this.config.clientMaxActiveLeases,
+            globalTokensPerHour: this.config.globalTokensPerHour
+        };
+    }
+
+    prune(now = Date.now()) {
+        this.globalIssuance = this.globalIssuance.filter(timestamp => timestamp > now - HOUR);
+        for (const [clientId, timestamps] of this.clientIssuance) {
+            const recent = timestamps.filter(timestamp => timestamp > now - MINUTE);
+            if (recent.length > 0) {
+                this.clientIssuance.set(clientId, recent);
+            } else {
+                this.clientIssuance.delete(clientId);
+            }
+        }
+    }
+
+    countActiveLeases(clientId) {
+        const now = Date.now();
+        return this.tokenStorage.getByClientId(clientId)
+            .filter(({ tokenData }) => tokenData.expiresAt > now)
+            .length + (this.pendingLeases.get(clientId) || 0);
+    }
+
+    /**
+     * Check that the global hourly budget allows another token to be minted
+     */
+    checkGlobal() {
+        const now = Date.now();
+        this.prune(now);
+
+        const { globalTokensPerHour } = this.getLimits(null);
+        if (globalTokensPerHour > 0 && this.globalIssuance.length >= globalTokensPerHour) {
+            throw new LeaseError(`Global token budget of ${globalTokensPerHour} tokens per hour is exhausted`, {
+                statusCode: 429,
+                error: 'Too many requests',
+                retryAfter: Math.ceil((this.globalIssuance[0] + HOUR - now) / 1000)
+            });
+        }
+    }
+
+    /**
+     * Check that a client may mint another token
+     * @throws {LeaseError} 429 with retryAfter (seconds) when a limit is reached
+     */
+    check(clientId) {
+        this.checkGlobal();
+
+        const now = Date.now();
+        const limits = this.getLimits(clientId);
+        const recent = this.clientIssuance.get(clientId) || [];
+
+        if (limits.tokensPerMinute > 0 && recent.length >= limits.tokensPerMinute) {
+            throw new LeaseError(`Client "${clientId}" exceeded ${limits.tokensPerMinute} tokens per minute`, {
+                statusCode: 429,
+                error: 'Too many requests',
+                retryAfter: Math.ceil((recent[0] + MINUTE - now) / 1000)
+            });
+        }
+
+        if (limits.maxActiveLeases > 0 && this.countActiveLeases(clientId) >= limits.maxActiveLeases) {
+            const leases = this.tokenStorage.getByClientId(clientId)
+                .map(({ tokenData }) => tokenData.expiresAt)
+                .filter(expiresAt => expiresAt > now);
+            throw new LeaseError(`Client "${clientId}" already holds ${limits.maxActiveLeases} active leases; release one first`, {
+                statusCode: 429,
+                error: 'Too many requests',
+                // Leases still being minted have no expiry yet
+                retryAfter: leases.length > 0 ? Math.max(1, Math.ceil((Math.min(...leases) - now) / 1000)) : 1
+            });
+        }
+    }
+
+    /**
+     * Record a token minted for a client
+     * @returns {number} When it was recorded
+     */
+    record(clientId) {
+        const now = Date.now();
+        this.globalIssuance.push(now);
+        if (clientId) {
+            const timestamps = this.clientIssuance.get(clientId) || [];
+            timestamps.push(now);
+            this.clientIssuance.set(clientId, timestamps);
+        }
+        return now;
+    }
+
+    /**
+     * Check the limits and count the token against them in one step, before it is minted.
+     * Call complete() once the lease is stored, or release() when minting fails.
+     * @param {string} clientId
+     * @param {Object} options - lease: false for a token replacing one of an existing lease,
+     *   which only needs the global budget and adds no active lease
+     * @returns {Object} The reservation
+     * @throws {LeaseError} 429 with retryAfter (seconds) when a limit is reached
+     */
+    reserve(clientId, { lease = true } = {}) {
+        if (lease) {
+            this.check(clientId);
+            this.pendingLeases.set(clientId, (this.pendingLeases.get(clientId) || 0) + 1);
+        } else {
+            this.checkGlobal();
+        }
+        return { clientId, lease, timestamp: this.record(clientId) };
+    }
+
+    /**
+     * The reserved lease is in storage now and counts as active from there
+     */
+    complete(reservation) {
+        if (!reservation.lease) {
+            return;
+        }
+        const pending = (this.pendingLeases.get(reservation.clientId) || 0) - 1;
+        if (pending > 0) {
+            this.pendingLeases.set(reservation.clientId, pending);
+        } else {
+            this.pendingLeases.delete(reservation.clientId);
+        }
+    }
+
+    /**
+     * Give back a reservation whose token was never minted
+     */
+    release(reservation) {
+        const remove = (timestamps) => {
+            const index = timestamps.indexOf(reservation.timestamp);
+            if (index !== -1) {
+                timestamps.splice(index, 1);
+            }
+        };
+        remove(this.globalIssuance);
+        if (this.clientIssuance.has(reservation.clientId)) {
+            remove(this.clientIssuance.get(reservation.clientId));
+        }
+        this.complete(reservation);
+    }
+
+    /**
+     * Current usage of a client against its limits
+     */
+    getClientUsage(clientId) {
+        this.prune();
+        const limits = this.getLimits(clientId);
+        return {
+            tokensLastMinute: (this.clientIssuance.get(clientId) || []).length,
+            tokensPerMinute: limits.tokensPerMinute,
+            activeLeases: this.countActiveLeases(clientId),
+            maxActiveLeases: limits.maxActiveLeases
+        };
+    }
+
+    /**
+     * Current usage of the global budget and of every client seen recently or holding leases
+     */
+    getUsage() {
+        this.prune();
+        const clientIds = new Set([
+            ...this.clientIssuance.keys(),
+            ...this.tokenStorage.getAll().map(tokenData => tokenData.clientId)
+        ]);
+
+        const clients = {};
+        for (const clientId of clientIds) {
+            clients[clientId] = this.getClientUsage(clientId);
+        }
+
+        return {
+            global: {
+                tokensLastHour: this.globalIssuance.length,
+                tokensPerHour: this.config.globalTokensPerHour
+            },
+            clients
+        };
+    }
+}
+
+module.exports = RateLimiter;
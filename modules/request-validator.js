@@ -0,0 +1,213 @@
+/**
+ * Request Validator
+ *
+ * Checks incoming requests against the OpenAPI document including:
+ * - Path and query parameters, converted from strings to the declared type first
+ * - JSON request bodies, including required and unknown fields
+ * - The JSON Schema subset the document uses: type, enum, const, minimum,
+ *   maximum, minLength, maxLength, pattern, items, minItems, maxItems,
+ *   properties, required, minProperties, additionalProperties and $ref
+ * - One 400 error listing every field-level problem
+ *
+ * Problems are reported as { in, field, message }, e.g.
+ * { "in": "body", "field": "repositories[0]", "message": "must be a string" }.
+ * Handlers still apply the checks a schema cannot express (policies, known
+ * audit event types, ...), reporting them in the same shape.
+ */
+
+const { LeaseError } = require('./errors');
+
+const TYPE_NAMES = {
+    string: 'a string',
+    integer: 'a whole number',
+    number: 'a number',
+    boolean: 'a boolean',
+    object: 'an object',
+    array: 'an array',
+    null: 'null'
+};
+
+class RequestValidator {
+    /**
+     * @param {Object} document - OpenAPI 3.1 document; operations are looked up by operationId
+     */
+    constructor(document) {
+        this.document = document;
+        // operationId -> { parameters, body }
+        this.operations = new Map();
+
+        for (const pathItem of Object.values(document.paths)) {
+            for (const operation of Object.values(pathItem)) {
+                const content = operation.requestBody?.content?.['application/json'];
+                this.operations.set(operation.operationId, {
+                    parameters: operation.parameters || [],
+                    body: content ? content.schema : null
+                });
+            }
+        }
+    }
+
+    /**
+     * Build the 400 error for a list of problems
+     * @param {Object[]} errors - { in, field, message }
+     */
+    static invalid(errors) {
+        return new LeaseError(errors.map(error => `${error.field} ${error.message}`).join('; '), {
+            statusCode: 400,
+            error: 'Invalid request',
+            details: { errors }
+        });
+    }
+
+    /**
+     * Validate a request against an operation
+     * @returns {Object[]} Problems found; empty when the request is valid
+     */
+    validate(operationId, req) {
+        const operation = this.operations.get(operationId);
+        if (!operation) {
+            throw new Error(`❌ Unknown operation: ${operationId}`);
+        }
+        const errors = [];
+
+        for (const parameter of operation.parameters.map(parameter => this.resolve(parameter))) {
+            const source = parameter.in === 'path' ? req.params : parameter.in === 'query' ? req.query : null;
+            if (!source) {
+                continue;
+            }
+            const value = source[parameter.name];
+            if (value === undefined || value === '') {
+                if (parameter.required) {
+                    errors.push({ in: parameter.in, field: parameter.name, message: 'is required' });
+                }
+                continue;
+            }
+            this.check(this.resolve(parameter.schema), this.coerce(this.resolve(parameter.schema), value), parameter.name, parameter.in, errors);
+        }
+
+        // Requests without a JSON body arrive as {}, which is checked like any other body
+        if (operation.body) {
+            this.check(this.resolve(operation.body), req.body ?? {}, '', 'body', errors);
+        }
+        return errors;
+    }
+
+    /**
+     * Throw the 400 error when a request is invalid
+     */
+    assert(operationId, req) {
+        const errors = this.validate(operationId, req);
+        if (errors.length > 0) {
+            throw RequestValidator.invalid(errors);
+        }
+    }
+
+    resolve(schema) {
+        if (schema && schema.$ref) {
+            const path = schema.$ref.replace(/^#\//, '').split('/');
+            return this.resolve(path.reduce((node, key) => node[key], this.document));
+        }
+        return schema;
+    }
+
+    /**
+     * Convert a path or query string to the type its schema declares
+     */
+    coerce(schema, value) {
+        const types = [].concat(schema.type || []);
+        if (typeof value !== 'string') {
+            return value;
+        }
+        if (types.includes('integer') && /^-?\d+$/.test(value)) {
+            return Number(value);
+        }
+        if (types.includes('number') && /^-?\d+(\.\d+)?$/.test(value)) {
+            return Number(value);
+        }
+        if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+            return value === 'true';
+        }
+        return value;
+    }
+
+    typeOf(value) {
+        if (value === null) {
+            return 'null';
+        }
+        if (Array.isArray(value)) {
+            return 'array';
+        }
+        if (typeof value === 'number') {
+            return Number.isInteger(value) ? 'integer' : 'number';
+        }
+        return typeof value;
+    }
+
+    check(schema, value, field, location, errors) {
+        // x-error-message replaces every message of a schema with one the client can act on
+        const report = (message) => errors.push({ in: location, field: field || location, message: schema['x-error-message'] || message });
+        const types = [].concat(schema.type || []);
+        const actual = this.typeOf(value);
+
+        if (types.length > 0 && !types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+            return report(`must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}`);
+        }
+        if (schema.const !== undefined && value !== schema.const) {
+            return report(`must be ${JSON.stringify(schema.const)}`);
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            return report(`must be one of: ${schema.enum.join(', ')}`);
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                report(`must be at least ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                report(`must be at most ${schema.maximum}`);
+            }
+        } else if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                report(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                report(`must be at most ${schema.maxLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                report(`must match ${schema.pattern}`);
+            }
+        } else if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                report(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                report(`must have at most ${schema.maxItems} items`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => this.check(this.resolve(schema.items), item, `${field}[${index}]`, location, errors));
+            }
+        } else if (actual === 'object') {
+            const prefix = field ? `${field}.` : '';
+            if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+                report(`must have at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}`);
+            }
+            for (const name of schema.required || []) {
+                if (value[name] === undefined) {
+                    errors.push({ in: location, field: prefix + name, message: 'is required' });
+                }
+            }
+            for (const [name, propertyValue] of Object.entries(value)) {
+                const property = schema.properties?.[name];
+                if (property) {
+                    this.check(this.resolve(property), propertyValue, prefix + name, location, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ in: location, field: prefix + name, message: 'is not a known field' });
+                } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                    this.check(this.resolve(schema.additionalProperties), propertyValue, prefix + name, location, errors);
+                }
+            }
+        }
+    }
+}
+
+module.exports = RequestValidator;
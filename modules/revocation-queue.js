@@ -0,0 +1,228 @@
+/**
+ * Revocation Queue
+ *
+ * Keeps tokens whose revocation failed until GitHub confirms them revoked including:
+ * - Revoking a lease's token and queueing it when GitHub does not confirm
+ * - Retrying queued revocations with exponential backoff
+ * - Giving up after REVOCATION_MAX_ATTEMPTS, leaving the token to expire naturally
+ * - Persisting the queue through the storage adapter so retries survive restarts
+ *
+ * Queued entries are keyed by the token's fingerprint. A token that has passed
+ * its GitHub expiry is no longer valid and is dropped from the queue, whether it
+ * is still pending or was given up on.
+ */
+
+const logger = require('./logger');
+const AuditLog = require('./audit-log');
+const { MemoryAdapter } = require('./storage');
+
+const NAMESPACE = 'revocations';
+
+// Installation tokens are valid for one hour
+const GITHUB_TOKEN_TTL = 60 * 60 * 1000;
+
+class RevocationQueue {
+    /**
+     * @param {Object} config - Uses revocationRetryBaseDelay, revocationRetryMaxDelay and revocationMaxAttempts
+     * @param {Object} services
+     * @param {Object} services.githubTokenService
+     * @param {Object} services.adapter - Storage adapter, shared with token storage and initialized by it
+     * @param {TokenCipher} services.cipher - Encrypts queued tokens before they reach a persistent adapter
+     * @param {AuditLog} services.auditLog
+     */
+    constructor(config, { githubTokenService, adapter = null, cipher = null, auditLog = null } = {}) {
+        this.config = config;
+        this.githubTokenService = githubTokenService;
+        this.adapter = adapter || new MemoryAdapter();
+        this.cipher = cipher;
+        this.auditLog = auditLog;
+        // fingerprint -> entry
+        this.entries = new Map();
+        this.pendingWrites = new Set();
+        this.processing = false;
+    }
+
+    /**
+     * Load queued revocations persisted before a restart
+     */
+    async init() {
+        const records = await this.adapter.loadAll(NAMESPACE);
+        for (const record of records) {
+            try {
+                this.entries.set(record.id, this.adapter.persistent ? { ...record, token: this.cipher.decrypt(record.token) } : record);
+            } catch (error) {
+                logger.error({ id: record.id, error: error.message }, '❌ Failed to restore queued revocation, skipping');
+            }
+        }
+        if (this.entries.size > 0) {
+            logger.warn({ queued: this.entries.size }, `⏳ Restored ${this.entries.size} queued token revocations`);
+        }
+        return this.entries.size;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    persist(operation) {
+        const write = operation()
+            .catch((error) => {
+                logger.error({ error: error.message, backend: this.adapter.name }, '❌ Failed to persist revocation queue change');
+            })
+            .finally(() => this.pendingWrites.delete(write));
+        this.pendingWrites.add(write);
+        return write;
+    }
+
+    save(entry) {
+        this.entries.set(entry.id, entry);
+        const record = this.adapter.persistent ? { ...entry, token: this.cipher.encrypt(entry.token) } : entry;
+        this.persist(() => this.adapter.save(NAMESPACE, entry.id, record));
+    }
+
+    remove(id) {
+        this.entries.delete(id);
+        this.persist(() => this.adapter.remove(NAMESPACE, id));
+    }
+
+    /**
+     * Delay before the next attempt after the given number of failed attempts
+     */
+    getRetryDelay(attempts) {
+        return Math.min(this.config.revocationRetryBaseDelay * 2 ** (attempts - 1), this.config.revocationRetryMaxDelay);
+    }
+
+    /**
+     * Revoke a lease's token, queueing it for retries when GitHub does not confirm the revocation
+     * @param {Object} lease - Token entry with token, clientId, installationId and githubExpiresAt
+     * @param {string} reason - Why the token is revoked (expired, released, deleted, ...)
+     * @returns {boolean} Whether the token was revoked right away
+     */
+    async revoke(lease, reason) {
+        const revoked = await this.githubTokenService.revokeToken(lease.token, lease.installationId);
+        if (!revoked) {
+            this.enqueue(lease, reason);
+        }
+        return revoked;
+    }
+
+    enqueue(lease, reason) {
+        const now = Date.now();
+        const id = AuditLog.fingerprint(lease.token);
+        const entry = {
+            id,
+            tokenId: lease.tokenId || null,
+            clientId: lease.clientId || null,
+            installationId: lease.installationId || null,
+            owner: lease.owner || null,
+            repositories: lease.repositories || null,
+            token: lease.token,
+            reason,
+            status: 'pending',
+            attempts: 1,
+            firstFailedAt: now,
+            lastAttemptAt: now,
+            nextAttemptAt: now + this.getRetryDelay(1),
+            githubExpiresAt: lease.githubExpiresAt || (lease.createdAt || now) + GITHUB_TOKEN_TTL
+        };
+        this.save(entry);
+        logger.warn({ id, tokenId: entry.tokenId, clientId: entry.clientId, nextAttemptAt: new Date(entry.nextAttemptAt).toISOString() }, `⏳ Token revocation failed, queued for retry: ${id}`);
+        return entry;
+    }
+
+    /**
+     * Retry every queued revocation that is due and drop tokens GitHub has expired
+     */
+    async processDue() {
+        if (this.processing) {
+            return;
+        }
+        this.processing = true;
+        try {
+            for (const entry of Array.from(this.entries.values())) {
+                const now = Date.now();
+                if (entry.githubExpiresAt <= now) {
+                    this.remove(entry.id);
+                    logger.info({ id: entry.id, tokenId: entry.tokenId, status: entry.status }, `⌛ Queued token expired at GitHub, dropping: ${entry.id}`);
+                } else if (entry.status === 'pending' && entry.nextAttemptAt <= now) {
+                    await this.retry(entry);
+                }
+            }
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async retry(entry) {
+        const attempts = entry.attempts + 1;
+        const revoked = await this.githubTokenService.revokeToken(entry.token, entry.installationId);
+        const fields = {
+            tokenId: entry.tokenId,
+            clientId: entry.clientId,
+            installationId: entry.installationId,
+            owner: entry.owner || null,
+            repositories: entry.repositories || null,
+            fingerprint: entry.id,
+            reason: entry.reason,
+            attempts
+        };
+        this.auditLog?.record('revocation.retried', { ...fields, revoked });
+
+        if (revoked) {
+            this.remove(entry.id);
+            logger.info({ id: entry.id, tokenId: entry.tokenId, attempts }, `✅ Queued token revoked after ${attempts} attempts: ${entry.id}`);
+            return true;
+        }
+
+        const now = Date.now();
+        if (attempts >= this.config.revocationMaxAttempts) {
+            this.save({ ...entry, attempts, lastAttemptAt: now, nextAttemptAt: null, status: 'unrevocable' });
+            this.auditLog?.record('revocation.abandoned', { ...fields, expiresAt: new Date(entry.githubExpiresAt).toISOString() });
+            logger.error({ id: entry.id, tokenId: entry.tokenId, attempts, expiresAt: new Date(entry.githubExpiresAt).toISOString() }, `🚨 Giving up revoking token ${entry.id}; it expires naturally at ${new Date(entry.githubExpiresAt).toISOString()}`);
+        } else {
+            const nextAttemptAt = now + this.getRetryDelay(attempts);
+            this.save({ ...entry, attempts, lastAttemptAt: now, nextAttemptAt });
+            logger.warn({ id: entry.id, tokenId: entry.tokenId, attempts, nextAttemptAt: new Date(nextAttemptAt).toISOString() }, `⏳ Token revocation retry failed: ${entry.id}`);
+        }
+        return false;
+    }
+
+    /**
+     * Queued revocations for API responses, without the tokens
+     */
+    list() {
+        return Array.from(this.entries.values()).map(entry => ({
+            id: entry.id,
+            tokenId: entry.tokenId,
+            clientId: entry.clientId,
+            installationId: entry.installationId,
+            reason: entry.reason,
+            status: entry.status,
+            attempts: entry.attempts,
+            firstFailedAt: new Date(entry.firstFailedAt).toISOString(),
+            lastAttemptAt: new Date(entry.lastAttemptAt).toISOString(),
+            nextAttemptAt: entry.nextAttemptAt ? new Date(entry.nextAttemptAt).toISOString() : null,
+            expiresNaturallyAt: new Date(entry.githubExpiresAt).toISOString()
+        }));
+    }
+
+    /**
+     * Number of queued revocations by status
+     */
+    getCounts() {
+        const counts = { pending: 0, unrevocable: 0 };
+        for (const entry of this.entries.values()) {
+            counts[entry.status]++;
+        }
+        return counts;
+    }
+
+    /**
+     * Wait for outstanding writes; the adapter itself is closed by token storage
+     */
+    async close() {
+        await Promise.all(Array.from(this.pendingWrites));
+    }
+}
+
+module.exports = RevocationQueue;
@@ -0,0 +1,82 @@
+/**
+ * File Storage Adapter
+ *
+ * Persists each namespace as a JSON file inside a data directory, for
+ * single-instance deployments that need records to survive a restart.
+ * Writes go to a temporary file that is renamed into place, so a crash
+ * mid-write never leaves a truncated file behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class FileAdapter {
+    constructor(options = {}) {
+        this.name = 'file';
+        this.persistent = true;
+        this.directory = options.directory || './data';
+        // namespace -> Map(id -> record), mirrors what is on disk
+        this.namespaces = new Map();
+        // Serialize writes so concurrent saves cannot interleave
+        this.writeQueue = Promise.resolve();
+    }
+
+    async init() {
+        await fs.promises.mkdir(this.directory, { recursive: true, mode: 0o700 });
+    }
+
+    filePath(namespace) {
+        return path.join(this.directory, `${namespace}.json`);
+    }
+
+    async getNamespace(namespace) {
+        if (!this.namespaces.has(namespace)) {
+            let records = {};
+            try {
+                records = JSON.parse(await fs.promises.readFile(this.filePath(namespace), 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+            this.namespaces.set(namespace, new Map(Object.entries(records)));
+        }
+        return this.namespaces.get(namespace);
+    }
+
+    async loadAll(namespace) {
+        return Array.from((await this.getNamespace(namespace)).values());
+    }
+
+    async save(namespace, id, record) {
+        (await this.getNamespace(namespace)).set(id, record);
+        return this.write(namespace);
+    }
+
+    async remove(namespace, id) {
+        (await this.getNamespace(namespace)).delete(id);
+        return this.write(namespace);
+    }
+
+    async clear(namespace) {
+        (await this.getNamespace(namespace)).clear();
+        return this.write(namespace);
+    }
+
+    write(namespace) {
+        this.writeQueue = this.writeQueue.catch(() => {}).then(async () => {
+            const records = Object.fromEntries(this.namespaces.get(namespace));
+            const target = this.filePath(namespace);
+            const temporary = `${target}.${process.pid}.tmp`;
+            await fs.promises.writeFile(temporary, JSON.stringify(records, null, 2), { mode: 0o600 });
+            await fs.promises.rename(temporary, target);
+        });
+        return this.writeQueue;
+    }
+
+    async close() {
+        await this.writeQueue.catch(() => {});
+    }
+}
+
+module.exports = FileAdapter;
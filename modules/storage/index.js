@@ -0,0 +1,36 @@
+/**
+ * Storage Adapters
+ *
+ * Creates the storage backend selected by STORAGE_BACKEND:
+ * - memory: in-process only, nothing survives a restart (default)
+ * - file:   JSON files in STORAGE_PATH
+ * - redis:  hashes in the Redis-compatible server at REDIS_URL
+ */
+
+const MemoryAdapter = require('./memory-adapter');
+const FileAdapter = require('./file-adapter');
+
+const BACKENDS = ['memory', 'file', 'redis'];
+
+function createStorageAdapter(config = {}) {
+    switch (config.storageBackend || 'memory') {
+        case 'memory':
+            return new MemoryAdapter();
+        case 'file':
+            return new FileAdapter({ directory: config.storagePath });
+        case 'redis': {
+            // Loaded lazily so the redis client is only required when used
+            const RedisAdapter = require('./redis-adapter');
+            return new RedisAdapter({ url: config.redisUrl, keyPrefix: config.redisKeyPrefix });
+        }
+        default:
+            throw new Error(`❌ Unknown storage backend: ${config.storageBackend} (expected one of: ${BACKENDS.join(', ')})`);
+    }
+}
+
+module.exports = {
+    BACKENDS,
+    createStorageAdapter,
+    MemoryAdapter,
+    FileAdapter
+};
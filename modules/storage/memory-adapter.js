@@ -0,0 +1,51 @@
+/**
+ * Memory Storage Adapter
+ *
+ * Default storage backend that keeps records in process memory only.
+ * Nothing survives a restart; use the file or redis adapter for that.
+ *
+ * Every storage adapter implements the same asynchronous interface:
+ * - init()                       Prepare the backend (connect, create directories)
+ * - loadAll(namespace)           Return every record stored in a namespace
+ * - save(namespace, id, record)  Insert or replace a record
+ * - remove(namespace, id)        Delete a record
+ * - clear(namespace)             Delete every record in a namespace
+ * - close()                      Release connections and flush pending writes
+ */
+
+class MemoryAdapter {
+    constructor() {
+        this.name = 'memory';
+        this.persistent = false;
+        this.namespaces = new Map();
+    }
+
+    async init() {}
+
+    getNamespace(namespace) {
+        if (!this.namespaces.has(namespace)) {
+            this.namespaces.set(namespace, new Map());
+        }
+        return this.namespaces.get(namespace);
+    }
+
+    async loadAll(namespace) {
+        return Array.from(this.getNamespace(namespace).values());
+    }
+
+    async save(namespace, id, record) {
+        this.getNamespace(namespace).set(id, record);
+    }
+
+    async remove(namespace, id) {
+        this.getNamespace(namespace).delete(id);
+    }
+
+    async clear(namespace) {
+        this.getNamespace(namespace).clear();
+    }
+
+    async close() {}
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,56 @@
+/**
+ * Redis Storage Adapter
+ *
+ * Persists each namespace as a Redis hash (field = record ID, value = JSON),
+ * for deployments that already run Redis or a Redis-compatible server such
+ * as Valkey, KeyDB or a managed cache.
+ */
+
+const Redis = require('ioredis');
+
+class RedisAdapter {
+    constructor(options = {}) {
+        this.name = 'redis';
+        this.persistent = true;
+        this.url = options.url || 'redis://localhost:6379';
+        this.keyPrefix = options.keyPrefix || 'token-lease:';
+        // Allow an existing client to be injected (e.g. a cluster client)
+        this.client = options.client || null;
+    }
+
+    async init() {
+        if (!this.client) {
+            this.client = new Redis(this.url, { lazyConnect: true, maxRetriesPerRequest: 3 });
+            await this.client.connect();
+        }
+    }
+
+    key(namespace) {
+        return `${this.keyPrefix}${namespace}`;
+    }
+
+    async loadAll(namespace) {
+        const records = await this.client.hgetall(this.key(namespace));
+        return Object.values(records).map(value => JSON.parse(value));
+    }
+
+    async save(namespace, id, record) {
+        await this.client.hset(this.key(namespace), id, JSON.stringify(record));
+    }
+
+    async remove(namespace, id) {
+        await this.client.hdel(this.key(namespace), id);
+    }
+
+    async clear(namespace) {
+        await this.client.del(this.key(namespace));
+    }
+
+    async close() {
+        if (this.client) {
+            await this.client.quit();
+        }
+    }
+}
+
+module.exports = RedisAdapter;
@@ -0,0 +1,54 @@
+/**
+ * Token Cipher
+ *
+ * Encrypts tokens before they are written to a persistent storage backend
+ * using AES-256-GCM. The key comes from TOKEN_ENCRYPTION_KEY and may be
+ * either 64 hex characters (used as-is) or any passphrase (stretched with
+ * scrypt).
+ *
+ * Encrypted values have the form "v1:<iv>:<auth tag>:<ciphertext>" with
+ * each part base64 encoded.
+ */
+
+const crypto = require('crypto');
+
+const VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+
+class TokenCipher {
+    constructor(key) {
+        if (!key) {
+            throw new Error('❌ TOKEN_ENCRYPTION_KEY is required to encrypt tokens at rest');
+        }
+        this.key = /^[0-9a-f]{64}$/i.test(key)
+            ? Buffer.from(key, 'hex')
+            : crypto.scryptSync(String(key), 'token-lease', 32);
+    }
+
+    /**
+     * Generate a random key suitable for TOKEN_ENCRYPTION_KEY
+     */
+    static generateKey() {
+        return crypto.randomBytes(32).toString('hex');
+    }
+
+    encrypt(plaintext) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+        const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+        const tag = cipher.getAuthTag();
+        return [VERSION, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+    }
+
+    decrypt(value) {
+        const [version, iv, tag, ciphertext] = String(value).split(':');
+        if (version !== VERSION || !iv || !tag || !ciphertext) {
+            throw new Error('❌ Unrecognized encrypted token format');
+        }
+        const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+    }
+}
+
+module.exports = TokenCipher;
@@ -5,20 +5,29 @@
  * - Running periodic cleanup intervals
  * - Identifying expired tokens in storage
  * - Revoking expired tokens through GitHub API
+ * - Retrying revocations that failed earlier (see revocation-queue.js)
  * - Removing expired tokens from local storage
+ * - Recording each revocation in the audit log
+ * - Reporting cleanup runs to the metrics registry
  * 
  * This service ensures that expired tokens are properly cleaned up
  * to prevent storage bloat and maintain security hygiene.
  */
 
 const logger = require('./logger');
+const AuditLog = require('./audit-log');
 
 class TokenCleanupService {
-    constructor(tokenStorage, githubTokenService, config) {
+    constructor(tokenStorage, githubTokenService, config, services = {}) {
         this.tokenStorage = tokenStorage;
         this.githubTokenService = githubTokenService;
         this.config = config;
+        this.auditLog = services.auditLog || null;
+        this.metrics = services.metrics || null;
+        this.revocationQueue = services.revocationQueue || null;
         this.cleanupInterval = null;
+        // Revocations can outlast the interval; a run still in progress is not started again
+        this.running = false;
     }
 
     /**
@@ -26,7 +35,10 @@ class TokenCleanupService {
      */
     start() {
         this.cleanupInterval = setInterval(() => {
-            this.cleanupExpiredTokens();
+            // Storage and revocation failures must not become unhandled rejections; the next check retries
+            this.cleanupExpiredTokens().catch((error) => {
+                logger.error({ error: error.message }, '❌ Token cleanup failed');
+            });
         }, this.config.cacheCheckInterval);
         
         const minutes = (this.config.cacheCheckInterval / 60000).toFixed(1);
@@ -44,31 +56,64 @@ class TokenCleanupService {
     }
 
     /**
-     * Clean up expired tokens
+     * Clean up expired tokens; a call while a run is still in progress is skipped
      */
     async cleanupExpiredTokens() {
-        logger.debug({ totalTokens: this.tokenStorage.size }, `🔍 Token cleanup check started`);
-        let cleanedCount = 0;
-        let revokedCount = 0;
-        const now = Date.now();
+        if (this.running) {
+            logger.debug('🧹 Token cleanup still running, skipping this check');
+            return;
+        }
+        this.running = true;
+        try {
+            logger.debug({ totalTokens: this.tokenStorage.size }, `🔍 Token cleanup check started`);
+            let cleanedCount = 0;
+            let revokedCount = 0;
+            const startedAt = process.hrtime.bigint();
         
-        const expiredTokens = this.tokenStorage.getExpiredTokens();
+            const expiredTokens = this.tokenStorage.getExpiredTokens();
 
-        for (const { tokenId, tokenData } of expiredTokens) {
-            logger.info({ tokenId, clientId: tokenData.clientId }, `🔄 Revoking expired token: ${tokenId}`);
-            const revoked = await this.githubTokenService.revokeToken(tokenData.token);
-            if (revoked) {
-                revokedCount++;
+            for (const { tokenId, tokenData } of expiredTokens) {
+                logger.info({ tokenId, clientId: tokenData.clientId }, `🔄 Revoking expired token: ${tokenId}`);
+                const revoked = this.revocationQueue
+                    ? await this.revocationQueue.revoke({ tokenId, ...tokenData }, 'expired')
+                    : await this.githubTokenService.revokeToken(tokenData.token, tokenData.installationId);
+                if (revoked) {
+                    revokedCount++;
+                }
+                this.tokenStorage.delete(tokenId);
+                cleanedCount++;
+                if (this.auditLog) {
+                    this.auditLog.record('lease.revoked', {
+                        tokenId,
+                        clientId: tokenData.clientId,
+                        installationId: tokenData.installationId || null,
+                        owner: tokenData.owner || null,
+                        repositories: tokenData.repositories || null,
+                        permissions: tokenData.permissions || null,
+                        fingerprint: AuditLog.fingerprint(tokenData.token),
+                        expiresAt: new Date(tokenData.expiresAt).toISOString(),
+                        reason: 'expired',
+                        revoked
+                    });
+                }
+                logger.debug({ tokenId, clientId: tokenData.clientId }, `🗑️ Expired token removed: ${tokenId}`);
+            }
+
+            if (this.revocationQueue) {
+                await this.revocationQueue.processDue();
             }
-            this.tokenStorage.delete(tokenId);
-            cleanedCount++;
-            logger.debug({ tokenId, clientId: tokenData.clientId }, `🗑️ Expired token removed: ${tokenId}`);
-        }
 
-        if (cleanedCount > 0) {
-            logger.info({ cleaned: cleanedCount, revoked: revokedCount, remaining: this.tokenStorage.size }, `🧹 Token cleanup completed: removed ${cleanedCount} expired tokens`);
-        } else {
-            logger.debug({ remaining: this.tokenStorage.size }, `🧹 Token cleanup completed: no expired tokens found`);
+            if (this.metrics) {
+                this.metrics.observeCleanup(Number(process.hrtime.bigint() - startedAt) / 1e9, cleanedCount);
+            }
+
+            if (cleanedCount > 0) {
+                logger.info({ cleaned: cleanedCount, revoked: revokedCount, remaining: this.tokenStorage.size }, `🧹 Token cleanup completed: removed ${cleanedCount} expired tokens`);
+            } else {
+                logger.debug({ remaining: this.tokenStorage.size }, `🧹 Token cleanup completed: no expired tokens found`);
+            }
+        } finally {
+            this.running = false;
         }
     }
 }
@@ -1,21 +1,105 @@
 /**
  * Token Storage Service
  * 
- * Manages in-memory storage of GitHub installation tokens including:
+ * Manages storage of GitHub installation tokens including:
  * - Creating and storing token entries with metadata
  * - Retrieving tokens by ID or client ID
  * - Managing token lifecycle and expiration tracking
  * - Providing query methods for token status and cleanup
+ * - Writing entries through to a pluggable storage adapter
  * 
  * This service acts as the central repository for all active tokens
  * and provides efficient access patterns for the token lease server.
+ * Lookups are served from memory; every change is also written to the
+ * storage adapter (with the token encrypted) so leases survive restarts.
  */
 
+const logger = require('./logger');
+const { MemoryAdapter } = require('./storage');
+
+const NAMESPACE = 'tokens';
+
 class TokenStorage {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {Object} options.adapter - Storage adapter (see modules/storage), defaults to memory only
+     * @param {TokenCipher} options.cipher - Encrypts tokens before they reach a persistent adapter
+     */
+    constructor(options = {}) {
         // Token storage for tracking and potential deletion: { tokenId: { clientId, token, expiresAt, createdAt } }
         this.storage = new Map();
         this.tokenCounter = 0;
+        this.adapter = options.adapter || new MemoryAdapter();
+        this.cipher = options.cipher || null;
+        this.pendingWrites = new Set();
+    }
+
+    /**
+     * Load previously persisted tokens from the storage adapter
+     * @returns {number} Number of tokens restored
+     */
+    async init() {
+        await this.adapter.init();
+        const records = await this.adapter.loadAll(NAMESPACE);
+
+        for (const record of records) {
+            try {
+                this.storage.set(record.tokenId, this.fromRecord(record));
+            } catch (error) {
+                logger.error({ tokenId: record.tokenId, error: error.message }, '❌ Failed to restore stored token, skipping');
+            }
+        }
+
+        if (records.length > 0) {
+            logger.info({ restored: this.storage.size, backend: this.adapter.name }, `💾 Restored ${this.storage.size} tokens from ${this.adapter.name} storage`);
+        }
+        return this.storage.size;
+    }
+
+    /**
+     * Convert an entry to the form written to the adapter
+     */
+    toRecord(entry) {
+        if (!this.adapter.persistent) {
+            return entry;
+        }
+        return { ...entry, token: this.cipher.encrypt(entry.token) };
+    }
+
+    fromRecord(record) {
+        if (!this.adapter.persistent) {
+            return record;
+        }
+        return { ...record, token: this.cipher.decrypt(record.token) };
+    }
+
+    /**
+     * Run a write against the adapter without blocking the caller.
+     * Failures are logged; flush() waits for outstanding writes.
+     */
+    persist(operation) {
+        const write = operation()
+            .catch((error) => {
+                logger.error({ error: error.message, backend: this.adapter.name }, '❌ Failed to persist token storage change');
+            })
+            .finally(() => this.pendingWrites.delete(write));
+        this.pendingWrites.add(write);
+        return write;
+    }
+
+    /**
+     * Wait for all outstanding adapter writes
+     */
+    async flush() {
+        await Promise.all(Array.from(this.pendingWrites));
+    }
+
+    /**
+     * Flush outstanding writes and close the adapter
+     */
+    async close() {
+        await this.flush();
+        await this.adapter.close();
     }
 
     /**
@@ -37,6 +121,22 @@ class TokenStorage {
         };
         
         this.storage.set(tokenId, entry);
+        this.persist(() => this.adapter.save(NAMESPACE, tokenId, this.toRecord(entry)));
+        return entry;
+    }
+
+    /**
+     * Update fields of a stored token entry
+     * @returns {Object|null} The updated entry, or null if the token is unknown
+     */
+    update(tokenId, changes) {
+        const existing = this.storage.get(tokenId);
+        if (!existing) {
+            return null;
+        }
+        const entry = { ...existing, ...changes, tokenId };
+        this.storage.set(tokenId, entry);
+        this.persist(() => this.adapter.save(NAMESPACE, tokenId, this.toRecord(entry)));
         return entry;
     }
 
@@ -71,7 +171,11 @@ class TokenStorage {
      * Delete token by ID
      */
     delete(tokenId) {
-        return this.storage.delete(tokenId);
+        const deleted = this.storage.delete(tokenId);
+        if (deleted) {
+            this.persist(() => this.adapter.remove(NAMESPACE, tokenId));
+        }
+        return deleted;
     }
 
     /**
@@ -80,7 +184,7 @@ class TokenStorage {
     deleteByClientId(clientId) {
         const tokensToDelete = this.getByClientId(clientId);
         tokensToDelete.forEach(({ tokenId }) => {
-            this.storage.delete(tokenId);
+            this.delete(tokenId);
         });
         return tokensToDelete;
     }
@@ -91,6 +195,7 @@ class TokenStorage {
     clear() {
         const allTokens = this.getAll();
         this.storage.clear();
+        this.persist(() => this.adapter.clear(NAMESPACE));
         return allTokens;
     }
 
@@ -108,6 +213,41 @@ class TokenStorage {
         return this.storage.has(tokenId);
     }
 
+    /**
+     * Build a key identifying the scope of a token, so that tokens with the same
+     * installation, repositories and permissions compare equal regardless of ordering
+     */
+    static createScopeKey({ installationId = null, repositories = null, permissions = null } = {}) {
+        const sortedPermissions = permissions
+            ? Object.keys(permissions).sort().map(name => [name, permissions[name]])
+            : null;
+        return JSON.stringify([
+            installationId ? String(installationId) : null,
+            repositories ? [...repositories].sort() : null,
+            sortedPermissions
+        ]);
+    }
+
+    /**
+     * Find a client's still-valid token for the same scope that has at least
+     * minRemaining milliseconds of lifetime left
+     */
+    findReusable(clientId, scopeKey, minRemaining = 0) {
+        const threshold = Date.now() + minRemaining;
+        let best = null;
+
+        this.storage.forEach((tokenData) => {
+            if (tokenData.clientId === clientId && tokenData.scopeKey === scopeKey && tokenData.expiresAt >= threshold) {
+                // Prefer the lease with the most lifetime left
+                if (!best || tokenData.expiresAt > best.expiresAt) {
+                    best = tokenData;
+                }
+            }
+        });
+
+        return best;
+    }
+
     /**
      * Get expired tokens
      */
@@ -133,6 +273,12 @@ class TokenStorage {
             tokenStatus.push({
                 tokenId,
                 clientId: tokenData.clientId,
+                repositories: tokenData.repositories || null,
+                permissions: tokenData.permissions || null,
+                reuseCount: tokenData.reuseCount || 0,
+                holders: tokenData.holders || 1,
+                renewCount: tokenData.renewCount || 0,
+                githubExpiresAt: tokenData.githubExpiresAt ? new Date(tokenData.githubExpiresAt).toISOString() : null,
                 expiresAt: new Date(tokenData.expiresAt).toISOString(),
                 createdAt: new Date(tokenData.createdAt).toISOString(),
                 isExpired: Date.now() > tokenData.expiresAt,
@@ -0,0 +1,339 @@
+/**
+ * Webhook Dispatcher
+ *
+ * Notifies downstream services of lease events through outbound webhooks including:
+ * - Loading webhook subscriptions (URL, event filter, signing secret) from a JSON file
+ * - Delivering matching audit entries: leases issued, renewed, released or revoked
+ *   (by clients, the dashboard, GitHub webhooks and the cleanup service) and
+ *   revocations that failed or were given up on
+ * - Signing each delivery with HMAC-SHA256 in X-TokenLease-Signature-256
+ * - Retrying failed deliveries with exponential backoff
+ * - A delivery log of recent deliveries and their attempts
+ * - Reloading subscriptions on file change without a restart
+ *
+ * Webhooks file format:
+ * {
+ *   "webhooks": {
+ *     "app-team": {
+ *       "url": "https://hooks.example.com/token-lease",
+ *       "events": ["lease.issued", "lease.revoked", "revocation.*"],
+ *       "secret": "<shared secret>",
+ *       "owners": ["my-org"],
+ *       "repositories": ["app"]
+ *     }
+ *   }
+ * }
+ *
+ * Omitting "events" subscribes to every audit event. "owners" and "repositories"
+ * narrow deliveries to leases of those installations and repositories; leases
+ * without a repository list cover every repository. Tokens are never delivered,
+ * only their fingerprints. Retries are kept in memory and do not survive a restart.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('./logger');
+
+const MAX_DELIVERIES = 1000;
+
+class WebhookDispatcher {
+    /**
+     * @param {Object} config - Uses webhooksFile, webhookTimeout, webhookRetryBaseDelay, webhookRetryMaxDelay and webhookMaxAttempts
+     * @param {Object} services
+     * @param {AuditLog} services.auditLog - Source of the events to deliver
+     */
+    constructor(config, { auditLog = null } = {}) {
+        this.config = config;
+        this.filePath = config.webhooksFile || null;
+        this.auditLog = auditLog;
+        // webhookId -> { id, url, events, secret, owners, repositories }
+        this.webhooks = new Map();
+        // Most recent deliveries, oldest first
+        this.deliveries = [];
+        this.retryTimers = new Set();
+        this.inFlight = new Set();
+        this.watching = false;
+        this.onEntry = entry => this.dispatch(entry);
+
+        if (this.auditLog) {
+            this.auditLog.on('entry', this.onEntry);
+        }
+    }
+
+    /**
+     * Compute the X-TokenLease-Signature-256 value for a delivery body
+     */
+    static sign(secret, body) {
+        return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+    }
+
+    get enabled() {
+        return this.webhooks.size > 0;
+    }
+
+    get size() {
+        return this.webhooks.size;
+    }
+
+    /**
+     * Load the webhooks file from disk
+     */
+    load() {
+        if (!this.filePath) {
+            return;
+        }
+        const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.setWebhooks(parsed.webhooks || {});
+        logger.info({ webhooks: this.webhooks.size, file: this.filePath }, `📣 Webhooks loaded (${this.webhooks.size} subscriptions)`);
+    }
+
+    /**
+     * Replace every subscription, keeping the previous set if the new one is invalid
+     */
+    setWebhooks(definitions) {
+        const webhooks = new Map();
+
+        for (const [id, definition] of Object.entries(definitions)) {
+            let url;
+            try {
+                url = new URL(definition.url);
+            } catch {
+                throw new Error(`❌ Webhook "${id}" needs a valid "url"`);
+            }
+            if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+                throw new Error(`❌ Webhook "${id}" url must be http or https`);
+            }
+            for (const field of ['events', 'owners', 'repositories']) {
+                if (definition[field] !== undefined && !Array.isArray(definition[field])) {
+                    throw new Error(`❌ Webhook "${id}" field "${field}" must be an array`);
+                }
+            }
+
+            webhooks.set(id, {
+                id,
+                url: url.toString(),
+                events: definition.events || ['*'],
+                secret: definition.secret || null,
+                owners: definition.owners ? definition.owners.map(owner => String(owner).toLowerCase()) : null,
+                repositories: definition.repositories || null
+            });
+        }
+
+        this.webhooks = webhooks;
+    }
+
+    /**
+     * Reload the webhooks file, keeping the current subscriptions if it is invalid
+     */
+    reload() {
+        try {
+            this.load();
+            return true;
+        } catch (error) {
+            logger.error({ error: error.message, file: this.filePath }, '❌ Failed to reload webhooks, keeping previous subscriptions');
+            return false;
+        }
+    }
+
+    /**
+     * Watch the webhooks file and reload it whenever it changes
+     */
+    watch() {
+        if (!this.filePath || this.watching) {
+            return;
+        }
+        fs.watchFile(this.filePath, { interval: 2000 }, (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) {
+                logger.info({ file: this.filePath }, '🔄 Webhooks file changed, reloading');
+                this.reload();
+            }
+        });
+        this.watching = true;
+    }
+
+    unwatch() {
+        if (this.watching) {
+            fs.unwatchFile(this.filePath);
+            this.watching = false;
+        }
+    }
+
+    /**
+     * Whether a subscription wants an audit entry
+     */
+    static matches(webhook, entry) {
+        const subscribed = webhook.events.some(event => event === '*'
+            || event === entry.type
+            || (event.endsWith('.*') && entry.type.startsWith(event.slice(0, -1))));
+        if (!subscribed) {
+            return false;
+        }
+        if (webhook.owners && !(entry.owner && webhook.owners.includes(entry.owner.toLowerCase()))) {
+            return false;
+        }
+        if (webhook.repositories) {
+            // Leases without a repository list cover every repository of the installation
+            if (!('repositories' in entry)) {
+                return false;
+            }
+            if (entry.repositories && !entry.repositories.some(repository => webhook.repositories.includes(repository))) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Queue a delivery of an audit entry to every subscription that wants it
+     * @returns {Object[]} The created deliveries
+     */
+    dispatch(entry) {
+        const deliveries = [];
+        for (const webhook of this.webhooks.values()) {
+            if (!WebhookDispatcher.matches(webhook, entry)) {
+                continue;
+            }
+            const delivery = {
+                id: crypto.randomUUID(),
+                webhookId: webhook.id,
+                url: webhook.url,
+                event: entry.type,
+                entryId: entry.id,
+                status: 'pending',
+                attempts: [],
+                createdAt: new Date().toISOString(),
+                nextAttemptAt: null,
+                deliveredAt: null
+            };
+            // The body is fixed at dispatch so retries carry the same signature
+            const body = JSON.stringify({ id: delivery.id, event: entry.type, webhook: webhook.id, timestamp: entry.timestamp, data: entry });
+
+            this.deliveries.push(delivery);
+            if (this.deliveries.length > MAX_DELIVERIES) {
+                this.deliveries.shift();
+            }
+            this.track(this.attempt(delivery, body, webhook.secret));
+            deliveries.push(delivery);
+        }
+        return deliveries;
+    }
+
+    track(promise) {
+        this.inFlight.add(promise);
+        promise.finally(() => this.inFlight.delete(promise));
+        return promise;
+    }
+
+    /**
+     * Delay before the next attempt after the given number of failed attempts
+     */
+    getRetryDelay(attempts) {
+        return Math.min(this.config.webhookRetryBaseDelay * 2 ** (attempts - 1), this.config.webhookRetryMaxDelay);
+    }
+
+    async attempt(delivery, body, secret) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'token-lease-webhooks',
+            'X-TokenLease-Event': delivery.event,
+            'X-TokenLease-Delivery': delivery.id
+        };
+        if (secret) {
+            headers['X-TokenLease-Signature-256'] = WebhookDispatcher.sign(secret, body);
+        }
+
+        const startedAt = Date.now();
+        const attempt = { at: new Date(startedAt).toISOString(), statusCode: null, error: null, durationMs: null };
+        delivery.attempts.push(attempt);
+        delivery.nextAttemptAt = null;
+
+        try {
+            const response = await axios.post(delivery.url, body, {
+                headers,
+                timeout: this.config.webhookTimeout,
+                maxRedirects: 0,
+                validateStatus: () => true
+            });
+            attempt.statusCode = response.status;
+            if (response.status >= 200 && response.status < 300) {
+                attempt.durationMs = Date.now() - startedAt;
+                delivery.status = 'delivered';
+                delivery.deliveredAt = new Date().toISOString();
+                logger.debug({ deliveryId: delivery.id, webhookId: delivery.webhookId, event: delivery.event, statusCode: response.status }, `📣 Webhook delivered to ${delivery.webhookId}`);
+                return true;
+            }
+            attempt.error = `Responded ${response.status}`;
+        } catch (error) {
+            attempt.error = error.code || error.message;
+        }
+        attempt.durationMs = Date.now() - startedAt;
+
+        // Other client errors will not go away by retrying
+        const retryable = attempt.statusCode === null || attempt.statusCode >= 500 || [408, 429].includes(attempt.statusCode);
+        if (retryable && delivery.attempts.length < this.config.webhookMaxAttempts) {
+            const delay = this.getRetryDelay(delivery.attempts.length);
+            delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+            const timer = setTimeout(() => {
+                this.retryTimers.delete(timer);
+                this.track(this.attempt(delivery, body, secret));
+            }, delay);
+            timer.unref();
+            this.retryTimers.add(timer);
+            logger.warn({ deliveryId: delivery.id, webhookId: delivery.webhookId, attempts: delivery.attempts.length, error: attempt.error, nextAttemptAt: delivery.nextAttemptAt }, `⏳ Webhook delivery to ${delivery.webhookId} failed, retrying`);
+        } else {
+            delivery.status = 'failed';
+            logger.error({ deliveryId: delivery.id, webhookId: delivery.webhookId, event: delivery.event, attempts: delivery.attempts.length, error: attempt.error }, `🚨 Giving up delivering webhook to ${delivery.webhookId}`);
+        }
+        return false;
+    }
+
+    /**
+     * Subscriptions for API responses, without their secrets
+     */
+    listWebhooks() {
+        return Array.from(this.webhooks.values()).map(webhook => ({
+            id: webhook.id,
+            url: webhook.url,
+            events: webhook.events,
+            owners: webhook.owners,
+            repositories: webhook.repositories,
+            signed: Boolean(webhook.secret)
+        }));
+    }
+
+    getDelivery(deliveryId) {
+        return this.deliveries.find(delivery => delivery.id === deliveryId) || null;
+    }
+
+    /**
+     * Find recent deliveries, oldest first
+     * @param {Object} filters
+     * @param {string} filters.webhookId
+     * @param {string} filters.status - pending, delivered or failed
+     * @param {string} filters.event
+     * @param {number} filters.limit - Return at most this many of the most recent matches
+     */
+    listDeliveries({ webhookId = null, status = null, event = null, limit = 100 } = {}) {
+        const matches = this.deliveries.filter(delivery => (!webhookId || delivery.webhookId === webhookId)
+            && (!status || delivery.status === status)
+            && (!event || delivery.event === event));
+        return { total: matches.length, deliveries: matches.slice(-limit) };
+    }
+
+    /**
+     * Stop retrying and wait for deliveries in flight
+     */
+    async close() {
+        for (const timer of this.retryTimers) {
+            clearTimeout(timer);
+        }
+        this.retryTimers.clear();
+        if (this.auditLog) {
+            this.auditLog.off('entry', this.onEntry);
+        }
+        await Promise.all(Array.from(this.inFlight));
+    }
+}
+
+module.exports = WebhookDispatcher;
@@ -0,0 +1,145 @@
+/**
+ * Webhook Receiver
+ *
+ * Handles webhooks GitHub sends about the app's installations including:
+ * - Verifying X-Hub-Signature-256 against GITHUB_WEBHOOK_SECRET
+ * - installation events: created, deleted, suspend, unsuspend, new_permissions_accepted
+ * - installation_repositories events: repositories added to or removed from an installation
+ * - Keeping the installation catalog's status, owner and repository selection current
+ *
+ * The receiver only updates the catalog and reports which leases have to go;
+ * revoking them is left to the caller. Suspended and deleted installations stay
+ * in the catalog so token requests for them fail with a clear error instead of
+ * "installation not found".
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+class WebhookReceiver {
+    /**
+     * @param {Object} config - Uses githubWebhookSecret
+     * @param {Object} services
+     * @param {InstallationCatalog} services.installationCatalog
+     */
+    constructor(config, { installationCatalog }) {
+        this.secret = config.githubWebhookSecret || null;
+        this.installationCatalog = installationCatalog;
+    }
+
+    get enabled() {
+        return Boolean(this.secret);
+    }
+
+    /**
+     * Compute the X-Hub-Signature-256 value GitHub sends for a body
+     */
+    static sign(secret, body) {
+        return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+    }
+
+    /**
+     * Check a request's X-Hub-Signature-256 against the raw request body
+     */
+    verify(req) {
+        const signature = req.get('X-Hub-Signature-256');
+        if (!signature || !req.rawBody) {
+            return false;
+        }
+        const expected = Buffer.from(WebhookReceiver.sign(this.secret, req.rawBody));
+        const received = Buffer.from(String(signature));
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    /**
+     * Apply a webhook to the installation catalog
+     * @param {string} event - X-GitHub-Event header
+     * @param {Object} payload - Parsed webhook body
+     * @returns {Object} { handled, action, installationId, installation, revoke, repositoriesAdded, repositoriesRemoved, reason }
+     *   revoke is "suspended" or "uninstalled" when the installation's leases must be revoked
+     */
+    handle(event, payload) {
+        const action = payload?.action || null;
+
+        if (event === 'ping') {
+            return { handled: true, action: 'ping' };
+        }
+        if (event !== 'installation' && event !== 'installation_repositories') {
+            return { handled: false, action, reason: `Event "${event}" is not handled` };
+        }
+
+        const source = payload.installation;
+        if (!source?.id) {
+            return { handled: false, action, reason: 'Payload has no installation' };
+        }
+        const appId = String(source.app_id);
+        if (source.app_id && !this.installationCatalog.apps.has(appId)) {
+            return { handled: false, action, installationId: String(source.id), reason: `App ${appId} is not configured` };
+        }
+
+        const fields = {
+            installationId: source.id,
+            appId: source.app_id,
+            owner: source.account?.login || null,
+            ownerType: source.account?.type || null,
+            repositorySelection: source.repository_selection || null
+        };
+
+        if (event === 'installation_repositories') {
+            return this.handleRepositories(action, fields, payload);
+        }
+
+        let installation;
+        let revoke = null;
+        switch (action) {
+            case 'created':
+                installation = this.installationCatalog.upsertInstallation({
+                    ...fields,
+                    status: 'active',
+                    repositories: this.getRepositoryNames(fields.repositorySelection, payload.repositories)
+                });
+                break;
+            case 'deleted':
+                installation = this.installationCatalog.upsertInstallation({ ...fields, status: 'deleted' });
+                revoke = 'uninstalled';
+                break;
+            case 'suspend':
+                installation = this.installationCatalog.upsertInstallation({ ...fields, status: 'suspended' });
+                revoke = 'suspended';
+                break;
+            case 'unsuspend':
+            case 'new_permissions_accepted':
+                installation = this.installationCatalog.upsertInstallation({ ...fields, status: 'active' });
+                break;
+            default:
+                return { handled: false, action, installationId: String(source.id), reason: `Action "${action}" is not handled` };
+        }
+
+        logger.info({ installationId: installation.installationId, owner: installation.owner, action, status: installation.status }, `🪝 Installation ${installation.installationId} ${action}`);
+        return { handled: true, action, installationId: installation.installationId, installation, revoke };
+    }
+
+    handleRepositories(action, fields, payload) {
+        const added = (payload.repositories_added || []).map(repository => repository.name);
+        const removed = (payload.repositories_removed || []).map(repository => repository.name);
+        const existing = this.installationCatalog.get(fields.installationId);
+
+        // The repository list is only known when the installation was created through a webhook
+        let repositories = fields.repositorySelection === 'all' ? null : existing?.repositories ?? null;
+        if (repositories) {
+            repositories = [...new Set([...repositories, ...added])].filter(name => !removed.includes(name));
+        }
+
+        const installation = this.installationCatalog.upsertInstallation({ ...fields, repositories });
+        logger.info({ installationId: installation.installationId, added, removed, repositorySelection: installation.repositorySelection }, `🪝 Repositories of installation ${installation.installationId} changed`);
+        return { handled: true, action, installationId: installation.installationId, installation, revoke: null, repositoriesAdded: added, repositoriesRemoved: removed };
+    }
+
+    getRepositoryNames(repositorySelection, repositories) {
+        return repositorySelection === 'selected' && Array.isArray(repositories)
+            ? repositories.map(repository => repository.name)
+            : null;
+    }
+}
+
+module.exports = WebhookReceiver;
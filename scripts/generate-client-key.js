@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+
+/**
+ * Generate a client API key and its registry hash
+ *
+ * Usage:
+ *   node scripts/generate-client-key.js            # Generate a new random key
+ *   node scripts/generate-client-key.js <api-key>  # Hash an existing key
+ *
+ * Give the key to the client and put only the hash in CLIENTS_FILE.
+ */
+
+const ClientRegistry = require('../modules/client-registry');
+
+const apiKey = process.argv[2] || ClientRegistry.generateKey();
+
+console.log(`API key: ${apiKey}`);
+console.log(`Hash:    ${ClientRegistry.hashKey(apiKey)}`);
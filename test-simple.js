@@ -8,11 +8,22 @@
  *   node test-simple.js --github-test      # Include GitHub API authentication test
  *   node test-simple.js --scope-test       # Include scoped token access test
  *   node test-simple.js --github-test --scope-test  # Run all tests
+ *
+ * The admin API needs credentials of a client with the admin role when the
+ * server has CLIENTS_FILE set:
+ *   TOKEN_LEASE_ADMIN_ID=ops-admin TOKEN_LEASE_ADMIN_KEY=tl_... node test-simple.js
+ * Set ADMIN_URL when the admin API runs on its own port (ADMIN_PORT).
  */
 
 const axios = require('axios');
 
 const BASE_URL = 'http://localhost:3000';
+const ADMIN_URL = process.env.ADMIN_URL || `${BASE_URL}/admin`;
+
+// Basic credentials are accepted by every admin route
+const adminRequest = process.env.TOKEN_LEASE_ADMIN_ID ? {
+    auth: { username: process.env.TOKEN_LEASE_ADMIN_ID, password: process.env.TOKEN_LEASE_ADMIN_KEY || '' }
+} : {};
 
 async function runTests() {
     console.log('🧪 Testing Token Lease Server\n');
@@ -63,7 +74,7 @@ async function runTests() {
 
         // Test 5: Check tokens status
         console.log('\n5. Checking stored tokens status...');
-        const tokens = await axios.get(`${BASE_URL}/tokens`);
+        const tokens = await axios.get(`${ADMIN_URL}/tokens`, adminRequest);
         console.log('✅ Tokens status:', {
             totalTokens: tokens.data.totalTokens,
             mode: tokens.data.mode,
@@ -77,12 +88,12 @@ async function runTests() {
 
         // Test 6: Delete tokens for specific client
         console.log('\n6. Deleting tokens for client "app1"...');
-        const clear1 = await axios.delete(`${BASE_URL}/tokens/app1`);
+        const clear1 = await axios.delete(`${ADMIN_URL}/tokens/app1`, adminRequest);
         console.log('✅ Delete result:', clear1.data.message);
 
         // Test 7: Check tokens status after deletion
         console.log('\n7. Checking tokens status after deletion...');
-        const tokensAfter = await axios.get(`${BASE_URL}/tokens`);
+        const tokensAfter = await axios.get(`${ADMIN_URL}/tokens`, adminRequest);
         console.log('✅ Tokens after deletion:', {
             totalTokens: tokensAfter.data.totalTokens,
             remaining: tokensAfter.data.tokens.map(t => t.clientId)
@@ -90,7 +101,7 @@ async function runTests() {
 
         // Test 8: Clear all tokens
         console.log('\n8. Clearing all tokens...');
-        const clearAll = await axios.delete(`${BASE_URL}/tokens`);
+        const clearAll = await axios.delete(`${ADMIN_URL}/tokens`, adminRequest);
         console.log('✅ Clear all result:', clearAll.data.message);
 
         // Test 9: Test GitHub API with token (if requested)
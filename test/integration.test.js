@@ -114,7 +114,7 @@ describe('TokenLease HTTP API - Integration Tests', () => {
         });
     });
 
-    describe('GET /tokens', () => {
+    describe('GET /admin/tokens', () => {
         beforeEach(() => {
             // Mock GitHub API response
             jest.spyOn(axios, 'post').mockResolvedValue({
@@ -126,7 +126,7 @@ describe('TokenLease HTTP API - Integration Tests', () => {
         });
 
         test('should return empty tokens list initially', async () => {
-            const response = await axios.get(`${baseURL}/tokens`);
+            const response = await axios.get(`${baseURL}/admin/tokens`);
 
             expect(response.status).toBe(200);
             expect(response.data).toMatchObject({
@@ -141,7 +141,7 @@ describe('TokenLease HTTP API - Integration Tests', () => {
             // Create a token first
             await axios.get(`${baseURL}/token/test-client`);
 
-            const response = await axios.get(`${baseURL}/tokens`);
+            const response = await axios.get(`${baseURL}/admin/tokens`);
 
             expect(response.status).toBe(200);
             expect(response.data.success).toBe(true);
@@ -157,7 +157,7 @@ describe('TokenLease HTTP API - Integration Tests', () => {
         });
     });
 
-    describe('DELETE /tokens', () => {
+    describe('DELETE /admin/tokens', () => {
         beforeEach(() => {
             // Mock GitHub API responses
             jest.spyOn(axios, 'post').mockResolvedValue({
@@ -175,17 +175,17 @@ describe('TokenLease HTTP API - Integration Tests', () => {
             await axios.get(`${baseURL}/token/client2`);
 
             // Verify tokens exist
-            let response = await axios.get(`${baseURL}/tokens`);
+            let response = await axios.get(`${baseURL}/admin/tokens`);
             expect(response.data.totalTokens).toBe(2);
 
             // Clear all tokens
-            response = await axios.delete(`${baseURL}/tokens`);
+            response = await axios.delete(`${baseURL}/admin/tokens`);
             expect(response.status).toBe(200);
             expect(response.data.success).toBe(true);
             expect(response.data.message).toContain('Cleared 2 tokens');
 
             // Verify tokens are cleared
-            response = await axios.get(`${baseURL}/tokens`);
+            response = await axios.get(`${baseURL}/admin/tokens`);
             expect(response.data.totalTokens).toBe(0);
         });
 
@@ -196,13 +196,13 @@ describe('TokenLease HTTP API - Integration Tests', () => {
             await axios.get(`${baseURL}/token/client2`);
 
             // Delete tokens for client1
-            const response = await axios.delete(`${baseURL}/tokens/client1`);
+            const response = await axios.delete(`${baseURL}/admin/tokens/client1`);
             expect(response.status).toBe(200);
             expect(response.data.success).toBe(true);
             expect(response.data.message).toContain('Deleted 2 tokens for client: client1');
 
             // Verify only client2 token remains
-            const tokensResponse = await axios.get(`${baseURL}/tokens`);
+            const tokensResponse = await axios.get(`${baseURL}/admin/tokens`);
             expect(tokensResponse.data.totalTokens).toBe(1);
             expect(tokensResponse.data.tokens[0].clientId).toBe('client2');
         });
@@ -212,22 +212,22 @@ describe('TokenLease HTTP API - Integration Tests', () => {
             await axios.get(`${baseURL}/token/test-client`);
 
             // Get token ID
-            let response = await axios.get(`${baseURL}/tokens`);
+            let response = await axios.get(`${baseURL}/admin/tokens`);
             const tokenId = response.data.tokens[0].tokenId;
 
             // Delete by token ID
-            response = await axios.delete(`${baseURL}/tokens/${tokenId}`);
+            response = await axios.delete(`${baseURL}/admin/tokens/${tokenId}`);
             expect(response.status).toBe(200);
             expect(response.data.success).toBe(true);
             expect(response.data.tokenId).toBe(tokenId);
 
             // Verify token is deleted
-            response = await axios.get(`${baseURL}/tokens`);
+            response = await axios.get(`${baseURL}/admin/tokens`);
             expect(response.data.totalTokens).toBe(0);
         });
 
         test('should handle non-existent token deletion', async () => {
-            const response = await axios.delete(`${baseURL}/tokens/non-existent`);
+            const response = await axios.delete(`${baseURL}/admin/tokens/non-existent`);
             
             expect(response.status).toBe(200);
             expect(response.data.success).toBe(false);
@@ -0,0 +1,398 @@
+const http = require('http');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const TokenLease = require('../token-lease');
+const ClientRegistry = require('../modules/client-registry');
+const { TokenLeaseClient } = require('../client');
+const WebhookReceiver = require('../modules/webhook-receiver');
+const WebhookDispatcher = require('../modules/webhook-dispatcher');
+
+// End-to-end tests against the bundled mock GitHub; nothing is mocked by hand
+describe('TokenLease sandbox - End-to-End Tests', () => {
+    let tokenLease;
+    let mockGitHub;
+    let baseURL;
+    const testPort = 3004;
+    const request = { validateStatus: () => true };
+
+    beforeEach(async () => {
+        tokenLease = new TokenLease({
+            port: testPort,
+            sandbox: true,
+            githubRetryBaseDelay: 1,
+            circuitBreakerThreshold: 2,
+            clientTokensPerMinute: 0,
+            githubWebhookSecret: 'sandbox-webhook-secret'
+        });
+        mockGitHub = tokenLease.mockGitHub;
+
+        await tokenLease.start();
+        baseURL = `http://localhost:${testPort}`;
+    });
+
+    afterEach(async () => {
+        await tokenLease.stop();
+    });
+
+    test('should lease tokens from the mock GitHub and revoke them on release', async () => {
+        const lease = await axios.get(`${baseURL}/token/ci`, request);
+
+        expect(lease.status).toBe(200);
+        expect(lease.data.token).toMatch(/^ghs_/);
+        expect(mockGitHub.isActive(lease.data.token)).toBe(true);
+
+        const release = await axios.post(`${baseURL}/leases/${lease.data.tokenId}/release`, {}, request);
+
+        expect(release.data.message).toContain('released and revoked');
+        expect(mockGitHub.isActive(lease.data.token)).toBe(false);
+    });
+
+    test('should discover the sandbox installation', async () => {
+        const installations = await axios.get(`${baseURL}/admin/installations`, request);
+
+        expect(installations.data.installations).toEqual([
+            expect.objectContaining({ installationId: '1', owner: 'sandbox-org', source: 'config' })
+        ]);
+    });
+
+    test('should revoke leases and refuse tokens when GitHub suspends the installation', async () => {
+        const lease = await axios.get(`${baseURL}/token/ci`, request);
+        const deliver = (secret, payload) => {
+            const body = JSON.stringify(payload);
+            return axios.post(`${baseURL}/webhooks/github`, body, {
+                ...request,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-GitHub-Event': 'installation',
+                    'X-GitHub-Delivery': 'delivery-1',
+                    'X-Hub-Signature-256': WebhookReceiver.sign(secret, body)
+                }
+            });
+        };
+        const payload = { action: 'suspend', installation: { id: 1, app_id: 1, account: { login: 'sandbox-org', type: 'Organization' } } };
+
+        const forged = await deliver('not-the-secret', payload);
+        expect(forged.status).toBe(401);
+        expect(mockGitHub.isActive(lease.data.token)).toBe(true);
+
+        const suspended = await deliver('sandbox-webhook-secret', payload);
+        expect(suspended.data).toMatchObject({ success: true, status: 'suspended', revokedLeases: 1 });
+        expect(mockGitHub.isActive(lease.data.token)).toBe(false);
+
+        const refused = await axios.get(`${baseURL}/token/ci`, request);
+        expect(refused.status).toBe(403);
+        expect(refused.data.error).toBe('Installation suspended');
+
+        await deliver('sandbox-webhook-secret', { ...payload, action: 'unsuspend' });
+        expect((await axios.get(`${baseURL}/token/ci`, request)).status).toBe(200);
+    });
+
+    test('should notify outbound webhooks of issued and released leases', async () => {
+        const received = [];
+        const receiver = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.end();
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, resolve));
+        tokenLease.webhookDispatcher.setWebhooks({
+            'ci-team': { url: `http://localhost:${receiver.address().port}/hooks`, events: ['lease.issued', 'lease.released'], secret: 'outbound-secret' }
+        });
+
+        try {
+            const lease = await axios.get(`${baseURL}/token/ci`, request);
+            await axios.post(`${baseURL}/leases/${lease.data.tokenId}/release`, {}, request);
+            await new Promise(resolve => setTimeout(resolve, 200));
+
+            expect(received.map(delivery => JSON.parse(delivery.body).event)).toEqual(['lease.issued', 'lease.released']);
+            expect(received[0].body).not.toContain(lease.data.token);
+            expect(received[0].headers['x-tokenlease-signature-256']).toBe(WebhookDispatcher.sign('outbound-secret', received[0].body));
+
+            const deliveries = await axios.get(`${baseURL}/admin/webhooks/deliveries?webhook=ci-team&status=delivered`, request);
+            expect(deliveries.data.total).toBe(2);
+        } finally {
+            await new Promise(resolve => receiver.close(resolve));
+        }
+    });
+
+    test('should downscope tokens to the requested repositories and permissions', async () => {
+        const lease = await axios.post(`${baseURL}/token/ci`, { repositories: ['docs'], permissions: { contents: 'read' } }, request);
+        const headers = { Authorization: `token ${lease.data.token}` };
+
+        const repositories = await axios.get(`${mockGitHub.url}/installation/repositories`, { headers });
+        expect(repositories.data.repositories.map(repository => repository.name)).toEqual(['docs']);
+
+        const beyondInstallation = await axios.post(`${baseURL}/token/ci`, { repositories: ['secret'] }, request);
+        expect(beyondInstallation.status).toBe(500);
+        expect(beyondInstallation.data.message).toContain('422');
+    });
+
+    test('should reject JWTs not signed by the app', async () => {
+        const forged = jwt.sign({ iss: tokenLease.config.appId }, 'not-the-app-key', { expiresIn: 60 });
+
+        const response = await axios.post(`${mockGitHub.url}/app/installations/1/access_tokens`, {}, {
+            ...request,
+            headers: { Authorization: `Bearer ${forged}` }
+        });
+
+        expect(response.status).toBe(401);
+    });
+
+    test('should fail fast once injected GitHub outages open the circuit', async () => {
+        mockGitHub.failNext('create_token', { status: 502, times: 10 });
+
+        const first = await axios.get(`${baseURL}/token/ci`, request);
+        expect(first.status).toBe(503);
+        expect(first.data.error).toBe('GitHub unavailable');
+
+        const requestsBefore = mockGitHub.requests.length;
+        const second = await axios.get(`${baseURL}/token/ci`, request);
+        expect(second.status).toBe(503);
+        expect(second.headers['retry-after']).toBeDefined();
+        expect(mockGitHub.requests.length).toBe(requestsBefore);
+    });
+
+    test('should stream lease events to subscribers', async () => {
+        const stream = await axios.get(`${baseURL}/admin/events?types=lease.issued,lease.released`, { ...request, responseType: 'stream' });
+        let received = '';
+        const released = new Promise(resolve => stream.data.on('data', chunk => {
+            received += chunk;
+            if (received.includes('event: lease.released')) {
+                resolve();
+            }
+        }));
+
+        const lease = await axios.get(`${baseURL}/token/ci`, request);
+        await axios.post(`${baseURL}/leases/${lease.data.tokenId}/release`, {}, request);
+        await released;
+        stream.data.destroy();
+
+        expect(stream.headers['content-type']).toContain('text/event-stream');
+        expect(received).toContain('event: snapshot');
+        expect(received).toContain(`"tokenId":"${lease.data.tokenId}"`);
+        expect(received).not.toContain(lease.data.token);
+    });
+
+    test('should track rate limits from GitHub responses without extra calls', async () => {
+        const lease = await axios.get(`${baseURL}/token/ci`, request);
+        await axios.post(`${baseURL}/leases/${lease.data.tokenId}/release`, {}, request);
+
+        const requestsBefore = mockGitHub.requests.length;
+        await axios.get(`${baseURL}/admin/dashboard`, request);
+        const rateLimit = await axios.get(`${baseURL}/admin/rate-limit`, request);
+
+        expect(mockGitHub.requests.length).toBe(requestsBefore);
+        expect(rateLimit.data.rateLimits).toEqual(expect.arrayContaining([
+            expect.objectContaining({ key: 'app:1', resources: { core: expect.objectContaining({ limit: 5000 }) } }),
+            expect.objectContaining({ key: 'installation:1', owner: 'sandbox-org' })
+        ]));
+        expect(rateLimit.data.lowest.core.remaining).toBeLessThan(5000);
+    });
+
+    test('should queue revocations that fail at GitHub', async () => {
+        const lease = await axios.get(`${baseURL}/token/ci`, request);
+        await axios.post(`${mockGitHub.url}/_mock/failures`, { operation: 'revoke_token', status: 500, times: 10 });
+
+        await axios.post(`${baseURL}/leases/${lease.data.tokenId}/release`, {}, request);
+        const revocations = await axios.get(`${baseURL}/admin/revocations`, request);
+
+        expect(revocations.data.pending).toBe(1);
+        expect(mockGitHub.isActive(lease.data.token)).toBe(true);
+    });
+
+    test('should keep clients without a role out of the admin API', async () => {
+        tokenLease.clientRegistry.setClients({
+            ci: { keys: [{ id: 'current', hash: ClientRegistry.hashKey('tl_ci_key') }] },
+            auditor: { role: 'viewer', keys: [{ id: 'current', hash: ClientRegistry.hashKey('tl_auditor_key') }] },
+            ops: { role: 'operator', keys: [{ id: 'current', hash: ClientRegistry.hashKey('tl_ops_key') }] }
+        });
+        const as = apiKey => ({ ...request, headers: { 'X-API-Key': apiKey } });
+
+        const lease = await axios.get(`${baseURL}/token/ci`, as('tl_ci_key'));
+        expect(lease.status).toBe(200);
+        expect((await axios.get(`${baseURL}/admin/tokens`, as('tl_ci_key'))).status).toBe(403);
+        expect((await axios.delete(`${baseURL}/admin/tokens`, as('tl_ci_key'))).status).toBe(403);
+        expect((await axios.get(`${baseURL}/tokens`, as('tl_ci_key'))).status).toBe(404);
+
+        const anonymous = await axios.get(`${baseURL}/admin/dashboard`, request);
+        expect(anonymous.status).toBe(401);
+        expect(anonymous.headers['www-authenticate']).toContain('Basic');
+        const signedIn = await axios.get(`${baseURL}/admin/dashboard`, { ...request, auth: { username: 'auditor', password: 'tl_auditor_key' } });
+        expect(signedIn.status).toBe(200);
+        expect(signedIn.data).toContain('Signed in as <strong>auditor</strong> (viewer)');
+
+        const listed = await axios.get(`${baseURL}/admin/tokens`, as('tl_auditor_key'));
+        expect(listed.data.tokens.map(token => token.tokenId)).toContain(lease.data.tokenId);
+        expect((await axios.delete(`${baseURL}/admin/tokens/${lease.data.tokenId}`, as('tl_auditor_key'))).status).toBe(403);
+
+        const deleted = await axios.delete(`${baseURL}/admin/tokens/${lease.data.tokenId}`, as('tl_ops_key'));
+        expect(deleted.data.revoked).toBe(true);
+        expect(mockGitHub.isActive(lease.data.token)).toBe(false);
+        expect((await axios.delete(`${baseURL}/admin/tokens`, as('tl_ops_key'))).status).toBe(403);
+    });
+
+    test('should serve the admin API on ADMIN_PORT only when it is set', async () => {
+        const separate = new TokenLease({ port: 3005, adminPort: 3006, sandbox: true, clientTokensPerMinute: 0 });
+        await separate.start();
+        try {
+            expect((await axios.get('http://localhost:3005/admin/tokens', request)).status).toBe(404);
+            expect((await axios.get('http://localhost:3006/admin/tokens', request)).status).toBe(200);
+            expect((await axios.get('http://localhost:3006/token', request)).status).toBe(404);
+        } finally {
+            await separate.stop();
+        }
+    });
+
+    test('should renew the client SDK lease in the background and release it on close', async () => {
+        tokenLease.clientRegistry.setClients({ ci: { secrets: [{ id: 'current', value: 'ci-secret' }] } });
+        const client = new TokenLeaseClient({
+            baseUrl: baseURL,
+            clientId: 'ci',
+            secret: 'ci-secret',
+            repositories: ['docs'],
+            permissions: { contents: 'read' },
+            ttl: 2,
+            refreshMargin: 1000,
+            releaseOnExit: false
+        });
+        const github = axios.create({ baseURL: mockGitHub.url, validateStatus: () => true });
+        client.attachToAxios(github);
+
+        const first = await client.getLease();
+        const renewed = new Promise(resolve => client.once('lease', resolve));
+        const repositories = await github.get('/installation/repositories');
+        const lease = await renewed;
+
+        expect(repositories.data.repositories.map(repository => repository.name)).toEqual(['docs']);
+        expect(lease.tokenId).toBe(first.tokenId);
+        expect(lease.expiresAt).toBeGreaterThan(first.expiresAt);
+        expect(await client.close()).toBe(true);
+        expect(mockGitHub.isActive(lease.token)).toBe(false);
+        expect(tokenLease.tokenStorage.has(lease.tokenId)).toBe(false);
+    });
+
+    test('should run a command with a leased token from the CLI and revoke it when the command exits', async () => {
+        tokenLease.clientRegistry.setClients({
+            ci: { role: 'viewer', keys: [{ id: 'current', hash: ClientRegistry.hashKey('tl_ci_key') }] }
+        });
+        const cli = (...args) => new Promise(resolve => {
+            const env = { ...process.env, TOKEN_LEASE_URL: baseURL, TOKEN_LEASE_CLIENT_ID: 'ci', TOKEN_LEASE_API_KEY: 'tl_ci_key' };
+            execFile(process.execPath, [path.join(__dirname, '../client/bin/token-lease.js'), ...args], { env }, (error, stdout, stderr) => {
+                resolve({ code: error ? error.code : 0, stdout, stderr });
+            });
+        });
+
+        const credential = await cli('get', '--repos', 'docs', '--format', 'git-credential');
+        const [, token] = credential.stdout.match(/^username=x-access-token\npassword=(ghs_\w+)\npassword_expiry_utc=\d+\n$/);
+        expect(mockGitHub.isActive(token)).toBe(true);
+
+        const listed = await cli('list', '--format', 'json');
+        expect(JSON.parse(listed.stdout)).toEqual([expect.objectContaining({ clientId: 'ci', repositories: ['docs'] })]);
+
+        const run = await cli('exec', '--repos', 'app', '--', process.execPath, '-e',
+            'console.log(process.env.TOKEN_LEASE_TOKEN_ID + " " + process.env.GH_TOKEN + " " + process.env.GITHUB_TOKEN); process.exit(3)');
+        const [tokenId, ghToken, githubToken] = run.stdout.trim().split(' ');
+
+        expect(run.code).toBe(3);
+        expect(ghToken).toMatch(/^ghs_/);
+        expect(githubToken).toBe(ghToken);
+        expect(mockGitHub.isActive(ghToken)).toBe(false);
+        expect(tokenLease.tokenStorage.has(tokenId)).toBe(false);
+
+        const denied = await cli('revoke', '--admin', 'ci');
+        expect(denied.code).toBe(1);
+        expect(denied.stderr).toContain('requires operator');
+    });
+
+    test('should answer git credential requests with repository-scoped leases and revoke them on erase', async () => {
+        const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-lease-git-'));
+        const helper = (action, input) => new Promise(resolve => {
+            const env = { ...process.env, TOKEN_LEASE_URL: baseURL, TOKEN_LEASE_STATE_DIR: stateDir };
+            const child = execFile(process.execPath, [path.join(__dirname, '../client/bin/git-credential-token-lease.js'), '--client', 'ci', action], { env }, (error, stdout, stderr) => {
+                resolve({ code: error ? error.code : 0, stdout, stderr });
+            });
+            child.stdin.end(input);
+        });
+
+        try {
+            const answer = await helper('get', 'protocol=https\nhost=github.com\npath=sandbox-org/docs.git\n\n');
+            const credential = Object.fromEntries(answer.stdout.trim().split('\n').map(line => line.split('=')));
+            const [lease] = tokenLease.tokenStorage.getTokenStatus();
+
+            expect(answer.code).toBe(0);
+            expect(credential.username).toBe('x-access-token');
+            expect(mockGitHub.isActive(credential.password)).toBe(true);
+            expect(lease).toEqual(expect.objectContaining({ clientId: 'ci', repositories: ['docs'] }));
+
+            // Other hosts, and requests without a path, are left to other helpers
+            expect((await helper('get', 'protocol=https\nhost=gitlab.com\npath=sandbox-org/docs.git\n')).stdout).toBe('');
+            expect((await helper('get', 'protocol=https\nhost=github.com\n')).stdout).toBe('');
+
+            await helper('store', `protocol=https\nhost=github.com\nusername=x-access-token\npassword=${credential.password}\n`);
+            expect(mockGitHub.isActive(credential.password)).toBe(true);
+
+            const erase = await helper('erase', `protocol=https\nhost=github.com\nusername=x-access-token\npassword=${credential.password}\n`);
+            expect(erase.code).toBe(0);
+            expect(mockGitHub.isActive(credential.password)).toBe(false);
+            expect(tokenLease.tokenStorage.has(lease.tokenId)).toBe(false);
+            expect(fs.readdirSync(stateDir)).toEqual([]);
+        } finally {
+            fs.rmSync(stateDir, { recursive: true, force: true });
+        }
+    });
+
+    test('should reload clients, policies and limits from the config file without dropping leases', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'token-lease-config-'));
+        const configFile = path.join(directory, 'token-lease.yaml');
+        const writeConfig = ({ role, repositories, tokensPerMinute }) => fs.writeFileSync(configFile, [
+            'clients:',
+            '  ci:',
+            `    role: ${role}`,
+            `    keys: [{ id: current, hash: "${ClientRegistry.hashKey('tl_ci_key')}" }]`,
+            'policies:',
+            `  ci: { permissions: { contents: read }, repositories: [${repositories}] }`,
+            'limits:',
+            `  tokensPerMinute: ${tokensPerMinute}`
+        ].join('\n'));
+        const auth = { ...request, headers: { 'X-API-Key': 'tl_ci_key' } };
+        const url = 'http://localhost:3007';
+
+        writeConfig({ role: 'viewer', repositories: 'docs', tokensPerMinute: 0 });
+        const configured = new TokenLease({ port: 3007, sandbox: true, configFile });
+        await configured.start();
+        try {
+            const lease = await axios.post(`${url}/token/ci`, { repositories: ['docs'] }, auth);
+            const cleanupInterval = configured.tokenCleanupService.cleanupInterval;
+
+            expect(lease.status).toBe(200);
+            expect((await axios.post(`${url}/token/ci`, { repositories: ['docs'] }, request)).status).toBe(401);
+            expect((await axios.post(`${url}/token/ci`, { repositories: ['app'] }, auth)).status).toBe(403);
+            expect((await axios.delete(`${url}/admin/tokens/${lease.data.tokenId}`, auth)).status).toBe(403);
+
+            // Mistakes are reported and change nothing
+            fs.writeFileSync(configFile, 'clients:\n  ci:\n    role: superuser\n');
+            expect(configured.reloadConfig()).toBe(false);
+            expect(configured.clientRegistry.getRole('ci')).toBe('viewer');
+
+            writeConfig({ role: 'operator', repositories: 'app, docs', tokensPerMinute: 2 });
+            expect(configured.reloadConfig()).toBe(true);
+
+            expect(configured.tokenStorage.has(lease.data.tokenId)).toBe(true);
+            expect(configured.tokenCleanupService.cleanupInterval).toBe(cleanupInterval);
+            // The lease from before the reload counts against the new limit of two a minute
+            expect((await axios.post(`${url}/token/ci`, { repositories: ['app'] }, auth)).status).toBe(200);
+            expect((await axios.post(`${url}/token/ci`, { repositories: ['app'] }, auth)).status).toBe(429);
+            expect((await axios.delete(`${url}/admin/tokens/${lease.data.tokenId}`, auth)).status).toBe(200);
+        } finally {
+            await configured.stop();
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
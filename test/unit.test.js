@@ -1,5 +1,29 @@
 const axios = require('axios');
 const TokenLease = require('../token-lease');
+const ClientRegistry = require('../modules/client-registry');
+const PolicyStore = require('../modules/policy-store');
+const InstallationCatalog = require('../modules/installation-catalog');
+const TokenStorage = require('../modules/token-storage');
+const TokenCipher = require('../modules/token-cipher');
+const { MemoryAdapter } = require('../modules/storage');
+const ApiRoutes = require('../modules/api-routes');
+const RateLimiter = require('../modules/rate-limiter');
+const AuditLog = require('../modules/audit-log');
+const Metrics = require('../modules/metrics');
+const RevocationQueue = require('../modules/revocation-queue');
+const TokenCleanupService = require('../modules/token-cleanup-service');
+const GitHubClient = require('../modules/github-client');
+const GitHubTokenService = require('../modules/github-token-service');
+const EventStream = require('../modules/event-stream');
+const RateLimitTracker = require('../modules/rate-limit-tracker');
+const WebhookReceiver = require('../modules/webhook-receiver');
+const WebhookDispatcher = require('../modules/webhook-dispatcher');
+const RequestValidator = require('../modules/request-validator');
+const ConfigFile = require('../modules/config-file');
+const ConfigValidator = require('../modules/config-validator');
+const { TokenLeaseClient } = require('../client');
+const cli = require('../client/bin/token-lease');
+const credentialHelper = require('../client/bin/git-credential-token-lease');
 const fs = require('fs');
 
 // Mock dependencies
@@ -290,4 +314,1685 @@ describe('TokenLease Server - Unit Tests', () => {
             expect(tokenLease.server.listening).toBe(false);
         });
     });
-});
\ No newline at end of file
+});
+
+describe('ClientRegistry - Unit Tests', () => {
+    const apiKey = 'tl_test_key';
+    let registry;
+
+    const mockRequest = (headers, extra = {}) => ({
+        method: 'GET',
+        originalUrl: '/token/ci-runner',
+        get: (name) => headers[name],
+        ...extra
+    });
+
+    beforeEach(() => {
+        registry = new ClientRegistry();
+        registry.setClients({
+            'ci-runner': { keys: [{ id: 'current', hash: ClientRegistry.hashKey(apiKey) }] },
+            'release-bot': { secrets: [{ id: 'current', value: 'shared-secret' }] },
+            'retired': { disabled: true, keys: [ClientRegistry.hashKey('tl_retired_key')] }
+        });
+    });
+
+    test('should authenticate a valid API key', () => {
+        const identity = registry.authenticate(mockRequest({ 'X-API-Key': apiKey }));
+
+        expect(identity).toEqual({ clientId: 'ci-runner', method: 'api-key', credentialId: 'current' });
+    });
+
+    test('should accept API keys as bearer tokens', () => {
+        const identity = registry.authenticate(mockRequest({ Authorization: `Bearer ${apiKey}` }));
+
+        expect(identity.clientId).toBe('ci-runner');
+    });
+
+    test('should reject unknown and disabled keys', () => {
+        expect(registry.authenticate(mockRequest({ 'X-API-Key': 'tl_unknown' }))).toBeNull();
+        expect(registry.authenticate(mockRequest({ 'X-API-Key': 'tl_retired_key' }))).toBeNull();
+        expect(registry.authenticate(mockRequest({}))).toBeNull();
+    });
+
+    test('should authenticate a correctly signed request', () => {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const signature = ClientRegistry.sign('shared-secret', timestamp, 'GET', '/token/ci-runner');
+
+        const identity = registry.authenticate(mockRequest({
+            'X-Client-Id': 'release-bot',
+            'X-Timestamp': timestamp,
+            'X-Signature': signature
+        }));
+
+        expect(identity).toEqual({ clientId: 'release-bot', method: 'hmac', credentialId: 'current' });
+    });
+
+    test('should reject tampered or stale signatures', () => {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const stale = String(Math.floor(Date.now() / 1000) - 3600);
+
+        expect(registry.authenticate(mockRequest({
+            'X-Client-Id': 'release-bot',
+            'X-Timestamp': timestamp,
+            'X-Signature': ClientRegistry.sign('wrong-secret', timestamp, 'GET', '/token/ci-runner')
+        }))).toBeNull();
+
+        expect(registry.authenticate(mockRequest({
+            'X-Client-Id': 'release-bot',
+            'X-Timestamp': stale,
+            'X-Signature': ClientRegistry.sign('shared-secret', stale, 'GET', '/token/ci-runner')
+        }))).toBeNull();
+    });
+
+    test('should reject keys that are not hashed', () => {
+        expect(() => registry.setClients({ bad: { keys: ['tl_plaintext'] } })).toThrow('must be a "sha256:" hash');
+        expect(registry.has('ci-runner')).toBe(true);
+    });
+
+    test('should accept a client ID and API key as Basic credentials', () => {
+        const basic = (user, password) => mockRequest({ Authorization: `Basic ${Buffer.from(`${user}:${password}`).toString('base64')}` });
+
+        expect(registry.authenticate(basic('ci-runner', apiKey)).clientId).toBe('ci-runner');
+        expect(registry.authenticate(basic('release-bot', apiKey))).toBeNull();
+        expect(registry.authenticate(basic('ci-runner', 'tl_wrong'))).toBeNull();
+    });
+
+    test('should grant admin API roles, including the roles below them', () => {
+        registry.setClients({
+            'ci-runner': { keys: [{ id: 'current', hash: ClientRegistry.hashKey(apiKey) }] },
+            'auditor': { role: 'viewer' },
+            'ops': { role: 'operator' },
+            'legacy-ops': { admin: true },
+            'former-ops': { role: 'admin', disabled: true }
+        });
+
+        expect(registry.getRole('ci-runner')).toBeNull();
+        expect(registry.hasRole('ci-runner', 'viewer')).toBe(false);
+        expect(registry.hasRole('auditor', 'viewer')).toBe(true);
+        expect(registry.hasRole('auditor', 'operator')).toBe(false);
+        expect(registry.hasRole('ops', 'viewer')).toBe(true);
+        expect(registry.hasRole('ops', 'admin')).toBe(false);
+        expect(registry.getRole('legacy-ops')).toBe('admin');
+        expect(registry.hasRole('former-ops', 'viewer')).toBe(false);
+    });
+
+    test('should reject unknown roles', () => {
+        expect(() => registry.setClients({ ops: { role: 'root' } })).toThrow('role must be one of: viewer, operator, admin');
+        expect(registry.has('ci-runner')).toBe(true);
+    });
+});
+
+describe('PolicyStore - Unit Tests', () => {
+    let policyStore;
+
+    beforeEach(() => {
+        policyStore = new PolicyStore();
+        policyStore.setPolicies({
+            'ci-runner': {
+                permissions: { contents: 'read', issues: 'write' },
+                repositories: ['app', 'docs']
+            },
+            '*': { permissions: { metadata: 'read' } }
+        });
+    });
+
+    test('should pass requests through when no policies are configured', () => {
+        const scope = new PolicyStore().resolveScope('anyone', { repositories: ['app'] });
+
+        expect(scope).toEqual({ repositories: ['app'], permissions: null });
+    });
+
+    test('should default to the policy maximum', () => {
+        const scope = policyStore.resolveScope('ci-runner');
+
+        expect(scope).toEqual({
+            repositories: ['app', 'docs'],
+            permissions: { contents: 'read', issues: 'write' }
+        });
+    });
+
+    test('should allow a narrower scope', () => {
+        const scope = policyStore.resolveScope('ci-runner', {
+            repositories: ['app'],
+            permissions: { issues: 'read' }
+        });
+
+        expect(scope).toEqual({ repositories: ['app'], permissions: { issues: 'read' } });
+    });
+
+    test('should reject permissions and repositories beyond the policy', () => {
+        expect.assertions(3);
+        try {
+            policyStore.resolveScope('ci-runner', {
+                repositories: ['secrets'],
+                permissions: { contents: 'write', administration: 'read' }
+            });
+        } catch (error) {
+            expect(error.statusCode).toBe(403);
+            expect(error.details).toHaveLength(3);
+            expect(error.details.map(detail => detail.field)).toEqual([
+                'permissions.contents',
+                'permissions.administration',
+                'repositories'
+            ]);
+        }
+    });
+
+    test('should apply the policy maximum to an empty permissions map', () => {
+        expect(policyStore.resolveScope('ci-runner', { permissions: {} }).permissions).toEqual({ contents: 'read', issues: 'write' });
+    });
+
+    test('should fall back to the default policy', () => {
+        expect(policyStore.resolveScope('unknown-client').permissions).toEqual({ metadata: 'read' });
+    });
+
+    test('should deny clients without a matching policy', () => {
+        policyStore.setPolicies({ 'ci-runner': { permissions: { contents: 'read' } } });
+
+        expect(() => policyStore.resolveScope('unknown-client')).toThrow('No permission policy is configured');
+    });
+
+    test('should not cap permissions of policies without a permissions map', () => {
+        policyStore.setPolicies({ 'ci-runner': { repositories: ['app'] } });
+
+        expect(policyStore.resolveScope('ci-runner')).toEqual({ repositories: ['app'], permissions: null });
+        expect(policyStore.resolveScope('ci-runner', { permissions: { administration: 'write' } }).permissions).toEqual({ administration: 'write' });
+        expect(() => policyStore.resolveScope('ci-runner', { permissions: { contents: 'full' } })).toThrow('Requested scope exceeds the policy');
+        expect(() => policyStore.setPolicies({ 'ci-runner': { permissions: {} } })).toThrow('must name at least one permission');
+    });
+});
+
+describe('InstallationCatalog - Unit Tests', () => {
+    let catalog;
+
+    beforeEach(() => {
+        catalog = new InstallationCatalog();
+        catalog.addApp({ appId: 1, privateKey: 'key-1', installations: { 'Configured-Org': 100 } });
+        catalog.addApp({ appId: 2, privateKey: 'key-2' });
+        catalog.setDiscoveredInstallations(2, [
+            { installationId: 200, owner: 'other-org', ownerType: 'Organization' },
+            { installationId: 201, owner: 'someone', ownerType: 'User' }
+        ]);
+    });
+
+    test('should resolve installations by owner case-insensitively', () => {
+        expect(catalog.resolve({ owner: 'configured-org' })).toMatchObject({ installationId: '100', appId: '1' });
+        expect(catalog.resolve({ owner: 'OTHER-ORG' })).toMatchObject({ installationId: '200', appId: '2' });
+    });
+
+    test('should resolve installations by ID', () => {
+        expect(catalog.resolve({ installationId: 201 })).toMatchObject({ owner: 'someone', appId: '2' });
+    });
+
+    test('should reject unknown owners and installations', () => {
+        expect(() => catalog.resolve({ owner: 'nobody' })).toThrow('No installation found for owner: nobody');
+        expect(() => catalog.resolve({ installationId: 999 })).toThrow('Unknown installation: 999');
+    });
+
+    test('should require a selector when several installations exist', () => {
+        expect(() => catalog.resolve()).toThrow('specify an owner or installation');
+
+        catalog.setDefaultInstallation(100);
+        expect(catalog.resolve().installationId).toBe('100');
+    });
+
+    test('should replace discovered installations but keep configured ones', () => {
+        catalog.setDiscoveredInstallations(2, [{ installationId: 202, owner: 'new-org' }]);
+        catalog.setDiscoveredInstallations(1, []);
+
+        expect(catalog.list().map(installation => installation.installationId).sort()).toEqual(['100', '202']);
+    });
+
+    test('should restrict clients to the owners in their policy', () => {
+        const policyStore = new PolicyStore();
+        policyStore.setPolicies({ 'ci-runner': { permissions: { contents: 'read' }, owners: ['configured-org'] } });
+
+        expect(() => policyStore.assertInstallationAllowed('ci-runner', catalog.get(100))).not.toThrow();
+        expect(() => policyStore.assertInstallationAllowed('ci-runner', catalog.get(200))).toThrow('is not allowed to lease tokens for installation 200');
+    });
+
+    test('should send each installation to the API of its app', async () => {
+        catalog.addApp({ appId: 3, privateKey: 'key-3', apiUrl: 'https://github.example.com/api/v3/', installations: { 'ghes-org': 300 } });
+        const service = new GitHubTokenService({ githubApiUrl: 'https://api.github.com' }, null, catalog, {
+            githubClient: new GitHubClient({ githubMaxRetries: 0 })
+        });
+        axios.delete.mockResolvedValue({ status: 204 });
+
+        expect(service.getInstallationApiUrl(100)).toBe('https://api.github.com');
+        await service.revokeToken('ghs_enterprise', 300);
+
+        expect(axios.delete).toHaveBeenCalledWith('https://github.example.com/api/v3/installation/token', expect.anything());
+    });
+});
+
+describe('WebhookReceiver - Unit Tests', () => {
+    let catalog;
+    let receiver;
+
+    const installation = (fields = {}) => ({
+        id: 200,
+        app_id: 2,
+        account: { login: 'other-org', type: 'Organization' },
+        repository_selection: 'selected',
+        ...fields
+    });
+
+    beforeEach(() => {
+        catalog = new InstallationCatalog();
+        catalog.addApp({ appId: 2, privateKey: 'key-2' });
+        catalog.setDiscoveredInstallations(2, [{ installationId: 200, owner: 'other-org', ownerType: 'Organization' }]);
+        receiver = new WebhookReceiver({ githubWebhookSecret: 'webhook-secret' }, { installationCatalog: catalog });
+    });
+
+    test('should verify X-Hub-Signature-256 against the raw body', () => {
+        const rawBody = Buffer.from('{"action":"suspend"}');
+        const request = (signature) => ({ rawBody, get: (name) => (name === 'X-Hub-Signature-256' ? signature : undefined) });
+
+        expect(receiver.verify(request(WebhookReceiver.sign('webhook-secret', rawBody)))).toBe(true);
+        expect(receiver.verify(request(WebhookReceiver.sign('other-secret', rawBody)))).toBe(false);
+        expect(receiver.verify(request(undefined))).toBe(false);
+    });
+
+    test('should refuse tokens for suspended installations until unsuspended', () => {
+        const suspended = receiver.handle('installation', { action: 'suspend', installation: installation() });
+
+        expect(suspended).toMatchObject({ handled: true, installationId: '200', revoke: 'suspended' });
+        expect(() => catalog.resolve({ installationId: 200 })).toThrow('is suspended on GitHub');
+        expect(() => catalog.resolve({ owner: 'other-org' })).toThrow(expect.objectContaining({ statusCode: 403 }));
+
+        receiver.handle('installation', { action: 'unsuspend', installation: installation() });
+        expect(catalog.resolve({ installationId: 200 }).status).toBe('active');
+    });
+
+    test('should keep deleted installations to explain rejected token requests', () => {
+        const deleted = receiver.handle('installation', { action: 'deleted', installation: installation() });
+
+        expect(deleted.revoke).toBe('uninstalled');
+        expect(() => catalog.resolve({ installationId: 200 })).toThrow(expect.objectContaining({ statusCode: 410, error: 'Installation deleted' }));
+    });
+
+    test('should track the repositories of installations created through webhooks', () => {
+        receiver.handle('installation', {
+            action: 'created',
+            installation: installation({ id: 201 }),
+            repositories: [{ name: 'app' }, { name: 'docs' }]
+        });
+        const changed = receiver.handle('installation_repositories', {
+            action: 'added',
+            installation: installation({ id: 201 }),
+            repositories_added: [{ name: 'api' }],
+            repositories_removed: [{ name: 'docs' }]
+        });
+
+        expect(changed).toMatchObject({ repositoriesAdded: ['api'], repositoriesRemoved: ['docs'], revoke: null });
+        expect(catalog.get(201).repositories).toEqual(['app', 'api']);
+    });
+
+    test('should ignore other events and unknown apps', () => {
+        expect(receiver.handle('push', { ref: 'refs/heads/main' }).handled).toBe(false);
+        expect(receiver.handle('installation', { action: 'suspend', installation: installation({ app_id: 9 }) }).handled).toBe(false);
+        expect(catalog.get(200).status).toBe('active');
+    });
+});
+
+describe('Request validation - Unit Tests', () => {
+    let apiRoutes;
+    let auditLog;
+
+    const mockRequest = ({ params = {}, query = {}, body = {} } = {}) => ({
+        method: 'POST',
+        path: '/token',
+        params,
+        query,
+        body,
+        get: () => undefined
+    });
+    const mockResponse = () => {
+        const res = { statusCode: 200 };
+        res.status = jest.fn(code => { res.statusCode = code; return res; });
+        res.json = jest.fn(body => { res.body = body; return res; });
+        return res;
+    };
+
+    beforeEach(() => {
+        auditLog = new AuditLog();
+        apiRoutes = new ApiRoutes(new TokenStorage(), {}, {}, { tokenLifespan: 300000 }, { auditLog });
+    });
+
+    test('should document every route', () => {
+        const document = apiRoutes.openApiDocument;
+        const undocumented = [];
+        const routes = [
+            ...apiRoutes.router.stack.map(layer => ({ prefix: '', layer })),
+            ...apiRoutes.adminRouter.stack.map(layer => ({ prefix: '/admin', layer }))
+        ];
+
+        for (const { prefix, layer } of routes.filter(({ layer }) => layer.route)) {
+            const path = prefix + layer.route.path.replace(/:(\w+)/g, '{$1}');
+            const role = layer.route.stack.map(handler => handler.handle.requiredRole).find(Boolean);
+            // Optional parameters are documented as two paths
+            const paths = path.includes('?') ? [path.replace(/\/\{\w+\}\?/, ''), path.replace('?', '')] : [path];
+            for (const documented of paths) {
+                for (const method of Object.keys(layer.route.methods)) {
+                    const operation = document.paths[documented]?.[method];
+                    if (!operation || operation['x-required-role'] !== role) {
+                        undocumented.push(`${method.toUpperCase()} ${documented}`);
+                    }
+                }
+            }
+        }
+
+        expect(undocumented).toEqual([]);
+        expect(() => new RequestValidator(document)).not.toThrow();
+    });
+
+    test('should list every field-level problem of a body', () => {
+        const errors = apiRoutes.requestValidator.validate('createToken', mockRequest({
+            body: { repositories: ['app', 'my-org/docs'], permissions: { contents: 'rw' }, repos: ['app'], ttl: 0 }
+        }));
+
+        expect(errors).toEqual([
+            { in: 'body', field: 'repositories[1]', message: 'must be a repository name without the owner' },
+            { in: 'body', field: 'permissions.contents', message: 'must be one of: read, write, admin' },
+            { in: 'body', field: 'repos', message: 'is not a known field' },
+            { in: 'body', field: 'ttl', message: 'must be a positive whole number of seconds' }
+        ]);
+    });
+
+    test('should reject an empty permissions map', () => {
+        expect(apiRoutes.requestValidator.validate('createToken', mockRequest({ body: { permissions: {} } }))).toEqual([
+            { in: 'body', field: 'permissions', message: 'must have at least 1 entry' }
+        ]);
+    });
+
+    test('should convert path and query parameters before checking them', () => {
+        const validator = apiRoutes.requestValidator;
+
+        expect(validator.validate('getInstallationToken', mockRequest({ params: { installationId: '123' }, query: { ttl: '300' } }))).toEqual([]);
+        expect(validator.validate('getInstallationToken', mockRequest({ params: { installationId: 'my-org' }, query: { ttl: '1.5' } }))).toEqual([
+            { in: 'path', field: 'installationId', message: 'must be a numeric installation ID' },
+            { in: 'query', field: 'ttl', message: 'must be a positive whole number of seconds' }
+        ]);
+        expect(validator.validate('queryAuditLog', mockRequest({ query: { limit: '5000' } }))[0].message).toBe('must be at most 1000');
+    });
+
+    test('should reject invalid requests with a 400 and audit them', async () => {
+        const next = jest.fn();
+        const res = mockResponse();
+
+        apiRoutes.validate('revokeLease', 'revoke')(mockRequest({ params: { tokenId: 'token_1' }, body: { confirm: 'yes' } }), res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.statusCode).toBe(400);
+        expect(res.body).toMatchObject({
+            success: false,
+            error: 'Invalid request',
+            details: { errors: [{ in: 'body', field: 'confirm', message: 'must be true to confirm that tokens are revoked' }] }
+        });
+        expect((await auditLog.query({ types: ['lease.failed'] })).entries[0]).toMatchObject({ action: 'revoke', tokenId: 'token_1', statusCode: 400 });
+    });
+
+    test('should report handler checks in the same shape', () => {
+        expect(() => apiRoutes.parseAuditFilters({ type: 'lease.stolen', since: 'yesterday' })).toThrow(expect.objectContaining({
+            statusCode: 400,
+            details: {
+                errors: [
+                    expect.objectContaining({ field: 'type', message: expect.stringContaining('lease.stolen') }),
+                    expect.objectContaining({ field: 'since' })
+                ]
+            }
+        }));
+    });
+});
+
+describe('ConfigFile - Unit Tests', () => {
+    const problems = (source, name) => {
+        try {
+            ConfigFile.parse(source, name);
+        } catch (error) {
+            return error.errors;
+        }
+        throw new Error('expected the config file to be rejected');
+    };
+
+    test('should report every schema problem with its line', () => {
+        const source = [
+            'logLevel: loud',
+            'server:',
+            '  port: 3000',
+            'clients:',
+            '  ci-runner:',
+            '    role: superuser',
+            '    keys:',
+            '      - id: 2024-q1',
+            '        hash: sha256:abc',
+            '      - id: 2024-q2',
+            'policies:',
+            '  ci-runner: { permissions: { contents: read }, repos: [app] }',
+            'limits:',
+            '  tokensPerMinute: -1'
+        ].join('\n');
+
+        expect(problems(source, 'token-lease.yaml')).toEqual([
+            { in: 'config', line: 1, field: 'logLevel', message: 'must be one of: fatal, error, warn, info, debug, trace, silent' },
+            { in: 'config', line: 6, field: 'clients.ci-runner.role', message: 'must be one of: viewer, operator, admin' },
+            { in: 'config', line: 10, field: 'clients.ci-runner.keys[1].hash', message: 'is required' },
+            { in: 'config', line: 12, field: 'policies.ci-runner.repos', message: 'is not a known field' },
+            { in: 'config', line: 14, field: 'limits.tokensPerMinute', message: 'must be at least 0' }
+        ]);
+    });
+
+    test('should read JSON files and report syntax errors with their line', () => {
+        const json = '{\n  "server": { "tokenMode": "reuse" },\n  "limits": {\n    "maxActiveLeases": "5"\n  }\n}';
+
+        expect(problems(json, 'token-lease.json')).toEqual([
+            { in: 'config', line: 4, field: 'limits.maxActiveLeases', message: 'must be a whole number' }
+        ]);
+        expect(ConfigFile.parse(json.replace('"5"', '5'))).toEqual({ server: { tokenMode: 'reuse' }, limits: { maxActiveLeases: 5 } });
+        expect(() => ConfigFile.parse('server:\n  port: 3000\n   tokenMode: reuse\n', 'token-lease.yaml'))
+            .toThrow(/token-lease\.yaml:3: /);
+    });
+
+    test('should load apps from the config file alone', () => {
+        const settings = new ConfigFile().getSettings(ConfigFile.parse([
+            'installations:',
+            '  apps:',
+            '    - { appId: 234567, privateKeyPath: ./other-app.pem, installations: { other-org: 87654321 } }'
+        ].join('\n')));
+        const config = { ...ConfigValidator.loadDefaults(settings), appId: undefined, installationId: undefined, appsFile: null };
+        const existsSync = fs.existsSync.getMockImplementation();
+        const readFileSync = fs.readFileSync.getMockImplementation();
+        fs.existsSync.mockImplementation(path => path === './other-app.pem');
+        fs.readFileSync.mockImplementation(() => 'app-private-key');
+
+        try {
+            expect(() => ConfigValidator.validate(config)).not.toThrow();
+            expect(ConfigValidator.loadApps(config)).toEqual([
+                { appId: 234567, privateKey: 'app-private-key', installations: { 'other-org': 87654321 }, apiUrl: null }
+            ]);
+        } finally {
+            fs.existsSync.mockImplementation(existsSync);
+            fs.readFileSync.mockImplementation(readFileSync);
+        }
+    });
+
+    test('should put file settings ahead of environment variables but behind options', () => {
+        const configFile = new ConfigFile();
+        const settings = configFile.getSettings(ConfigFile.parse([
+            'logLevel: debug',
+            'installations: { appId: 1, installationId: 2, discover: false }',
+            'limits: { tokensPerMinute: 10, globalTokensPerHour: 0 }'
+        ].join('\n')));
+        process.env.CLIENT_TOKENS_PER_MINUTE = '99';
+        process.env.CLIENT_MAX_ACTIVE_LEASES = '7';
+
+        try {
+            const config = ConfigValidator.loadDefaults({ ...settings, appId: '3' });
+
+            expect(config).toEqual(expect.objectContaining({
+                logLevel: 'debug',
+                appId: '3',
+                installationId: '2',
+                discoverInstallations: false,
+                clientTokensPerMinute: 10,
+                clientMaxActiveLeases: 7,
+                globalTokensPerHour: 0
+            }));
+        } finally {
+            delete process.env.CLIENT_TOKENS_PER_MINUTE;
+            delete process.env.CLIENT_MAX_ACTIVE_LEASES;
+        }
+    });
+});
+
+describe('TokenStorage persistence - Unit Tests', () => {
+    let adapter;
+    let cipher;
+
+    beforeEach(() => {
+        // A memory adapter flagged as persistent behaves like a real backend without touching disk
+        adapter = new MemoryAdapter();
+        adapter.persistent = true;
+        cipher = new TokenCipher(TokenCipher.generateKey());
+    });
+
+    test('should round-trip tokens through the cipher', () => {
+        const encrypted = cipher.encrypt('ghs_secret');
+
+        expect(encrypted).not.toContain('ghs_secret');
+        expect(cipher.decrypt(encrypted)).toBe('ghs_secret');
+        expect(() => new TokenCipher(TokenCipher.generateKey()).decrypt(encrypted)).toThrow();
+    });
+
+    test('should write encrypted tokens to the adapter', async () => {
+        const storage = new TokenStorage({ adapter, cipher });
+        const entry = storage.store({ clientId: 'ci-runner', token: 'ghs_secret', expiresAt: Date.now() + 60000 });
+        await storage.flush();
+
+        const [record] = await adapter.loadAll('tokens');
+        expect(record.tokenId).toBe(entry.tokenId);
+        expect(record.token).not.toBe('ghs_secret');
+        expect(storage.get(entry.tokenId).token).toBe('ghs_secret');
+    });
+
+    test('should restore tokens after a restart', async () => {
+        const before = new TokenStorage({ adapter, cipher });
+        const kept = before.store({ clientId: 'ci-runner', token: 'ghs_kept', expiresAt: Date.now() + 60000 });
+        const removed = before.store({ clientId: 'ci-runner', token: 'ghs_removed', expiresAt: Date.now() + 60000 });
+        before.delete(removed.tokenId);
+        await before.flush();
+
+        const after = new TokenStorage({ adapter, cipher });
+        expect(await after.init()).toBe(1);
+        expect(after.get(kept.tokenId)).toMatchObject({ clientId: 'ci-runner', token: 'ghs_kept' });
+        expect(after.has(removed.tokenId)).toBe(false);
+    });
+});
+
+describe('Lease reuse - Unit Tests', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = new TokenStorage();
+    });
+
+    test('should build the same scope key regardless of ordering', () => {
+        const a = TokenStorage.createScopeKey({ installationId: 1, repositories: ['b', 'a'], permissions: { issues: 'write', contents: 'read' } });
+        const b = TokenStorage.createScopeKey({ installationId: '1', repositories: ['a', 'b'], permissions: { contents: 'read', issues: 'write' } });
+        const c = TokenStorage.createScopeKey({ installationId: 1, repositories: ['a'], permissions: { contents: 'read', issues: 'write' } });
+
+        expect(a).toBe(b);
+        expect(a).not.toBe(c);
+    });
+
+    test('should only reuse leases for the same client and scope', () => {
+        const scopeKey = TokenStorage.createScopeKey({ installationId: 1, repositories: ['app'] });
+        const lease = storage.store({ clientId: 'ci-runner', token: 'ghs_a', scopeKey, expiresAt: Date.now() + 300000 });
+        storage.store({ clientId: 'other', token: 'ghs_b', scopeKey, expiresAt: Date.now() + 300000 });
+
+        expect(storage.findReusable('ci-runner', scopeKey, 60000).tokenId).toBe(lease.tokenId);
+        expect(storage.findReusable('ci-runner', TokenStorage.createScopeKey({ installationId: 1 }), 60000)).toBeNull();
+        expect(storage.findReusable('nobody', scopeKey, 60000)).toBeNull();
+    });
+
+    test('should not reuse leases below the minimum remaining lifetime', () => {
+        const scopeKey = TokenStorage.createScopeKey({ installationId: 1 });
+        storage.store({ clientId: 'ci-runner', token: 'ghs_a', scopeKey, expiresAt: Date.now() + 30000 });
+
+        expect(storage.findReusable('ci-runner', scopeKey, 60000)).toBeNull();
+        expect(storage.findReusable('ci-runner', scopeKey, 10000)).not.toBeNull();
+    });
+});
+
+describe('Lease duration - Unit Tests', () => {
+    let apiRoutes;
+
+    beforeEach(() => {
+        const policyStore = new PolicyStore();
+        policyStore.setPolicies({
+            linter: { permissions: { contents: 'read' }, maxTtl: 300 },
+            release: { permissions: { contents: 'write' }, minTtl: 600 }
+        });
+        apiRoutes = new ApiRoutes(new TokenStorage(), {}, {}, {
+            tokenLifespan: 300000,
+            leaseMinTtl: 0,
+            leaseMaxTtl: 3600000
+        }, { policyStore });
+    });
+
+    test('should default to the configured lifespan', () => {
+        expect(apiRoutes.resolveLeaseDuration('linter')).toBe(300000);
+    });
+
+    test('should clamp requested TTLs to the client policy', () => {
+        expect(apiRoutes.resolveLeaseDuration('linter', 60)).toBe(60000);
+        expect(apiRoutes.resolveLeaseDuration('linter', 3600)).toBe(300000);
+        expect(apiRoutes.resolveLeaseDuration('release', 60)).toBe(600000);
+        expect(apiRoutes.resolveLeaseDuration('release', 7200)).toBe(3600000);
+    });
+
+    test('should never outlive the GitHub token', () => {
+        const githubExpiresAt = Date.now() + 10 * 60000;
+        const expiresAt = apiRoutes.resolveLeaseExpiry(30 * 60000, githubExpiresAt);
+
+        expect(expiresAt).toBeLessThan(githubExpiresAt);
+    });
+
+    test('should reject invalid TTLs', () => {
+        expect(apiRoutes.parseTtl(undefined)).toBeNull();
+        expect(apiRoutes.parseTtl('120')).toBe(120);
+        expect(() => apiRoutes.parseTtl('-5')).toThrow('ttl must be a positive whole number of seconds');
+        expect(() => apiRoutes.parseTtl('1.5')).toThrow('ttl must be a positive whole number of seconds');
+    });
+});
+
+describe('Lease renewal - Unit Tests', () => {
+    let apiRoutes;
+    let tokenStorage;
+    let githubTokenService;
+
+    beforeEach(() => {
+        const policyStore = new PolicyStore();
+        policyStore.setPolicies({ 'ci-runner': { permissions: { contents: 'read' } } });
+        tokenStorage = new TokenStorage();
+        githubTokenService = {
+            // GitHub grants metadata:read alongside whatever is requested
+            generateInstallationToken: jest.fn().mockResolvedValue({
+                token: 'ghs_first',
+                githubExpiresAt: Date.now() + 120000,
+                permissions: { contents: 'read', metadata: 'read' }
+            }),
+            revokeToken: jest.fn().mockResolvedValue(true)
+        };
+        apiRoutes = new ApiRoutes(tokenStorage, githubTokenService, {}, {
+            tokenLifespan: 300000,
+            leaseMinTtl: 0,
+            leaseMaxTtl: 3600000
+        }, { policyStore });
+    });
+
+    test('should extend leases the GitHub token outlives', async () => {
+        githubTokenService.generateInstallationToken.mockResolvedValue({ token: 'ghs_first', githubExpiresAt: Date.now() + 3600000 });
+        const lease = await apiRoutes.getTokenForClient('ci-runner', null, { ttl: 60 });
+
+        const renewed = await apiRoutes.renewLease(lease.tokenId, 'ci-runner', 600);
+
+        expect(renewed.rotated).toBe(false);
+        expect(renewed.token).toBe('ghs_first');
+        expect(renewed.expiresAt).toBeGreaterThan(lease.expiresAt);
+        expect(renewed.renewCount).toBe(1);
+        expect(githubTokenService.generateInstallationToken).toHaveBeenCalledTimes(1);
+    });
+
+    test('should rotate the token for the requested scope, not the granted one', async () => {
+        const lease = await apiRoutes.getTokenForClient('ci-runner', null, { permissions: { contents: 'read' } });
+        expect(lease.permissions).toEqual({ contents: 'read', metadata: 'read' });
+
+        githubTokenService.generateInstallationToken.mockResolvedValue({
+            token: 'ghs_second',
+            githubExpiresAt: Date.now() + 3600000,
+            permissions: { contents: 'read', metadata: 'read' }
+        });
+        const renewed = await apiRoutes.renewLease(lease.tokenId, 'ci-runner');
+
+        expect(renewed.rotated).toBe(true);
+        expect(renewed.token).toBe('ghs_second');
+        expect(renewed.requestedPermissions).toEqual({ contents: 'read' });
+        expect(githubTokenService.generateInstallationToken).toHaveBeenLastCalledWith(null, expect.objectContaining({ permissions: { contents: 'read' } }));
+        expect(githubTokenService.revokeToken).toHaveBeenCalledWith('ghs_first', undefined);
+    });
+
+    test('should rotate leases issued with the policy default scope', async () => {
+        const lease = await apiRoutes.getTokenForClient('ci-runner');
+
+        const renewed = await apiRoutes.renewLease(lease.tokenId, 'ci-runner');
+
+        expect(renewed.rotated).toBe(true);
+        expect(githubTokenService.generateInstallationToken).toHaveBeenLastCalledWith(null, expect.objectContaining({ permissions: { contents: 'read' } }));
+    });
+
+    test('should refuse to renew expired leases', async () => {
+        const lease = tokenStorage.store({ clientId: 'ci-runner', token: 'ghs_old', expiresAt: Date.now() - 1000 });
+
+        await expect(apiRoutes.renewLease(lease.tokenId, 'ci-runner')).rejects.toMatchObject({ statusCode: 410 });
+    });
+
+    test('should only let the owning client renew or release a lease', async () => {
+        const lease = await apiRoutes.getTokenForClient('ci-runner');
+
+        await expect(apiRoutes.renewLease(lease.tokenId, 'other')).rejects.toMatchObject({ statusCode: 403 });
+        await expect(apiRoutes.releaseLease(lease.tokenId, 'other')).rejects.toMatchObject({ statusCode: 403 });
+        await expect(apiRoutes.releaseLease('token_missing', 'ci-runner')).rejects.toMatchObject({ statusCode: 404 });
+        expect(tokenStorage.has(lease.tokenId)).toBe(true);
+        expect(githubTokenService.revokeToken).not.toHaveBeenCalled();
+    });
+
+    test('should revoke and remove released leases', async () => {
+        const lease = await apiRoutes.getTokenForClient('ci-runner');
+
+        const result = await apiRoutes.releaseLease(lease.tokenId, 'ci-runner');
+
+        expect(result).toEqual(expect.objectContaining({ clientId: 'ci-runner', revoked: true }));
+        expect(githubTokenService.revokeToken).toHaveBeenCalledWith('ghs_first', undefined);
+        expect(tokenStorage.has(lease.tokenId)).toBe(false);
+    });
+
+    test('should keep a shared lease until its last holder releases it', async () => {
+        apiRoutes.config.tokenMode = 'reuse';
+        apiRoutes.config.reuseMinRemaining = 0;
+        const lease = await apiRoutes.getTokenForClient('ci-runner');
+        const shared = await apiRoutes.getTokenForClient('ci-runner');
+        expect(shared.tokenId).toBe(lease.tokenId);
+
+        const first = await apiRoutes.releaseLease(lease.tokenId, 'ci-runner');
+        expect(first).toEqual(expect.objectContaining({ revoked: false, holders: 1 }));
+        expect(tokenStorage.has(lease.tokenId)).toBe(true);
+        expect(githubTokenService.revokeToken).not.toHaveBeenCalled();
+
+        const last = await apiRoutes.releaseLease(lease.tokenId, 'ci-runner');
+        expect(last).toEqual(expect.objectContaining({ revoked: true, holders: 0 }));
+        expect(tokenStorage.has(lease.tokenId)).toBe(false);
+        expect(githubTokenService.revokeToken).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('Admin API - Unit Tests', () => {
+    let apiRoutes;
+    let tokenStorage;
+    let revokeToken;
+
+    const mockRequest = (headers = {}, body = {}) => ({
+        method: 'POST',
+        originalUrl: '/admin/leases/x/revoke',
+        baseUrl: '/admin',
+        path: '/leases/x/revoke',
+        get: (name) => headers[name],
+        body
+    });
+    const mockResponse = () => {
+        const res = { statusCode: 200, headers: {} };
+        res.status = jest.fn(code => { res.statusCode = code; return res; });
+        res.set = jest.fn((name, value) => { res.headers[name] = value; return res; });
+        res.json = jest.fn(body => { res.body = body; return res; });
+        return res;
+    };
+
+    beforeEach(() => {
+        const clientRegistry = new ClientRegistry();
+        clientRegistry.setClients({
+            'ci-runner': { keys: [{ id: 'current', hash: ClientRegistry.hashKey('tl_ci_key') }] },
+            'auditor': { role: 'viewer', keys: [{ id: 'current', hash: ClientRegistry.hashKey('tl_auditor_key') }] },
+            'ops': { role: 'operator', keys: [{ id: 'current', hash: ClientRegistry.hashKey('tl_ops_key') }] }
+        });
+        tokenStorage = new TokenStorage();
+        revokeToken = jest.fn().mockResolvedValue(true);
+        apiRoutes = new ApiRoutes(tokenStorage, { revokeToken }, {}, { tokenLifespan: 300000 }, { clientRegistry });
+    });
+
+    test('should challenge requests without credentials', () => {
+        const res = mockResponse();
+        const next = jest.fn();
+
+        apiRoutes.authorize('viewer')(mockRequest(), res, next);
+
+        expect(res.statusCode).toBe(401);
+        expect(res.headers['WWW-Authenticate']).toMatch(/^Basic realm=/);
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should only let clients with a sufficient role through', () => {
+        const attempt = (role, apiKey) => {
+            const req = mockRequest({ 'X-API-Key': apiKey });
+            const res = mockResponse();
+            const next = jest.fn();
+            apiRoutes.authorize(role)(req, res, next);
+            return { req, res, passed: next.mock.calls.length > 0 };
+        };
+
+        expect(attempt('viewer', 'tl_ci_key').res.statusCode).toBe(403);
+        expect(attempt('viewer', 'tl_auditor_key').passed).toBe(true);
+        expect(attempt('operator', 'tl_auditor_key').res.body.message).toBe('Client "auditor" has the viewer role; this requires operator');
+        expect(attempt('operator', 'tl_ops_key').passed).toBe(true);
+        expect(attempt('admin', 'tl_ops_key').res.statusCode).toBe(403);
+
+        const { req } = attempt('operator', 'tl_ops_key');
+        expect(req.adminId).toBe('ops');
+        expect(req.adminRole).toBe('operator');
+    });
+
+    test('should leave the admin API open without a client registry', () => {
+        const routes = new ApiRoutes(new TokenStorage(), {}, {}, { tokenLifespan: 300000 });
+        const req = mockRequest();
+        const next = jest.fn();
+
+        routes.authorize('admin')(req, mockResponse(), next);
+
+        expect(next).toHaveBeenCalled();
+        expect(req.adminRole).toBe('admin');
+    });
+
+    test('should keep admin routes off the client router', () => {
+        const clientPaths = apiRoutes.router.stack.filter(layer => layer.route).map(layer => layer.route.path);
+
+        expect(clientPaths).not.toContain('/tokens');
+        expect(clientPaths).not.toContain('/dashboard');
+        expect(clientPaths).not.toContain('/audit');
+    });
+
+    test('should require confirmation before revoking', () => {
+        expect(() => apiRoutes.requireConfirmation(mockRequest({}, {}))).toThrow('must be confirmed');
+        expect(() => apiRoutes.requireConfirmation(mockRequest({}, { confirm: 'yes' }))).toThrow('must be confirmed');
+        expect(() => apiRoutes.requireConfirmation(mockRequest({}, { confirm: true }))).not.toThrow();
+    });
+
+    test('should revoke and remove a lease', async () => {
+        const lease = tokenStorage.store({ clientId: 'ci-runner', token: 'ghs_admin', expiresAt: Date.now() + 60000, installationId: '1' });
+
+        const revoked = await apiRoutes.revokeLease(lease, 'admin');
+
+        expect(revoked).toBe(true);
+        expect(revokeToken).toHaveBeenCalledWith('ghs_admin', '1');
+        expect(tokenStorage.has(lease.tokenId)).toBe(false);
+    });
+
+    test('should answer 500 when deleting or clearing tokens fails', async () => {
+        tokenStorage.store({ clientId: 'ci-runner', token: 'ghs_admin', expiresAt: Date.now() + 60000 });
+        revokeToken.mockRejectedValue(new Error('storage unavailable'));
+        const handler = (method, path) => {
+            const route = apiRoutes.adminRouter.stack.find(layer => layer.route?.path === path && layer.route.methods[method]).route;
+            return route.stack[route.stack.length - 1].handle;
+        };
+
+        const deleted = mockResponse();
+        await handler('delete', '/tokens/:identifier')({ ...mockRequest(), params: { identifier: 'ci-runner' } }, deleted);
+        expect(deleted.statusCode).toBe(500);
+        expect(deleted.body).toEqual(expect.objectContaining({ success: false, error: 'Failed to delete tokens', message: 'storage unavailable' }));
+
+        const cleared = mockResponse();
+        await handler('delete', '/tokens')(mockRequest(), cleared);
+        expect(cleared.statusCode).toBe(500);
+        expect(cleared.body).toEqual(expect.objectContaining({ success: false, error: 'Failed to clear tokens' }));
+    });
+
+    test('should answer 500 when refreshing installations fails', async () => {
+        apiRoutes.githubTokenService.refreshInstallations = jest.fn().mockRejectedValue(new Error('catalog unavailable'));
+        const route = apiRoutes.adminRouter.stack.find(layer => layer.route?.path === '/installations/refresh').route;
+        const res = mockResponse();
+
+        await route.stack[route.stack.length - 1].handle(mockRequest(), res);
+
+        expect(res.statusCode).toBe(500);
+        expect(res.body).toEqual(expect.objectContaining({ success: false, error: 'Failed to refresh installations', message: 'catalog unavailable' }));
+    });
+
+    test('should escape lease values in the dashboard', () => {
+        const html = apiRoutes.dashboard.render({
+            tokenStatus: [{
+                tokenId: 'abc',
+                clientId: '<script>alert(1)</script>',
+                repositories: ['"quoted"'],
+                isExpired: false,
+                timeUntilExpiry: 30000,
+                createdAt: new Date().toISOString(),
+                expiresAt: new Date(Date.now() + 30000).toISOString()
+            }],
+            rateLimitInfo: null,
+            usage: null,
+            revocations: [],
+            modeLabel: 'fresh',
+            adminId: 'ops',
+            role: 'admin'
+        });
+
+        expect(html).not.toContain('<script>alert(1)</script>');
+        expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+        expect(html).toContain('&quot;quoted&quot;');
+        expect(html).toContain('data-status="expiring"');
+        expect(html).toContain('id="mintForm"');
+    });
+
+    test('should only offer the actions of the signed-in role', () => {
+        const view = {
+            tokenStatus: [{ tokenId: 'abc', clientId: 'ci-runner', isExpired: false, timeUntilExpiry: 120000, createdAt: new Date().toISOString(), expiresAt: new Date(Date.now() + 120000).toISOString() }],
+            rateLimitInfo: null,
+            usage: null,
+            revocations: [],
+            modeLabel: 'fresh',
+            adminId: 'auditor'
+        };
+
+        const viewer = apiRoutes.dashboard.render({ ...view, role: 'viewer' });
+        expect(viewer).not.toContain('data-revoke-lease');
+        expect(viewer).not.toContain('id="mintForm"');
+
+        const operator = apiRoutes.dashboard.render({ ...view, role: 'operator' });
+        expect(operator).toContain('data-revoke-lease="abc"');
+        expect(operator).not.toContain('id="mintForm"');
+    });
+});
+
+describe('EventStream - Unit Tests', () => {
+    const { EventEmitter } = require('events');
+    let auditLog;
+    let eventStream;
+    let rateLimitTracker;
+
+    const subscribe = (query = {}) => {
+        const req = Object.assign(new EventEmitter(), { query });
+        const res = {
+            output: '',
+            status: jest.fn(() => res),
+            set: jest.fn(() => res),
+            flushHeaders: jest.fn(),
+            write: jest.fn(chunk => { res.output += chunk; }),
+            end: jest.fn()
+        };
+        eventStream.subscribe(req, res);
+        return { req, res };
+    };
+
+    beforeEach(() => {
+        auditLog = new AuditLog();
+        const tokenStorage = new TokenStorage();
+        tokenStorage.store({ clientId: 'ci-runner', token: 'ghs_stored', expiresAt: Date.now() + 60000 });
+        rateLimitTracker = new RateLimitTracker({ rateLimitRefreshInterval: 0 });
+        eventStream = new EventStream({ eventsHeartbeatInterval: 15000 }, { auditLog, tokenStorage, rateLimitTracker });
+    });
+
+    afterEach(() => {
+        eventStream.close();
+    });
+
+    test('should send a lease snapshot, then audit entries as events', () => {
+        const { res } = subscribe();
+        auditLog.record('lease.issued', { tokenId: 'token_1', clientId: 'ci-runner' });
+
+        expect(res.set).toHaveBeenCalledWith(expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+        expect(res.output).toMatch(/event: snapshot\ndata: .*"clientId":"ci-runner"/);
+        expect(res.output).not.toContain('ghs_stored');
+        expect(res.output).toMatch(/event: lease\.issued\nid: [\w-]+\ndata: .*"tokenId":"token_1"/);
+    });
+
+    test('should only send the requested event types', () => {
+        const { res } = subscribe({ types: 'lease.revoked' });
+        auditLog.record('lease.issued', { tokenId: 'token_1' });
+        auditLog.record('lease.revoked', { tokenId: 'token_1', reason: 'expired' });
+
+        expect(res.output).not.toContain('event: lease.issued');
+        expect(res.output).toContain('event: lease.revoked');
+    });
+
+    test('should forward rate limit updates from the tracker', () => {
+        rateLimitTracker.record('installation:1', { 'x-ratelimit-limit': '5000', 'x-ratelimit-remaining': '4999', 'x-ratelimit-reset': '1700000000' });
+        const { res } = subscribe();
+        rateLimitTracker.record('installation:1', { 'x-ratelimit-limit': '5000', 'x-ratelimit-remaining': '4998', 'x-ratelimit-reset': '1700000000' });
+
+        expect(res.output).toMatch(/event: snapshot\ndata: .*"remaining":4999/);
+        expect(res.output).toMatch(/event: rate_limit\ndata: .*"installationId":"1".*"remaining":4998/);
+    });
+
+    test('should forget closed connections and end open ones on close', () => {
+        const first = subscribe();
+        const second = subscribe();
+        first.req.emit('close');
+
+        expect(eventStream.size).toBe(1);
+
+        eventStream.close();
+        expect(second.res.end).toHaveBeenCalled();
+        expect(eventStream.size).toBe(0);
+    });
+});
+
+describe('RateLimitTracker - Unit Tests', () => {
+    const headers = (remaining, extra = {}) => ({
+        'x-ratelimit-limit': '5000',
+        'x-ratelimit-remaining': String(remaining),
+        'x-ratelimit-used': String(5000 - remaining),
+        'x-ratelimit-reset': '1700000000',
+        ...extra
+    });
+    let tokenStorage;
+    let fetchRateLimit;
+    let tracker;
+
+    beforeEach(() => {
+        tokenStorage = new TokenStorage();
+        fetchRateLimit = jest.fn().mockResolvedValue({
+            core: { limit: 5000, remaining: 4000, used: 1000, reset: 1700000000 },
+            search: { limit: 30, remaining: 30, used: 0, reset: 1700000000 }
+        });
+        tracker = new RateLimitTracker({ rateLimitRefreshInterval: 60000 }, { tokenStorage, githubTokenService: { fetchRateLimit } });
+    });
+
+    test('should record rate limit headers per installation and app', () => {
+        tracker.record(RateLimitTracker.installationKey('1'), headers(4990));
+        tracker.record(RateLimitTracker.installationKey('2'), headers(120));
+        tracker.record(RateLimitTracker.appKey('9'), headers(30, { 'x-ratelimit-resource': 'integration_manifest' }));
+        tracker.record(RateLimitTracker.installationKey('3'), {});
+
+        expect(tracker.get('installation:1')).toEqual(expect.objectContaining({
+            scope: 'installation',
+            installationId: '1',
+            resources: { core: expect.objectContaining({ limit: 5000, remaining: 4990, used: 10, reset: 1700000000 }) }
+        }));
+        expect(tracker.get('app:9').resources.integration_manifest.remaining).toBe(30);
+        expect(tracker.get('installation:3')).toBeNull();
+        expect(tracker.getLowest()).toEqual(expect.objectContaining({ key: 'installation:2', core: expect.objectContaining({ remaining: 120 }) }));
+    });
+
+    test('should report GitHub client responses to the tracker', async () => {
+        const client = new GitHubClient({ githubTimeout: 1000, githubMaxRetries: 0, circuitBreakerThreshold: 0 }, { rateLimitTracker: tracker });
+        axios.get.mockResolvedValue({ status: 200, data: {}, headers: headers(4321) });
+
+        await client.get('rate_limit', 'https://api.github.com/rate_limit', { rateLimitKey: 'installation:1' });
+
+        expect(axios.get).toHaveBeenCalledWith('https://api.github.com/rate_limit', { timeout: 1000 });
+        expect(tracker.get('installation:1').resources.core.remaining).toBe(4321);
+    });
+
+    test('should refresh stale installations with an active lease instead of minting a token', async () => {
+        tokenStorage.store({ clientId: 'ci-runner', token: 'ghs_active', installationId: '1', expiresAt: Date.now() + 300000 });
+        tokenStorage.store({ clientId: 'ci-runner', token: 'ghs_expiring', installationId: '2', expiresAt: Date.now() + 1000 });
+        tracker.record('installation:3', headers(100));
+        tokenStorage.store({ clientId: 'ci-runner', token: 'ghs_fresh', installationId: '3', expiresAt: Date.now() + 300000 });
+
+        const refreshed = await tracker.refresh();
+
+        expect(refreshed).toBe(1);
+        expect(fetchRateLimit).toHaveBeenCalledTimes(1);
+        expect(fetchRateLimit).toHaveBeenCalledWith('ghs_active', '1');
+        expect(tracker.get('installation:1').resources.search.limit).toBe(30);
+    });
+});
+
+describe('RateLimiter - Unit Tests', () => {
+    let tokenStorage;
+    let rateLimiter;
+
+    beforeEach(() => {
+        const policyStore = new PolicyStore();
+        policyStore.setPolicies({
+            batch: { limits: { tokensPerMinute: 1 } },
+            '*': {}
+        });
+        tokenStorage = new TokenStorage();
+        rateLimiter = new RateLimiter({
+            clientTokensPerMinute: 2,
+            clientMaxActiveLeases: 2,
+            globalTokensPerHour: 5
+        }, { tokenStorage, policyStore });
+    });
+
+    test('should reject clients over their per-minute rate', () => {
+        rateLimiter.record('ci');
+        rateLimiter.record('ci');
+
+        expect(() => rateLimiter.check('ci')).toThrow(expect.objectContaining({ statusCode: 429 }));
+        expect(() => rateLimiter.check('other')).not.toThrow();
+    });
+
+    test('should apply policy overrides', () => {
+        rateLimiter.record('batch');
+
+        expect(rateLimiter.getLimits('batch').tokensPerMinute).toBe(1);
+        expect(() => rateLimiter.check('batch')).toThrow('exceeded 1 tokens per minute');
+    });
+
+    test('should cap active leases and report a retry delay', () => {
+        tokenStorage.store({ clientId: 'ci', token: 'a', expiresAt: Date.now() + 30000 });
+        tokenStorage.store({ clientId: 'ci', token: 'b', expiresAt: Date.now() + 60000 });
+
+        let error;
+        try {
+            rateLimiter.check('ci');
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error.statusCode).toBe(429);
+        expect(error.retryAfter).toBeGreaterThan(0);
+        expect(error.retryAfter).toBeLessThanOrEqual(30);
+    });
+
+    test('should enforce the global budget and report usage', () => {
+        ['a', 'b', 'c', 'd', 'e'].forEach(clientId => rateLimiter.record(clientId));
+
+        expect(() => rateLimiter.check('f')).toThrow('Global token budget');
+        expect(rateLimiter.getUsage().global).toEqual({ tokensLastHour: 5, tokensPerHour: 5 });
+        expect(rateLimiter.getUsage().clients.a.tokensLastMinute).toBe(1);
+    });
+
+    test('should count reserved leases until they are stored or released', () => {
+        const first = rateLimiter.reserve('ci');
+        rateLimiter.reserve('ci');
+
+        expect(rateLimiter.getClientUsage('ci').activeLeases).toBe(2);
+        expect(() => rateLimiter.reserve('ci')).toThrow(expect.objectContaining({ statusCode: 429 }));
+
+        rateLimiter.release(first);
+        expect(rateLimiter.getClientUsage('ci')).toEqual(expect.objectContaining({ tokensLastMinute: 1, activeLeases: 1 }));
+        expect(rateLimiter.getUsage().global.tokensLastHour).toBe(1);
+    });
+
+    test('should not let parallel requests past the limits', async () => {
+        const githubTokenService = {
+            generateInstallationToken: jest.fn(async () => {
+                await new Promise(resolve => setImmediate(resolve));
+                return { token: 'ghs_parallel', githubExpiresAt: Date.now() + 3600000 };
+            })
+        };
+        const apiRoutes = new ApiRoutes(tokenStorage, githubTokenService, {}, { tokenLifespan: 300000, leaseMinTtl: 0, leaseMaxTtl: 3600000 }, { rateLimiter });
+
+        const results = await Promise.allSettled(Array.from({ length: 8 }, () => apiRoutes.getTokenForClient('ci')));
+
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+        expect(results.filter(result => result.reason?.statusCode === 429)).toHaveLength(6);
+        expect(githubTokenService.generateInstallationToken).toHaveBeenCalledTimes(2);
+        expect(rateLimiter.getClientUsage('ci').activeLeases).toBe(2);
+    });
+
+    test('should give the slot back when minting fails', async () => {
+        const githubTokenService = { generateInstallationToken: jest.fn().mockRejectedValue(new Error('GitHub down')) };
+        const apiRoutes = new ApiRoutes(tokenStorage, githubTokenService, {}, { tokenLifespan: 300000, leaseMinTtl: 0, leaseMaxTtl: 3600000 }, { rateLimiter });
+
+        await expect(apiRoutes.getTokenForClient('ci')).rejects.toThrow('GitHub down');
+
+        expect(rateLimiter.getClientUsage('ci')).toEqual(expect.objectContaining({ tokensLastMinute: 0, activeLeases: 0 }));
+    });
+});
+
+describe('AuditLog - Unit Tests', () => {
+    let auditLog;
+
+    beforeEach(() => {
+        auditLog = new AuditLog();
+    });
+
+    test('should fingerprint tokens instead of storing them', () => {
+        const fingerprint = AuditLog.fingerprint('ghs_secret');
+
+        expect(fingerprint).toMatch(/^sha256:[0-9a-f]{16}$/);
+        expect(fingerprint).not.toContain('ghs_secret');
+        expect(AuditLog.fingerprint('ghs_secret')).toBe(fingerprint);
+    });
+
+    test('should emit recorded entries', () => {
+        const listener = jest.fn();
+        auditLog.on('entry', listener);
+
+        const entry = auditLog.record('lease.issued', { clientId: 'ci', tokenId: 'token_1' });
+
+        expect(entry.timestamp).toBeDefined();
+        expect(listener).toHaveBeenCalledWith(entry);
+    });
+
+    test('should filter entries by client, type and repository', async () => {
+        auditLog.record('lease.issued', { clientId: 'ci', repositories: ['app'] });
+        auditLog.record('lease.issued', { clientId: 'ci', repositories: null });
+        auditLog.record('lease.issued', { clientId: 'deploy', repositories: ['docs'] });
+        auditLog.record('lease.failed', { clientId: 'ci', statusCode: 403 });
+
+        expect((await auditLog.query({ clientId: 'ci' })).total).toBe(3);
+        expect((await auditLog.query({ types: ['lease.failed'] })).entries[0].statusCode).toBe(403);
+        expect((await auditLog.query({ repository: 'app' })).total).toBe(2);
+    });
+
+    test('should filter by time range and keep the most recent matches', async () => {
+        for (let i = 0; i < 5; i++) {
+            auditLog.record('lease.issued', { clientId: 'ci', sequence: i });
+        }
+
+        const result = await auditLog.query({ limit: 2 });
+        expect(result.total).toBe(5);
+        expect(result.entries.map(entry => entry.sequence)).toEqual([3, 4]);
+        expect((await auditLog.query({ until: Date.now() - 60000 })).total).toBe(0);
+    });
+});
+
+describe('Metrics - Unit Tests', () => {
+    let tokenStorage;
+    let metrics;
+
+    beforeEach(() => {
+        tokenStorage = new TokenStorage();
+        metrics = new Metrics({ tokenStorage, collectDefaults: false });
+    });
+
+    test('should count lease decisions from the audit log', async () => {
+        const auditLog = new AuditLog();
+        metrics.observeAuditLog(auditLog);
+
+        auditLog.record('lease.issued', { clientId: 'ci' });
+        auditLog.record('lease.revoked', { clientId: 'ci', reason: 'expired', revoked: true });
+        auditLog.record('lease.released', { clientId: 'ci', revoked: false });
+
+        const output = await metrics.render();
+        expect(output).toContain('token_lease_tokens_issued_total{client_id="ci",source="fresh"} 1');
+        expect(output).toContain('token_lease_tokens_revoked_total{reason="expired"} 1');
+        expect(output).toContain('token_lease_revocation_failures_total{reason="released"} 1');
+    });
+
+    test('should record GitHub latency and the last rate limit seen', async () => {
+        metrics.observeGitHubRequest('create_token', 201, 0.2, { 'x-ratelimit-remaining': '4990', 'x-ratelimit-limit': '5000' });
+        metrics.observeGitHubRequest('revoke_token', 'error', 0.1);
+
+        const output = await metrics.render();
+        expect(output).toContain('token_lease_github_request_duration_seconds_count{operation="create_token",status="201"} 1');
+        expect(output).toContain('token_lease_github_rate_limit_remaining{resource="core"} 4990');
+        expect(output).toContain('token_lease_github_rate_limit_limit{resource="core"} 5000');
+    });
+
+    test('should report active leases per client', async () => {
+        tokenStorage.store({ clientId: 'ci', token: 'a', expiresAt: Date.now() + 60000 });
+        tokenStorage.store({ clientId: 'ci', token: 'b', expiresAt: Date.now() - 1000 });
+
+        expect(await metrics.render()).toContain('token_lease_active_leases{client_id="ci"} 1');
+    });
+
+    test('should answer 500 when metrics fail to render', async () => {
+        const apiRoutes = new ApiRoutes(tokenStorage, {}, {}, { tokenLifespan: 300000 }, { metrics });
+        const handler = apiRoutes.router.stack.find(layer => layer.route?.path === '/metrics').route.stack[0].handle;
+        const res = { set: jest.fn(), send: jest.fn() };
+        res.status = jest.fn(() => res);
+        res.json = jest.fn(() => res);
+        jest.spyOn(metrics, 'render').mockRejectedValue(new Error('collector failed'));
+
+        await handler({}, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: false, message: 'collector failed' }));
+        expect(res.send).not.toHaveBeenCalled();
+    });
+});
+
+describe('TokenCleanupService - Unit Tests', () => {
+    test('should skip a check while the previous run is still revoking', async () => {
+        const tokenStorage = new TokenStorage();
+        tokenStorage.store({ clientId: 'ci', token: 'ghs_expired', expiresAt: Date.now() - 1000 });
+        const revocations = [];
+        const githubTokenService = { revokeToken: jest.fn(() => new Promise(resolve => revocations.push(resolve))) };
+        const cleanup = new TokenCleanupService(tokenStorage, githubTokenService, { cacheCheckInterval: 60000 });
+
+        const runs = [cleanup.cleanupExpiredTokens(), cleanup.cleanupExpiredTokens()];
+        revocations.forEach(resolve => resolve(true));
+        await Promise.all(runs);
+
+        expect(githubTokenService.revokeToken).toHaveBeenCalledTimes(1);
+        expect(tokenStorage.size).toBe(0);
+        expect(cleanup.running).toBe(false);
+    });
+
+    test('should keep running when a scheduled cleanup fails', async () => {
+        jest.useFakeTimers();
+        const cleanup = new TokenCleanupService(new TokenStorage(), {}, { cacheCheckInterval: 1000 });
+        const run = jest.spyOn(cleanup, 'cleanupExpiredTokens').mockRejectedValue(new Error('redis unavailable'));
+        const unhandled = jest.fn();
+        process.on('unhandledRejection', unhandled);
+        try {
+            cleanup.start();
+            jest.advanceTimersByTime(2000);
+            jest.useRealTimers();
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(run).toHaveBeenCalledTimes(2);
+            expect(unhandled).not.toHaveBeenCalled();
+        } finally {
+            cleanup.stop();
+            process.off('unhandledRejection', unhandled);
+            jest.useRealTimers();
+        }
+    });
+});
+
+describe('RevocationQueue - Unit Tests', () => {
+    let githubTokenService;
+    let adapter;
+    let auditLog;
+    let queue;
+    const config = { revocationRetryBaseDelay: 1000, revocationRetryMaxDelay: 4000, revocationMaxAttempts: 3 };
+    const lease = () => ({ tokenId: 'token_1', clientId: 'ci', token: 'ghs_stuck', githubExpiresAt: Date.now() + 3600000 });
+
+    beforeEach(() => {
+        githubTokenService = { revokeToken: jest.fn().mockResolvedValue(false) };
+        adapter = new MemoryAdapter();
+        auditLog = new AuditLog();
+        queue = new RevocationQueue(config, { githubTokenService, adapter, auditLog });
+    });
+
+    test('should queue tokens that fail to revoke', async () => {
+        expect(await queue.revoke(lease(), 'expired')).toBe(false);
+
+        expect(queue.size).toBe(1);
+        expect(queue.list()[0]).toEqual(expect.objectContaining({ clientId: 'ci', status: 'pending', attempts: 1 }));
+        expect(JSON.stringify(queue.list())).not.toContain('ghs_stuck');
+    });
+
+    test('should not queue tokens revoked right away', async () => {
+        githubTokenService.revokeToken.mockResolvedValue(true);
+
+        expect(await queue.revoke(lease(), 'released')).toBe(true);
+        expect(queue.size).toBe(0);
+    });
+
+    test('should back off exponentially up to the maximum delay', () => {
+        expect(queue.getRetryDelay(1)).toBe(1000);
+        expect(queue.getRetryDelay(2)).toBe(2000);
+        expect(queue.getRetryDelay(5)).toBe(4000);
+    });
+
+    test('should retry due entries and remove them once revoked', async () => {
+        const entry = queue.enqueue(lease(), 'expired');
+        queue.entries.set(entry.id, { ...entry, nextAttemptAt: Date.now() - 1 });
+        githubTokenService.revokeToken.mockResolvedValue(true);
+
+        await queue.processDue();
+
+        expect(queue.size).toBe(0);
+        expect((await auditLog.query({ types: ['revocation.retried'] })).entries[0].revoked).toBe(true);
+    });
+
+    test('should give up after the last attempt and drop tokens GitHub has expired', async () => {
+        const entry = queue.enqueue(lease(), 'expired');
+        queue.entries.set(entry.id, { ...entry, attempts: 2, nextAttemptAt: Date.now() - 1 });
+
+        await queue.processDue();
+        expect(queue.getCounts()).toEqual({ pending: 0, unrevocable: 1 });
+
+        queue.entries.set(entry.id, { ...queue.entries.get(entry.id), githubExpiresAt: Date.now() - 1 });
+        await queue.processDue();
+        expect(queue.size).toBe(0);
+    });
+
+    test('should restore the queue from the storage adapter', async () => {
+        queue.enqueue(lease(), 'deleted');
+        await queue.close();
+
+        const restored = new RevocationQueue(config, { githubTokenService, adapter });
+        expect(await restored.init()).toBe(1);
+    });
+});
+
+describe('WebhookDispatcher - Unit Tests', () => {
+    let auditLog;
+    let dispatcher;
+    const config = { webhookTimeout: 1000, webhookRetryBaseDelay: 1, webhookRetryMaxDelay: 4, webhookMaxAttempts: 3 };
+    const settle = () => new Promise(resolve => setTimeout(resolve, 30));
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        auditLog = new AuditLog();
+        dispatcher = new WebhookDispatcher(config, { auditLog });
+        dispatcher.setWebhooks({
+            'app-team': { url: 'https://hooks.example.com/app', events: ['lease.*'], secret: 'hook-secret', repositories: ['app'] },
+            'security': { url: 'https://siem.example.com/ingest', events: ['revocation.abandoned'] }
+        });
+    });
+
+    afterEach(async () => {
+        await dispatcher.close();
+    });
+
+    test('should deliver matching audit entries signed with the webhook secret', async () => {
+        axios.post.mockResolvedValue({ status: 204 });
+
+        auditLog.record('lease.issued', { clientId: 'ci', repositories: ['app', 'docs'], fingerprint: 'sha256:abc' });
+        await settle();
+
+        expect(axios.post).toHaveBeenCalledTimes(1);
+        const [url, body, options] = axios.post.mock.calls[0];
+        expect(url).toBe('https://hooks.example.com/app');
+        expect(JSON.parse(body)).toMatchObject({ event: 'lease.issued', webhook: 'app-team', data: { clientId: 'ci' } });
+        expect(options.headers['X-TokenLease-Signature-256']).toBe(WebhookDispatcher.sign('hook-secret', body));
+        expect(dispatcher.listDeliveries().deliveries[0]).toMatchObject({ webhookId: 'app-team', status: 'delivered' });
+    });
+
+    test('should filter by event, repository and owner', () => {
+        const webhook = { events: ['lease.revoked'], owners: ['my-org'], repositories: ['app'] };
+
+        expect(WebhookDispatcher.matches(webhook, { type: 'lease.revoked', owner: 'My-Org', repositories: null })).toBe(true);
+        expect(WebhookDispatcher.matches(webhook, { type: 'lease.revoked', owner: 'my-org', repositories: ['docs'] })).toBe(false);
+        expect(WebhookDispatcher.matches(webhook, { type: 'lease.revoked', owner: 'other-org', repositories: ['app'] })).toBe(false);
+        expect(WebhookDispatcher.matches(webhook, { type: 'lease.issued', owner: 'my-org', repositories: ['app'] })).toBe(false);
+        expect(WebhookDispatcher.matches({ events: ['*'] }, { type: 'auth.failed' })).toBe(true);
+    });
+
+    test('should retry failed deliveries with backoff and give up after the last attempt', async () => {
+        axios.post.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+        auditLog.record('revocation.abandoned', { tokenId: 'token_1' });
+        await settle();
+
+        const delivery = dispatcher.listDeliveries({ webhookId: 'security' }).deliveries[0];
+        expect(axios.post).toHaveBeenCalledTimes(3);
+        expect(delivery.status).toBe('failed');
+        expect(delivery.attempts.map(attempt => attempt.error)).toEqual(['ECONNREFUSED', 'ECONNREFUSED', 'ECONNREFUSED']);
+        expect(dispatcher.getRetryDelay(1)).toBe(1);
+        expect(dispatcher.getRetryDelay(5)).toBe(4);
+    });
+
+    test('should not retry deliveries the receiver rejects', async () => {
+        axios.post.mockResolvedValue({ status: 404 });
+
+        auditLog.record('revocation.abandoned', { tokenId: 'token_1' });
+        await settle();
+
+        expect(axios.post).toHaveBeenCalledTimes(1);
+        expect(dispatcher.listDeliveries({ status: 'failed' }).deliveries[0].attempts[0]).toMatchObject({ statusCode: 404, error: 'Responded 404' });
+    });
+
+    test('should reject invalid subscriptions and keep secrets out of listings', () => {
+        expect(() => dispatcher.setWebhooks({ broken: { url: 'not a url' } })).toThrow('needs a valid "url"');
+        expect(() => dispatcher.setWebhooks({ broken: { url: 'https://hooks.example.com', events: 'lease.issued' } })).toThrow('must be an array');
+        expect(dispatcher.size).toBe(2);
+        expect(JSON.stringify(dispatcher.listWebhooks())).not.toContain('hook-secret');
+    });
+
+    test('should validate delivery log filters', () => {
+        const apiRoutes = new ApiRoutes(new TokenStorage(), {}, {}, { tokenLifespan: 300000 }, { webhookDispatcher: dispatcher });
+        const request = query => ({ params: {}, query, body: {} });
+
+        expect(apiRoutes.parseDeliveryFilters({ webhook: 'security', status: 'failed' })).toMatchObject({ webhookId: 'security', status: 'failed', limit: 100 });
+        expect(() => apiRoutes.requestValidator.assert('listWebhookDeliveries', request({ status: 'lost' }))).toThrow('status must be one of');
+    });
+});
+
+describe('TokenLeaseClient - Unit Tests', () => {
+    let client;
+
+    const lease = (ttl, tokenId = 'token_1') => ({ tokenId, token: `ghs_${tokenId}`, obtainedAt: Date.now(), expiresAt: Date.now() + ttl });
+
+    beforeEach(() => {
+        client = new TokenLeaseClient({ baseUrl: 'http://localhost:3000', clientId: 'ci-runner', apiKey: 'tl_key', autoRefresh: false, releaseOnExit: false });
+    });
+
+    test('should sign requests the way the server verifies them', () => {
+        expect(TokenLeaseClient.sign('secret', '1700000000', 'post', '/token/ci?owner=acme', '{}'))
+            .toBe(ClientRegistry.sign('secret', '1700000000', 'POST', '/token/ci?owner=acme', '{}'));
+    });
+
+    test('should hand out the cached token until the lease is due for renewal', async () => {
+        client.lease = lease(10 * 60000);
+        client.obtain = jest.fn();
+
+        expect(await client.getToken()).toBe('ghs_token_1');
+        expect(client.obtain).not.toHaveBeenCalled();
+
+        // Short leases are renewed halfway through
+        expect(client.isDue({ obtainedAt: Date.now() - 6000, expiresAt: Date.now() + 4000 })).toBe(true);
+        expect(client.isDue({ obtainedAt: Date.now() - 4000, expiresAt: Date.now() + 6000 })).toBe(false);
+    });
+
+    test('should share one request between concurrent callers', async () => {
+        client.requestLease = jest.fn().mockResolvedValue(lease(10 * 60000));
+
+        const tokens = await Promise.all([client.getToken(), client.getToken(), client.getToken()]);
+
+        expect(tokens).toEqual(['ghs_token_1', 'ghs_token_1', 'ghs_token_1']);
+        expect(client.requestLease).toHaveBeenCalledTimes(1);
+    });
+
+    test('should lease a new token when the lease cannot be renewed', async () => {
+        // Obtained ten minutes ago, so thirty seconds left is within the refresh margin
+        const due = () => ({ ...lease(30000), obtainedAt: Date.now() - 10 * 60000 });
+        client.lease = due();
+        client.renew = jest.fn().mockRejectedValue(Object.assign(new Error('Lease not found'), { statusCode: 404 }));
+        client.requestLease = jest.fn().mockResolvedValue(lease(10 * 60000, 'token_2'));
+
+        expect(await client.getToken()).toBe('ghs_token_2');
+
+        client.lease = due();
+        client.renew = jest.fn().mockRejectedValue(Object.assign(new Error('Unavailable'), { statusCode: 503 }));
+        await expect(client.getToken()).rejects.toThrow('Unavailable');
+    });
+
+    test('should authenticate Octokit requests with the leased token', async () => {
+        client.lease = lease(10 * 60000);
+        const auth = TokenLeaseClient.octokitAuthStrategy({ client });
+        const request = jest.fn(async endpoint => endpoint);
+        request.endpoint = { merge: (route, parameters) => ({ url: route, ...parameters, headers: {} }) };
+
+        expect(await auth()).toEqual({ type: 'token', tokenType: 'installation', token: 'ghs_token_1' });
+        const sent = await auth.hook(request, 'GET /installation/repositories', {});
+        expect(sent.headers.authorization).toBe('token ghs_token_1');
+    });
+});
+
+describe('token-lease CLI - Unit Tests', () => {
+    const lease = { tokenId: 'token_1', token: 'ghs_abc', expiresAt: Date.parse('2030-01-01T00:00:00Z'), obtainedAt: Date.now() };
+
+    test('should parse options and keep the exec command apart', () => {
+        const parsed = cli.parseCommandLine(['exec', '--repos', 'app, docs', '--permissions', 'contents:read,issues:write', '--ttl', '600', '--', 'gh', '--repo', 'app']);
+        const options = cli.createClientOptions(parsed.values, { TOKEN_LEASE_CLIENT_ID: 'ci', TOKEN_LEASE_API_KEY: 'tl_key' });
+
+        expect(parsed.subcommand).toBe('exec');
+        expect(parsed.command).toEqual(['gh', '--repo', 'app']);
+        expect(options).toEqual(expect.objectContaining({
+            baseUrl: 'http://localhost:3000',
+            clientId: 'ci',
+            apiKey: 'tl_key',
+            repositories: ['app', 'docs'],
+            permissions: { contents: 'read', issues: 'write' },
+            ttl: 600
+        }));
+        expect(() => cli.parseCommandLine(['get', '--ttl', '10m'])).toThrow('--ttl must be a positive whole number');
+        expect(() => cli.parseCommandLine(['get', '--unknown'])).toThrow();
+    });
+
+    test('should print leases as env files and git credentials', () => {
+        expect(cli.formatLease(lease)).toBe('ghs_abc\n');
+        expect(cli.formatLease(lease, 'env')).toBe(
+            'GH_TOKEN=ghs_abc\nGITHUB_TOKEN=ghs_abc\nTOKEN_LEASE_TOKEN_ID=token_1\nTOKEN_LEASE_EXPIRES_AT=2030-01-01T00:00:00.000Z\n'
+        );
+        expect(cli.formatLease(lease, 'git-credential')).toBe('username=x-access-token\npassword=ghs_abc\npassword_expiry_utc=1893456000\n');
+        expect(JSON.parse(cli.formatLease(lease, 'json'))).toEqual({ tokenId: 'token_1', token: 'ghs_abc', expiresAt: '2030-01-01T00:00:00.000Z' });
+    });
+
+    test('should report usage errors with exit code 2', async () => {
+        const stderr = { output: '', write(chunk) { this.output += chunk; } };
+
+        expect(await cli.main(['get', '--format', 'yaml'], { stderr })).toBe(2);
+        expect(stderr.output).toContain('--format must be one of: token, json, env, git-credential');
+        expect(await cli.main(['exec'], { stderr })).toBe(2);
+        expect(stderr.output).toContain('exec needs a command');
+    });
+});
+
+describe('git credential helper - Unit Tests', () => {
+    test('should map the requested host and path to a repository', () => {
+        const credential = credentialHelper.parseCredential('protocol=https\nhost=github.com\npath=acme/app.git\n\nignored=1\n');
+
+        expect(credential).toEqual({ protocol: 'https', host: 'github.com', path: 'acme/app.git' });
+        expect(credentialHelper.repositoryFromCredential(credential)).toEqual({ owner: 'acme', repository: 'app' });
+        expect(credentialHelper.repositoryFromCredential({ ...credential, path: 'acme/app.git/info/lfs' })).toEqual({ owner: 'acme', repository: 'app' });
+        expect(credentialHelper.repositoryFromCredential({ ...credential, host: 'ghe.example.com' }, 'ghe.example.com')).toEqual({ owner: 'acme', repository: 'app' });
+        expect(credentialHelper.repositoryFromCredential({ ...credential, host: 'gitlab.com' })).toBeNull();
+        expect(credentialHelper.repositoryFromCredential({ ...credential, protocol: 'http' })).toBeNull();
+        expect(credentialHelper.repositoryFromCredential({ protocol: 'https', host: 'github.com' })).toBeNull();
+    });
+});
+
+describe('GitHubClient - Unit Tests', () => {
+    const config = {
+        githubTimeout: 1000,
+        githubMaxRetries: 2,
+        githubRetryBaseDelay: 1,
+        githubMaxRetryWait: 50,
+        circuitBreakerThreshold: 2,
+        circuitBreakerResetTimeout: 60000
+    };
+    const failure = (status, headers = {}) => ({ response: { status, headers, data: {} } });
+    let client;
+
+    beforeEach(() => {
+        client = new GitHubClient(config);
+    });
+
+    test('should pass the timeout to axios', async () => {
+        axios.get.mockResolvedValue({ status: 200, data: {} });
+
+        await client.get('rate_limit', 'https://api.github.com/rate_limit', { headers: { Accept: 'json' } });
+
+        expect(axios.get).toHaveBeenCalledWith('https://api.github.com/rate_limit', { timeout: 1000, headers: { Accept: 'json' } });
+    });
+
+    test('should tunnel requests through the configured proxy', () => {
+        const proxied = new GitHubClient({ ...config, githubProxy: 'http://proxy.example.com:3128' });
+
+        const options = proxied.getTransportOptions('https://github.example.com/api/v3/rate_limit');
+
+        expect(options.proxy).toBe(false);
+        expect(options.httpsAgent.proxy.host).toBe('proxy.example.com:3128');
+        expect(proxied.getTransportOptions('https://api.github.com/rate_limit').httpsAgent).toBe(options.httpsAgent);
+    });
+
+    test('should retry idempotent requests after 5xx responses', async () => {
+        axios.get.mockRejectedValueOnce(failure(500)).mockResolvedValue({ status: 200, data: { ok: true } });
+
+        const response = await client.get('list_installations', 'https://api.github.com/app/installations');
+
+        expect(response.data.ok).toBe(true);
+        expect(axios.get).toHaveBeenCalledTimes(2);
+        expect(client.getStatus().circuit).toBe('closed');
+    });
+
+    test('should not retry token creation after a 500', async () => {
+        axios.post.mockRejectedValue(failure(500));
+
+        await expect(client.post('create_token', 'https://api.github.com/app/installations/1/access_tokens', {}))
+            .rejects.toMatchObject({ response: { status: 500 } });
+        expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+
+    test('should wait out a short Retry-After and fail on a long one', async () => {
+        axios.post.mockRejectedValueOnce(failure(429, { 'retry-after': '0' })).mockResolvedValue({ status: 201, data: {} });
+        await client.post('create_token', 'https://api.github.com/app/installations/1/access_tokens', {});
+        expect(axios.post).toHaveBeenCalledTimes(2);
+
+        axios.post.mockRejectedValue(failure(403, { 'retry-after': '120' }));
+        await expect(client.post('create_token', 'https://api.github.com/app/installations/1/access_tokens', {}))
+            .rejects.toMatchObject({ statusCode: 503, error: 'GitHub rate limited', retryAfter: 120 });
+    });
+
+    test('should open the circuit after repeated failures and fail fast', async () => {
+        axios.post.mockRejectedValue(failure(502));
+
+        await expect(client.post('create_token', 'https://api.github.com/app/installations/1/access_tokens', {}))
+            .rejects.toMatchObject({ statusCode: 503, error: 'GitHub unavailable' });
+        expect(client.getStatus()).toEqual(expect.objectContaining({ circuit: 'open', consecutiveFailures: 2 }));
+
+        axios.post.mockClear();
+        await expect(client.post('create_token', 'https://api.github.com/app/installations/1/access_tokens', {}))
+            .rejects.toMatchObject({ statusCode: 503, retryAfter: 60 });
+        expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test('should close the circuit when the trial request succeeds', async () => {
+        client.state = 'open';
+        client.openedAt = Date.now() - config.circuitBreakerResetTimeout;
+        axios.delete.mockResolvedValue({ status: 204 });
+
+        await client.delete('revoke_token', 'https://api.github.com/installation/token');
+
+        expect(client.getStatus().circuit).toBe('closed');
+    });
+
+    test('should only hold back the app whose rate limit is exhausted', async () => {
+        const reset = String(Math.ceil(Date.now() / 1000) + 600);
+        axios.post.mockRejectedValueOnce(failure(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': reset }));
+        await expect(client.post('create_token', 'https://api.github.com/app/installations/1/access_tokens', {}, { rateLimitKey: 'app:1' }))
+            .rejects.toMatchObject({ statusCode: 503, error: 'GitHub rate limited' });
+
+        axios.post.mockClear();
+        axios.post.mockResolvedValue({ status: 201, headers: { 'x-ratelimit-remaining': '4999' }, data: {} });
+        await expect(client.post('create_token', 'https://api.github.com/app/installations/1/access_tokens', {}, { rateLimitKey: 'app:1' }))
+            .rejects.toMatchObject({ statusCode: 503 });
+        await client.post('create_token', 'https://api.github.com/app/installations/2/access_tokens', {}, { rateLimitKey: 'app:2' });
+
+        await expect(client.get('list_installations', 'https://api.github.com/app/installations', { rateLimitKey: 'app:1' }))
+            .rejects.toMatchObject({ statusCode: 503 });
+
+        expect(axios.post).toHaveBeenCalledTimes(1);
+        expect(axios.get).not.toHaveBeenCalled();
+        expect(Object.keys(client.getStatus().rateLimitedUntil)).toEqual(['app:1']);
+    });
+});
@@ -7,9 +7,27 @@
  * 
  * Features:
  * - Fresh token generation (no caching by default)
+ * - Optional reuse of still-valid leases for the same scope
  * - Custom token lifespans
  * - Automatic token cleanup and revocation
+ * - Persistent, encrypted token storage that survives restarts
  * - Multi-client token management
+ * - Multiple GitHub Apps and installations, selected per request
+ * - Client authentication with API keys or HMAC-signed requests
+ * - Per-client permission policies that downscope issued tokens
+ * - Per-client rate limits and a global token budget
+ * - Append-only audit log of every lease decision
+ * - Prometheus metrics endpoint
+ * - Live event stream (Server-Sent Events) for the dashboard and other tools
+ * - GitHub rate limit tracking per installation from response headers
+ * - Durable retry queue for failed token revocations
+ * - GitHub API retries, timeouts and a circuit breaker
+ * - GitHub Enterprise Server support with a custom CA bundle and proxy
+ * - Sandbox mode against a bundled mock GitHub
+ * - GitHub webhooks for suspended, uninstalled and changed installations
+ * - Outbound webhooks notifying downstream services of lease events
+ * - Admin API with viewer, operator and admin roles, optionally on its own port
+ * - YAML/JSON config file whose clients, policies, limits and log level reload live
  * - RESTful API for token operations
  * 
  * This class initializes and coordinates all service modules to provide
@@ -22,27 +40,103 @@ const cors = require('cors');
 // Import modules
 const logger = require('./modules/logger');
 const ConfigValidator = require('./modules/config-validator');
+const ConfigFile = require('./modules/config-file');
 const TokenStorage = require('./modules/token-storage');
+const TokenCipher = require('./modules/token-cipher');
+const { createStorageAdapter } = require('./modules/storage');
+const GitHubClient = require('./modules/github-client');
 const GitHubTokenService = require('./modules/github-token-service');
 const TokenCleanupService = require('./modules/token-cleanup-service');
+const ClientRegistry = require('./modules/client-registry');
+const PolicyStore = require('./modules/policy-store');
+const InstallationCatalog = require('./modules/installation-catalog');
+const RateLimiter = require('./modules/rate-limiter');
+const AuditLog = require('./modules/audit-log');
+const Metrics = require('./modules/metrics');
+const RevocationQueue = require('./modules/revocation-queue');
+const WebhookDispatcher = require('./modules/webhook-dispatcher');
+const EventStream = require('./modules/event-stream');
+const RateLimitTracker = require('./modules/rate-limit-tracker');
+const MockGitHub = require('./modules/mock-github');
 const ApiRoutes = require('./modules/api-routes');
 
 class TokenLease {
     constructor(config = {}) {
-        // Load and validate configuration
-        this.config = ConfigValidator.loadDefaults(config);
+        // Load and validate configuration; the config file's settings take the place of
+        // environment variables, while constructor options still override both
+        this.options = config;
+        this.configFile = new ConfigFile({ filePath: config.configFile || process.env.CONFIG_FILE });
+        this.configFile.load();
+        this.config = ConfigValidator.loadDefaults({ ...this.configFile.getSettings(), ...config });
+        logger.level = this.config.logLevel;
+        if (this.config.sandbox) {
+            this.setupSandbox();
+        }
         ConfigValidator.validate(this.config);
         
-        // Load private key
-        this.privateKey = ConfigValidator.loadPrivateKey(this.config.privateKeyPath);
+        // Load private keys and build the app/installation catalog
+        this.installationCatalog = this.createInstallationCatalog();
+        this.privateKey = this.config.appId ? this.installationCatalog.getApp(this.config.appId).privateKey : null;
         
         // Initialize services
-        this.tokenStorage = new TokenStorage();
-        this.githubTokenService = new GitHubTokenService(this.config, this.privateKey);
+        this.storageAdapter = createStorageAdapter(this.config);
+        this.tokenCipher = this.config.tokenEncryptionKey ? new TokenCipher(this.config.tokenEncryptionKey) : null;
+        this.tokenStorage = new TokenStorage({ adapter: this.storageAdapter, cipher: this.tokenCipher });
+        this.clientRegistry = new ClientRegistry({
+            filePath: this.config.clientsFile,
+            maxSkewMs: this.config.signatureMaxSkew
+        });
+        this.clientRegistry.load();
+        this.clientRegistry.watch();
+        if (this.config.clients) {
+            this.clientRegistry.setClients(this.config.clients);
+        }
+        this.policyStore = new PolicyStore({ filePath: this.config.policiesFile });
+        this.policyStore.load();
+        this.policyStore.watch();
+        if (this.config.policies) {
+            this.policyStore.setPolicies(this.config.policies);
+        }
+        this.rateLimiter = new RateLimiter(this.config, {
+            tokenStorage: this.tokenStorage,
+            policyStore: this.policyStore
+        });
+        this.auditLog = new AuditLog({ filePath: this.config.auditLogFile });
+        this.metrics = this.config.metricsEnabled ? new Metrics({ tokenStorage: this.tokenStorage }) : null;
+        if (this.metrics) {
+            this.metrics.observeAuditLog(this.auditLog);
+        }
+        this.rateLimitTracker = new RateLimitTracker(this.config, {
+            tokenStorage: this.tokenStorage,
+            installationCatalog: this.installationCatalog
+        });
+        this.githubClient = new GitHubClient(this.config, { metrics: this.metrics, rateLimitTracker: this.rateLimitTracker });
+        this.githubTokenService = new GitHubTokenService(this.config, this.privateKey, this.installationCatalog, {
+            githubClient: this.githubClient
+        });
+        this.rateLimitTracker.githubTokenService = this.githubTokenService;
+        this.revocationQueue = new RevocationQueue(this.config, {
+            githubTokenService: this.githubTokenService,
+            adapter: this.storageAdapter,
+            cipher: this.tokenCipher,
+            auditLog: this.auditLog
+        });
+        if (this.metrics) {
+            this.metrics.revocationQueue = this.revocationQueue;
+        }
+        this.eventStream = new EventStream(this.config, {
+            auditLog: this.auditLog,
+            tokenStorage: this.tokenStorage,
+            rateLimitTracker: this.rateLimitTracker
+        });
+        this.webhookDispatcher = new WebhookDispatcher(this.config, { auditLog: this.auditLog });
+        this.webhookDispatcher.load();
+        this.webhookDispatcher.watch();
         this.tokenCleanupService = new TokenCleanupService(
             this.tokenStorage, 
             this.githubTokenService, 
-            this.config
+            this.config,
+            { auditLog: this.auditLog, metrics: this.metrics, revocationQueue: this.revocationQueue }
         );
         
         // Setup Express app
@@ -52,44 +146,208 @@ class TokenLease {
         
         // Start token cleanup interval
         this.tokenCleanupService.start();
+
+        this.configFile.watch(() => {
+            logger.info({ file: this.configFile.filePath }, '🔄 Config file changed, reloading');
+            this.reloadConfig();
+        });
         
         this.logInitialization();
     }
 
+    /**
+     * Apply the config file's reloadable sections (clients, policies, limits and log
+     * level) without a restart. Leases and the cleanup interval are left alone; an
+     * invalid file changes nothing.
+     * @returns {boolean} Whether the file was applied
+     */
+    reloadConfig() {
+        if (!this.configFile.enabled) {
+            return false;
+        }
+        const previous = this.configFile.document;
+        let reloaded;
+        try {
+            const document = this.configFile.load();
+            reloaded = ConfigValidator.loadDefaults({ ...this.configFile.getSettings(document), ...this.options });
+            for (const section of ['clients', 'policies']) {
+                // Dropping or adding a section would switch authentication or policies off or on
+                if (Boolean(this.config[section]) !== Boolean(reloaded[section])) {
+                    throw new Error(`❌ Adding or removing the ${section} section takes a restart`);
+                }
+            }
+            // Try both sections first so a mistake in one leaves the other unchanged too
+            new ClientRegistry().setClients(reloaded.clients || {});
+            new PolicyStore().setPolicies(reloaded.policies || {});
+        } catch (error) {
+            this.configFile.document = previous;
+            logger.error({ error: error.message, file: this.configFile.filePath }, '❌ Failed to reload config file, keeping previous configuration');
+            return false;
+        }
+
+        if (reloaded.clients) {
+            this.clientRegistry.setClients(reloaded.clients);
+        }
+        if (reloaded.policies) {
+            this.policyStore.setPolicies(reloaded.policies);
+        }
+        // The rate limiter reads its limits from this.config on every request
+        for (const setting of ['clientTokensPerMinute', 'clientMaxActiveLeases', 'globalTokensPerHour', 'logLevel']) {
+            this.config[setting] = reloaded[setting];
+        }
+        logger.level = this.config.logLevel;
+
+        const restartRequired = ['server', 'installations']
+            .filter(section => JSON.stringify(previous[section]) !== JSON.stringify(this.configFile.document[section]));
+        if (restartRequired.length > 0) {
+            logger.warn({ sections: restartRequired }, `⚠️ Config file changes to ${restartRequired.join(' and ')} take effect after a restart`);
+        }
+        logger.info({ clients: this.clientRegistry.size, policies: this.policyStore.size, logLevel: this.config.logLevel }, '✅ Config file reloaded');
+        return true;
+    }
+
+    /**
+     * Reload every file the server reads its settings from (SIGHUP)
+     */
+    reload() {
+        this.clientRegistry.reload();
+        this.policyStore.reload();
+        this.webhookDispatcher.reload();
+        this.reloadConfig();
+    }
+
+    /**
+     * Lease tokens from a bundled mock GitHub instead of GitHub. The sandbox app
+     * gets a throwaway key; the mock starts and stops with the server.
+     */
+    setupSandbox() {
+        const sandbox = MockGitHub.createSandbox({
+            appId: this.config.appId || undefined,
+            installationId: this.config.installationId || undefined
+        });
+        this.mockGitHub = sandbox.mockGitHub;
+        Object.assign(this.config, {
+            appId: sandbox.appId,
+            installationId: sandbox.installationId,
+            privateKey: sandbox.privateKey,
+            // Apps from an apps file have keys the mock does not know
+            appsFile: null,
+            apps: null
+        });
+    }
+
+    createInstallationCatalog() {
+        const catalog = new InstallationCatalog();
+        for (const app of ConfigValidator.loadApps(this.config)) {
+            catalog.addApp(app);
+        }
+        if (this.config.installationId) {
+            catalog.upsertInstallation({ installationId: this.config.installationId, appId: this.config.appId, source: 'config' });
+            catalog.setDefaultInstallation(this.config.installationId);
+        }
+        return catalog;
+    }
+
+    describeMode() {
+        if (this.config.tokenMode === 'reuse') {
+            const minutes = (this.config.reuseMinRemaining / 60000).toFixed(1);
+            return `Reuse valid leases for the same scope (min ${minutes} min remaining)`;
+        }
+        return 'Always generate fresh tokens (no caching)';
+    }
+
     logInitialization() {
         const lifespanMinutes = (this.config.tokenLifespan / 60000).toFixed(1);
         logger.info('🔧 TokenLease initialized');
-        logger.info('🔄 Mode: Always generate fresh tokens (no caching)');
+        if (this.configFile.enabled) {
+            logger.info(`🗂️ Config file: ${this.configFile.filePath} (clients, policies, limits and log level reload on change or SIGHUP)`);
+        }
+        logger.info(`🔄 Mode: ${this.describeMode()}`);
         logger.info(`⏰ Token lifespan: ${this.config.tokenLifespan}ms (${lifespanMinutes} min)`);
         logger.info(`🧹 Token cleanup interval: ${this.config.cacheCheckInterval}ms`);
+        logger.info(`💾 Token storage: ${this.storageAdapter.name}${this.storageAdapter.persistent ? ' (encrypted at rest)' : ' (lost on restart)'}`);
+        logger.info(`🚦 Rate limits: ${this.config.clientTokensPerMinute || '∞'} tokens/min and ${this.config.clientMaxActiveLeases || '∞'} active leases per client, ${this.config.globalTokensPerHour || '∞'} tokens/hour overall`);
+        logger.info(`🏢 GitHub Apps: ${this.installationCatalog.listApps().length}, configured installations: ${this.installationCatalog.size}`);
+        if (this.mockGitHub) {
+            logger.warn('🧪 Sandbox mode: tokens come from a mock GitHub and are not valid on github.com');
+        } else {
+            logger.info(`🌐 GitHub API: ${this.config.githubApiUrl}${this.config.githubProxy ? ` via proxy ${new URL(this.config.githubProxy).host}` : ''}${this.config.githubCaBundle ? ` (CA bundle ${this.config.githubCaBundle})` : ''}`);
+        }
+        if (this.auditLog.filePath) {
+            logger.info(`📒 Audit log: ${this.auditLog.filePath}`);
+        } else {
+            logger.warn('⚠️ Audit log: in memory only (set AUDIT_LOG_FILE to keep an audit trail)');
+        }
+        if (this.clientRegistry.enabled) {
+            logger.info(`🔐 Client authentication: enabled (${this.clientRegistry.size} clients)`);
+        } else {
+            logger.warn('⚠️ Client authentication: disabled (set CLIENTS_FILE to require credentials)');
+        }
+        if (!this.clientRegistry.enabled) {
+            logger.warn('⚠️ Admin API: open to anyone (set CLIENTS_FILE and give clients a role to protect it)');
+        }
+        if (this.policyStore.enabled) {
+            logger.info(`📜 Permission policies: enabled (${this.policyStore.size} policies)`);
+        } else {
+            logger.warn('⚠️ Permission policies: disabled (tokens carry the full installation permissions)');
+        }
+        if (this.webhookDispatcher.enabled) {
+            logger.info(`📣 Outbound webhooks: ${this.webhookDispatcher.size} subscriptions`);
+        }
     }
 
-    setupMiddleware() {
-        this.app.use(cors());
-        this.app.use(express.json());
+    setupMiddleware(app = this.app) {
+        app.use(cors());
+        // Keep the raw body around so HMAC signatures can be verified byte-for-byte
+        const verify = (req, res, buffer) => {
+            req.rawBody = buffer;
+        };
+        // Installation webhooks list every selected repository, so they may be large
+        app.use('/webhooks', express.json({ limit: '5mb', verify }));
+        app.use(express.json({ verify }));
     }
 
     setupRoutes() {
         // Initialize API routes
-        const apiRoutes = new ApiRoutes(
-            this.tokenStorage,
-            this.githubTokenService,
-            this.tokenCleanupService,
-            this.config
-        );
+        const apiRoutes = this.createApiRoutes();
         
         // Use the API routes
         this.app.use('/', apiRoutes.getRouter());
+
+        // The admin API gets a listener of its own when ADMIN_PORT is set
+        if (this.config.adminPort) {
+            this.adminApp = express();
+            this.setupMiddleware(this.adminApp);
+            this.adminApp.use('/admin', apiRoutes.getAdminRouter());
+        } else {
+            this.app.use('/admin', apiRoutes.getAdminRouter());
+        }
     }
 
-    // Legacy methods for backward compatibility - delegate to services
-    async getTokenForClient(clientId) {
-        const apiRoutes = new ApiRoutes(
+    createApiRoutes() {
+        return new ApiRoutes(
             this.tokenStorage,
             this.githubTokenService,
             this.tokenCleanupService,
-            this.config
+            this.config,
+            {
+                clientRegistry: this.clientRegistry,
+                policyStore: this.policyStore,
+                installationCatalog: this.installationCatalog,
+                rateLimiter: this.rateLimiter,
+                auditLog: this.auditLog,
+                metrics: this.metrics,
+                revocationQueue: this.revocationQueue,
+                eventStream: this.eventStream,
+                webhookDispatcher: this.webhookDispatcher,
+                rateLimitTracker: this.rateLimitTracker
+            }
         );
+    }
+
+    // Legacy methods for backward compatibility - delegate to services
+    async getTokenForClient(clientId) {
+        const apiRoutes = this.createApiRoutes();
         return await apiRoutes.getTokenForClient(clientId);
     }
 
@@ -101,8 +359,8 @@ class TokenLease {
         return this.githubTokenService.generateJWT();
     }
 
-    async revokeToken(token) {
-        return await this.githubTokenService.revokeToken(token);
+    async revokeToken(token, installationId = null) {
+        return await this.githubTokenService.revokeToken(token, installationId);
     }
 
     startTokenCleanup() {
@@ -113,7 +371,37 @@ class TokenLease {
         return await this.tokenCleanupService.cleanupExpiredTokens();
     }
 
-    start() {
+    async refreshInstallations() {
+        return await this.githubTokenService.refreshInstallations();
+    }
+
+    async start() {
+        if (this.mockGitHub) {
+            this.config.githubApiUrl = await this.mockGitHub.start(this.config.sandboxPort);
+        }
+
+        // Restore leases and queued revocations from before a restart, then revoke
+        // leases that expired meanwhile and retry revocations that are due
+        const restored = await this.tokenStorage.init();
+        const queued = await this.revocationQueue.init();
+        if (restored > 0 || queued > 0) {
+            await this.tokenCleanupService.cleanupExpiredTokens();
+        }
+
+        if (this.config.discoverInstallations) {
+            await this.refreshInstallations();
+        }
+        this.rateLimitTracker.start();
+
+        if (this.adminApp) {
+            await new Promise((resolve) => {
+                this.adminServer = this.adminApp.listen(this.config.adminPort, () => {
+                    logger.info({ port: this.config.adminPort }, `🛡️ Admin API running on http://localhost:${this.config.adminPort}/admin`);
+                    resolve();
+                });
+            });
+        }
+
         return new Promise((resolve) => {
             this.server = this.app.listen(this.config.port, () => {
                 logger.info({ port: this.config.port, appId: this.config.appId, installationId: this.config.installationId }, '🚀 Token Lease Server Started');
@@ -123,22 +411,57 @@ class TokenLease {
                 logger.info(`  GET  /health             - Health check`);
                 logger.info(`  GET  /token/:clientId    - Get fresh token for specific client`);
                 logger.info(`  GET  /token              - Get fresh token for default client`);
-                logger.info(`  GET  /tokens             - View stored tokens status`);
-                logger.info(`  DELETE /tokens/:id       - Delete token by ID or client`);
-                logger.info(`  DELETE /tokens           - Clear all stored tokens`);
+                logger.info(`  GET  /installations/:id/token - Get fresh token for a specific installation`);
+                logger.info(`  POST /leases/:id/renew   - Extend a lease (rotates the token if needed)`);
+                logger.info(`  POST /leases/:id/release - Release a lease and revoke its token`);
+                logger.info(`  POST /webhooks/github    - GitHub installation webhooks`);
+                logger.info(`  GET  /openapi.json       - OpenAPI document (rendered at /docs)`);
+                if (this.metrics) {
+                    logger.info(`  GET  /metrics            - Prometheus metrics`);
+                }
+                logger.info('');
+                logger.info(`🛡️ Admin API${this.adminApp ? ` (port ${this.config.adminPort})` : ''}:`);
+                logger.info(`  GET  /admin/dashboard    - Web dashboard`);
+                logger.info(`  GET  /admin/tokens       - View stored tokens status`);
+                logger.info(`  DELETE /admin/tokens/:id - Delete token by ID or client`);
+                logger.info(`  DELETE /admin/tokens     - Clear all stored tokens`);
+                logger.info(`  GET  /admin/installations - List known installations`);
+                logger.info(`  POST /admin/installations/refresh - Rediscover installations from GitHub`);
+                logger.info(`  GET  /admin/revocations  - View revocations queued for retry`);
+                logger.info(`  GET  /admin/audit        - Query the audit log`);
+                logger.info(`  GET  /admin/webhooks/deliveries - Outbound webhook delivery log`);
+                logger.info(`  GET  /admin/events       - Live event stream (Server-Sent Events)`);
+                logger.info(`  GET  /admin/rate-limit   - GitHub rate limits per installation`);
                 logger.info('');
-                logger.info('🔄 Mode: Fresh tokens always generated (no caching)');
+                logger.info(`🔄 Mode: ${this.describeMode()}`);
                 logger.info('');
                 resolve();
             });
         });
     }
 
-    stop() {
+    async stop() {
         this.tokenCleanupService.stop();
+        this.rateLimitTracker.stop();
+        this.configFile.unwatch();
+        this.clientRegistry.unwatch();
+        this.policyStore.unwatch();
+        this.webhookDispatcher.unwatch();
+        // Open event streams would otherwise keep the server from closing
+        this.eventStream.close();
         if (this.server) {
             this.server.close();
         }
+        if (this.adminServer) {
+            this.adminServer.close();
+        }
+        if (this.mockGitHub) {
+            await this.mockGitHub.stop();
+        }
+        await this.revocationQueue.close();
+        await this.webhookDispatcher.close();
+        await this.tokenStorage.close();
+        await this.auditLog.close();
         logger.info('🛑 Token Lease Server stopped');
     }
 }